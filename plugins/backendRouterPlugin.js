@@ -0,0 +1,138 @@
+/**
+ * Backend Router Plugin
+ * Dev-server middleware that forwards /api/text and /api/symbol requests to the
+ * backend named in a request header, so the app can switch backend profiles
+ * without restarting Vite. Requests without the header fall through to the
+ * regular proxy configured in vite.config.js.
+ */
+import http from 'node:http';
+import https from 'node:https';
+
+// Hosts the router forwards to unless VITE_BACKEND_ROUTER_ALLOWED_HOSTS says otherwise.
+// Loopback hosts are left out, so a page cannot use the router to reach services on this
+// machine; list localhost or 127.0.0.1 in the variable to allow a local backend
+const DEFAULT_ALLOWED_HOSTS = ['.ngrok-free.app', '.ngrok.io', '.ngrok.app'];
+
+/**
+ * Parse a comma-separated host list
+ * @param {string} value - e.g. ".ngrok-free.app,localhost"
+ * @returns {Array<string>} - Hosts; entries starting with a dot match any subdomain
+ */
+export const parseAllowedHosts = (value) => {
+  if (!value) return DEFAULT_ALLOWED_HOSTS;
+  return value.split(',').map(host => host.trim().toLowerCase()).filter(Boolean);
+};
+
+/**
+ * Check a hostname against the allow list
+ * @param {string} hostname - Target hostname
+ * @param {Array<string>} allowedHosts - Allowed hosts
+ * @returns {boolean} - Whether requests may be forwarded to the host
+ */
+const isAllowedHost = (hostname, allowedHosts) => {
+  const host = hostname.toLowerCase();
+  return allowedHosts.some(allowed => (
+    allowed.startsWith('.') ? host.endsWith(allowed) : host === allowed
+  ));
+};
+
+/**
+ * Check whether a request comes from a page served by another origin
+ * Browsers send Origin on cross-origin requests and on every POST; requests without it
+ * (same-origin GETs, curl) are treated as same-origin
+ * @param {http.IncomingMessage} req - Request
+ * @returns {boolean} - Whether the request is cross-origin
+ */
+const isCrossOriginRequest = (req) => {
+  if (req.headers['sec-fetch-site'] === 'cross-site') return true;
+  const { origin } = req.headers;
+  if (!origin) return false;
+  try {
+    return new URL(origin).host !== req.headers.host;
+  } catch {
+    return true;
+  }
+};
+
+/**
+ * Answer a request with a plain-text error
+ * @param {http.ServerResponse} res - Response
+ * @param {number} statusCode - HTTP status
+ * @param {string} message - Error message
+ */
+const sendError = (res, statusCode, message) => {
+  res.statusCode = statusCode;
+  res.setHeader('Content-Type', 'text/plain');
+  res.end(message);
+};
+
+/**
+ * Create the backend router plugin
+ * @param {Object} options - Plugin options
+ * @param {Array<string>} options.prefixes - Path prefixes to route, e.g. ['/api/text', '/api/symbol']
+ * @param {string} options.headerName - Header holding the target base URL
+ * @param {Array<string>} options.allowedHosts - Hosts requests may be forwarded to
+ * @param {boolean} options.verifyTls - Reject backends whose TLS certificate does not verify
+ * @returns {Object} - Vite plugin
+ */
+export const backendRouterPlugin = ({ prefixes, headerName, allowedHosts = DEFAULT_ALLOWED_HOSTS, verifyTls = true }) => {
+  const headerKey = headerName.toLowerCase();
+
+  return {
+    name: 'backend-router',
+    apply: 'serve',
+    configureServer(server) {
+      const { logger } = server.config;
+
+      // Registered directly, so it runs before Vite's own proxy middleware
+      server.middlewares.use((req, res, next) => {
+        const target = req.headers[headerKey];
+        const prefix = prefixes.find(item => req.url === item || req.url.startsWith(`${item}/`) || req.url.startsWith(`${item}?`));
+        if (!target || !prefix) {
+          next();
+          return;
+        }
+
+        // The dev server answers CORS preflights for any origin, so other sites must be turned away here
+        if (isCrossOriginRequest(req)) {
+          sendError(res, 403, 'The backend router only accepts requests from this dev server');
+          return;
+        }
+
+        let targetUrl;
+        try {
+          targetUrl = new URL(target);
+        } catch {
+          sendError(res, 400, `Invalid ${headerName} header: ${target}`);
+          return;
+        }
+        if (!['http:', 'https:'].includes(targetUrl.protocol) || !isAllowedHost(targetUrl.hostname, allowedHosts)) {
+          sendError(res, 403, `Backend host ${targetUrl.hostname} is not in VITE_BACKEND_ROUTER_ALLOWED_HOSTS`);
+          return;
+        }
+
+        const basePath = targetUrl.pathname.replace(/\/+$/, '');
+        const upstreamUrl = `${targetUrl.origin}${basePath}${req.url.slice(prefix.length)}`;
+        const headers = { ...req.headers, host: targetUrl.host };
+        delete headers[headerKey];
+
+        const client = targetUrl.protocol === 'https:' ? https : http;
+        const upstream = client.request(upstreamUrl, { method: req.method, headers, rejectUnauthorized: verifyTls }, (upstreamRes) => {
+          res.writeHead(upstreamRes.statusCode, upstreamRes.headers);
+          upstreamRes.pipe(res);
+        });
+
+        upstream.on('error', (error) => {
+          logger.error(`backend router error for ${upstreamUrl}: ${error.message}`);
+          if (res.headersSent) {
+            res.end();
+          } else {
+            sendError(res, 502, `Could not reach ${targetUrl.origin}: ${error.message}`);
+          }
+        });
+
+        req.pipe(upstream);
+      });
+    }
+  };
+};
@@ -0,0 +1,194 @@
+/**
+ * Mock Backend Plugin
+ * Dev-server middleware that answers /api/text and /api/symbol requests from JSON
+ * fixtures, so the app can be developed without the Colab backends running.
+ * In record mode requests still reach the real backends, and every JSON answer is
+ * written back to the fixture directory as the new fixture for its route.
+ *
+ * A fixture lives at <fixturesDir>/<backend>/<route>.json, e.g. text/predict_pipeline.json,
+ * and holds { "status": 200, "body": { ... } }.
+ */
+import fs from 'node:fs';
+import path from 'node:path';
+import zlib from 'node:zlib';
+
+// Values of VITE_MOCK_BACKEND
+export const MOCK_BACKEND_MODES = {
+  OFF: 'off',
+  MOCK: 'mock',
+  RECORD: 'record'
+};
+
+/**
+ * Read the mock mode from the VITE_MOCK_BACKEND value
+ * @param {string} value - "true", "record" or anything else
+ * @returns {string} - One of MOCK_BACKEND_MODES
+ */
+export const parseMockBackendMode = (value) => {
+  if (value === 'true') return MOCK_BACKEND_MODES.MOCK;
+  if (value === 'record') return MOCK_BACKEND_MODES.RECORD;
+  return MOCK_BACKEND_MODES.OFF;
+};
+
+/**
+ * Turn a request path into a fixture name
+ * @param {string} routePath - Path after the backend prefix, e.g. /predict_pipeline?x=1
+ * @returns {string|null} - e.g. "predict_pipeline", or null for paths that cannot be a fixture
+ */
+export const getFixtureName = (routePath) => {
+  const name = routePath.split('?')[0].replace(/^\/+|\/+$/g, '').replace(/\//g, '__');
+  return /^[\w.-]+$/.test(name) && !name.startsWith('.') ? name : null;
+};
+
+/**
+ * Answer a request with a JSON body
+ * @param {http.ServerResponse} res - Response
+ * @param {number} statusCode - HTTP status
+ * @param {Object} body - Body to serialise
+ */
+const sendJson = (res, statusCode, body) => {
+  res.statusCode = statusCode;
+  res.setHeader('Content-Type', 'application/json');
+  res.end(JSON.stringify(body));
+};
+
+/**
+ * Decode a captured response body
+ * @param {Buffer} buffer - Raw body as sent to the browser
+ * @param {string} encoding - Content-Encoding header
+ * @returns {Buffer} - Uncompressed body
+ */
+const decodeBody = (buffer, encoding = '') => {
+  if (encoding.includes('br')) return zlib.brotliDecompressSync(buffer);
+  if (encoding.includes('gzip')) return zlib.gunzipSync(buffer);
+  if (encoding.includes('deflate')) return zlib.inflateSync(buffer);
+  return buffer;
+};
+
+/**
+ * Copy everything written to a response, and call back with it once the response ends
+ * @param {http.ServerResponse} res - Response to tap
+ * @param {Function} onEnd - Called with the full body as a Buffer and the response headers
+ */
+const captureResponse = (res, onEnd) => {
+  const chunks = [];
+  // Headers passed to writeHead are not visible through getHeader, so keep them here
+  const headHeaders = {};
+  const writeHead = res.writeHead.bind(res);
+  const write = res.write.bind(res);
+  const end = res.end.bind(res);
+  const collect = (chunk, encoding) => {
+    if (chunk && typeof chunk !== 'function') {
+      chunks.push(Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk, typeof encoding === 'string' ? encoding : 'utf8'));
+    }
+  };
+
+  res.writeHead = (statusCode, ...args) => {
+    const headers = args.find(arg => arg && typeof arg === 'object' && !Array.isArray(arg));
+    Object.entries(headers || {}).forEach(([key, value]) => { headHeaders[key.toLowerCase()] = value; });
+    return writeHead(statusCode, ...args);
+  };
+  res.write = (chunk, ...args) => {
+    collect(chunk, args[0]);
+    return write(chunk, ...args);
+  };
+  res.end = (chunk, ...args) => {
+    collect(chunk, args[0]);
+    const result = end(chunk, ...args);
+    onEnd(Buffer.concat(chunks), { ...res.getHeaders(), ...headHeaders });
+    return result;
+  };
+};
+
+/**
+ * Create the mock backend plugin
+ * @param {Object} options - Plugin options
+ * @param {Object} options.prefixes - Backend by path prefix, e.g. { '/api/text': 'text' }
+ * @param {string} options.mode - One of MOCK_BACKEND_MODES
+ * @param {string} options.fixturesDir - Directory holding the fixtures
+ * @param {number} options.delayMs - Delay before each mock answer, so progress and ETA stay visible
+ * @returns {Object} - Vite plugin
+ */
+export const mockBackendPlugin = ({ prefixes, mode, fixturesDir, delayMs = 0 }) => ({
+  name: 'mock-backend',
+  apply: 'serve',
+  configureServer(server) {
+    const { logger } = server.config;
+    const prefixList = Object.keys(prefixes);
+
+    logger.info(mode === MOCK_BACKEND_MODES.RECORD
+      ? `mock backend: recording responses to ${fixturesDir}`
+      : `mock backend: answering ${prefixList.join(', ')} from ${fixturesDir}`);
+
+    /**
+     * Write a recorded response as the fixture of its route
+     * @param {string} backend - Backend the request was for
+     * @param {string} name - Fixture name
+     * @param {http.ServerResponse} res - Finished response
+     * @param {Buffer} buffer - Body as sent to the browser
+     * @param {Object} headers - Response headers, lower-cased
+     */
+    const recordFixture = (backend, name, res, buffer, headers) => {
+      const contentType = String(headers['content-type'] || '');
+      if (!contentType.includes('application/json')) return;
+
+      try {
+        const body = JSON.parse(decodeBody(buffer, String(headers['content-encoding'] || '')).toString('utf8'));
+        const file = path.join(fixturesDir, backend, `${name}.json`);
+        const content = `${JSON.stringify({ status: res.statusCode, body }, null, 2)}\n`;
+        if (fs.existsSync(file) && fs.readFileSync(file, 'utf8') === content) return;
+
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        fs.writeFileSync(file, content);
+        logger.info(`mock backend: recorded ${backend}/${name}.json (${res.statusCode})`);
+      } catch (error) {
+        logger.error(`mock backend: could not record ${backend}/${name}: ${error.message}`);
+      }
+    };
+
+    // Registered directly and before the backend router, so it sees every backend request first
+    server.middlewares.use((req, res, next) => {
+      const prefix = prefixList.find(item => req.url === item || req.url.startsWith(`${item}/`) || req.url.startsWith(`${item}?`));
+      if (!prefix) {
+        next();
+        return;
+      }
+
+      const backend = prefixes[prefix];
+      const name = getFixtureName(req.url.slice(prefix.length));
+      if (!name) {
+        if (mode === MOCK_BACKEND_MODES.RECORD) {
+          next();
+        } else {
+          sendJson(res, 404, { error: `No mock fixture for ${backend} ${req.url}` });
+        }
+        return;
+      }
+
+      if (mode === MOCK_BACKEND_MODES.RECORD) {
+        captureResponse(res, (buffer, headers) => recordFixture(backend, name, res, buffer, headers));
+        next();
+        return;
+      }
+
+      // Read the whole upload first, so the browser sees it complete before the answer arrives
+      req.resume();
+      req.on('end', () => {
+        const file = path.join(fixturesDir, backend, `${name}.json`);
+        let fixture;
+        try {
+          fixture = JSON.parse(fs.readFileSync(file, 'utf8'));
+        } catch (error) {
+          const message = error.code === 'ENOENT'
+            ? `No mock fixture for ${backend} /${name}. Add ${path.relative(process.cwd(), file)} or record one with VITE_MOCK_BACKEND=record.`
+            : `Invalid mock fixture ${path.relative(process.cwd(), file)}: ${error.message}`;
+          logger.error(`mock backend: ${message}`);
+          sendJson(res, error.code === 'ENOENT' ? 404 : 500, { error: message });
+          return;
+        }
+
+        setTimeout(() => sendJson(res, fixture.status || 200, fixture.body ?? {}), delayMs);
+      });
+    });
+  }
+});
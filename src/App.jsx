@@ -1,13 +1,28 @@
-import React from 'react';
+import React, { useState } from 'react';
 import './App.css';
 import IntegratedPage from './components/Integrated/IntegratedPage';
-import ApiUrlSetter from './components/common/ApiUrlSetter';
+import ComparePage from './components/Compare/ComparePage';
+import TabNavigation from './components/common/TabNavigation';
+import BackendProfileSelector from './components/common/BackendProfileSelector';
+import BackendProfileManager from './components/common/BackendProfileManager';
+import BackendHealthIndicator from './components/common/BackendHealthIndicator';
+import ToastContainer from './components/common/ToastContainer';
+import DiagnosticsPanel from './components/common/DiagnosticsPanel';
+import { devServerMockMode } from './services/backendProfileService';
 
 /**
  * Main App component with integrated OCR, Symbol Detection, and Legal Validation
  * @returns {JSX.Element} - Rendered component
  */
 function App() {
+  const [activeView, setActiveView] = useState('analysis');
+  const [isManagingProfiles, setIsManagingProfiles] = useState(false);
+
+  const views = [
+    { id: 'analysis', label: 'Analysis' },
+    { id: 'compare', label: 'Compare Revisions' }
+  ];
+
   return (
     <div className="min-h-screen bg-gradient-to-b from-gray-50 to-gray-100">
       <header className="bg-white shadow-sm sticky top-0 z-10">
@@ -20,18 +35,50 @@ function App() {
             </div>
             <h1 className="text-2xl font-bold text-gray-900 tracking-tight">OCR & Symbol Detection</h1>
           </div>
+          <div className="flex items-center gap-4">
+            {devServerMockMode === 'true' && (
+              <span
+                className="px-2 py-1 text-xs font-medium rounded-md bg-yellow-100 text-yellow-800"
+                title="Requests of every backend profile are answered from mocks/fixtures"
+              >
+                Mock backend
+              </span>
+            )}
+            {devServerMockMode === 'record' && (
+              <span
+                className="px-2 py-1 text-xs font-medium rounded-md bg-red-100 text-red-800"
+                title="Responses from the dev server proxy are being saved to mocks/fixtures; profiles with direct URLs are not recorded"
+              >
+                Recording fixtures
+              </span>
+            )}
+            <BackendHealthIndicator />
+            <BackendProfileSelector onManage={() => setIsManagingProfiles(true)} />
+          </div>
         </div>
       </header>
       
       <main className="max-w-7xl mx-auto py-6 sm:px-6 lg:px-8">
         <div className="px-4 py-4 sm:px-0">
-          {/* API URL Setter */}
-          {/* <div className="mb-6">
-            <ApiUrlSetter />
-          </div> */}
-          
-          {/* Integrated Page with all functionality */}
-          <IntegratedPage />
+          {isManagingProfiles && (
+            <BackendProfileManager onClose={() => setIsManagingProfiles(false)} />
+          )}
+
+          <DiagnosticsPanel className="mb-6" />
+
+          <TabNavigation
+            activeTab={activeView}
+            onTabChange={setActiveView}
+            tabs={views}
+            className="mb-6"
+          />
+
+          {/* Integrated Page with all functionality, kept mounted so switching views keeps its results */}
+          <div className={activeView === 'analysis' ? '' : 'hidden'}>
+            <IntegratedPage />
+          </div>
+
+          {activeView === 'compare' && <ComparePage />}
         </div>
       </main>
       
@@ -52,6 +99,8 @@ function App() {
           </div>
         </div>
       </footer>
+
+      <ToastContainer />
     </div>
   );
 }
@@ -0,0 +1,272 @@
+import React, { useEffect, useState } from 'react';
+import FileUploader from '../common/FileUploader';
+import LoadingSpinner from '../common/LoadingSpinner';
+import BatchResultsGrid from './BatchResultsGrid';
+import { collectBatchImages, analyzeBatch, DEFAULT_BATCH_CONCURRENCY } from '../../services/batchService';
+import { RASTER_DPI_OPTIONS, DEFAULT_RASTER_DPI } from '../../services/rasterService';
+import { confirmBackendsReachable } from '../../services/backendHealthService';
+import { VALIDATION_STATES } from '../../utils/validationUtils';
+import { IMAGE_FILE_ACCEPT } from '../../utils/fileUtils';
+import useCancellableRun from '../../hooks/useCancellableRun';
+
+/**
+ * Batch analysis panel: validates many packaging images against one requirements file
+ * @param {Object} props - Component props
+ * @param {File} props.requirementsFile - The shared legal terms file
+ * @param {Function} props.onOpenResult - Called with a finished batch item to show it in the result tabs
+ * @param {Function} props.onItemComplete - Called with each finished item, may resolve to a saved run id
+ * @param {Function} props.onRunningChange - Called with whether a batch is running
+ * @param {string} props.className - Additional CSS classes
+ * @returns {JSX.Element} - Rendered component
+ */
+const BatchPanel = ({ requirementsFile, onOpenResult, onItemComplete, onRunningChange, className = '' }) => {
+  const [items, setItems] = useState([]);
+  const [rejectedFiles, setRejectedFiles] = useState([]);
+  const [concurrency, setConcurrency] = useState(DEFAULT_BATCH_CONCURRENCY);
+  // Selected files are kept so they can be rasterised again when the DPI changes
+  const [sourceFiles, setSourceFiles] = useState([]);
+  const [rasterDpi, setRasterDpi] = useState(DEFAULT_RASTER_DPI);
+  const [isCollecting, setIsCollecting] = useState(false);
+  const [isRunning, setIsRunning] = useState(false);
+  const [activeIndex, setActiveIndex] = useState(null);
+  const [error, setError] = useState(null);
+  const { startRun, cancelRun } = useCancellableRun();
+
+  useEffect(() => {
+    onRunningChange?.(isRunning);
+  }, [isRunning, onRunningChange]);
+
+  // Collect the batch items from the selected files, rasterising PDF, TIFF, WebP and SVG files
+  const collectItems = async (files, dpi) => {
+    setError(null);
+    setActiveIndex(null);
+    setIsCollecting(true);
+
+    try {
+      const { images, rejected } = await collectBatchImages(files, { dpi });
+      setRejectedFiles(rejected);
+      setItems(images.map(({ file, dpi: imageDpi }, index) => ({
+        id: `${index}_${file.name}`,
+        file,
+        dpi: imageDpi,
+        status: 'queued'
+      })));
+
+      if (images.length === 0) {
+        setError('No valid images found. Select image or PDF files, or a zip archive containing them.');
+      }
+    } catch (error) {
+      console.error('Error collecting batch images:', error);
+      setError('An error occurred while reading the selected files.');
+    } finally {
+      setIsCollecting(false);
+    }
+  };
+
+  // Handle selection of images and/or zip archives
+  const handleFilesChange = (event) => {
+    const files = Array.from(event.target.files || []);
+    setSourceFiles(files);
+    collectItems(files, rasterDpi);
+  };
+
+  const handleDpiChange = (dpi) => {
+    setRasterDpi(dpi);
+    if (sourceFiles.length > 0) collectItems(sourceFiles, dpi);
+  };
+
+  // Merge a partial update into one batch item
+  const updateItem = (index, patch) => {
+    setItems(prev => prev.map((item, i) => (i === index ? { ...item, ...patch } : item)));
+  };
+
+  // Run the whole batch through the bounded queue
+  const handleRunBatch = async () => {
+    if (!requirementsFile) {
+      setError('Please upload a legal term file first');
+      return;
+    }
+
+    if (!confirmBackendsReachable(['TEXT_DETECTION', 'SYMBOL_DETECTION', 'VERIFY_REQUIREMENTS'])) return;
+
+    const run = startRun();
+    setError(null);
+    setActiveIndex(null);
+    setIsRunning(true);
+    setItems(prev => prev.map(item => ({ id: item.id, file: item.file, dpi: item.dpi, status: 'queued' })));
+
+    const files = items.map(item => item.file);
+    const handleItemUpdate = async (index, patch) => {
+      updateItem(index, patch);
+
+      if (patch.status === 'done' && onItemComplete) {
+        const runId = await onItemComplete({ file: files[index], ...patch });
+        if (runId) updateItem(index, { runId });
+      }
+    };
+
+    try {
+      await analyzeBatch(items.map(({ file, dpi }) => ({ file, dpi })), requirementsFile, {
+        concurrency,
+        onItemUpdate: handleItemUpdate,
+        signal: run.signal
+      });
+    } catch (error) {
+      console.error('Error running batch:', error);
+      setError('An error occurred while running the batch. Please try again.');
+    } finally {
+      setIsRunning(false);
+    }
+  };
+
+  // Abort the running images and leave the queued ones; finished items keep their results
+  const handleCancel = () => {
+    cancelRun();
+  };
+
+  const handleOpen = (item, index) => {
+    setActiveIndex(index);
+    onOpenResult(item);
+  };
+
+  const finishedCount = items.filter(item => item.status === 'done' || item.status === 'error').length;
+  const passedCount = items.filter(item => item.status === 'done' && item.summary?.state === VALIDATION_STATES.PASS).length;
+  const failedCount = items.filter(item => item.status === 'done' && item.summary?.state === VALIDATION_STATES.FAIL).length;
+  const uncheckedCount = items.filter(item => item.status === 'done').length - passedCount - failedCount;
+
+  return (
+    <div className={`space-y-5 ${className}`}>
+      <FileUploader
+        id="batch-image-upload"
+        label="Upload packaging images or a zip archive for batch validation"
+        accept={`${IMAGE_FILE_ACCEPT}, .zip`}
+        onChange={handleFilesChange}
+        buttonText="Select Images"
+        multiple
+      />
+
+      {isCollecting && (
+        <p className="flex items-center text-sm text-gray-500">
+          <LoadingSpinner size="sm" className="mr-2" />
+          Reading files and rasterising documents...
+        </p>
+      )}
+
+      {rejectedFiles.length > 0 && (
+        <div className="rounded-lg bg-yellow-50 p-4 border-l-4 border-yellow-500">
+          <h3 className="text-sm font-medium text-yellow-800">Skipped {rejectedFiles.length} file(s)</h3>
+          <ul className="mt-1 text-sm text-yellow-700 list-disc list-inside">
+            {rejectedFiles.map((file, index) => (
+              <li key={index}>{file.name}: {file.error}</li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {error && (
+        <div className="rounded-lg bg-red-50 p-4 border-l-4 border-red-500">
+          <h3 className="text-sm font-medium text-red-800">Error</h3>
+          <p className="mt-1 text-sm text-red-700">{error}</p>
+        </div>
+      )}
+
+      <div className="flex items-center justify-between">
+        <div className="flex items-center gap-4">
+          <label className="text-sm text-gray-700 flex items-center" title="Resolution PDF, TIFF, WebP and SVG files are rasterised at">
+            Rasterise at
+            <select
+              value={rasterDpi}
+              onChange={(e) => handleDpiChange(Number(e.target.value))}
+              disabled={isRunning || isCollecting}
+              className="mx-2 border border-gray-300 rounded-md px-2 py-1 text-sm text-gray-800 bg-white"
+            >
+              {RASTER_DPI_OPTIONS.map(value => (
+                <option key={value} value={value}>{value}</option>
+              ))}
+            </select>
+            DPI
+          </label>
+          <label className="text-sm text-gray-700 flex items-center">
+            Parallel images
+            <select
+              value={concurrency}
+              onChange={(e) => setConcurrency(Number(e.target.value))}
+              disabled={isRunning}
+              className="ml-2 border border-gray-300 rounded-md px-2 py-1 text-sm text-gray-800 bg-white"
+            >
+              {[1, 2, 3, 4].map(value => (
+                <option key={value} value={value}>{value}</option>
+              ))}
+            </select>
+          </label>
+        </div>
+
+        <button
+          type="button"
+          onClick={handleRunBatch}
+          disabled={!requirementsFile || items.length === 0 || isRunning || isCollecting}
+          className="inline-flex justify-center items-center px-4 py-2 border border-transparent text-sm font-medium rounded-lg shadow-sm text-white bg-blue-600 hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 disabled:bg-gray-300 disabled:cursor-not-allowed transition-colors"
+        >
+          {isRunning ? (
+            <>
+              <LoadingSpinner size="sm" color="white" className="mr-2" />
+              Running Batch...
+            </>
+          ) : (
+            `Run Batch (${items.length} image${items.length === 1 ? '' : 's'})`
+          )}
+        </button>
+      </div>
+
+      {isRunning && (
+        <button
+          type="button"
+          onClick={handleCancel}
+          className="w-full inline-flex justify-center items-center px-4 py-2 border border-red-300 text-sm font-medium rounded-lg text-red-700 bg-white hover:bg-red-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-red-500 transition-colors"
+        >
+          Cancel Batch
+        </button>
+      )}
+
+      {!requirementsFile && (
+        <p className="text-sm text-amber-600">
+          Note: Upload a legal terms file in the Legal Validation section. It is reused for every image in the batch.
+        </p>
+      )}
+
+      {items.length > 0 && (
+        <div>
+          <div className="flex justify-between text-xs text-gray-500 mb-2">
+            <span>{finishedCount} / {items.length} processed</span>
+            <span>
+              <span className="text-green-700">{passedCount} passed</span>
+              {' · '}
+              <span className="text-red-700">{failedCount} failed</span>
+              {uncheckedCount > 0 && (
+                <>
+                  {' · '}
+                  <span className="text-gray-600">{uncheckedCount} unchecked</span>
+                </>
+              )}
+            </span>
+          </div>
+          <div className="w-full bg-gray-200 rounded-full h-2 mb-4">
+            <div
+              className="bg-blue-600 h-2 rounded-full transition-all duration-500"
+              style={{ width: `${(finishedCount / items.length) * 100}%` }}
+            ></div>
+          </div>
+          <BatchResultsGrid
+            items={items}
+            onOpen={handleOpen}
+            activeIndex={activeIndex}
+            className="max-h-[400px] border border-gray-200 rounded-lg"
+          />
+          <p className="text-xs text-gray-500 mt-2">Click a finished row to open its results below.</p>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default BatchPanel;
@@ -0,0 +1,106 @@
+import React from 'react';
+import LoadingSpinner from '../common/LoadingSpinner';
+import ValidationStateBadge from '../common/ValidationStateBadge';
+import { formatValidationCounts } from '../../utils/validationUtils';
+
+// Labels shown while an item moves through the pipeline
+const STATUS_LABELS = {
+  queued: 'Queued',
+  text: 'Detecting text',
+  symbols: 'Detecting symbols',
+  validation: 'Validating',
+  done: 'Done',
+  error: 'Error',
+  cancelled: 'Cancelled'
+};
+
+/**
+ * Grid of per-image batch results with a pass/fail verdict for each image
+ * @param {Object} props - Component props
+ * @param {Array} props.items - Batch items with status, results and summary
+ * @param {Function} props.onOpen - Called with the item when a finished row is opened
+ * @param {number|null} props.activeIndex - Index of the item currently opened in the result tabs
+ * @param {string} props.className - Additional CSS classes
+ * @returns {JSX.Element} - Rendered component
+ */
+const BatchResultsGrid = ({ items, onOpen, activeIndex = null, className = '' }) => {
+  if (!items || items.length === 0) {
+    return (
+      <div className={`p-4 bg-gray-50 rounded-md ${className}`}>
+        <p className="text-gray-500 italic">No images in this batch</p>
+      </div>
+    );
+  }
+
+  const renderVerdict = (item) => {
+    if (item.status === 'error') {
+      return (
+        <span className="px-2.5 py-1 rounded-full text-xs font-medium bg-red-100 text-red-800" title={item.error}>
+          Error
+        </span>
+      );
+    }
+
+    if (item.status !== 'done') {
+      return <span className="text-xs text-gray-400">-</span>;
+    }
+
+    return (
+      <ValidationStateBadge state={item.summary.state} title={formatValidationCounts(item.summary)} />
+    );
+  };
+
+  return (
+    <div className={`overflow-auto ${className}`}>
+      <table className="min-w-full divide-y divide-gray-200 text-sm">
+        <thead className="bg-gray-50">
+          <tr>
+            <th className="px-4 py-2 text-left font-medium text-gray-600">Image</th>
+            <th className="px-4 py-2 text-left font-medium text-gray-600">Status</th>
+            <th className="px-4 py-2 text-right font-medium text-gray-600">Text Blocks</th>
+            <th className="px-4 py-2 text-right font-medium text-gray-600">Symbols</th>
+            <th className="px-4 py-2 text-right font-medium text-gray-600">Requirements Met</th>
+            <th className="px-4 py-2 text-center font-medium text-gray-600">Result</th>
+          </tr>
+        </thead>
+        <tbody className="bg-white divide-y divide-gray-200">
+          {items.map((item, index) => {
+            const isOpenable = item.status === 'done';
+            const isRunning = ['text', 'symbols', 'validation'].includes(item.status);
+
+            return (
+              <tr
+                key={item.id}
+                onClick={() => isOpenable && onOpen(item, index)}
+                className={`${isOpenable ? 'cursor-pointer hover:bg-blue-50' : ''} ${activeIndex === index ? 'bg-blue-50' : ''}`}
+              >
+                <td className="px-4 py-2 text-gray-800 break-all">{item.file.name}</td>
+                <td className="px-4 py-2 text-gray-600">
+                  <div className="flex items-center">
+                    {isRunning && <LoadingSpinner size="sm" color="blue" className="mr-2" />}
+                    <span>{STATUS_LABELS[item.status] || item.status}</span>
+                  </div>
+                  {item.status === 'error' && (
+                    <p className="text-xs text-red-600 mt-1">{item.error}</p>
+                  )}
+                </td>
+                <td className="px-4 py-2 text-right text-gray-600">
+                  {item.ocrResults ? item.ocrResults.results?.length || 0 : '-'}
+                </td>
+                <td className="px-4 py-2 text-right text-gray-600">
+                  {item.symbolResults ? item.symbolResults.length : '-'}
+                </td>
+                <td className="px-4 py-2 text-right text-gray-600">
+                  {item.summary ? `${item.summary.valid} / ${item.summary.total}` : '-'}
+                </td>
+                <td className="px-4 py-2 text-center">{renderVerdict(item)}</td>
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+    </div>
+  );
+};
+
+export default BatchResultsGrid;
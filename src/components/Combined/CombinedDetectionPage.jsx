@@ -5,8 +5,8 @@ import ImagePreview from '../OCR/ImagePreview';
 import OCRResults from '../OCR/OCRResults';
 import SymbolResults from '../Symbols/SymbolResults';
 import VisualizationView from '../common/VisualizationView';
-import { detectText } from '../../services/ocrService';
-import { detectSymbols } from '../../services/symbolService';
+import DetectionStatus from '../common/DetectionStatus';
+import { runParallelDetection, createDetectionStatus, hasFailedDetection, DETECTION_STATES } from '../../services/detectionService';
 import { validateImageFile, fileToBase64 } from '../../utils/fileUtils';
 
 /**
@@ -30,7 +30,8 @@ const CombinedDetectionPage = ({ onOcrResultsUpdate, onSymbolResultsUpdate }) =>
   });
   const [imageDimensions, setImageDimensions] = useState({ width: 0, height: 0 });
   const [selectedFileBase64, setSelectedFileBase64] = useState(null);
-  const [processingStage, setProcessingStage] = useState(null); // 'text', 'symbols', 'complete', null
+  const [processingStage, setProcessingStage] = useState(null); // 'detection', 'complete', null
+  const [detectionStatus, setDetectionStatus] = useState(createDetectionStatus());
   const [activeTab, setActiveTab] = useState('text'); // 'text' or 'symbols'
 
   // Handle image file selection
@@ -43,6 +44,7 @@ const CombinedDetectionPage = ({ onOcrResultsUpdate, onSymbolResultsUpdate }) =>
     setSymbolResults(null);
     setVisualizations({ text: null, symbols: null });
     setProcessingStage(null);
+    setDetectionStatus(createDetectionStatus());
 
     // Validate file
     const validation = validateImageFile(file);
@@ -65,7 +67,7 @@ const CombinedDetectionPage = ({ onOcrResultsUpdate, onSymbolResultsUpdate }) =>
     fileReader.readAsDataURL(file);
   };
 
-  // Handle form submission - runs both text and symbol detection sequentially
+  // Handle form submission - runs text and symbol detection in parallel
   const handleSubmit = async (event) => {
     event.preventDefault();
 
@@ -79,53 +81,59 @@ const CombinedDetectionPage = ({ onOcrResultsUpdate, onSymbolResultsUpdate }) =>
     setOcrResults(null);
     setSymbolResults(null);
     setVisualizations({ text: null, symbols: null });
+    setProcessingStage('detection');
+    setDetectionStatus(createDetectionStatus(DETECTION_STATES.RUNNING));
 
     try {
-      // Step 1: Text Detection
-      setProcessingStage('text');
-      const textData = await detectText(selectedFile);
-      
-      // Set the OCR results
-      setOcrResults(textData);
-      
-      // Update parent component with OCR results
-      if (onOcrResultsUpdate) {
-        onOcrResultsUpdate(textData);
-      }
-      
-      // Set text visualizations
-      setVisualizations(prev => ({
-        ...prev,
-        text: {
-          word_image: textData.visualizations?.word_image || '',
-          line_image: textData.visualizations?.line_image || '',
-          para_image: textData.visualizations?.para_image || ''
+      // Each detection shows its results as soon as its backend answers
+      const { textData, symbolData } = await runParallelDetection(selectedFile, {
+        onStatusChange: (detection, status) => {
+          setDetectionStatus(prev => ({ ...prev, [detection]: status }));
+        },
+        onTextResults: (data) => {
+          setOcrResults(data);
+          
+          // Update parent component with OCR results
+          if (onOcrResultsUpdate) {
+            onOcrResultsUpdate(data);
+          }
+          
+          setVisualizations(prev => ({
+            ...prev,
+            text: {
+              word_image: data.visualizations?.word_image || '',
+              line_image: data.visualizations?.line_image || '',
+              para_image: data.visualizations?.para_image || ''
+            }
+          }));
+        },
+        onSymbolResults: (data) => {
+          setSymbolResults(data.symbols);
+          
+          // Update parent component with symbol results
+          if (onSymbolResultsUpdate) {
+            onSymbolResultsUpdate(data.symbols);
+          }
+          
+          setVisualizations(prev => ({
+            ...prev,
+            symbols: data.visualization
+          }));
         }
-      }));
+      });
 
-      // Step 2: Symbol Detection
-      setProcessingStage('symbols');
-      const symbolData = await detectSymbols(selectedFile);
-      
-      // Set the symbol results
-      setSymbolResults(symbolData.symbols);
-      
-      // Update parent component with symbol results
-      if (onSymbolResultsUpdate) {
-        onSymbolResultsUpdate(symbolData.symbols);
+      if (!textData && !symbolData) {
+        setProcessingStage(null);
+        setError('Text and symbol detection both failed. See the details below.');
+        return;
       }
-      
-      // Set symbol visualization
-      setVisualizations(prev => ({
-        ...prev,
-        symbols: symbolData.visualization
-      }));
 
-      // Processing complete
+      // Processing complete; show the tab that has results
       setProcessingStage('complete');
+      setActiveTab(textData ? 'text' : 'symbols');
     } catch (error) {
       console.error('Error:', error);
-      setError(`An error occurred during ${processingStage || 'processing'}. Please try again.`);
+      setError('An error occurred during detection. Please try again.');
     } finally {
       setIsLoading(false);
     }
@@ -176,13 +184,16 @@ const CombinedDetectionPage = ({ onOcrResultsUpdate, onSymbolResultsUpdate }) =>
             {isLoading ? (
               <>
                 <LoadingSpinner size="sm" color="white" className="mr-2" />
-                {processingStage === 'text' ? 'Detecting Text...' : 
-                 processingStage === 'symbols' ? 'Detecting Symbols...' : 'Processing...'}
+                {processingStage === 'detection' ? 'Detecting Text & Symbols...' : 'Processing...'}
               </>
             ) : (
               'Analyze Image'
             )}
           </button>
+
+          {(isLoading || hasFailedDetection(detectionStatus)) && (
+            <DetectionStatus status={detectionStatus} />
+          )}
         </form>
       </div>
       
@@ -231,7 +242,7 @@ const CombinedDetectionPage = ({ onOcrResultsUpdate, onSymbolResultsUpdate }) =>
             </div>
             
             <div className="mt-4">
-              {isLoading ? (
+              {isLoading && !(activeTab === 'text' ? ocrResults : symbolResults) ? (
                 <div className="flex justify-center items-center h-[300px]">
                   <LoadingSpinner size="lg" />
                 </div>
@@ -0,0 +1,295 @@
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import FileUploader from '../common/FileUploader';
+import ImageViewer from '../common/ImageViewer';
+import RevisionSlot from './RevisionSlot';
+import RevisionDiff from './RevisionDiff';
+import { analyzeImageWithRequirements } from '../../services/batchService';
+import { rasteriseFile } from '../../services/rasterService';
+import { getRun, getRunImageFile, listRuns, saveRun } from '../../services/historyService';
+import { getImageSize, needsRasterisation, validateExcelFile, validateImageFile } from '../../utils/fileUtils';
+import { diffRevisions } from '../../utils/diffUtils';
+import { measureDetections } from '../../utils/measurementUtils';
+import { isAbortError } from '../../services/httpClient';
+import useCancellableRun from '../../hooks/useCancellableRun';
+
+const SLOTS = {
+  BEFORE: 'before',
+  AFTER: 'after'
+};
+
+const VIEW_MODES = {
+  SIDE_BY_SIDE: 'side-by-side',
+  ONION: 'onion'
+};
+
+const EMPTY_REVISION = { status: 'idle', stage: null, error: null, name: '', imageUrl: null };
+
+/**
+ * Compare two artwork revisions, each analysed fresh or loaded from run history
+ * @returns {JSX.Element} - Rendered component
+ */
+const ComparePage = () => {
+  const [runs, setRuns] = useState([]);
+  const [requirementsFile, setRequirementsFile] = useState(null);
+  const [requirementsError, setRequirementsError] = useState(null);
+  const [revisions, setRevisions] = useState({ [SLOTS.BEFORE]: EMPTY_REVISION, [SLOTS.AFTER]: EMPTY_REVISION });
+  const [viewMode, setViewMode] = useState(VIEW_MODES.SIDE_BY_SIDE);
+  const [onionOpacity, setOnionOpacity] = useState(50);
+
+  // Object URLs currently shown, revoked when replaced and on unmount
+  const imageUrlsRef = useRef({});
+  // One run per slot, so a file dropped while the previous one is analysed replaces it
+  const slotRuns = {
+    [SLOTS.BEFORE]: useCancellableRun(),
+    [SLOTS.AFTER]: useCancellableRun()
+  };
+
+  const refreshRuns = () => {
+    listRuns().then(setRuns).catch(() => setRuns([]));
+  };
+
+  useEffect(() => {
+    refreshRuns();
+    const imageUrls = imageUrlsRef.current;
+    return () => Object.values(imageUrls).forEach(url => URL.revokeObjectURL(url));
+  }, []);
+
+  const updateRevision = (slot, patch) => {
+    setRevisions(prev => ({ ...prev, [slot]: { ...prev[slot], ...patch } }));
+  };
+
+  // Show the image of a revision and read its size, which the diff needs to line up detections
+  // Returns false, showing nothing, when the run was superseded meanwhile
+  const showRevision = async (slot, imageFile, results, run) => {
+    const imageUrl = URL.createObjectURL(imageFile);
+    const imageSize = await getImageSize(imageUrl);
+    if (!run.isCurrent()) {
+      URL.revokeObjectURL(imageUrl);
+      return false;
+    }
+
+    const previousUrl = imageUrlsRef.current[slot];
+    if (previousUrl) URL.revokeObjectURL(previousUrl);
+    imageUrlsRef.current[slot] = imageUrl;
+    // A run restored from history keeps the calibration its sizes were measured with
+    const measured = measureDetections(results, results.calibration, imageSize);
+
+    updateRevision(slot, {
+      status: 'done',
+      stage: null,
+      error: null,
+      name: imageFile.name,
+      imageUrl,
+      imageSize,
+      ocrResults: measured.ocrResults,
+      symbolResults: measured.symbolResults,
+      validationResults: results.validationResults,
+      imageShape: measured.imageShape
+    });
+    return true;
+  };
+
+  const handleLoadRun = async (slot, runId) => {
+    const slotRun = slotRuns[slot].startRun();
+    updateRevision(slot, { status: 'running', stage: null, error: null });
+    try {
+      const run = await getRun(runId);
+      if (!run) throw new Error('Run not found');
+      await showRevision(slot, getRunImageFile(run), run, slotRun);
+    } catch (error) {
+      if (!slotRun.isCurrent()) return;
+      console.error('Error loading run for comparison:', error);
+      updateRevision(slot, { status: 'error', error: error.message || 'Could not load run' });
+    }
+  };
+
+  const handleAnalyzeFile = async (slot, file) => {
+    const validation = validateImageFile(file);
+    if (!validation.isValid) {
+      slotRuns[slot].cancelRun();
+      updateRevision(slot, { status: 'error', error: validation.error });
+      return;
+    }
+
+    const run = slotRuns[slot].startRun();
+    updateRevision(slot, { status: 'running', stage: null, error: null });
+    try {
+      // Artwork revisions are compared on their first page, at the default resolution
+      let imageFile = file;
+      let dpi = null;
+      if (needsRasterisation(file)) {
+        updateRevision(slot, { stage: 'rasterise' });
+        [{ file: imageFile, dpi }] = await rasteriseFile(file);
+        run.signal.throwIfAborted();
+      }
+
+      const results = await analyzeImageWithRequirements(
+        imageFile,
+        requirementsFile,
+        (stage) => run.isCurrent() && updateRevision(slot, { stage }),
+        { dpi, signal: run.signal }
+      );
+      if (!await showRevision(slot, imageFile, results, run)) return;
+
+      try {
+        await saveRun({ imageFile, requirementsFile, results, source: 'compare' });
+        refreshRuns();
+      } catch (error) {
+        console.error('Error saving comparison run:', error);
+      }
+    } catch (error) {
+      // A newer file in this slot took over
+      if (isAbortError(error) || !run.isCurrent()) return;
+      console.error('Error analysing image for comparison:', error);
+      updateRevision(slot, { status: 'error', error: error.message || 'Analysis failed' });
+    }
+  };
+
+  const handleRequirementsChange = (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+
+    const validation = validateExcelFile(file);
+    if (!validation.isValid) {
+      setRequirementsError(validation.error);
+      setRequirementsFile(null);
+      return;
+    }
+    setRequirementsError(null);
+    setRequirementsFile(file);
+  };
+
+  const before = revisions[SLOTS.BEFORE];
+  const after = revisions[SLOTS.AFTER];
+  const isReady = before.status === 'done' && after.status === 'done';
+
+  const diff = useMemo(() => (isReady ? diffRevisions(before, after) : null), [isReady, before, after]);
+
+  return (
+    <div className="space-y-8">
+      <div className="bg-white shadow-lg rounded-xl p-6 border border-gray-100">
+        <h2 className="text-xl font-semibold text-gray-800 mb-2">Compare Revisions</h2>
+        <p className="text-sm text-gray-600 mb-6">
+          Pick two revisions of an artwork to see which text blocks, symbols and requirement results changed between them.
+        </p>
+
+        <div className="mb-6">
+          <FileUploader
+            id="compare-requirements-upload"
+            label="Requirements File (optional, used when analysing new images)"
+            accept=".csv, .xlsx, .xls"
+            onChange={handleRequirementsChange}
+            buttonText="Select Requirements"
+          />
+          {requirementsError && (
+            <p className="mt-2 text-sm text-red-700">{requirementsError}</p>
+          )}
+        </div>
+
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+          <RevisionSlot
+            id="compare-before"
+            title="Before"
+            revision={before}
+            runs={runs}
+            onAnalyzeFile={(file) => handleAnalyzeFile(SLOTS.BEFORE, file)}
+            onLoadRun={(runId) => handleLoadRun(SLOTS.BEFORE, runId)}
+          />
+          <RevisionSlot
+            id="compare-after"
+            title="After"
+            revision={after}
+            runs={runs}
+            onAnalyzeFile={(file) => handleAnalyzeFile(SLOTS.AFTER, file)}
+            onLoadRun={(runId) => handleLoadRun(SLOTS.AFTER, runId)}
+          />
+        </div>
+      </div>
+
+      {(before.imageUrl || after.imageUrl) && (
+        <div className="bg-white shadow-lg rounded-xl p-6 border border-gray-100">
+          <div className="flex flex-wrap items-center justify-between gap-3 mb-4">
+            <h2 className="text-xl font-semibold text-gray-800">Images</h2>
+            <div className="flex items-center gap-2">
+              {Object.values(VIEW_MODES).map(mode => (
+                <button
+                  key={mode}
+                  type="button"
+                  onClick={() => setViewMode(mode)}
+                  disabled={mode === VIEW_MODES.ONION && !isReady}
+                  className={`px-3 py-1.5 text-xs font-medium rounded-md border disabled:opacity-50 disabled:cursor-not-allowed ${
+                    viewMode === mode
+                      ? 'bg-blue-600 text-white border-blue-600'
+                      : 'bg-white text-gray-700 border-gray-300 hover:bg-gray-50'
+                  }`}
+                >
+                  {mode === VIEW_MODES.ONION ? 'Onion Skin' : 'Side by Side'}
+                </button>
+              ))}
+            </div>
+          </div>
+
+          {viewMode === VIEW_MODES.ONION && isReady ? (
+            <div>
+              <div className="flex items-center gap-3 mb-3 text-sm text-gray-600">
+                <span>Before</span>
+                <input
+                  type="range"
+                  min="0"
+                  max="100"
+                  value={onionOpacity}
+                  onChange={(e) => setOnionOpacity(Number(e.target.value))}
+                  className="flex-1"
+                  aria-label="After image opacity"
+                />
+                <span>After</span>
+              </div>
+              <div className="relative border border-gray-200 rounded-lg overflow-hidden bg-gray-50">
+                <img src={before.imageUrl} alt={before.name} className="block w-full h-auto" />
+                {/* The after image is stretched onto the before image so revisions of different resolution overlap */}
+                <img
+                  src={after.imageUrl}
+                  alt={after.name}
+                  className="absolute inset-0 w-full h-full"
+                  style={{ opacity: onionOpacity / 100 }}
+                />
+              </div>
+            </div>
+          ) : (
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+              {[before, after].map((revision, index) => (
+                <div key={index}>
+                  <h3 className="text-sm font-medium text-gray-700 mb-2">{index === 0 ? 'Before' : 'After'}</h3>
+                  {revision.imageUrl ? (
+                    <ImageViewer
+                      src={revision.imageUrl}
+                      alt={revision.name}
+                      imageShape={revision.imageShape}
+                      maxHeight={500}
+                    />
+                  ) : (
+                    <div className="flex items-center justify-center h-48 border border-dashed border-gray-300 rounded-lg text-sm text-gray-400">
+                      No revision selected
+                    </div>
+                  )}
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+      )}
+
+      {diff && (
+        <div className="bg-white shadow-lg rounded-xl p-6 border border-gray-100">
+          <h2 className="text-xl font-semibold text-gray-800 mb-4">Differences</h2>
+          <RevisionDiff
+            diff={diff}
+            hasRequirements={Boolean(before.validationResults && after.validationResults)}
+          />
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ComparePage;
@@ -0,0 +1,172 @@
+import React from 'react';
+import ValidationStateBadge from '../common/ValidationStateBadge';
+import { VALIDATION_STATES } from '../../utils/validationUtils';
+
+/**
+ * Format a relative size change as a signed percentage
+ * @param {number} change - Relative change, e.g. 0.12
+ * @returns {string} - e.g. "+12.0%"
+ */
+const formatChange = (change) => `${change > 0 ? '+' : ''}${(change * 100).toFixed(1)}%`;
+
+/**
+ * Format a symbol's size for display
+ * @param {Object} symbol - Detected symbol
+ * @returns {string} - Size in cm, or an empty string if unknown
+ */
+const formatSymbolSize = (symbol) => {
+  if (!(symbol.width_cm > 0) || !(symbol.height_cm > 0)) return '';
+  return `${symbol.width_cm.toFixed(2)} × ${symbol.height_cm.toFixed(2)} cm`;
+};
+
+/**
+ * Collapsible section with a count badge
+ * @param {Object} props - Component props
+ * @param {string} props.title - Section title
+ * @param {number} props.count - Number of entries
+ * @param {string} props.badgeClass - Tailwind classes for the badge
+ * @param {React.ReactNode} props.children - Section entries
+ * @returns {JSX.Element} - Rendered component
+ */
+const DiffSection = ({ title, count, badgeClass, children }) => (
+  <details className="border border-gray-200 rounded-lg" open={count > 0}>
+    <summary className="flex items-center justify-between px-3 py-2 cursor-pointer text-sm font-medium text-gray-700">
+      {title}
+      <span className={`ml-2 px-2 py-0.5 text-xs font-semibold rounded-full ${count > 0 ? badgeClass : 'bg-gray-100 text-gray-500'}`}>
+        {count}
+      </span>
+    </summary>
+    {count > 0 && (
+      <ul className="px-3 pb-3 space-y-1 text-sm text-gray-700 max-h-60 overflow-y-auto">
+        {children}
+      </ul>
+    )}
+  </details>
+);
+
+// Left border of a changed requirement, by its state in the later revision
+const FLIPPED_BORDER_CLASSES = {
+  [VALIDATION_STATES.PASS]: 'border-green-400',
+  [VALIDATION_STATES.FAIL]: 'border-red-400',
+  [VALIDATION_STATES.NOT_EVALUATED]: 'border-gray-300',
+  [VALIDATION_STATES.BACKEND_MISSING]: 'border-yellow-400'
+};
+
+/**
+ * Requirement state pill
+ * @param {Object} props - Component props
+ * @param {string} props.state - One of VALIDATION_STATES
+ * @returns {JSX.Element} - Rendered component
+ */
+const StatusPill = ({ state }) => (
+  <ValidationStateBadge state={state} className="px-1.5 py-0.5 rounded" />
+);
+
+/**
+ * Lists the differences between two analysed revisions
+ * @param {Object} props - Component props
+ * @param {Object} props.diff - Result of diffRevisions
+ * @param {boolean} props.hasRequirements - Whether both revisions were verified against requirements
+ * @returns {JSX.Element} - Rendered component
+ */
+const RevisionDiff = ({ diff, hasRequirements }) => {
+  const { text, symbols, requirements } = diff;
+
+  return (
+    <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+      <div className="space-y-2">
+        <h3 className="text-md font-medium text-gray-800">Text Blocks</h3>
+        <DiffSection title="Added" count={text.added.length} badgeClass="bg-green-100 text-green-800">
+          {text.added.map((block, index) => (
+            <li key={index} className="border-l-2 border-green-400 pl-2">{block.text}</li>
+          ))}
+        </DiffSection>
+        <DiffSection title="Removed" count={text.removed.length} badgeClass="bg-red-100 text-red-800">
+          {text.removed.map((block, index) => (
+            <li key={index} className="border-l-2 border-red-400 pl-2 line-through">{block.text}</li>
+          ))}
+        </DiffSection>
+        <DiffSection title="Changed" count={text.changed.length} badgeClass="bg-yellow-100 text-yellow-800">
+          {text.changed.map(({ before, after }, index) => (
+            <li key={index} className="border-l-2 border-yellow-400 pl-2">
+              <div className="text-red-700 line-through">{before.text}</div>
+              <div className="text-green-700">{after.text}</div>
+            </li>
+          ))}
+        </DiffSection>
+        <p className="text-xs text-gray-500">{text.unchanged.length} unchanged</p>
+      </div>
+
+      <div className="space-y-2">
+        <h3 className="text-md font-medium text-gray-800">Symbols</h3>
+        <DiffSection title="Added" count={symbols.added.length} badgeClass="bg-green-100 text-green-800">
+          {symbols.added.map((symbol, index) => (
+            <li key={index} className="border-l-2 border-green-400 pl-2">
+              {symbol.label} <span className="text-xs text-gray-500">{formatSymbolSize(symbol)}</span>
+            </li>
+          ))}
+        </DiffSection>
+        <DiffSection title="Removed" count={symbols.removed.length} badgeClass="bg-red-100 text-red-800">
+          {symbols.removed.map((symbol, index) => (
+            <li key={index} className="border-l-2 border-red-400 pl-2">
+              {symbol.label} <span className="text-xs text-gray-500">{formatSymbolSize(symbol)}</span>
+            </li>
+          ))}
+        </DiffSection>
+        <DiffSection title="Resized" count={symbols.resized.length} badgeClass="bg-yellow-100 text-yellow-800">
+          {symbols.resized.map(({ before, after, widthChange, heightChange }, index) => (
+            <li key={index} className="border-l-2 border-yellow-400 pl-2">
+              <div>{after.label}</div>
+              <div className="text-xs text-gray-500">
+                Width {formatChange(widthChange)}, height {formatChange(heightChange)}
+                {formatSymbolSize(before) && ` (${formatSymbolSize(before)} → ${formatSymbolSize(after)})`}
+              </div>
+            </li>
+          ))}
+        </DiffSection>
+        <p className="text-xs text-gray-500">{symbols.unchanged.length} unchanged</p>
+      </div>
+
+      <div className="space-y-2">
+        <h3 className="text-md font-medium text-gray-800">Requirements</h3>
+        {hasRequirements ? (
+          <>
+            <DiffSection title="Status changed" count={requirements.flipped.length} badgeClass="bg-yellow-100 text-yellow-800">
+              {requirements.flipped.map((entry, index) => (
+                <li key={index} className={`border-l-2 pl-2 ${FLIPPED_BORDER_CLASSES[entry.after]}`}>
+                  <div>{entry.name}</div>
+                  <div className="flex items-center gap-1 text-xs text-gray-500">
+                    {entry.type} <StatusPill state={entry.before} /> → <StatusPill state={entry.after} />
+                  </div>
+                </li>
+              ))}
+            </DiffSection>
+            <DiffSection title="Only in after" count={requirements.added.length} badgeClass="bg-blue-100 text-blue-800">
+              {requirements.added.map((entry, index) => (
+                <li key={index} className="flex items-center justify-between gap-2">
+                  <span>{entry.name}</span>
+                  <StatusPill state={entry.state} />
+                </li>
+              ))}
+            </DiffSection>
+            <DiffSection title="Only in before" count={requirements.removed.length} badgeClass="bg-blue-100 text-blue-800">
+              {requirements.removed.map((entry, index) => (
+                <li key={index} className="flex items-center justify-between gap-2">
+                  <span>{entry.name}</span>
+                  <StatusPill state={entry.state} />
+                </li>
+              ))}
+            </DiffSection>
+            <p className="text-xs text-gray-500">{requirements.unchanged.length} unchanged</p>
+          </>
+        ) : (
+          <p className="text-sm text-gray-500">
+            Both revisions need validation results to compare requirement statuses. Upload a requirements file before analysing, or pick runs that were verified.
+          </p>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default RevisionDiff;
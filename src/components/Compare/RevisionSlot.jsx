@@ -0,0 +1,84 @@
+import React, { useState } from 'react';
+import FileUploader from '../common/FileUploader';
+import LoadingSpinner from '../common/LoadingSpinner';
+import { IMAGE_FILE_ACCEPT } from '../../utils/fileUtils';
+
+// Labels of the analysis stages reported by analyzeImageWithRequirements, after rasterising artwork if needed
+const STAGE_LABELS = {
+  rasterise: 'Rasterising artwork...',
+  text: 'Detecting text...',
+  symbols: 'Detecting symbols...',
+  validation: 'Verifying requirements...'
+};
+
+/**
+ * Picker for one side of a revision comparison: a new image to analyse or a run from history
+ * @param {Object} props - Component props
+ * @param {string} props.id - Unique id used for the inputs
+ * @param {string} props.title - Slot title, e.g. "Before"
+ * @param {Object} props.revision - Loaded revision state { status, stage, error, name }
+ * @param {Array} props.runs - History runs to choose from
+ * @param {Function} props.onAnalyzeFile - Called with an image file to analyse
+ * @param {Function} props.onLoadRun - Called with the id of a history run
+ * @returns {JSX.Element} - Rendered component
+ */
+const RevisionSlot = ({ id, title, revision, runs, onAnalyzeFile, onLoadRun }) => {
+  const [file, setFile] = useState(null);
+  const isRunning = revision.status === 'running';
+
+  return (
+    <div className="bg-gray-50 p-4 rounded-xl border border-gray-200 space-y-3">
+      <h3 className="text-md font-medium text-gray-800">{title}</h3>
+
+      <div>
+        <label htmlFor={`${id}-run`} className="block text-xs font-medium text-gray-600 mb-1">From run history</label>
+        <select
+          id={`${id}-run`}
+          value=""
+          onChange={(e) => e.target.value && onLoadRun(e.target.value)}
+          disabled={isRunning || runs.length === 0}
+          className="w-full px-2 py-1.5 text-sm border border-gray-300 rounded-md bg-white"
+        >
+          <option value="">{runs.length === 0 ? 'No saved runs' : 'Select a run...'}</option>
+          {runs.map(run => (
+            <option key={run.id} value={run.id}>
+              {run.image?.name} – {new Date(run.createdAt).toLocaleString()}
+            </option>
+          ))}
+        </select>
+      </div>
+
+      <div className="text-center text-xs text-gray-400">or</div>
+
+      <FileUploader
+        id={`${id}-upload`}
+        label="Analyze a new image"
+        accept={IMAGE_FILE_ACCEPT}
+        onChange={(e) => setFile(e.target.files[0] || null)}
+        buttonText="Select Image"
+      />
+      <button
+        type="button"
+        onClick={() => onAnalyzeFile(file)}
+        disabled={!file || isRunning}
+        className="w-full inline-flex justify-center items-center px-4 py-2 text-sm font-medium rounded-lg text-white bg-blue-600 hover:bg-blue-700 disabled:bg-gray-300 disabled:cursor-not-allowed"
+      >
+        {isRunning ? (
+          <>
+            <LoadingSpinner size="sm" color="white" className="mr-2" />
+            {STAGE_LABELS[revision.stage] || 'Processing...'}
+          </>
+        ) : 'Analyze Image'}
+      </button>
+
+      {revision.status === 'done' && (
+        <p className="text-sm text-green-700">Loaded: {revision.name}</p>
+      )}
+      {revision.status === 'error' && (
+        <p className="text-sm text-red-700">{revision.error}</p>
+      )}
+    </div>
+  );
+};
+
+export default RevisionSlot;
@@ -0,0 +1,175 @@
+import React, { useEffect, useState } from 'react';
+import LoadingSpinner from '../common/LoadingSpinner';
+import { listRuns, filterRuns, deleteRun } from '../../services/historyService';
+import { VALIDATION_STATE_LABELS, formatValidationCounts, getValidationSummary } from '../../utils/validationUtils';
+import ValidationStateBadge from '../common/ValidationStateBadge';
+import { formatTimingSummary } from '../../utils/pipelineTimings';
+
+/**
+ * Thumbnail of a stored run image, backed by an object URL
+ * @param {Object} props - Component props
+ * @param {Blob} props.blob - The stored image
+ * @param {string} props.alt - Alternative text
+ * @returns {JSX.Element} - Rendered component
+ */
+const RunThumbnail = ({ blob, alt }) => {
+  const [url, setUrl] = useState(null);
+
+  useEffect(() => {
+    if (!blob) return;
+    const objectUrl = URL.createObjectURL(blob);
+    setUrl(objectUrl);
+    return () => URL.revokeObjectURL(objectUrl);
+  }, [blob]);
+
+  if (!url) {
+    return <div className="w-16 h-16 bg-gray-100 rounded-md flex-shrink-0" />;
+  }
+
+  return <img src={url} alt={alt} className="w-16 h-16 object-cover rounded-md border border-gray-200 flex-shrink-0" />;
+};
+
+/**
+ * Browsable list of past analysis runs stored in IndexedDB
+ * @param {Object} props - Component props
+ * @param {Function} props.onRestore - Called with a run record to restore it into the result tabs
+ * @param {number} props.refreshKey - Changing this value reloads the list
+ * @param {string|null} props.activeRunId - Id of the run currently shown
+ * @param {string} props.className - Additional CSS classes
+ * @returns {JSX.Element} - Rendered component
+ */
+const HistoryPanel = ({ onRestore, refreshKey = 0, activeRunId = null, className = '' }) => {
+  const [runs, setRuns] = useState([]);
+  const [query, setQuery] = useState('');
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const loadRuns = async () => {
+      setIsLoading(true);
+      try {
+        const storedRuns = await listRuns();
+        if (!cancelled) {
+          setRuns(storedRuns);
+          setError(null);
+        }
+      } catch (error) {
+        console.error('Error loading run history:', error);
+        if (!cancelled) setError('Could not load run history from this browser.');
+      } finally {
+        if (!cancelled) setIsLoading(false);
+      }
+    };
+
+    loadRuns();
+    return () => {
+      cancelled = true;
+    };
+  }, [refreshKey]);
+
+  const handleDelete = async (run) => {
+    if (!window.confirm(`Delete the saved run for "${run.image.name}"?`)) return;
+
+    try {
+      await deleteRun(run.id);
+      setRuns(prev => prev.filter(item => item.id !== run.id));
+    } catch (error) {
+      console.error('Error deleting run:', error);
+      setError('Could not delete the run. Please try again.');
+    }
+  };
+
+  const renderSummary = (run) => {
+    if (!run.validationResults) {
+      return <span className="text-xs text-gray-500">Not validated</span>;
+    }
+
+    const summary = getValidationSummary(run.validationResults);
+    return (
+      <ValidationStateBadge
+        state={summary.state}
+        label={`${VALIDATION_STATE_LABELS[summary.state]} (${summary.valid}/${summary.total})`}
+        title={formatValidationCounts(summary)}
+        className="px-2 py-0.5 rounded-full"
+      />
+    );
+  };
+
+  const visibleRuns = filterRuns(runs, query);
+
+  return (
+    <div className={className}>
+      <input
+        type="search"
+        value={query}
+        onChange={(e) => setQuery(e.target.value)}
+        placeholder="Search by image, requirements file or hash"
+        className="w-full mb-4 px-3 py-2 border border-gray-300 rounded-md text-sm text-gray-800 bg-white focus:outline-none focus:ring-2 focus:ring-blue-500"
+      />
+
+      {error && (
+        <div className="rounded-lg bg-red-50 p-3 mb-4 border-l-4 border-red-500">
+          <p className="text-sm text-red-700">{error}</p>
+        </div>
+      )}
+
+      {isLoading ? (
+        <div className="flex justify-center py-6">
+          <LoadingSpinner size="md" />
+        </div>
+      ) : visibleRuns.length === 0 ? (
+        <div className="p-4 bg-gray-50 rounded-md">
+          <p className="text-gray-500 italic text-sm">
+            {runs.length === 0 ? 'No saved runs yet' : 'No runs match your search'}
+          </p>
+        </div>
+      ) : (
+        <ul className="divide-y divide-gray-200 max-h-[420px] overflow-y-auto">
+          {visibleRuns.map(run => (
+            <li key={run.id} className={`py-3 px-2 flex items-center space-x-4 ${activeRunId === run.id ? 'bg-blue-50 rounded-md' : ''}`}>
+              <RunThumbnail blob={run.image.blob} alt={run.image.name} />
+              <div className="flex-1 min-w-0 text-left">
+                <p className="text-sm font-medium text-gray-800 truncate">{run.image.name}</p>
+                <p className="text-xs text-gray-500">
+                  {new Date(run.createdAt).toLocaleString()}
+                  {run.updatedAt !== run.createdAt && ` · updated ${new Date(run.updatedAt).toLocaleString()}`}
+                </p>
+                {run.requirementsFile && (
+                  <p className="text-xs text-gray-500 truncate" title={run.requirementsFile.hash}>
+                    {run.requirementsFile.name} · {run.requirementsFile.hash.slice(0, 12)}
+                  </p>
+                )}
+                {run.timings?.map((timing, index) => (
+                  <p key={index} className="text-xs text-gray-400 truncate" title={formatTimingSummary(timing)}>
+                    {formatTimingSummary(timing)}
+                  </p>
+                ))}
+                <div className="mt-1">{renderSummary(run)}</div>
+              </div>
+              <div className="flex flex-col space-y-2">
+                <button
+                  type="button"
+                  onClick={() => onRestore(run)}
+                  className="px-3 py-1 text-xs font-medium rounded-md text-white bg-blue-600 hover:bg-blue-700"
+                >
+                  Open
+                </button>
+                <button
+                  type="button"
+                  onClick={() => handleDelete(run)}
+                  className="px-3 py-1 text-xs font-medium rounded-md text-red-700 bg-red-50 hover:bg-red-100"
+                >
+                  Delete
+                </button>
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default HistoryPanel;
@@ -1,4 +1,4 @@
-import React, { useState } from 'react';
+import React, { useEffect, useMemo, useRef, useState } from 'react';
 import FileUploader from '../common/FileUploader';
 import LoadingSpinner from '../common/LoadingSpinner';
 import ImagePreview from '../OCR/ImagePreview';
@@ -6,10 +6,45 @@ import OCRResults from '../OCR/OCRResults';
 import SymbolResults from '../Symbols/SymbolResults';
 import ValidationResults from '../LegalValidation/ValidationResults';
 import VisualizationView from '../common/VisualizationView';
-import { detectText, processTextPipeline, verifyRequirements } from '../../services/ocrService';
-import { detectSymbols } from '../../services/symbolService';
-import { processLegalTermFile, validateAgainstLegalTerms, processVerificationResults } from '../../services/legalValidationService';
-import { validateImageFile, validateExcelFile } from '../../utils/fileUtils';
+import BatchPanel from '../Batch/BatchPanel';
+import HistoryPanel from '../History/HistoryPanel';
+import ResultsExportMenu from '../common/ResultsExportMenu';
+import DetectionStatus from '../common/DetectionStatus';
+import PipelineProgress from '../common/PipelineProgress';
+import BackendHealthWarning from '../common/BackendHealthWarning';
+import BoundingBoxOverlay from '../common/BoundingBoxOverlay';
+import OverlayLayerToggles from '../common/OverlayLayerToggles';
+import RasterPagePicker from '../common/RasterPagePicker';
+import PreprocessingPanel from '../common/PreprocessingPanel';
+import CalibrationPanel from '../common/CalibrationPanel';
+import RequirementsPreview from '../LegalValidation/RequirementsPreview';
+import RequirementsEditor from '../Requirements/RequirementsEditor';
+import { processTextPipeline, verifyRequirements } from '../../services/ocrService';
+import { runParallelDetection, runRegionDetection, createDetectionStatus, hasFailedDetection, DETECTIONS, DETECTION_STATES } from '../../services/detectionService';
+import { processLegalTermFile, validateAgainstLegalTerms, processVerificationResults, getVerifiedLegalTerms } from '../../services/legalValidationService';
+import { saveRun, updateRun, getRunImageFile } from '../../services/historyService';
+import { describeBackendProfile } from '../../services/backendProfileService';
+import { requirementSetToFile } from '../../services/requirementSetService';
+import { rasteriseFile, DEFAULT_RASTER_DPI } from '../../services/rasterService';
+import { preprocessImage, DEFAULT_PREPROCESS_OPTIONS } from '../../services/preprocessService';
+import { IMAGE_FILE_ACCEPT, MAX_SOURCE_SIZE_MB, validateImageFile, validateExcelFile, fileToDataUrl, needsRasterisation } from '../../utils/fileUtils';
+import { toOriginalDetections, toProcessedDetections, toOriginalImageShape, getProcessedDpi } from '../../utils/imageTransformUtils';
+import { createAnalysisRegion } from '../../utils/regionUtils';
+import { measureDetections } from '../../utils/measurementUtils';
+import { getSymbolSizeRules, applySymbolSizeRules } from '../../utils/sizeRules';
+import { parseRequirementsFile } from '../../utils/requirementsParser';
+import { isAbortError } from '../../services/httpClient';
+import { confirmBackendsReachable } from '../../services/backendHealthService';
+import useCancellableRun from '../../hooks/useCancellableRun';
+import usePipelineTracker from '../../hooks/usePipelineTracker';
+import { PIPELINE_FLOWS, PIPELINE_STAGES, STAGE_STATES } from '../../utils/pipelineTimings';
+import { VALIDATION_STATES, getPropertyState } from '../../utils/validationUtils';
+import { OVERLAY_LAYERS, DRAWING_SHAPES, buildDetectionLayers, getOverlayKey, getOverlayIndex, getValidationOverlayKeys, getOverlayKeysRect } from '../../utils/overlayUtils';
+
+// Endpoints called by each action, checked against the backend health before starting
+const ANALYSIS_ENDPOINTS = ['TEXT_DETECTION', 'SYMBOL_DETECTION'];
+const PIPELINE_ENDPOINTS = ['TEXT_PIPELINE'];
+const VERIFICATION_ENDPOINTS = ['VERIFY_REQUIREMENTS'];
 
 /**
  * Integrated page that combines OCR, Symbol Detection, and Legal Validation
@@ -21,7 +56,15 @@ const IntegratedPage = () => {
   const [previewUrl, setPreviewUrl] = useState(null);
   const [isLoading, setIsLoading] = useState(false);
   const [error, setError] = useState(null);
-  const [processingStage, setProcessingStage] = useState(null); // 'text', 'symbols', 'validation', 'complete', null
+  const [processingStage, setProcessingStage] = useState(null); // 'detection', 'pipeline', 'validation', 'verification', 'complete', null
+  const [detectionStatus, setDetectionStatus] = useState(createDetectionStatus());
+  const [wasCancelled, setWasCancelled] = useState(false);
+  
+  // Only the latest analysis run may update the page; starting or cancelling a run aborts the previous one
+  const { startRun, cancelRun } = useCancellableRun();
+
+  // Start and end times of each stage of the active run, saved with the run
+  const { timings, typicalDurations, beginTimings, cancelTimings, resetTimings } = usePipelineTracker();
 
   // State for results
   const [ocrResults, setOcrResults] = useState(null);
@@ -37,19 +80,146 @@ const IntegratedPage = () => {
   // State for image dimensions
   const [imageDimensions, setImageDimensions] = useState({ width: 0, height: 0 });
   
+  // Physical image size reported by the symbol backend
+  const [imageShape, setImageShape] = useState(null);
+  
+  // PDF, TIFF, WebP and SVG artwork is rasterised in the browser; each page can be analysed
+  const [rasterSource, setRasterSource] = useState(null);
+  const [rasterPages, setRasterPages] = useState([]);
+  const [selectedPageIndex, setSelectedPageIndex] = useState(0);
+  const [rasterDpi, setRasterDpi] = useState(DEFAULT_RASTER_DPI);
+  const [isRasterising, setIsRasterising] = useState(false);
+  // Only the latest rasterisation may update the page
+  const rasterRequestRef = useRef(0);
+  
+  // Resolution of the analysed image, known for rasterised artwork; null for JPEG and PNG uploads
+  const [imageDpi, setImageDpi] = useState(null);
+  
+  // Optional preprocessing of the image before upload, and the transform applied to the analysed image
+  // (null if it was sent unchanged); results are always kept in the coordinates of the selected image
+  const [preprocessOptions, setPreprocessOptions] = useState(DEFAULT_PREPROCESS_OPTIONS);
+  const [uploadTransform, setUploadTransform] = useState(null);
+  // Last preprocessed upload, reused while the image and the options stay the same
+  const preparedUploadRef = useRef(null);
+  
+  // Regions drawn on the image; when there are any, only they are analysed
+  const [analysisRegions, setAnalysisRegions] = useState([]);
+  const [analysedRegionIndex, setAnalysedRegionIndex] = useState(null);
+  
+  // Resolution all physical sizes are computed from instead of the backend's estimate, and the
+  // reference line drawn for a calibration that has not been applied yet
+  const [calibration, setCalibration] = useState(null);
+  const [calibrationLine, setCalibrationLine] = useState(null);
+  
+  // Detections with their sizes in cm recomputed from the calibration; shown, exported and verified
+  const measured = useMemo(
+    () => measureDetections({ ocrResults, symbolResults, imageShape }, calibration, imageDimensions),
+    [ocrResults, symbolResults, imageShape, calibration, imageDimensions]
+  );
+  
+  // Validation results with the local symbol size checks repeated against the measured sizes
+  const checkedValidationResults = useMemo(
+    () => applySymbolSizeRules(validationResults, validationResults?.size_rules, measured.symbolResults),
+    [validationResults, measured]
+  );
+  
   // State for legal term file
   const [legalTermFile, setLegalTermFile] = useState(null);
   const [isLegalTermUploaded, setIsLegalTermUploaded] = useState(false);
   
+  // Requirements parsed in the browser for preview
+  const [requirementsPreview, setRequirementsPreview] = useState(null);
+  const [requirementsPreviewError, setRequirementsPreviewError] = useState(null);
+  
+  // Saved requirement set used instead of an uploaded file ({ id, name, version })
+  const [activeRequirementSet, setActiveRequirementSet] = useState(null);
+  const [showRequirementsEditor, setShowRequirementsEditor] = useState(false);
+  
   // State for active tab in results section
   const [activeResultTab, setActiveResultTab] = useState('text'); // 'text', 'symbols', 'validation'
   
   // State to track if we're using the complete pipeline
   const [useCompletePipeline, setUseCompletePipeline] = useState(false);
+  
+  // State for analysis mode: a single image or a batch of images
+  const [analysisMode, setAnalysisMode] = useState('single'); // 'single', 'batch'
+  // A running batch keeps the page in batch mode until it finishes or is cancelled
+  const [isBatchRunning, setIsBatchRunning] = useState(false);
+  
+  // State for the bounding box overlay on the analysed image
+  const [visibleOverlayLayers, setVisibleOverlayLayers] = useState({ [OVERLAY_LAYERS.TEXT]: true, [OVERLAY_LAYERS.SYMBOLS]: true });
+  const [hoveredOverlayKey, setHoveredOverlayKey] = useState(null);
+  const [selectedOverlayKey, setSelectedOverlayKey] = useState(null);
+  
+  const overlayLayers = useMemo(
+    () => buildDetectionLayers({ ocrResults, symbolResults, visibleLayers: visibleOverlayLayers }),
+    [ocrResults, symbolResults, visibleOverlayLayers]
+  );
+  
+  // Boxes of previous results no longer apply
+  useEffect(() => {
+    setHoveredOverlayKey(null);
+    setSelectedOverlayKey(null);
+  }, [ocrResults, symbolResults]);
+  
+  // Failed requirement whose paragraphs or symbols are highlighted and zoomed to on the image
+  const [locatedValidation, setLocatedValidation] = useState(null);
+  
+  const locatedOverlayKeys = useMemo(
+    () => getValidationOverlayKeys(locatedValidation, { ocrResults, symbolResults }),
+    [locatedValidation, ocrResults, symbolResults]
+  );
+  const focusRect = useMemo(
+    () => getOverlayKeysRect(overlayLayers, locatedOverlayKeys),
+    [overlayLayers, locatedOverlayKeys]
+  );
+  
+  useEffect(() => {
+    setLocatedValidation(null);
+  }, [validationResults]);
+  
+  // State for run history
+  const [currentRunId, setCurrentRunId] = useState(null);
+  // Backend profile and URLs the shown results came from, named in reports
+  const [runBackends, setRunBackends] = useState(null);
+  const [historyRefreshKey, setHistoryRefreshKey] = useState(0);
 
-  // Handle image file selection
-  const handleFileChange = (event) => {
-    const file = event.target.files[0];
+  // Save a new run to history; failures are logged but never block the analysis
+  const persistNewRun = async (imageFile, results, source, requirementsFile = null) => {
+    try {
+      const run = await saveRun({ imageFile, requirementsFile, results, source });
+      setHistoryRefreshKey(key => key + 1);
+      return run.id;
+    } catch (error) {
+      console.error('Error saving run to history:', error);
+      return null;
+    }
+  };
+
+  // Merge new results into the current run, or start a new run if there is none
+  const persistRunUpdate = async (runId, imageFile, results, requirementsFile) => {
+    if (!runId) {
+      return persistNewRun(imageFile, results, 'single', requirementsFile);
+    }
+
+    try {
+      await updateRun(runId, { ...results, requirementsFile });
+      setHistoryRefreshKey(key => key + 1);
+      return runId;
+    } catch (error) {
+      console.error('Error updating run in history:', error);
+      return runId;
+    }
+  };
+
+  // Clear the results of the previous image
+  const resetAnalysis = () => {
+    // A run for the previous image must not overwrite the new one
+    cancelRun();
+    setIsLoading(false);
+    setWasCancelled(false);
+    setDetectionStatus(createDetectionStatus());
+    resetTimings();
 
     // Reset states
     setError(null);
@@ -57,10 +227,71 @@ const IntegratedPage = () => {
     setSymbolResults(null);
     setValidationResults(null);
     setVisualizations({ text: null, symbols: null });
+    setImageShape(null);
     setProcessingStage(null);
+    setCurrentRunId(null);
+    setRunBackends(null);
+    setUploadTransform(null);
 
-    // Validate file
-    const validation = validateImageFile(file);
+    // A crop, rotation or regions drawn for the previous image do not fit the new one
+    setPreprocessOptions(options => ({ ...options, crop: null, rotation: 0 }));
+    setAnalysisRegions([]);
+    setCalibration(null);
+    setCalibrationLine(null);
+  };
+
+  // Analyse one rasterised page
+  const selectRasterPage = async (pages, index) => {
+    resetAnalysis();
+    const page = pages[index];
+    setSelectedPageIndex(index);
+    setSelectedFile(page.file);
+    setImageDpi(page.dpi);
+
+    try {
+      setPreviewUrl(await fileToDataUrl(page.file));
+    } catch (error) {
+      console.error('Error reading rasterised page:', error);
+      setPreviewUrl(null);
+    }
+  };
+
+  // Rasterise artwork into one image per page, keeping the selected page if it still exists
+  const rasteriseSource = async (file, dpi, pageIndex = 0) => {
+    const request = ++rasterRequestRef.current;
+    setIsRasterising(true);
+    setRasterPages([]);
+    setSelectedFile(null);
+    setPreviewUrl(null);
+    setImageDpi(null);
+
+    try {
+      const pages = await rasteriseFile(file, { dpi });
+      if (request !== rasterRequestRef.current) return;
+      setRasterPages(pages);
+      await selectRasterPage(pages, Math.min(pageIndex, pages.length - 1));
+    } catch (error) {
+      if (request !== rasterRequestRef.current) return;
+      setError(`Could not rasterise ${file.name}: ${error.message}`);
+    } finally {
+      if (request === rasterRequestRef.current) setIsRasterising(false);
+    }
+  };
+
+  // Handle image file selection
+  const handleFileChange = (event) => {
+    const file = event.target.files[0];
+    resetAnalysis();
+
+    // A rasterisation of the previous file must not replace the new one
+    rasterRequestRef.current++;
+    setIsRasterising(false);
+    setRasterSource(null);
+    setRasterPages([]);
+    setImageDpi(null);
+
+    // Validate file; images over the upload limit can still be downscaled or cropped before upload
+    const validation = validateImageFile(file, MAX_SOURCE_SIZE_MB);
     if (!validation.isValid) {
       setError(validation.error);
       setSelectedFile(null);
@@ -68,6 +299,12 @@ const IntegratedPage = () => {
       return;
     }
 
+    if (needsRasterisation(file)) {
+      setRasterSource(file);
+      rasteriseSource(file, rasterDpi);
+      return;
+    }
+
     setSelectedFile(file);
 
     // Create preview URL
@@ -78,12 +315,24 @@ const IntegratedPage = () => {
     fileReader.readAsDataURL(file);
   };
 
+  // Rasterise the artwork again at a new resolution
+  const handleRasterDpiChange = (dpi) => {
+    setRasterDpi(dpi);
+    if (rasterSource) {
+      resetAnalysis();
+      rasteriseSource(rasterSource, dpi, selectedPageIndex);
+    }
+  };
+
   // Handle legal term file selection
-  const handleLegalTermFileChange = (event) => {
+  const handleLegalTermFileChange = async (event) => {
     const file = event.target.files[0];
     
-    // Reset validation results
+    // Reset validation results and preview
     setValidationResults(null);
+    setRequirementsPreview(null);
+    setRequirementsPreviewError(null);
+    setActiveRequirementSet(null);
     
     // Validate file
     const validation = validateExcelFile(file);
@@ -96,6 +345,59 @@ const IntegratedPage = () => {
     
     setLegalTermFile(file);
     setIsLegalTermUploaded(true);
+    
+    // Parse in the browser for the preview; problems are shown but never block validation
+    try {
+      setRequirementsPreview(await parseRequirementsFile(file));
+    } catch (error) {
+      setRequirementsPreviewError(`Could not read the file for preview: ${error.message}`);
+    }
+  };
+
+  // Use a requirement set saved in the editor in place of an uploaded file
+  const handleUseRequirementSet = async (set, version) => {
+    const file = requirementSetToFile(set, version);
+    
+    setValidationResults(null);
+    setRequirementsPreview(null);
+    setRequirementsPreviewError(null);
+    setLegalTermFile(file);
+    setIsLegalTermUploaded(true);
+    setActiveRequirementSet({ id: set.id, name: set.name, version: version.version });
+    
+    try {
+      setRequirementsPreview(await parseRequirementsFile(file));
+    } catch (error) {
+      setRequirementsPreviewError(`Could not read the requirement set for preview: ${error.message}`);
+    }
+  };
+
+  // Get the image to send for a run, preprocessed if enabled; shows an error and returns null
+  // when it cannot be prepared or is still over the upload limit
+  const prepareUpload = async (run) => {
+    try {
+      let upload = preparedUploadRef.current;
+      if (upload?.source !== selectedFile || upload.options !== preprocessOptions) {
+        const { file, transform } = preprocessOptions.enabled
+          ? await preprocessImage(selectedFile, { ...preprocessOptions, dpi: imageDpi })
+          : { file: selectedFile, transform: null };
+        upload = { source: selectedFile, options: preprocessOptions, file, transform };
+        preparedUploadRef.current = upload;
+      }
+      if (!run.isCurrent()) return null;
+
+      const validation = validateImageFile(upload.file);
+      if (!validation.isValid) {
+        throw new Error(`${validation.error}. Downscale or crop the image with preprocessing to send it.`);
+      }
+      return upload;
+    } catch (error) {
+      if (!run.isCurrent()) return null;
+      setError(`Could not prepare the image for upload: ${error.message}`);
+      setIsLoading(false);
+      setProcessingStage(null);
+      return null;
+    }
   };
 
   // Handle image analysis (OCR + Symbol Detection)
@@ -114,56 +416,126 @@ const IntegratedPage = () => {
       return;
     }
 
+    if (!confirmBackendsReachable(ANALYSIS_ENDPOINTS)) return;
+
+    const run = startRun();
+    const backends = describeBackendProfile();
+    setRunBackends(backends);
     setIsLoading(true);
+    setWasCancelled(false);
     setError(null);
     setOcrResults(null);
     setSymbolResults(null);
+    // Results of the previous run, including its symbol size checks, no longer match the new detections
+    setValidationResults(null);
     setVisualizations({ text: null, symbols: null });
+    setProcessingStage('detection');
+    // Regions are cut out of the selected image one by one, so the whole image is not prepared
+    const regions = analysisRegions;
+    const upload = regions.length > 0 ? { file: selectedFile, transform: null } : await prepareUpload(run);
+    if (!upload) return;
+    setUploadTransform(upload.transform);
+    setAnalysedRegionIndex(null);
+    setDetectionStatus(createDetectionStatus(DETECTION_STATES.RUNNING));
+    const tracker = beginTimings(PIPELINE_FLOWS.ANALYSIS.id);
+    tracker.start([PIPELINE_STAGES.UPLOAD]);
+    // Detection starts once the first backend has the image; upload ends once both have it
+    const uploadedDetections = new Set();
+
+    // Text and symbol detection run side by side; each shows its results as soon as it finishes
+    const textVisualizations = (textData) => ({
+      word_image: textData.visualizations?.word_image || '',
+      line_image: textData.visualizations?.line_image || '',
+      para_image: textData.visualizations?.para_image || ''
+    });
+
+    // Boxes come back in the coordinates of the uploaded image and are mapped onto the selected one
+    const toOriginalText = (data) => toOriginalDetections({ ocrResults: data }, upload.transform).ocrResults;
+    const toOriginalSymbols = (data) => ({
+      ...data,
+      symbols: toOriginalDetections({ symbolResults: data.symbols }, upload.transform).symbolResults,
+      imageShape: toOriginalImageShape(data.imageShape, upload.transform, imageDpi)
+    });
 
     try {
-      // Step 1: Text Detection
-      setProcessingStage('text');
-      const textData = await detectText(selectedFile);
-      
-      // Set the OCR results
-      setOcrResults(textData);
-      
-      // Set text visualizations
-      setVisualizations(prev => ({
-        ...prev,
-        text: {
-          word_image: textData.visualizations?.word_image || '',
-          line_image: textData.visualizations?.line_image || '',
-          para_image: textData.visualizations?.para_image || ''
+      const detectionOptions = {
+        signal: run.signal,
+        dpi: getProcessedDpi(imageDpi, upload.transform),
+        onUploadProgress: (detection, progress) => {
+          if (!progress.done) return;
+          uploadedDetections.add(detection);
+          tracker.start([PIPELINE_STAGES.DETECTION]);
+          if (uploadedDetections.size === Object.keys(DETECTIONS).length) tracker.end([PIPELINE_STAGES.UPLOAD]);
+        },
+        onStatusChange: (detection, status) => {
+          if (run.isCurrent()) setDetectionStatus(prev => ({ ...prev, [detection]: status }));
+        },
+        onTextResults: (data) => {
+          if (!run.isCurrent()) return;
+          setOcrResults(toOriginalText(data));
+          setVisualizations(prev => ({ ...prev, text: textVisualizations(data) }));
+        },
+        onSymbolResults: (data) => {
+          if (!run.isCurrent()) return;
+          const symbolData = toOriginalSymbols(data);
+          setSymbolResults(symbolData.symbols);
+          setVisualizations(prev => ({ ...prev, symbols: symbolData.visualization }));
+          setImageShape(symbolData.imageShape);
         }
-      }));
+      };
+      const detection = regions.length > 0
+        ? await runRegionDetection(selectedFile, regions, {
+          ...detectionOptions,
+          preprocessOptions: preprocessOptions.enabled ? preprocessOptions : {},
+          onRegionStart: (index) => {
+            if (run.isCurrent()) setAnalysedRegionIndex(index);
+          }
+        })
+        : await runParallelDetection(upload.file, detectionOptions);
+      if (!run.isCurrent()) return;
+      setAnalysedRegionIndex(null);
+      const textData = detection.textData && toOriginalText(detection.textData);
+      const symbolData = detection.symbolData && toOriginalSymbols(detection.symbolData);
 
-      // Step 2: Symbol Detection
-      setProcessingStage('symbols');
-      const symbolData = await detectSymbols(selectedFile);
-      
-      // Set the symbol results - pastikan kita menggunakan array objek simbol lengkap
-      setSymbolResults(symbolData.symbols);
-      
-      // Log untuk debugging
-      console.log('Symbol detection results:', symbolData.symbols);
-      
-      // Set symbol visualization
-      setVisualizations(prev => ({
-        ...prev,
-        symbols: symbolData.visualization
-      }));
+      if (!textData && !symbolData) {
+        tracker.finish(STAGE_STATES.FAILED);
+        setProcessingStage(null);
+        setError('Text and symbol detection both failed. See the details below.');
+        return;
+      }
 
       // Processing complete
+      const finalTimings = tracker.finish(STAGE_STATES.DONE);
       setProcessingStage('complete');
       
-      // Set active tab to text results by default
-      setActiveResultTab('text');
+      // Show text results by default, or symbols if text detection failed
+      setActiveResultTab(textData ? 'text' : 'symbols');
+      
+      // Save the run to history, keeping whichever results arrived
+      const runId = await persistNewRun(selectedFile, {
+        ocrResults: textData,
+        symbolResults: symbolData?.symbols || null,
+        imageShape: symbolData?.imageShape || null,
+        imageDpi,
+        preprocessing: upload.transform,
+        regions,
+        calibration,
+        backends,
+        visualizations: {
+          text: textData ? textVisualizations(textData) : null,
+          symbols: symbolData?.visualization || null
+        },
+        timings: [finalTimings]
+      }, 'single');
+      if (run.isCurrent()) setCurrentRunId(runId);
     } catch (error) {
+      // Cancelled or superseded runs leave the page to the newer state
+      if (isAbortError(error) || !run.isCurrent()) return;
       console.error('Error:', error);
-      setError(`An error occurred during ${processingStage || 'processing'}. Please try again.`);
+      tracker.finish(STAGE_STATES.FAILED);
+      setError('An error occurred during detection. Please try again.');
     } finally {
-      setIsLoading(false);
+      if (run.isCurrent()) setIsLoading(false);
     }
   };
   
@@ -179,74 +551,100 @@ const IntegratedPage = () => {
       return;
     }
     
+    if (!confirmBackendsReachable(PIPELINE_ENDPOINTS)) return;
+
+    const run = startRun();
+    const backends = describeBackendProfile();
+    setRunBackends(backends);
     setIsLoading(true);
+    setWasCancelled(false);
+    setDetectionStatus(createDetectionStatus());
     setError(null);
     setOcrResults(null);
     setSymbolResults(null);
     setValidationResults(null);
     setVisualizations({ text: null, symbols: null });
-    setProcessingStage('text');
+    setImageShape(null);
+    setProcessingStage('pipeline');
+    const upload = await prepareUpload(run);
+    if (!upload) return;
+    setUploadTransform(upload.transform);
+    const tracker = beginTimings(PIPELINE_FLOWS.PIPELINE.id);
+    tracker.start([PIPELINE_STAGES.UPLOAD]);
+    
+    // Results collected for the run history
+    const runResults = { imageDpi, preprocessing: upload.transform, calibration, backends };
     
     try {
-      // Call the complete pipeline API
-      const pipelineData = await processTextPipeline(selectedFile, legalTermFile);
-      
-      // Update processing stage to show progress
-      setProcessingStage('symbols');
+      // Call the complete pipeline API; everything after the upload happens in this one backend call
+      const pipelineData = await processTextPipeline(upload.file, legalTermFile, {
+        signal: run.signal,
+        onUploadProgress: (progress) => {
+          if (!progress.done) return;
+          tracker.end([PIPELINE_STAGES.UPLOAD]);
+          tracker.start(PIPELINE_FLOWS.PIPELINE.groups.backend);
+        }
+      });
+      if (!run.isCurrent()) return;
+      runResults.timings = [tracker.finish(STAGE_STATES.DONE)];
       
       // Set OCR results
-      if (pipelineData.detectionResults && pipelineData.detectionResults.length > 0) {
-        setOcrResults({
-          results: pipelineData.detectionResults
-        });
+      if (pipelineData.detectionResults.length > 0) {
+        runResults.ocrResults = toOriginalDetections({
+          ocrResults: { results: pipelineData.detectionResults }
+        }, upload.transform).ocrResults;
+        setOcrResults(runResults.ocrResults);
       }
       
       // Set visualizations
-      if (pipelineData.visualizations) {
-        setVisualizations({
-          text: {
-            word_image: pipelineData.visualizations.word_image || '',
-            line_image: pipelineData.visualizations.line_image || '',
-            para_image: pipelineData.visualizations.para_image || ''
-          },
-          symbols: pipelineData.visualizations.word_image || '' // Use word_image as fallback for symbols
-        });
-      }
-      
-      // Update processing stage
-      setProcessingStage('validation');
+      runResults.visualizations = {
+        text: pipelineData.visualizations,
+        symbols: pipelineData.visualizations.word_image // Use word_image as fallback for symbols
+      };
+      setVisualizations(runResults.visualizations);
       
       // Set symbol results if available
-      if (pipelineData.refinedSymbols && pipelineData.refinedSymbols.length > 0) {
-        // Convert to the expected format for symbolResults
+      if (pipelineData.refinedSymbols.length > 0) {
+        // Convert to the expected format for symbolResults; the pipeline reports no confidence
         const symbolsArray = pipelineData.refinedSymbols.map((symbol, index) => ({
-          id: symbol.id || index,
-          class: symbol.text || '',
-          confidence: 1.0 // Default confidence
+          id: symbol.id ?? `symbol_${index}`,
+          class: symbol.text,
+          confidence: null
         }));
         
+        runResults.symbolResults = symbolsArray;
         setSymbolResults(symbolsArray);
       }
       
       // Set validation results if available
       if (pipelineData.requirementCheck) {
-        setValidationResults({
-          text_validations: pipelineData.requirementCheck.text_requirment?.map(item => ({
-            id: `text_${item.id || 0}`,
-            description: item.refined_text || 'Text requirement',
-            pattern: item.refined_text || '',
+        const legalTerms = await getVerifiedLegalTerms(pipelineData, legalTermFile, requirementsPreview);
+        if (!run.isCurrent()) return;
+        const pipelineValidation = {
+          // The pipeline lists the text it matched to each requirement, but no verdict on it
+          text_validations: pipelineData.requirementCheck.text_requirment.map((item, index) => ({
+            id: `text_${item.id ?? index}`,
+            description: item.refined_text,
+            pattern: item.refined_text,
             required: true,
-            valid: true
-          })) || [],
-          symbol_validations: pipelineData.symbolCheck?.map(item => ({
-            id: `symbol_${item.id || 0}`,
-            description: item.item || 'Symbol requirement',
-            class: item.item?.toLowerCase() || '',
+            status: VALIDATION_STATES.NOT_EVALUATED
+          })),
+          symbol_validations: pipelineData.symbolCheck.map((item, index) => ({
+            id: `symbol_${item.id ?? index}`,
+            description: item.item,
+            class: item.item.toLowerCase(),
             required: true,
-            valid: item.statement_requirement === 1
-          })) || [],
+            status: getPropertyState({ req_status: item.statement_requirement })
+          })),
           layout_validations: []
-        });
+        };
+        // The pipeline's symbols have no size, so their local size checks stay not evaluated
+        runResults.validationResults = applySymbolSizeRules(
+          pipelineValidation,
+          getSymbolSizeRules(legalTerms),
+          runResults.symbolResults
+        );
+        setValidationResults(runResults.validationResults);
         
         // Set active tab to validation results
         setActiveResultTab('validation');
@@ -257,11 +655,17 @@ const IntegratedPage = () => {
       
       // Processing complete
       setProcessingStage('complete');
+      
+      // Save the run to history
+      const runId = await persistNewRun(selectedFile, runResults, 'pipeline', legalTermFile);
+      if (run.isCurrent()) setCurrentRunId(runId);
     } catch (error) {
+      if (isAbortError(error) || !run.isCurrent()) return;
       console.error('Error:', error);
-      setError(`An error occurred during ${processingStage || 'processing'}. Please try again.`);
+      tracker.finish(STAGE_STATES.FAILED);
+      setError('An error occurred while running the complete pipeline. Please try again.');
     } finally {
-      setIsLoading(false);
+      if (run.isCurrent()) setIsLoading(false);
     }
   };
 
@@ -285,7 +689,7 @@ const IntegratedPage = () => {
 
     try {
       // Process the legal term file using backend API
-      const legalTerms = await processLegalTermFile(legalTermFile);
+      const legalTerms = await processLegalTermFile(legalTermFile, requirementsPreview);
       
       // Prepare simplified symbol results for validation
       // Extract detected symbol classes into a simple array for easier matching
@@ -330,35 +734,156 @@ const IntegratedPage = () => {
       return;
     }
 
+    if (!confirmBackendsReachable(VERIFICATION_ENDPOINTS)) return;
+
+    const run = startRun();
+    const backends = describeBackendProfile();
     setIsLoading(true);
+    setWasCancelled(false);
     setProcessingStage('verification');
     setError(null);
+    const upload = await prepareUpload(run);
+    if (!upload) return;
+    const tracker = beginTimings(PIPELINE_FLOWS.VERIFICATION.id);
+    tracker.start([PIPELINE_STAGES.UPLOAD]);
+
+    // The backend expects boxes in the coordinates of the image it receives, with the calibrated sizes
+    const uploadedDetections = toProcessedDetections(measured, upload.transform);
 
     try {
       // Call the verification API with image, OCR results, symbol results, and requirements file
       const verificationResults = await verifyRequirements(
-        selectedFile,
-        ocrResults,
-        symbolResults,
-        legalTermFile
+        upload.file,
+        uploadedDetections.ocrResults,
+        uploadedDetections.symbolResults,
+        legalTermFile,
+        {
+          signal: run.signal,
+          onUploadProgress: (progress) => {
+            if (!progress.done) return;
+            tracker.end([PIPELINE_STAGES.UPLOAD]);
+            tracker.start([PIPELINE_STAGES.VERIFICATION]);
+          }
+        }
       );
+      if (!run.isCurrent()) return;
+      const finalTimings = tracker.finish(STAGE_STATES.DONE);
       
       console.log('Verification results from backend:', verificationResults);
       
-      // Tambahkan symbolResults ke verificationResults untuk diproses
-      verificationResults.symbolResults = symbolResults;
-      
-      // Process the verification results into the format expected by the UI
-      const processedResults = processVerificationResults(verificationResults, null);
+      // Process the verification results into the format expected by the UI, and check symbol sizes
+      // locally against the verified requirements
+      const legalTerms = await getVerifiedLegalTerms(verificationResults, legalTermFile, requirementsPreview);
+      if (!run.isCurrent()) return;
+      const processedResults = applySymbolSizeRules(
+        processVerificationResults(verificationResults, null),
+        getSymbolSizeRules(legalTerms),
+        measured.symbolResults
+      );
       
       setValidationResults(processedResults);
+      setRunBackends(backends);
       setActiveResultTab('validation');
+      
+      // Record the validation and the requirements file in the current run
+      const runId = await persistRunUpdate(currentRunId, selectedFile, {
+        ocrResults,
+        symbolResults,
+        imageShape,
+        imageDpi,
+        preprocessing: uploadTransform,
+        calibration,
+        backends,
+        visualizations,
+        validationResults: processedResults,
+        timings: [finalTimings]
+      }, legalTermFile);
+      if (run.isCurrent()) setCurrentRunId(runId);
     } catch (error) {
+      if (isAbortError(error) || !run.isCurrent()) return;
       console.error('Error during verification:', error);
+      tracker.finish(STAGE_STATES.FAILED);
       setError('An error occurred while verifying requirements. Please try again.');
     } finally {
-      setIsLoading(false);
-      setProcessingStage('complete');
+      if (run.isCurrent()) {
+        setIsLoading(false);
+        setProcessingStage('complete');
+      }
+    }
+  };
+
+  // Abort the active analysis; results that already arrived stay visible
+  const handleCancelRun = () => {
+    if (!cancelRun()) return;
+    cancelTimings();
+    setIsLoading(false);
+    setProcessingStage(null);
+    setDetectionStatus(createDetectionStatus());
+    setWasCancelled(true);
+  };
+
+  // Show stored results (from a batch item or a history run) in the existing result tabs
+  const showStoredResults = async (imageFile, results, runId) => {
+    cancelRun();
+    setIsLoading(false);
+    setWasCancelled(false);
+    setDetectionStatus(createDetectionStatus());
+    resetTimings();
+    setError(null);
+    setSelectedFile(imageFile);
+    setOcrResults(results.ocrResults || null);
+    setSymbolResults(results.symbolResults || null);
+    setValidationResults(results.validationResults || null);
+    setVisualizations(results.visualizations || { text: null, symbols: null });
+    setImageShape(results.imageShape || null);
+    setImageDpi(results.imageDpi ?? null);
+    setUploadTransform(results.preprocessing || null);
+    setPreprocessOptions(options => ({ ...options, crop: null, rotation: 0 }));
+    setAnalysisRegions(results.regions || []);
+    setCalibration(results.calibration || null);
+    setRunBackends(results.backends || null);
+    setCalibrationLine(null);
+    rasterRequestRef.current++;
+    setIsRasterising(false);
+    setRasterSource(null);
+    setRasterPages([]);
+    setProcessingStage('complete');
+    setActiveResultTab(results.validationResults ? 'validation' : 'text');
+    setCurrentRunId(runId);
+
+    try {
+      setPreviewUrl(await fileToDataUrl(imageFile));
+    } catch (error) {
+      console.error('Error reading image:', error);
+      setPreviewUrl(null);
+    }
+  };
+
+  // Show a finished batch item in the existing result tabs
+  const handleOpenBatchResult = (item) => {
+    showStoredResults(item.file, item, item.runId || null);
+  };
+
+  // Save each finished batch item to history
+  const handleBatchItemComplete = (item) => {
+    return persistNewRun(item.file, item, 'batch', legalTermFile);
+  };
+
+  // Restore a run from history without calling the backend again
+  const handleRestoreRun = (run) => {
+    showStoredResults(getRunImageFile(run), run, run.id);
+  };
+
+  // Apply or remove the calibration, recording it in the current run
+  const handleCalibrationChange = async (next) => {
+    setCalibration(next);
+    if (!currentRunId) return;
+
+    try {
+      await updateRun(currentRunId, { calibration: next });
+      setHistoryRefreshKey(key => key + 1);
+    } catch (error) {
+      console.error('Error updating run in history:', error);
     }
   };
 
@@ -367,11 +892,36 @@ const IntegratedPage = () => {
     setImageDimensions(dimensions);
   };
 
+  // Select a box on the overlay and show the matching item in its result tab
+  const handleOverlaySelect = (box) => {
+    setSelectedOverlayKey(box.key);
+    setActiveResultTab(box.layer === OVERLAY_LAYERS.TEXT ? 'text' : 'symbols');
+  };
+  
+  // Toggle showing a failed requirement on the image
+  const handleValidationSelect = (validation) => {
+    setLocatedValidation(current => current?.id === validation.id ? null : validation);
+  };
+  
+  // Hover and click handlers for a result list, mirrored on the overlay
+  const getResultListHandlers = (layer) => ({
+    hoveredIndex: getOverlayIndex(hoveredOverlayKey, layer),
+    selectedIndex: getOverlayIndex(selectedOverlayKey, layer),
+    onItemHover: (index) => setHoveredOverlayKey(index === null ? null : getOverlayKey(layer, index)),
+    onItemSelect: (index) => setSelectedOverlayKey(getOverlayKey(layer, index))
+  });
+
   // Handle tab change in results section
   const handleResultTabChange = (tab) => {
     setActiveResultTab(tab);
   };
 
+  // While parallel detection is still running, results that already arrived replace the spinner
+  const showResultsSpinner = isLoading && !(
+    processingStage === 'detection' &&
+    ((activeResultTab === 'text' && ocrResults) || (activeResultTab === 'symbols' && symbolResults))
+  );
+
   return (
     <div className="space-y-8">
       {/* API URL Setter is assumed to be in a parent component */}
@@ -389,87 +939,154 @@ const IntegratedPage = () => {
             <h2 className="text-xl font-semibold text-gray-900">Image Analysis</h2>
           </div>
           
-          <form onSubmit={handleAnalyzeImage} className="space-y-5">
-            <FileUploader
-              id="integrated-image-upload"
-              label="Upload an image for OCR and symbol detection"
-              accept="image/jpeg, image/png"
-              onChange={handleFileChange}
-              buttonText="Select Image"
-              className="mb-2"
-            />
-            
-            {/* Toggle for complete pipeline */}
-            <div className="flex items-center mb-4">
-              <label className="inline-flex relative items-center cursor-pointer">
-                <input
-                  type="checkbox"
-                  className="sr-only peer"
-                  checked={useCompletePipeline}
-                  onChange={() => setUseCompletePipeline(!useCompletePipeline)}
+          {/* Toggle between single image and batch analysis */}
+          <div className="flex rounded-lg bg-gray-100 p-1 mb-5">
+            {[
+              { id: 'single', label: 'Single Image' },
+              { id: 'batch', label: 'Batch' }
+            ].map(mode => (
+              <button
+                key={mode.id}
+                type="button"
+                onClick={() => setAnalysisMode(mode.id)}
+                disabled={isBatchRunning && mode.id !== analysisMode}
+                title={isBatchRunning && mode.id !== analysisMode ? 'Cancel the batch or wait for it to finish first' : undefined}
+                className={`flex-1 py-2 text-sm font-medium rounded-md transition-colors disabled:cursor-not-allowed disabled:opacity-50 ${
+                  analysisMode === mode.id ? 'bg-white text-blue-700 shadow-sm' : 'text-gray-500 hover:text-gray-700'
+                }`}
+              >
+                {mode.label}
+              </button>
+            ))}
+          </div>
+          
+          {/* Hidden rather than unmounted, so batch items and their results survive a mode switch */}
+          <BatchPanel
+            requirementsFile={legalTermFile}
+            onOpenResult={handleOpenBatchResult}
+            onItemComplete={handleBatchItemComplete}
+            onRunningChange={setIsBatchRunning}
+            className={analysisMode === 'batch' ? '' : 'hidden'}
+          />
+          {analysisMode === 'single' && (
+            <form onSubmit={handleAnalyzeImage} className="space-y-5">
+              <FileUploader
+                id="integrated-image-upload"
+                label="Upload an image for OCR and symbol detection"
+                accept={IMAGE_FILE_ACCEPT}
+                onChange={handleFileChange}
+                buttonText="Select Image"
+                className="mb-2"
+              />
+              
+              {rasterSource && (
+                <RasterPagePicker
+                  sourceName={rasterSource.name}
+                  pages={rasterPages}
+                  selectedIndex={selectedPageIndex}
+                  onSelectPage={(index) => selectRasterPage(rasterPages, index)}
+                  dpi={rasterDpi}
+                  onDpiChange={handleRasterDpiChange}
+                  isRasterising={isRasterising}
+                  disabled={isLoading}
                 />
-                <div className="w-11 h-6 bg-gray-200 peer-focus:outline-none peer-focus:ring-4 peer-focus:ring-blue-300 rounded-full peer peer-checked:after:translate-x-full peer-checked:after:border-white after:content-[''] after:absolute after:top-[2px] after:left-[2px] after:bg-white after:border-gray-300 after:border after:rounded-full after:h-5 after:w-5 after:transition-all peer-checked:bg-blue-600"></div>
-                <span className="ml-3 text-sm font-medium text-gray-700">
-                  {useCompletePipeline ? 'Using Complete Pipeline (Backend Processing)' : 'Using Step-by-Step Processing'}
-                </span>
-              </label>
-            </div>
+              )}
+              
+              {selectedFile && previewUrl && (
+                <PreprocessingPanel
+                  file={selectedFile}
+                  previewUrl={previewUrl}
+                  dpi={imageDpi}
+                  options={preprocessOptions}
+                  onChange={setPreprocessOptions}
+                  disabled={isLoading}
+                />
+              )}
             
-            {error && (
-              <div className="rounded-lg bg-red-50 p-4 border-l-4 border-red-500">
-                <div className="flex">
-                  <div className="flex-shrink-0">
-                    <svg className="h-5 w-5 text-red-500" xmlns="http://www.w3.org/2000/svg" viewBox="0 0 20 20" fill="currentColor">
-                      <path fillRule="evenodd" d="M10 18a8 8 0 100-16 8 8 0 000 16zM8.707 7.293a1 1 0 00-1.414 1.414L8.586 10l-1.293 1.293a1 1 0 101.414 1.414L10 11.414l1.293 1.293a1 1 0 001.414-1.414L11.414 10l1.293-1.293a1 1 0 00-1.414-1.414L10 8.586 8.707 7.293z" clipRule="evenodd" />
-                    </svg>
-                  </div>
-                  <div className="ml-3">
-                    <h3 className="text-sm font-medium text-red-800">Error</h3>
-                    <div className="mt-1 text-sm text-red-700">
-                      <p>{error}</p>
+              {/* Toggle for complete pipeline */}
+              <div className="flex items-center mb-4">
+                <label className="inline-flex relative items-center cursor-pointer">
+                  <input
+                    type="checkbox"
+                    className="sr-only peer"
+                    checked={useCompletePipeline}
+                    onChange={() => setUseCompletePipeline(!useCompletePipeline)}
+                  />
+                  <div className="w-11 h-6 bg-gray-200 peer-focus:outline-none peer-focus:ring-4 peer-focus:ring-blue-300 rounded-full peer peer-checked:after:translate-x-full peer-checked:after:border-white after:content-[''] after:absolute after:top-[2px] after:left-[2px] after:bg-white after:border-gray-300 after:border after:rounded-full after:h-5 after:w-5 after:transition-all peer-checked:bg-blue-600"></div>
+                  <span className="ml-3 text-sm font-medium text-gray-700">
+                    {useCompletePipeline ? 'Using Complete Pipeline (Backend Processing)' : 'Using Step-by-Step Processing'}
+                  </span>
+                </label>
+              </div>
+            
+              {error && (
+                <div className="rounded-lg bg-red-50 p-4 border-l-4 border-red-500">
+                  <div className="flex">
+                    <div className="flex-shrink-0">
+                      <svg className="h-5 w-5 text-red-500" xmlns="http://www.w3.org/2000/svg" viewBox="0 0 20 20" fill="currentColor">
+                        <path fillRule="evenodd" d="M10 18a8 8 0 100-16 8 8 0 000 16zM8.707 7.293a1 1 0 00-1.414 1.414L8.586 10l-1.293 1.293a1 1 0 101.414 1.414L10 11.414l1.293 1.293a1 1 0 001.414-1.414L11.414 10l1.293-1.293a1 1 0 00-1.414-1.414L10 8.586 8.707 7.293z" clipRule="evenodd" />
+                      </svg>
+                    </div>
+                    <div className="ml-3">
+                      <h3 className="text-sm font-medium text-red-800">Error</h3>
+                      <div className="mt-1 text-sm text-red-700">
+                        <p>{error}</p>
+                      </div>
                     </div>
                   </div>
                 </div>
-              </div>
-            )}
-            
-            <button
-              type="submit"
-              disabled={!selectedFile || isLoading}
-              className="w-full inline-flex justify-center items-center px-4 py-3 border border-transparent text-sm font-medium rounded-lg shadow-sm text-white bg-blue-600 hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 disabled:bg-gray-300 disabled:cursor-not-allowed transition-colors"
-            >
-              {isLoading && (processingStage === 'text' || processingStage === 'symbols') ? (
-                <>
-                  <LoadingSpinner size="sm" color="white" className="mr-2" label="" />
-                  {processingStage === 'text' ? 'Detecting Text...' : 'Detecting Symbols...'}
-                </>
-              ) : (
-                <>
-                  <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5 mr-2" fill="none" viewBox="0 0 24 24" stroke="currentColor">
-                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 5H7a2 2 0 00-2 2v12a2 2 0 002 2h10a2 2 0 002-2V7a2 2 0 00-2-2h-2M9 5a2 2 0 002 2h2a2 2 0 002-2M9 5a2 2 0 012-2h2a2 2 0 012 2" />
-                  </svg>
-                  Analyze Image
-                </>
               )}
-            </button>
             
-            {/* Processing status indicator */}
-            {isLoading && (
-              <div className="mt-4">
-                <div className="w-full bg-gray-200 rounded-full h-2.5">
-                  <div 
-                    className="bg-blue-600 h-2.5 rounded-full transition-all duration-500" 
-                    style={{ width: processingStage === 'text' ? '33%' : processingStage === 'symbols' ? '66%' : processingStage === 'validation' ? '100%' : '0%' }}
-                  ></div>
-                </div>
-                <p className="text-xs text-gray-500 mt-1 text-right">
-                  {processingStage === 'text' ? 'Step 1/3: Text Detection' : 
-                   processingStage === 'symbols' ? 'Step 2/3: Symbol Detection' : 
-                   processingStage === 'validation' ? 'Step 3/3: Validation' : ''}
-                </p>
-              </div>
-            )}
-          </form>
+              <BackendHealthWarning endpointKeys={useCompletePipeline && legalTermFile ? PIPELINE_ENDPOINTS : ANALYSIS_ENDPOINTS} />
+
+              <button
+                type="submit"
+                disabled={!selectedFile || isLoading}
+                className="w-full inline-flex justify-center items-center px-4 py-3 border border-transparent text-sm font-medium rounded-lg shadow-sm text-white bg-blue-600 hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 disabled:bg-gray-300 disabled:cursor-not-allowed transition-colors"
+              >
+                {isLoading && ['detection', 'pipeline'].includes(processingStage) ? (
+                  <>
+                    <LoadingSpinner size="sm" color="white" className="mr-2" label="" />
+                    {processingStage !== 'detection'
+                      ? 'Running Pipeline...'
+                      : analysedRegionIndex !== null
+                        ? `Detecting Text & Symbols (region ${analysedRegionIndex + 1} of ${analysisRegions.length})...`
+                        : 'Detecting Text & Symbols...'}
+                  </>
+                ) : (
+                  <>
+                    <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5 mr-2" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 5H7a2 2 0 00-2 2v12a2 2 0 002 2h10a2 2 0 002-2V7a2 2 0 00-2-2h-2M9 5a2 2 0 002 2h2a2 2 0 002-2M9 5a2 2 0 012-2h2a2 2 0 012 2" />
+                    </svg>
+                    Analyze Image
+                  </>
+                )}
+              </button>
+            
+              {/* Per-backend status of parallel detection; stays visible when a backend failed */}
+              {((isLoading && processingStage === 'detection') || hasFailedDetection(detectionStatus)) && (
+                <DetectionStatus status={detectionStatus} className="mt-4" />
+              )}
+
+              {/* Stage timings of the current analysis or pipeline run */}
+              {timings && timings.flow !== PIPELINE_FLOWS.VERIFICATION.id && (
+                <PipelineProgress timings={timings} typicalDurations={typicalDurations} className="mt-4" />
+              )}
+              
+              {isLoading && processingStage !== 'verification' && (
+                <button
+                  type="button"
+                  onClick={handleCancelRun}
+                  className="w-full inline-flex justify-center items-center px-4 py-2 border border-red-300 text-sm font-medium rounded-lg text-red-700 bg-white hover:bg-red-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-red-500 transition-colors"
+                >
+                  Cancel
+                </button>
+              )}
+              {wasCancelled && !isLoading && (
+                <p className="text-sm text-gray-600">Analysis cancelled. Results that arrived before cancelling are still shown.</p>
+              )}
+            </form>
+          )}
         </div>
         
         {/* Legal term upload and validation section */}
@@ -493,6 +1110,16 @@ const IntegratedPage = () => {
               className="mb-2"
             />
             
+            {activeRequirementSet && (
+              <p className="text-sm text-purple-700">
+                Using saved requirement set "{activeRequirementSet.name}" (v{activeRequirementSet.version})
+              </p>
+            )}
+            {requirementsPreviewError && (
+              <p className="text-sm text-yellow-700">{requirementsPreviewError}</p>
+            )}
+            <RequirementsPreview parsedRequirements={requirementsPreview} />
+            
             <div className="rounded-lg bg-blue-50 p-4 border-l-4 border-blue-500">
               <div className="flex">
                 <div className="flex-shrink-0">
@@ -508,6 +1135,8 @@ const IntegratedPage = () => {
               </div>
             </div>
             
+            <BackendHealthWarning endpointKeys={VERIFICATION_ENDPOINTS} />
+
             {/* Verification button using backend endpoint */}
             <button
               type="button"
@@ -529,20 +1158,68 @@ const IntegratedPage = () => {
                 </>
               )}
             </button>
+            {isLoading && processingStage === 'verification' && (
+              <button
+                type="button"
+                onClick={handleCancelRun}
+                className="w-full inline-flex justify-center items-center px-4 py-2 border border-red-300 text-sm font-medium rounded-lg text-red-700 bg-white hover:bg-red-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-red-500 transition-colors"
+              >
+                Cancel
+              </button>
+            )}
+            {timings?.flow === PIPELINE_FLOWS.VERIFICATION.id && (
+              <PipelineProgress timings={timings} typicalDurations={typicalDurations} />
+            )}
           </form>
         </div>
       </div>
       
-      {/* Results section */}
-      {(ocrResults || symbolResults || validationResults) && (
-        <div className="bg-white shadow-lg rounded-xl p-6 border border-gray-100">
-          <div className="flex items-center mb-6">
+      {/* Requirements editor */}
+      <div className="bg-white shadow-lg rounded-xl p-6 border border-gray-100">
+        <div className="flex items-center justify-between">
+          <div className="flex items-center">
             <div className="bg-purple-100 p-2 rounded-lg mr-3">
               <svg xmlns="http://www.w3.org/2000/svg" className="h-6 w-6 text-purple-600" fill="none" viewBox="0 0 24 24" stroke="currentColor">
-                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 17v-2m3 2v-4m3 4v-6m2 10H7a2 2 0 01-2-2V5a2 2 0 012-2h5.586a1 1 0 01.707.293l5.414 5.414a1 1 0 01.293.707V19a2 2 0 01-2 2z" />
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M11 5H6a2 2 0 00-2 2v11a2 2 0 002 2h11a2 2 0 002-2v-5m-1.414-9.414a2 2 0 112.828 2.828L11.828 15H9v-2.828l8.586-8.586z" />
               </svg>
             </div>
-            <h2 className="text-xl font-semibold text-gray-900">Analysis Results</h2>
+            <h2 className="text-xl font-semibold text-gray-900">Requirements Editor</h2>
+          </div>
+          <button
+            type="button"
+            onClick={() => setShowRequirementsEditor(show => !show)}
+            className="text-sm font-medium text-blue-600 hover:text-blue-800"
+          >
+            {showRequirementsEditor ? 'Hide' : 'Show'}
+          </button>
+        </div>
+        {showRequirementsEditor && (
+          <div className="mt-4">
+            <RequirementsEditor onUseSet={handleUseRequirementSet} activeSet={activeRequirementSet} />
+          </div>
+        )}
+      </div>
+      
+      {/* Results section; shown as soon as an image is selected so regions can be drawn on it */}
+      {(previewUrl || ocrResults || symbolResults || validationResults) && (
+        <div className="bg-white shadow-lg rounded-xl p-6 border border-gray-100">
+          <div className="flex flex-wrap items-center justify-between gap-3 mb-6">
+            <div className="flex items-center">
+              <div className="bg-purple-100 p-2 rounded-lg mr-3">
+                <svg xmlns="http://www.w3.org/2000/svg" className="h-6 w-6 text-purple-600" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 17v-2m3 2v-4m3 4v-6m2 10H7a2 2 0 01-2-2V5a2 2 0 012-2h5.586a1 1 0 01.707.293l5.414 5.414a1 1 0 01.293.707V19a2 2 0 01-2 2z" />
+                </svg>
+              </div>
+              <h2 className="text-xl font-semibold text-gray-900">Analysis Results</h2>
+            </div>
+            {(ocrResults || symbolResults || validationResults) && (
+              <ResultsExportMenu
+                ocrResults={measured.ocrResults}
+                symbolResults={measured.symbolResults}
+                validationResults={checkedValidationResults}
+                imageName={selectedFile?.name}
+              />
+            )}
           </div>
           
           <div className="grid grid-cols-1 lg:grid-cols-2 gap-8">
@@ -554,13 +1231,149 @@ const IntegratedPage = () => {
                 </svg>
                 Analyzed Image
               </h3>
+              {uploadTransform && (
+                <p className="mb-3 text-xs text-gray-500">
+                  Analysed a preprocessed {uploadTransform.width} × {uploadTransform.height} px copy; boxes are shown on the original image.
+                </p>
+              )}
+              <div className="mb-3 flex flex-wrap items-center gap-1.5 text-xs text-gray-600">
+                {analysisRegions.length === 0 ? (
+                  <span>Choose <span className="font-medium">Region</span> and drag over the image to analyse only part of it.</span>
+                ) : (
+                  <>
+                    <span>Only these regions are analysed:</span>
+                    {analysisRegions.map((region, index) => (
+                      <span key={region.id} className="inline-flex items-center rounded-md bg-emerald-50 border border-emerald-200 px-2 py-0.5 text-emerald-800">
+                        Region {index + 1} · {region.width} × {region.height} px
+                        <button
+                          type="button"
+                          onClick={() => setAnalysisRegions(current => current.filter(item => item.id !== region.id))}
+                          disabled={isLoading}
+                          className="ml-1.5 font-medium hover:text-emerald-950"
+                          aria-label={`Remove region ${index + 1}`}
+                        >
+                          ×
+                        </button>
+                      </span>
+                    ))}
+                    <button
+                      type="button"
+                      onClick={() => setAnalysisRegions([])}
+                      disabled={isLoading}
+                      className="ml-1 font-medium text-blue-600 underline"
+                    >
+                      Clear
+                    </button>
+                    {useCompletePipeline && legalTermFile && (
+                      <span className="basis-full text-yellow-700">The complete pipeline always analyses the whole image.</span>
+                    )}
+                  </>
+                )}
+              </div>
+              <OverlayLayerToggles
+                layers={overlayLayers}
+                onToggle={(layerId, visible) => setVisibleOverlayLayers(prev => ({ ...prev, [layerId]: visible }))}
+                className="mb-3"
+              />
+              {locatedValidation && (
+                <div className={`mb-3 flex items-center justify-between rounded-md px-3 py-2 text-xs ${
+                  locatedOverlayKeys.length > 0 ? 'bg-red-50 text-red-800' : 'bg-yellow-50 text-yellow-800'
+                }`}>
+                  <span>
+                    {locatedOverlayKeys.length > 0
+                      ? `"${locatedValidation.description}": ${locatedOverlayKeys.length} location${locatedOverlayKeys.length === 1 ? '' : 's'} highlighted`
+                      : `"${locatedValidation.description}": the backend did not reference any detected paragraph or symbol`}
+                  </span>
+                  <button
+                    type="button"
+                    onClick={() => setLocatedValidation(null)}
+                    className="ml-2 font-medium underline"
+                  >
+                    Clear
+                  </button>
+                </div>
+              )}
               <div className="overflow-hidden rounded-lg border border-gray-300 shadow-sm">
                 <ImagePreview 
                   previewUrl={previewUrl} 
                   onDimensionsChange={handleDimensionsChange}
-                  className="min-h-[300px] w-full object-contain"
+                  focusRect={focusRect}
+                  imageShape={measured.imageShape}
+                  className="p-2"
+                  drawingTools={isLoading ? [] : [{
+                    id: 'region',
+                    label: 'Region',
+                    onDraw: (rect) => setAnalysisRegions(current => [...current, createAnalysisRegion(rect)])
+                  }, {
+                    id: 'calibrate',
+                    label: 'Calibrate',
+                    shape: DRAWING_SHAPES.LINE,
+                    onDraw: setCalibrationLine
+                  }]}
+                  renderOverlay={(zoom) => (
+                    <>
+                      <BoundingBoxOverlay
+                        layers={overlayLayers}
+                        width={imageDimensions.width}
+                        height={imageDimensions.height}
+                        displayScale={zoom}
+                        hoveredKey={hoveredOverlayKey}
+                        selectedKey={selectedOverlayKey}
+                        highlightedKeys={locatedOverlayKeys}
+                        onHover={(box) => setHoveredOverlayKey(box?.key ?? null)}
+                        onSelect={handleOverlaySelect}
+                      />
+                      {analysisRegions.map((region, index) => (
+                        <div
+                          key={region.id}
+                          className="absolute border-dashed border-emerald-600 pointer-events-none"
+                          style={{ left: region.x, top: region.y, width: region.width, height: region.height, borderWidth: 2 / zoom }}
+                        >
+                          <span
+                            className="absolute top-0 left-0 bg-emerald-600 text-white font-medium"
+                            style={{ fontSize: 11 / zoom, padding: `0 ${3 / zoom}px` }}
+                          >
+                            {index + 1}
+                          </span>
+                        </div>
+                      ))}
+                      {(calibrationLine || calibration?.line) && (
+                        <svg
+                          className="absolute inset-0 pointer-events-none"
+                          width={imageDimensions.width}
+                          height={imageDimensions.height}
+                          viewBox={`0 0 ${imageDimensions.width} ${imageDimensions.height}`}
+                        >
+                          {/* The applied reference line is solid, a line waiting for its length is dashed */}
+                          {[calibration?.line, calibrationLine].map((line, index) => line && (
+                            <line
+                              key={index}
+                              x1={line.start.x}
+                              y1={line.start.y}
+                              x2={line.end.x}
+                              y2={line.end.y}
+                              stroke="#2563eb"
+                              strokeWidth={2}
+                              strokeDasharray={line === calibrationLine ? '6 4' : undefined}
+                              vectorEffect="non-scaling-stroke"
+                            />
+                          ))}
+                        </svg>
+                      )}
+                    </>
+                  )}
                 />
               </div>
+              <CalibrationPanel
+                calibration={calibration}
+                onChange={handleCalibrationChange}
+                referenceLine={calibrationLine}
+                onClearLine={() => setCalibrationLine(null)}
+                imageDpi={imageDpi}
+                imageShape={imageShape}
+                disabled={isLoading}
+                className="mt-3"
+              />
             </div>
             
             {/* Results Tabs */}
@@ -620,21 +1433,42 @@ const IntegratedPage = () => {
                 </div>
                 
                 <div className="p-4 flex-grow flex flex-col" style={{ minHeight: '600px' }}>
-                  {isLoading ? (
+                  {showResultsSpinner ? (
                     <div className="flex flex-col justify-center items-center h-full">
                       <LoadingSpinner size="lg" color="blue" label="Processing..." />
                     </div>
                   ) : activeResultTab === 'text' && ocrResults ? (
                     <div className="h-full flex flex-col">
-                      <OCRResults results={ocrResults} className="flex-grow overflow-auto" />
+                      <OCRResults
+                        results={measured.ocrResults}
+                        {...getResultListHandlers(OVERLAY_LAYERS.TEXT)}
+                        className="flex-grow overflow-auto"
+                      />
                     </div>
                   ) : activeResultTab === 'symbols' && symbolResults ? (
                     <div className="h-full flex flex-col">
-                      <SymbolResults symbols={symbolResults} className="flex-grow overflow-auto" />
+                      <SymbolResults
+                        symbols={measured.symbolResults}
+                        {...getResultListHandlers(OVERLAY_LAYERS.SYMBOLS)}
+                        className="flex-grow overflow-auto"
+                      />
                     </div>
                   ) : activeResultTab === 'validation' && validationResults ? (
                     <div className="h-full flex flex-col">
-                      <ValidationResults validationResults={validationResults} className="flex-grow" />
+                      <ValidationResults
+                        validationResults={checkedValidationResults}
+                        selectedValidationId={locatedValidation?.id}
+                        onValidationSelect={handleValidationSelect}
+                        reportContext={{
+                          imageUrl: previewUrl,
+                          imageName: selectedFile?.name,
+                          requirementsFileName: legalTermFile?.name,
+                          visualizations,
+                          runId: currentRunId,
+                          backends: runBackends
+                        }}
+                        className="flex-grow"
+                      />
                     </div>
                   ) : (
                     <div className="flex flex-col items-center justify-center bg-gray-50 p-6 rounded-lg h-full">
@@ -674,6 +1508,7 @@ const IntegratedPage = () => {
                         <VisualizationView 
                           visualizationData={visualizations.text.word_image} 
                           altText="Word Detection Visualization" 
+                          imageShape={measured.imageShape}
                           className="w-full"
                         />
                       </div>
@@ -690,6 +1525,7 @@ const IntegratedPage = () => {
                         <VisualizationView 
                           visualizationData={visualizations.text.line_image} 
                           altText="Line Detection Visualization" 
+                          imageShape={measured.imageShape}
                           className="w-full"
                         />
                       </div>
@@ -706,6 +1542,7 @@ const IntegratedPage = () => {
                         <VisualizationView 
                           visualizationData={visualizations.text.para_image} 
                           altText="Paragraph Detection Visualization" 
+                          imageShape={measured.imageShape}
                           className="w-full"
                         />
                       </div>
@@ -725,6 +1562,7 @@ const IntegratedPage = () => {
                     <VisualizationView 
                       visualizationData={visualizations.symbols} 
                       altText="Symbol Detection Visualization" 
+                      imageShape={measured.imageShape}
                       className="max-w-full"
                     />
                   </div>
@@ -734,6 +1572,23 @@ const IntegratedPage = () => {
           )}
         </div>
       )}
+      
+      {/* Run history */}
+      <div className="bg-white shadow-lg rounded-xl p-6 border border-gray-100">
+        <div className="flex items-center mb-4">
+          <div className="bg-gray-100 p-2 rounded-lg mr-3">
+            <svg xmlns="http://www.w3.org/2000/svg" className="h-6 w-6 text-gray-600" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 8v4l3 3m6-3a9 9 0 11-18 0 9 9 0 0118 0z" />
+            </svg>
+          </div>
+          <h2 className="text-xl font-semibold text-gray-900">Run History</h2>
+        </div>
+        <HistoryPanel
+          onRestore={handleRestoreRun}
+          refreshKey={historyRefreshKey}
+          activeRunId={currentRunId}
+        />
+      </div>
     </div>
   );
 };
@@ -0,0 +1,67 @@
+import React, { useState } from 'react';
+import LoadingSpinner from '../common/LoadingSpinner';
+import { buildReportData, openPrintableReport, downloadReportPdf } from '../../services/reportService';
+
+/**
+ * Buttons to export the validation results as a printable HTML or PDF compliance report
+ * @param {Object} props - Component props
+ * @param {Object} props.validationResults - Validation results data
+ * @param {Object} props.reportContext - Image, visualizations and run metadata for the report
+ * @param {string} props.className - Additional CSS classes
+ * @returns {JSX.Element} - Rendered component
+ */
+const ComplianceReportActions = ({ validationResults, reportContext, className = '' }) => {
+  const [isGeneratingPdf, setIsGeneratingPdf] = useState(false);
+  const [error, setError] = useState(null);
+
+  const getReport = () => buildReportData({ ...reportContext, validationResults });
+
+  const handlePrint = () => {
+    setError(null);
+    try {
+      openPrintableReport(getReport());
+    } catch (error) {
+      console.error('Error opening printable report:', error);
+      setError(error.message);
+    }
+  };
+
+  const handleDownloadPdf = async () => {
+    setError(null);
+    setIsGeneratingPdf(true);
+    try {
+      await downloadReportPdf(getReport());
+    } catch (error) {
+      console.error('Error generating PDF report:', error);
+      setError('Could not generate the PDF report. Please try again.');
+    } finally {
+      setIsGeneratingPdf(false);
+    }
+  };
+
+  return (
+    <div className={className}>
+      <div className="flex justify-end space-x-2">
+        <button
+          type="button"
+          onClick={handlePrint}
+          className="inline-flex items-center px-3 py-1.5 text-xs font-medium rounded-md text-gray-700 bg-white border border-gray-300 hover:bg-gray-50"
+        >
+          Print Report
+        </button>
+        <button
+          type="button"
+          onClick={handleDownloadPdf}
+          disabled={isGeneratingPdf}
+          className="inline-flex items-center px-3 py-1.5 text-xs font-medium rounded-md text-white bg-blue-600 hover:bg-blue-700 disabled:bg-gray-300 disabled:cursor-not-allowed"
+        >
+          {isGeneratingPdf && <LoadingSpinner size="sm" color="white" className="mr-1" />}
+          Download PDF
+        </button>
+      </div>
+      {error && <p className="text-xs text-red-600 mt-1 text-right">{error}</p>}
+    </div>
+  );
+};
+
+export default ComplianceReportActions;
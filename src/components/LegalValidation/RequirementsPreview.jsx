@@ -0,0 +1,93 @@
+import React from 'react';
+import { formatIssueLocation } from '../../utils/requirementsParser';
+
+/**
+ * Preview of requirements parsed in the browser, with malformed rows flagged
+ * @param {Object} props - Component props
+ * @param {Object} props.parsedRequirements - Result of parseRequirementsFile
+ * @param {string} props.className - Additional CSS classes
+ * @returns {JSX.Element} - Rendered component
+ */
+const RequirementsPreview = ({ parsedRequirements, className = '' }) => {
+  if (!parsedRequirements) {
+    return null;
+  }
+
+  const { result, rows, issues } = parsedRequirements;
+  const errorCount = issues.filter(issue => issue.severity === 'error').length;
+  const warningCount = issues.length - errorCount;
+  // Issues that are not tied to a previewed row (e.g. a sheet without a header)
+  const sheetIssues = issues.filter(issue => !rows.some(row => row.sheet === issue.sheet && row.row === issue.row));
+
+  return (
+    <div className={className}>
+      <div className="flex flex-wrap items-center gap-2 mb-2 text-xs">
+        <span className="px-2 py-0.5 rounded-full bg-blue-100 text-blue-800">
+          {result.text_requirement.length} text requirement{result.text_requirement.length === 1 ? '' : 's'}
+        </span>
+        <span className="px-2 py-0.5 rounded-full bg-blue-100 text-blue-800">
+          {result.symbol_requirement.length} symbol requirement{result.symbol_requirement.length === 1 ? '' : 's'}
+        </span>
+        {errorCount > 0 && (
+          <span className="px-2 py-0.5 rounded-full bg-red-100 text-red-800">{errorCount} malformed</span>
+        )}
+        {warningCount > 0 && (
+          <span className="px-2 py-0.5 rounded-full bg-yellow-100 text-yellow-800">{warningCount} warning{warningCount === 1 ? '' : 's'}</span>
+        )}
+      </div>
+
+      {sheetIssues.length > 0 && (
+        <ul className="mb-2 text-xs text-red-700 list-disc list-inside">
+          {sheetIssues.map((issue, index) => (
+            <li key={index}>{formatIssueLocation(issue)}: {issue.message}</li>
+          ))}
+        </ul>
+      )}
+
+      {rows.length > 0 && (
+        <div className="max-h-[260px] overflow-auto border border-gray-200 rounded-md">
+          <table className="min-w-full text-xs text-left">
+            <thead className="bg-gray-50 sticky top-0">
+              <tr>
+                <th className="px-2 py-1 font-medium text-gray-600">Row</th>
+                <th className="px-2 py-1 font-medium text-gray-600">Type</th>
+                <th className="px-2 py-1 font-medium text-gray-600">Requirement</th>
+                <th className="px-2 py-1 font-medium text-gray-600">Property</th>
+                <th className="px-2 py-1 font-medium text-gray-600">Description</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-100">
+              {rows.map(row => {
+                const hasError = row.issues.some(issue => issue.severity === 'error');
+                const hasWarning = row.issues.length > 0;
+
+                return (
+                  <tr
+                    key={`${row.sheet}-${row.row}`}
+                    className={hasError ? 'bg-red-50' : hasWarning ? 'bg-yellow-50' : 'bg-white'}
+                    title={row.issues.map(issue => issue.message).join('\n')}
+                  >
+                    <td className="px-2 py-1 text-gray-500 whitespace-nowrap">{formatIssueLocation(row)}</td>
+                    <td className="px-2 py-1 text-gray-700">{row.type || '?'}</td>
+                    <td className="px-2 py-1 text-gray-800">{row.name || <span className="italic text-red-600">missing</span>}</td>
+                    <td className="px-2 py-1 text-gray-700">{row.property}</td>
+                    <td className="px-2 py-1 text-gray-700 break-words">
+                      {row.description || <span className="italic text-yellow-700">missing</span>}
+                      {row.issues.map((issue, index) => (
+                        <p key={index} className={issue.severity === 'error' ? 'text-red-700' : 'text-yellow-700'}>
+                          {issue.message}
+                        </p>
+                      ))}
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default RequirementsPreview;
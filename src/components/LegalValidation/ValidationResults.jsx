@@ -1,13 +1,74 @@
 import React, { useState } from 'react';
+import ComplianceReportActions from './ComplianceReportActions';
+import ValidationStateBadge from '../common/ValidationStateBadge';
+import {
+  VALIDATION_STATES,
+  getOriginalData,
+  getValidationStats,
+  getValidationSummary,
+  getValidationState,
+  getPropertyState,
+  getValidationProperties,
+  getPropertyValue,
+  hasPropertyValue,
+  formatValidationCounts
+} from '../../utils/validationUtils';
+import { formatSizeConstraint, countSizeCheckDisagreements } from '../../utils/sizeRules';
+
+// Card header, property box and property mark of each state
+const HEADER_CLASSES = {
+  [VALIDATION_STATES.PASS]: 'bg-green-50',
+  [VALIDATION_STATES.FAIL]: 'bg-red-50',
+  [VALIDATION_STATES.NOT_EVALUATED]: 'bg-gray-50',
+  [VALIDATION_STATES.BACKEND_MISSING]: 'bg-yellow-50'
+};
+
+const PROPERTY_CLASSES = {
+  [VALIDATION_STATES.PASS]: 'bg-green-50 border-green-200',
+  [VALIDATION_STATES.FAIL]: 'bg-red-50 border-red-200',
+  [VALIDATION_STATES.NOT_EVALUATED]: 'bg-gray-50 border-gray-200 border-dashed'
+};
+
+const PROPERTY_MARKS = {
+  [VALIDATION_STATES.PASS]: '✓',
+  [VALIDATION_STATES.FAIL]: '✗',
+  [VALIDATION_STATES.NOT_EVALUATED]: '–'
+};
+
+// Explanation shown on cards without a verdict
+const STATE_NOTES = {
+  [VALIDATION_STATES.NOT_EVALUATED]: 'The backend returned no verdict for this requirement.',
+  [VALIDATION_STATES.BACKEND_MISSING]: 'Not checked: the verification backend could not be reached.'
+};
+
+/**
+ * Format the measured size of a symbol
+ * @param {Object} symbol - Symbol of a size check, with width_cm and height_cm
+ * @returns {string} - e.g. "0.80 × 0.70 cm"
+ */
+const formatMeasuredSize = (symbol) => {
+  if (symbol.width_cm === null && symbol.height_cm === null) return 'size not measured';
+  const format = (cm) => (cm === null ? '?' : cm.toFixed(2));
+  return `${format(symbol.width_cm)} × ${format(symbol.height_cm)} cm`;
+};
 
 /**
  * Component to display legal validation results
  * @param {Object} props - Component props
  * @param {Object} props.validationResults - Validation results data
+ * @param {Object} props.reportContext - Image, visualizations and run metadata; enables report export when given
+ * @param {string} props.selectedValidationId - Id of the failed requirement shown on the image
+ * @param {Function} props.onValidationSelect - Called with a failed validation when its card is clicked
  * @param {string} props.className - Additional CSS classes
  * @returns {JSX.Element} - Rendered component
  */
-const ValidationResults = ({ validationResults, className = '' }) => {
+const ValidationResults = ({
+  validationResults,
+  reportContext = null,
+  selectedValidationId = null,
+  onValidationSelect,
+  className = ''
+}) => {
   const [activeTab, setActiveTab] = useState('text');
 
   if (!validationResults) {
@@ -18,71 +79,147 @@ const ValidationResults = ({ validationResults, className = '' }) => {
     );
   }
   
-  // Fungsi untuk mendapatkan data asli dari backend jika tersedia
-  const getOriginalData = (validation) => {
-    return validation.originalData || validation;
-  };
-
-  // Menghitung jumlah validasi yang valid dan tidak valid
-  const getValidationStats = (validations) => {
-    if (!validations || validations.length === 0) return { valid: 0, invalid: 0 };
-    
-    const valid = validations.filter(v => {
-      const originalData = getOriginalData(v);
-      return v.valid || originalData.req_properties?.every(prop => prop.req_status === 1) || false;
-    }).length;
-    
-    return { valid, invalid: validations.length - valid };
-  };
-
   const textStats = getValidationStats(validationResults.text_validations);
   const symbolStats = getValidationStats(validationResults.symbol_validations);
+  const summary = getValidationSummary(validationResults);
+  const sizeDisagreements = countSizeCheckDisagreements(validationResults);
+
+  // Size check made in the browser, shown next to the backend's verdict
+  const renderSizeCheck = (sizeCheck) => (
+    <div className={`px-4 py-3 border-t border-gray-200 ${sizeCheck.disagrees ? 'bg-yellow-50' : ''}`}>
+      <div className="flex flex-wrap justify-between items-center gap-2">
+        <span className="text-sm font-medium text-gray-700">Local size check</span>
+        <div className="flex items-center gap-1.5 text-xs text-gray-500">
+          <span>Local</span>
+          <ValidationStateBadge state={sizeCheck.state} />
+          <span className="ml-1">Backend</span>
+          <ValidationStateBadge state={sizeCheck.backend_state} />
+        </div>
+      </div>
+      {sizeCheck.disagrees && (
+        <p className="text-xs font-medium text-yellow-800 mt-1">
+          The local check disagrees with the backend. Check the size by hand, e.g. with the ruler.
+        </p>
+      )}
+      <p className="text-xs text-gray-600 mt-1">{sizeCheck.constraints.map(formatSizeConstraint).join(' · ')}</p>
+      {sizeCheck.symbols.length === 0 ? (
+        <p className="text-xs text-gray-500 italic mt-1">No matching symbol was detected.</p>
+      ) : (
+        <ul className="mt-2 space-y-1">
+          {sizeCheck.symbols.map((symbol, index) => (
+            <li key={symbol.id ?? index} className="flex justify-between items-center text-xs text-gray-700">
+              <span>{symbol.label}: {formatMeasuredSize(symbol)}</span>
+              <ValidationStateBadge
+                state={symbol.state}
+                label={PROPERTY_MARKS[symbol.state]}
+                title={sizeCheck.constraints.map((constraint, checkIndex) => {
+                  const measured = symbol.checks[checkIndex].measured_cm;
+                  return `${formatSizeConstraint(constraint)}: ${measured === null ? 'not measured' : `${measured.toFixed(2)} cm`}`;
+                }).join('\n')}
+                className="ml-1 px-2 py-0.5 rounded-full"
+              />
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
 
   // Render validation card untuk setiap validasi
   const renderValidationCard = (validation) => {
     const originalData = getOriginalData(validation);
-    const isValid = validation.valid || originalData.req_properties?.every(prop => prop.req_status === 1) || false;
-    const properties = validation.properties || originalData.req_properties || [];
+    const state = getValidationState(validation);
+    const properties = getValidationProperties(validation);
+    // Requirements that did not pass can be located on the image
+    const isLocatable = state !== VALIDATION_STATES.PASS && Boolean(onValidationSelect);
+    const isSelected = isLocatable && validation.id === selectedValidationId;
     
     return (
-      <div className="bg-white rounded-lg shadow-sm border border-gray-200 mb-4 overflow-hidden">
+      <div
+        className={`bg-white rounded-lg shadow-sm border mb-4 overflow-hidden ${
+          isSelected ? 'border-red-400 ring-2 ring-red-300' : 'border-gray-200'
+        } ${isLocatable ? 'cursor-pointer hover:shadow-md' : ''}`}
+        onClick={isLocatable ? () => onValidationSelect(validation) : undefined}
+      >
         {/* Header */}
-        <div className={`px-4 py-3 ${isValid ? 'bg-green-50' : 'bg-red-50'} border-b border-gray-200`}>
+        <div className={`px-4 py-3 ${HEADER_CLASSES[state]} border-b border-gray-200`}>
           <div className="flex justify-between items-center">
             <h3 className="font-medium text-gray-800">
               {originalData.req_name || validation.description}
             </h3>
-            <span className={`px-2.5 py-1 rounded-full text-xs font-medium ${isValid ? 'bg-green-100 text-green-800' : 'bg-red-100 text-red-800'}`}>
-              {isValid ? 'Valid' : 'Invalid'}
-            </span>
+            <ValidationStateBadge state={state} />
           </div>
           <p className="text-sm text-gray-600 mt-1">{validation.description}</p>
+          {STATE_NOTES[state] && <p className="text-xs text-gray-500 mt-1 italic">{STATE_NOTES[state]}</p>}
         </div>
         
         {/* Properties */}
-        <div className="px-4 py-3">
-          <div className="grid grid-cols-1 gap-3">
-            {properties.map((prop, propIndex) => (
-              <div key={propIndex} className={`p-3 rounded-md ${prop.req_status === 1 ? 'bg-green-50' : 'bg-red-50'} border ${prop.req_status === 1 ? 'border-green-200' : 'border-red-200'}`}>
-                <div className="flex justify-between items-start">
-                  <span className="font-medium text-gray-700">{prop.req_property_name || prop.req_name}</span>
-                  <span className={`ml-1 px-2 py-1 rounded-full text-xs font-medium ${prop.req_status === 1 ? 'bg-green-100 text-green-800' : 'bg-red-100 text-red-800'}`}>
-                    {prop.req_status === 1 ? '✓' : '✗'}
-                  </span>
-                </div>
-                <div className="mt-2 text-sm text-gray-700 break-words whitespace-pre-wrap">
-                  {prop.req_property_value || prop.req_property_validation || prop.req_desc || 'N/A'}
-                </div>
-              </div>
-            ))}
+        {properties.length > 0 && (
+          <div className="px-4 py-3">
+            <div className="grid grid-cols-1 gap-3">
+              {properties.map((prop, propIndex) => {
+                const propState = getPropertyState(prop);
+                return (
+                  <div key={propIndex} className={`p-3 rounded-md border ${PROPERTY_CLASSES[propState]}`}>
+                    <div className="flex justify-between items-start">
+                      <span className="font-medium text-gray-700">{prop.req_property_name || prop.req_name}</span>
+                      <ValidationStateBadge
+                        state={propState}
+                        label={PROPERTY_MARKS[propState]}
+                        title={propState === VALIDATION_STATES.NOT_EVALUATED ? 'Not evaluated' : undefined}
+                        className="ml-1 px-2 py-1 rounded-full"
+                      />
+                    </div>
+                    <div className={`mt-2 text-sm break-words whitespace-pre-wrap ${hasPropertyValue(prop) ? 'text-gray-700' : 'text-gray-400 italic'}`}>
+                      {getPropertyValue(prop)}
+                    </div>
+                  </div>
+                );
+              })}
+            </div>
           </div>
-        </div>
+        )}
+        
+        {validation.size_check && renderSizeCheck(validation.size_check)}
+        
+        {isLocatable && (
+          <div className="px-4 py-2 bg-gray-50 border-t border-gray-200 text-xs text-gray-600">
+            {isSelected ? 'Shown on the image. Click again to clear.' : 'Click to show where this requirement applies on the image.'}
+          </div>
+        )}
       </div>
     );
   };
 
   return (
     <div className={`flex flex-col h-full ${className}`}>
+      {/* Report export */}
+      {reportContext && (
+        <ComplianceReportActions
+          validationResults={validationResults}
+          reportContext={reportContext}
+          className="mb-3"
+        />
+      )}
+
+      {validationResults.backendError && (
+        <div className="rounded-lg bg-yellow-50 p-4 border-l-4 border-yellow-400 mb-3">
+          <p className="text-sm font-medium text-yellow-800">No requirement was checked: the verification backend could not be reached.</p>
+          <p className="text-xs text-yellow-700 mt-1">{validationResults.backendError}</p>
+        </div>
+      )}
+
+      <div className="flex items-center gap-2 mb-3 text-sm text-gray-600">
+        <span className="font-medium text-gray-700">Overall</span>
+        <ValidationStateBadge state={summary.state} />
+        <span>{formatValidationCounts(summary)}</span>
+        {sizeDisagreements > 0 && (
+          <span className="ml-auto px-2 py-0.5 rounded-full text-xs bg-yellow-100 text-yellow-800">
+            {sizeDisagreements} size check{sizeDisagreements === 1 ? '' : 's'} disagree{sizeDisagreements === 1 ? 's' : ''} with the backend
+          </span>
+        )}
+      </div>
+
       {/* Tabs */}
       <div className="flex border-b border-gray-200">
         <button
@@ -98,6 +235,11 @@ const ValidationResults = ({ validationResults, className = '' }) => {
               {textStats.invalid} issues
             </span>
           )}
+          {textStats.notEvaluated + textStats.backendMissing > 0 && (
+            <span className="ml-1 px-2 py-0.5 rounded-full text-xs bg-gray-100 text-gray-700">
+              {textStats.notEvaluated + textStats.backendMissing} unchecked
+            </span>
+          )}
         </button>
         <button
           className={`py-2 px-4 font-medium text-sm ${activeTab === 'symbol' ? 'text-blue-600 border-b-2 border-blue-600' : 'text-gray-500 hover:text-gray-700'}`}
@@ -112,6 +254,11 @@ const ValidationResults = ({ validationResults, className = '' }) => {
               {symbolStats.invalid} issues
             </span>
           )}
+          {symbolStats.notEvaluated + symbolStats.backendMissing > 0 && (
+            <span className="ml-1 px-2 py-0.5 rounded-full text-xs bg-gray-100 text-gray-700">
+              {symbolStats.notEvaluated + symbolStats.backendMissing} unchecked
+            </span>
+          )}
         </button>
       </div>
 
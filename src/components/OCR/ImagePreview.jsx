@@ -1,77 +1,54 @@
-import React, { useEffect, useRef } from 'react';
+import React, { useRef } from 'react';
+import ImageViewer from '../common/ImageViewer';
 
 /**
- * Image preview component with dimension tracking
+ * Image preview component with dimension tracking, zoom, pan and ruler
  * @param {Object} props - Component props
  * @param {string} props.previewUrl - URL of the image to preview
  * @param {Function} props.onDimensionsChange - Callback when dimensions change
  * @param {string} props.className - Additional CSS classes
+ * @param {Object} props.focusRect - Region { x, y, width, height } in image pixels to zoom to, or null
+ * @param {Object} props.imageShape - Physical image size used by the ruler
+ * @param {Function} props.renderOverlay - Renders overlays (e.g. bounding boxes) in image pixel coordinates
+ * @param {Array} props.drawingTools - Drawing tools added to the toolbar, see ImageViewer
  * @returns {JSX.Element} - Rendered component
  */
 const ImagePreview = ({ 
   previewUrl, 
   onDimensionsChange, 
-  className = '' 
+  className = '',
+  focusRect = null,
+  imageShape = null,
+  renderOverlay,
+  drawingTools
 }) => {
-  const imageRef = useRef(null);
-  
   // Menyimpan dimensi sebelumnya untuk mencegah pembaruan yang tidak perlu
   const prevDimensionsRef = useRef(null);
+  const imageRef = useRef(null);
+  const viewportRef = useRef(null);
   
-  useEffect(() => {
-    if (previewUrl && imageRef.current) {
-      const updateDimensions = () => {
-        if (onDimensionsChange && imageRef.current) {
-          const newDimensions = {
-            width: imageRef.current.naturalWidth,
-            height: imageRef.current.naturalHeight,
-            displayWidth: imageRef.current.clientWidth,
-            displayHeight: imageRef.current.clientHeight
-          };
-          
-          // Hanya panggil onDimensionsChange jika dimensi benar-benar berubah
-          const prevDimensions = prevDimensionsRef.current;
-          if (!prevDimensions ||
-              prevDimensions.width !== newDimensions.width ||
-              prevDimensions.height !== newDimensions.height ||
-              prevDimensions.displayWidth !== newDimensions.displayWidth ||
-              prevDimensions.displayHeight !== newDimensions.displayHeight) {
-            
-            prevDimensionsRef.current = newDimensions;
-            onDimensionsChange(newDimensions);
-          }
-        }
-      };
-
-      // Set initial dimensions
-      if (imageRef.current.complete) {
-        updateDimensions();
-      }
-
-      // Update dimensions when image loads
-      const imageElement = imageRef.current;
-      imageElement.addEventListener('load', updateDimensions);
-
-      // Create a resize observer to update dimensions when container resizes
-      const resizeObserver = new ResizeObserver(() => {
-        if (imageRef.current) {
-          updateDimensions();
-        }
-      });
-
-      if (imageRef.current) {
-        resizeObserver.observe(imageRef.current);
-      }
-
-      // Cleanup function
-      return () => {
-        if (imageElement) {
-          imageElement.removeEventListener('load', updateDimensions);
-        }
-        resizeObserver.disconnect();
-      };
+  const updateDimensions = () => {
+    if (!onDimensionsChange || !imageRef.current || !viewportRef.current) return;
+    
+    const newDimensions = {
+      width: imageRef.current.naturalWidth,
+      height: imageRef.current.naturalHeight,
+      displayWidth: viewportRef.current.width,
+      displayHeight: viewportRef.current.height
+    };
+    
+    // Hanya panggil onDimensionsChange jika dimensi benar-benar berubah
+    const prevDimensions = prevDimensionsRef.current;
+    if (!prevDimensions ||
+        prevDimensions.width !== newDimensions.width ||
+        prevDimensions.height !== newDimensions.height ||
+        prevDimensions.displayWidth !== newDimensions.displayWidth ||
+        prevDimensions.displayHeight !== newDimensions.displayHeight) {
+      
+      prevDimensionsRef.current = newDimensions;
+      onDimensionsChange(newDimensions);
     }
-  }, [previewUrl]); // Hanya jalankan ulang effect ketika previewUrl berubah
+  };
 
   if (!previewUrl) {
     return (
@@ -82,14 +59,23 @@ const ImagePreview = ({
   }
 
   return (
-    <div className={`relative overflow-hidden ${className}`}>
-      <img
-        ref={imageRef}
-        src={previewUrl}
-        alt="Preview"
-        className="w-full h-auto object-contain rounded-md"
-      />
-    </div>
+    <ImageViewer
+      src={previewUrl}
+      alt="Preview"
+      imageShape={imageShape}
+      focusRect={focusRect}
+      renderOverlay={renderOverlay}
+      drawingTools={drawingTools}
+      onImageLoad={(image) => {
+        imageRef.current = image;
+        updateDimensions();
+      }}
+      onViewportResize={(size) => {
+        viewportRef.current = size;
+        updateDimensions();
+      }}
+      className={className}
+    />
   );
 };
 
@@ -1,13 +1,32 @@
-import React from 'react';
+import React, { useEffect, useRef } from 'react';
 
 /**
  * Component to display OCR detection results
  * @param {Object} props - Component props
  * @param {Object} props.results - OCR results data
+ * @param {number} props.hoveredIndex - Index of the text block hovered on the image overlay
+ * @param {number} props.selectedIndex - Index of the selected text block, scrolled into view
+ * @param {Function} props.onItemHover - Called with the index of the hovered text block, or null
+ * @param {Function} props.onItemSelect - Called with the index of the clicked text block
  * @param {string} props.className - Additional CSS classes
  * @returns {JSX.Element} - Rendered component
  */
-const OCRResults = ({ results, className = '' }) => {
+const OCRResults = ({
+  results,
+  hoveredIndex = null,
+  selectedIndex = null,
+  onItemHover,
+  onItemSelect,
+  className = ''
+}) => {
+  const itemRefs = useRef([]);
+
+  useEffect(() => {
+    if (selectedIndex !== null) {
+      itemRefs.current[selectedIndex]?.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+    }
+  }, [selectedIndex]);
+
   if (!results || !results.results || results.results.length === 0) {
     return (
       <div className={`p-4 bg-gray-50 rounded-md ${className}`}>
@@ -21,7 +40,17 @@ const OCRResults = ({ results, className = '' }) => {
       <div className="bg-white shadow overflow-hidden sm:rounded-md">
         <ul className="divide-y divide-gray-200">
           {results.results.map((result, index) => (
-            <li key={index} className="px-4 py-4 sm:px-6">
+            <li
+              key={index}
+              ref={(element) => { itemRefs.current[index] = element; }}
+              onMouseEnter={() => onItemHover?.(index)}
+              onMouseLeave={() => onItemHover?.(null)}
+              onClick={() => onItemSelect?.(index)}
+              className={`px-4 py-4 sm:px-6 transition-colors ${onItemSelect ? 'cursor-pointer' : ''} ${
+                index === selectedIndex ? 'bg-yellow-50 ring-2 ring-inset ring-yellow-400' :
+                index === hoveredIndex ? 'bg-blue-50' : ''
+              }`}
+            >
               <div className="flex items-start justify-between">
                 <div className="flex-1 mr-2">
                   <p className="text-sm font-medium text-indigo-600 break-words whitespace-pre-wrap">
@@ -50,6 +79,11 @@ const OCRResults = ({ results, className = '' }) => {
                         <span className="font-medium">Font:</span> {result.font}
                       </div>
                     )}
+                    {typeof result.text_height_cm === 'number' && (
+                      <div className="bg-white px-2 py-1 rounded text-sm text-gray-600 shadow-sm" title="Height of one line of the block">
+                        <span className="font-medium">Text height:</span> {result.text_height_cm.toFixed(2)} cm
+                      </div>
+                    )}
                   </div>
                 </div>
                 <div className="bg-gray-50 p-2 rounded-md">
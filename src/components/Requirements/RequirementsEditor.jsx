@@ -0,0 +1,302 @@
+import React, { useState } from 'react';
+import {
+  createTextRequirement,
+  createSymbolRequirement,
+  listRequirementSets,
+  getRequirementSet,
+  getRequirementSetVersion,
+  saveRequirementSet,
+  deleteRequirementSet,
+  downloadRequirementSet
+} from '../../services/requirementSetService';
+
+const EMPTY_DRAFT = { name: '', text: [], symbol: [] };
+
+// Column definitions of the two requirement tables
+const TEXT_FIELDS = [
+  { key: 'name', label: 'Name', placeholder: 'e.g. Small parts warning' },
+  { key: 'statement', label: 'Statement', placeholder: 'e.g. WARNING: CHOKING HAZARD' },
+  { key: 'minTextHeightMm', label: 'Min text height (mm)', type: 'number' },
+  { key: 'country', label: 'Country', placeholder: 'e.g. MALAYSIA' }
+];
+
+const SYMBOL_FIELDS = [
+  { key: 'label', label: 'Label', placeholder: 'e.g. ce_mark' },
+  { key: 'minWidthCm', label: 'Min width (cm)', type: 'number' },
+  { key: 'minHeightCm', label: 'Min height (cm)', type: 'number' }
+];
+
+/**
+ * Editable table of requirements
+ * @param {Object} props - Component props
+ * @param {string} props.title - Table title
+ * @param {Array<Object>} props.fields - Column definitions
+ * @param {Array<Object>} props.rows - Requirements
+ * @param {Function} props.onChange - Called with the updated requirements
+ * @param {Function} props.createRow - Creates an empty requirement
+ * @returns {JSX.Element} - Rendered component
+ */
+const RequirementTable = ({ title, fields, rows, onChange, createRow }) => {
+  const updateRow = (index, key, value) => {
+    onChange(rows.map((row, rowIndex) => rowIndex === index ? { ...row, [key]: value } : row));
+  };
+
+  return (
+    <div>
+      <div className="flex items-center justify-between mb-2">
+        <h3 className="text-sm font-medium text-gray-700">{title} ({rows.length})</h3>
+        <button
+          type="button"
+          onClick={() => onChange([...rows, createRow()])}
+          className="text-xs font-medium text-blue-600 hover:text-blue-800"
+        >
+          + Add
+        </button>
+      </div>
+      {rows.length === 0 ? (
+        <p className="text-xs text-gray-500 italic">No requirements yet.</p>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="min-w-full text-xs">
+            <thead>
+              <tr className="text-left text-gray-600">
+                {fields.map(field => (
+                  <th key={field.key} className="px-1 py-1 font-medium">{field.label}</th>
+                ))}
+                <th className="px-1 py-1"><span className="sr-only">Actions</span></th>
+              </tr>
+            </thead>
+            <tbody>
+              {rows.map((row, index) => (
+                <tr key={index}>
+                  {fields.map(field => (
+                    <td key={field.key} className="px-1 py-1">
+                      <input
+                        type={field.type || 'text'}
+                        min={field.type === 'number' ? '0' : undefined}
+                        step={field.type === 'number' ? 'any' : undefined}
+                        value={row[field.key]}
+                        placeholder={field.placeholder}
+                        onChange={(e) => updateRow(index, field.key, e.target.value)}
+                        className="w-full px-2 py-1 border border-gray-300 rounded-md focus:outline-none focus:ring-1 focus:ring-blue-500"
+                        aria-label={`${field.label} of requirement ${index + 1}`}
+                      />
+                    </td>
+                  ))}
+                  <td className="px-1 py-1 text-right">
+                    <button
+                      type="button"
+                      onClick={() => onChange(rows.filter((_, rowIndex) => rowIndex !== index))}
+                      className="text-red-600 hover:text-red-800"
+                    >
+                      Delete
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+/**
+ * Editor for versioned requirement sets stored in the browser
+ * @param {Object} props - Component props
+ * @param {Function} props.onUseSet - Called with (set, version) to validate against a saved version
+ * @param {Object} props.activeSet - { id, version } of the set currently used for validation
+ * @returns {JSX.Element} - Rendered component
+ */
+const RequirementsEditor = ({ onUseSet, activeSet = null }) => {
+  const [sets, setSets] = useState(() => listRequirementSets());
+  const [selectedSetId, setSelectedSetId] = useState(null);
+  const [selectedVersion, setSelectedVersion] = useState(null);
+  const [draft, setDraft] = useState(EMPTY_DRAFT);
+  const [isDirty, setIsDirty] = useState(false);
+  const [errors, setErrors] = useState([]);
+
+  const selectedSet = sets.find(set => set.id === selectedSetId) || null;
+  const version = getRequirementSetVersion(selectedSet, selectedVersion);
+
+  const loadVersion = (set, versionNumber = null) => {
+    const setVersion = getRequirementSetVersion(set, versionNumber);
+    setSelectedSetId(set?.id || null);
+    setSelectedVersion(setVersion?.version ?? null);
+    setDraft(set && setVersion ? { name: set.name, ...setVersion.requirements } : EMPTY_DRAFT);
+    setIsDirty(false);
+    setErrors([]);
+  };
+
+  const confirmDiscard = () => !isDirty || window.confirm('Discard unsaved changes?');
+
+  const updateDraft = (patch) => {
+    setDraft(prev => ({ ...prev, ...patch }));
+    setIsDirty(true);
+  };
+
+  const handleSelectSet = (id) => {
+    if (!confirmDiscard()) return;
+    loadVersion(id ? getRequirementSet(id) : null);
+  };
+
+  const handleSelectVersion = (versionNumber) => {
+    if (!confirmDiscard()) return;
+    loadVersion(selectedSet, versionNumber);
+  };
+
+  const handleSave = () => {
+    try {
+      const saved = saveRequirementSet({
+        id: selectedSetId,
+        name: draft.name,
+        requirements: { text: draft.text, symbol: draft.symbol }
+      });
+      setSets(listRequirementSets());
+      loadVersion(saved);
+    } catch (error) {
+      setErrors(error.message.split('\n'));
+    }
+  };
+
+  const handleDelete = () => {
+    if (!selectedSet || !window.confirm(`Delete "${selectedSet.name}" and all its versions?`)) return;
+    deleteRequirementSet(selectedSet.id);
+    setSets(listRequirementSets());
+    loadVersion(null);
+  };
+
+  const handleExport = (format) => {
+    setErrors([]);
+    try {
+      downloadRequirementSet(selectedSet, version, format);
+    } catch (error) {
+      console.error('Error exporting requirement set:', error);
+      setErrors(['Could not export the requirement set. Please try again.']);
+    }
+  };
+
+  const isActive = activeSet && selectedSet && activeSet.id === selectedSet.id && activeSet.version === version?.version;
+
+  return (
+    <div className="space-y-4">
+      <div className="flex flex-wrap items-end gap-3">
+        <div>
+          <label htmlFor="requirement-set-select" className="block text-xs font-medium text-gray-600 mb-1">Saved sets</label>
+          <select
+            id="requirement-set-select"
+            value={selectedSetId || ''}
+            onChange={(e) => handleSelectSet(e.target.value)}
+            className="px-2 py-1.5 text-sm border border-gray-300 rounded-md bg-white"
+          >
+            <option value="">New requirement set</option>
+            {sets.map(set => (
+              <option key={set.id} value={set.id}>{set.name}</option>
+            ))}
+          </select>
+        </div>
+        {selectedSet && (
+          <div>
+            <label htmlFor="requirement-version-select" className="block text-xs font-medium text-gray-600 mb-1">Version</label>
+            <select
+              id="requirement-version-select"
+              value={version?.version ?? ''}
+              onChange={(e) => handleSelectVersion(Number(e.target.value))}
+              className="px-2 py-1.5 text-sm border border-gray-300 rounded-md bg-white"
+            >
+              {[...selectedSet.versions].reverse().map(item => (
+                <option key={item.version} value={item.version}>
+                  v{item.version} – {new Date(item.savedAt).toLocaleString()}
+                </option>
+              ))}
+            </select>
+          </div>
+        )}
+        <div className="flex-1 min-w-[180px]">
+          <label htmlFor="requirement-set-name" className="block text-xs font-medium text-gray-600 mb-1">Set name</label>
+          <input
+            id="requirement-set-name"
+            type="text"
+            value={draft.name}
+            onChange={(e) => updateDraft({ name: e.target.value })}
+            placeholder="e.g. EU toy packaging"
+            className="w-full px-2 py-1.5 text-sm border border-gray-300 rounded-md focus:outline-none focus:ring-1 focus:ring-blue-500"
+          />
+        </div>
+      </div>
+
+      <RequirementTable
+        title="Text requirements"
+        fields={TEXT_FIELDS}
+        rows={draft.text}
+        onChange={(text) => updateDraft({ text })}
+        createRow={createTextRequirement}
+      />
+      <RequirementTable
+        title="Symbol requirements"
+        fields={SYMBOL_FIELDS}
+        rows={draft.symbol}
+        onChange={(symbol) => updateDraft({ symbol })}
+        createRow={createSymbolRequirement}
+      />
+
+      {errors.length > 0 && (
+        <div className="rounded-lg bg-red-50 p-3 border-l-4 border-red-500">
+          <ul className="text-xs text-red-700 list-disc list-inside">
+            {errors.map((error, index) => <li key={index}>{error}</li>)}
+          </ul>
+        </div>
+      )}
+
+      <div className="flex flex-wrap items-center gap-2">
+        <button
+          type="button"
+          onClick={handleSave}
+          disabled={!isDirty}
+          className="inline-flex items-center px-3 py-1.5 text-xs font-medium rounded-md text-white bg-blue-600 hover:bg-blue-700 disabled:bg-gray-300 disabled:cursor-not-allowed"
+        >
+          {selectedSet ? 'Save as new version' : 'Save set'}
+        </button>
+        <button
+          type="button"
+          onClick={() => onUseSet(selectedSet, version)}
+          disabled={!selectedSet || isDirty}
+          className="inline-flex items-center px-3 py-1.5 text-xs font-medium rounded-md text-white bg-purple-600 hover:bg-purple-700 disabled:bg-gray-300 disabled:cursor-not-allowed"
+        >
+          {isActive ? 'Used for validation' : 'Use for validation'}
+        </button>
+        <button
+          type="button"
+          onClick={() => handleExport('xlsx')}
+          disabled={!selectedSet || isDirty}
+          className="inline-flex items-center px-3 py-1.5 text-xs font-medium rounded-md text-white bg-green-600 hover:bg-green-700 disabled:bg-gray-300 disabled:cursor-not-allowed"
+        >
+          Export Excel
+        </button>
+        <button
+          type="button"
+          onClick={() => handleExport('csv')}
+          disabled={!selectedSet || isDirty}
+          className="inline-flex items-center px-3 py-1.5 text-xs font-medium rounded-md text-gray-700 bg-white border border-gray-300 hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          Export CSV
+        </button>
+        {selectedSet && (
+          <button
+            type="button"
+            onClick={handleDelete}
+            className="ml-auto text-xs font-medium text-red-600 hover:text-red-800"
+          >
+            Delete set
+          </button>
+        )}
+      </div>
+      {isDirty && selectedSet && (
+        <p className="text-xs text-yellow-700">Unsaved changes. Save a new version before exporting or using this set for validation.</p>
+      )}
+    </div>
+  );
+};
+
+export default RequirementsEditor;
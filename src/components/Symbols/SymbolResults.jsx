@@ -1,13 +1,32 @@
-import React from 'react';
+import React, { useEffect, useRef } from 'react';
 
 /**
  * Component to display symbol detection results
  * @param {Object} props - Component props
  * @param {Array} props.symbols - Symbol detection results
+ * @param {number} props.hoveredIndex - Index of the symbol hovered on the image overlay
+ * @param {number} props.selectedIndex - Index of the selected symbol, scrolled into view
+ * @param {Function} props.onItemHover - Called with the index of the hovered symbol, or null
+ * @param {Function} props.onItemSelect - Called with the index of the clicked symbol
  * @param {string} props.className - Additional CSS classes
  * @returns {JSX.Element} - Rendered component
  */
-const SymbolResults = ({ symbols, className = '' }) => {
+const SymbolResults = ({
+  symbols,
+  hoveredIndex = null,
+  selectedIndex = null,
+  onItemHover,
+  onItemSelect,
+  className = ''
+}) => {
+  const itemRefs = useRef([]);
+
+  useEffect(() => {
+    if (selectedIndex !== null) {
+      itemRefs.current[selectedIndex]?.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+    }
+  }, [selectedIndex]);
+
   if (!symbols || symbols.length === 0) {
     return (
       <div className={`p-4 bg-gray-50 rounded-md ${className}`}>
@@ -21,7 +40,17 @@ const SymbolResults = ({ symbols, className = '' }) => {
       <div className="bg-white shadow overflow-hidden sm:rounded-md">
         <ul className="divide-y divide-gray-200">
           {symbols.map((symbol, index) => (
-            <li key={index} className="px-4 py-4 sm:px-6">
+            <li
+              key={index}
+              ref={(element) => { itemRefs.current[index] = element; }}
+              onMouseEnter={() => onItemHover?.(index)}
+              onMouseLeave={() => onItemHover?.(null)}
+              onClick={() => onItemSelect?.(index)}
+              className={`px-4 py-4 sm:px-6 transition-colors ${onItemSelect ? 'cursor-pointer' : ''} ${
+                index === selectedIndex ? 'bg-yellow-50 ring-2 ring-inset ring-yellow-400' :
+                index === hoveredIndex ? 'bg-orange-50' : ''
+              }`}
+            >
               <div className="flex items-center justify-between">
                 <p className="text-sm font-medium text-indigo-600 truncate">
                   {symbol.label || symbol.class || `Symbol ${index + 1}`}
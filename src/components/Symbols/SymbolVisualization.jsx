@@ -1,4 +1,5 @@
 import React, { useEffect, useRef } from 'react';
+import { getBoxColor, getBoxRect, drawBox, drawBoxLabel } from '../../utils/canvasUtils';
 
 /**
  * Component to display image with bounding boxes for detected symbols
@@ -40,48 +41,19 @@ const SymbolVisualization = ({ imageUrl, symbols, className = '' }) => {
 
     // Draw bounding boxes for each symbol
     symbols.forEach((symbol, index) => {
-      const { xmin, ymin, width, height } = symbol;
-      
-      // Generate a unique color for each symbol
-      const hue = (index * 137) % 360; // Golden angle approximation for good color distribution
-      const boxColor = `hsl(${hue}, 100%, 50%)`;
-      
-      // Draw the bounding box
-      ctx.lineWidth = 2;
-      ctx.strokeStyle = boxColor;
-      ctx.fillStyle = `${boxColor}33`; // 20% opacity
-      ctx.strokeRect(xmin, ymin, width, height);
-      ctx.fillRect(xmin, ymin, width, height);
-      
+      const rect = getBoxRect(symbol);
+      if (!rect) return;
+
+      drawBox(ctx, rect, { strokeColor: getBoxColor(index), fillColor: getBoxColor(index, 0.2) });
+
       // Draw label with confidence and size
       const label = symbol.label || symbol.class || `Symbol ${index + 1}`;
       const confidence = symbol.confidence ? `${(symbol.confidence * 100).toFixed(1)}%` : 'N/A';
-      const size = `${Math.round(width)}×${Math.round(height)}`;
-      
-      // Background for text
-      ctx.fillStyle = boxColor;
-      const textPadding = 4;
-      const fontSize = 12;
-      ctx.font = `${fontSize}px Arial`;
-      
-      const labelWidth = ctx.measureText(label).width;
-      const confidenceWidth = ctx.measureText(`Conf: ${confidence}`).width;
-      const sizeWidth = ctx.measureText(`Size: ${size}`).width;
-      const maxWidth = Math.max(labelWidth, confidenceWidth, sizeWidth) + (textPadding * 2);
-      
-      // Position the label above the bounding box if possible, otherwise inside at the top
-      const textX = xmin;
-      const textY = ymin > fontSize * 3 + 10 ? ymin - 10 : ymin + fontSize;
-      
-      // Draw background for label
-      ctx.fillStyle = `${boxColor}dd`; // 87% opacity
-      ctx.fillRect(textX, textY - fontSize, maxWidth, fontSize * 3 + textPadding * 2);
-      
-      // Draw text
-      ctx.fillStyle = '#ffffff';
-      ctx.fillText(label, textX + textPadding, textY);
-      ctx.fillText(`Conf: ${confidence}`, textX + textPadding, textY + fontSize + 2);
-      ctx.fillText(`Size: ${size}`, textX + textPadding, textY + (fontSize + 2) * 2);
+      const size = `${Math.round(rect.width)}×${Math.round(rect.height)}`;
+
+      drawBoxLabel(ctx, rect, [label, `Conf: ${confidence}`, `Size: ${size}`], {
+        backgroundColor: getBoxColor(index, 0.87)
+      });
     });
   };
 
@@ -95,8 +67,8 @@ const SymbolVisualization = ({ imageUrl, symbols, className = '' }) => {
 
   return (
     <div className={`relative ${className}`}>
-      <canvas 
-        ref={canvasRef} 
+      <canvas
+        ref={canvasRef}
         className="max-w-full h-auto rounded-md"
       />
     </div>
@@ -0,0 +1,127 @@
+import React, { useEffect, useState } from 'react';
+import useBackendHealth from '../../hooks/useBackendHealth';
+import { BACKENDS } from '../../config/apiConfig';
+import {
+  BACKEND_LABELS,
+  HEALTH_STATES,
+  HEALTH_POLL_INTERVAL_MS,
+  checkAllBackends,
+  startHealthPolling
+} from '../../services/backendHealthService';
+
+const STATE_DOTS = {
+  [HEALTH_STATES.UNKNOWN]: 'bg-gray-300',
+  [HEALTH_STATES.UP]: 'bg-green-500',
+  [HEALTH_STATES.DOWN]: 'bg-red-500',
+  [HEALTH_STATES.UNCONFIGURED]: 'bg-yellow-400'
+};
+
+const STATE_LABELS = {
+  [HEALTH_STATES.UNKNOWN]: 'Checking...',
+  [HEALTH_STATES.UP]: 'Online',
+  [HEALTH_STATES.DOWN]: 'Unreachable',
+  [HEALTH_STATES.UNCONFIGURED]: 'No URL set'
+};
+
+const SHORT_LABELS = {
+  [BACKENDS.TEXT]: 'Text',
+  [BACKENDS.SYMBOL]: 'Symbol'
+};
+
+/**
+ * Format a timestamp for the details panel
+ * @param {number|null} timestamp - Time in milliseconds
+ * @returns {string} - Local time, or "never"
+ */
+const formatTime = (timestamp) => (timestamp ? new Date(timestamp).toLocaleTimeString() : 'never');
+
+/**
+ * Header indicator polling the status endpoint of both backends
+ * Shows one dot per backend; clicking opens latency, last-seen time and version details
+ * @returns {JSX.Element} - Rendered component
+ */
+const BackendHealthIndicator = () => {
+  const health = useBackendHealth();
+  const [isOpen, setIsOpen] = useState(false);
+  const [isChecking, setIsChecking] = useState(false);
+
+  useEffect(() => startHealthPolling(), []);
+
+  const handleCheckNow = async () => {
+    setIsChecking(true);
+    await checkAllBackends();
+    setIsChecking(false);
+  };
+
+  return (
+    <div className="relative">
+      <button
+        type="button"
+        onClick={() => setIsOpen(open => !open)}
+        className="flex items-center gap-3 px-3 py-1.5 text-xs font-medium rounded-md border border-gray-300 text-gray-700 bg-white hover:bg-gray-50"
+        aria-expanded={isOpen}
+      >
+        {Object.values(BACKENDS).map(backend => (
+          <span key={backend} className="flex items-center gap-1.5" title={`${BACKEND_LABELS[backend]}: ${STATE_LABELS[health[backend].state]}`}>
+            <span className={`w-2.5 h-2.5 rounded-full ${STATE_DOTS[health[backend].state]}`} />
+            {SHORT_LABELS[backend]}
+            {health[backend].state === HEALTH_STATES.UP && (
+              <span className="text-gray-400">{health[backend].latencyMs}ms</span>
+            )}
+          </span>
+        ))}
+      </button>
+
+      {isOpen && (
+        <div className="absolute right-0 mt-2 w-80 z-20 bg-white shadow-lg rounded-xl p-4 border border-gray-100 text-left">
+          <div className="flex items-center justify-between mb-3">
+            <h3 className="text-sm font-semibold text-gray-800">Backend status</h3>
+            <button
+              type="button"
+              onClick={handleCheckNow}
+              disabled={isChecking}
+              className="px-3 py-1.5 text-xs font-medium rounded-md text-white bg-blue-600 hover:bg-blue-700 disabled:bg-gray-300"
+            >
+              {isChecking ? 'Checking...' : 'Check now'}
+            </button>
+          </div>
+
+          <ul className="space-y-3">
+            {Object.values(BACKENDS).map(backend => {
+              const { state, latencyMs, lastSeenAt, lastCheckedAt, version, message, error } = health[backend];
+              return (
+                <li key={backend} className="text-xs">
+                  <div className="flex items-center justify-between">
+                    <span className="font-medium text-gray-700">{BACKEND_LABELS[backend]}</span>
+                    <span className="flex items-center gap-1.5 text-gray-600">
+                      <span className={`w-2 h-2 rounded-full ${STATE_DOTS[state]}`} />
+                      {STATE_LABELS[state]}
+                    </span>
+                  </div>
+                  <dl className="mt-1 grid grid-cols-2 gap-x-2 gap-y-0.5 text-gray-500">
+                    <dt>Latency</dt>
+                    <dd className="text-right">{latencyMs === null ? '—' : `${latencyMs}ms`}</dd>
+                    <dt>Last seen</dt>
+                    <dd className="text-right">{formatTime(lastSeenAt)}</dd>
+                    <dt>Last checked</dt>
+                    <dd className="text-right">{formatTime(lastCheckedAt)}</dd>
+                    <dt>Version</dt>
+                    <dd className="text-right">{version || 'not reported'}</dd>
+                  </dl>
+                  {message && <p className="mt-1 text-gray-500">{message}</p>}
+                  {error && <p className="mt-1 text-red-700">{error}</p>}
+                </li>
+              );
+            })}
+          </ul>
+
+          <p className="mt-3 text-xs text-gray-400">
+            Checked every {HEALTH_POLL_INTERVAL_MS / 1000}s through each backend's /status endpoint.
+          </p>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default BackendHealthIndicator;
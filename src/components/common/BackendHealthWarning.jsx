@@ -0,0 +1,29 @@
+import React from 'react';
+import useBackendHealth from '../../hooks/useBackendHealth';
+import { getUnreachableBackends } from '../../services/backendHealthService';
+
+/**
+ * Warning shown next to an action whose backends failed their last status check
+ * @param {Object} props - Component props
+ * @param {Array<string>} props.endpointKeys - Endpoint keys from API_ROUTES the action calls
+ * @param {string} props.className - Additional CSS classes
+ * @returns {JSX.Element|null} - Rendered component, or null while all backends are reachable
+ */
+const BackendHealthWarning = ({ endpointKeys, className = '' }) => {
+  const health = useBackendHealth();
+  const unreachable = getUnreachableBackends(endpointKeys, health);
+  if (unreachable.length === 0) return null;
+
+  return (
+    <div className={`rounded-lg bg-yellow-50 p-3 border-l-4 border-yellow-400 text-sm text-yellow-800 ${className}`}>
+      {unreachable.map(({ backend, label, error }) => (
+        <p key={backend}>
+          <span className="font-medium">{label} is unreachable.</span>
+          {error && <span className="block text-xs text-yellow-700">{error}</span>}
+        </p>
+      ))}
+    </div>
+  );
+};
+
+export default BackendHealthWarning;
@@ -0,0 +1,196 @@
+import React, { useState } from 'react';
+import useBackendProfiles from '../../hooks/useBackendProfiles';
+import {
+  deleteBackendProfile,
+  isBackendProfileConfigured,
+  isDevServerRouterAvailable,
+  saveBackendProfile,
+  setActiveBackendProfile
+} from '../../services/backendProfileService';
+
+const EMPTY_DRAFT = { id: null, name: '', textApiUrl: '', symbolApiUrl: '', routeThroughDevServer: false };
+
+/**
+ * Panel for creating, editing and deleting backend profiles
+ * @param {Object} props - Component props
+ * @param {Function} props.onClose - Called when the panel is closed
+ * @returns {JSX.Element} - Rendered component
+ */
+const BackendProfileManager = ({ onClose }) => {
+  const { profiles, activeProfile } = useBackendProfiles();
+  const [draft, setDraft] = useState(activeProfile);
+  const [error, setError] = useState(null);
+  const [message, setMessage] = useState(null);
+
+  const selectDraft = (profile) => {
+    setDraft(profile);
+    setError(null);
+    setMessage(null);
+  };
+
+  const handleSave = (e) => {
+    e.preventDefault();
+    try {
+      const saved = saveBackendProfile(draft);
+      setDraft(saved);
+      setError(null);
+      setMessage(`Saved "${saved.name}"`);
+    } catch (saveError) {
+      setError(saveError.message);
+      setMessage(null);
+    }
+  };
+
+  const handleDelete = () => {
+    if (!draft.id || !window.confirm(`Delete the "${draft.name}" profile?`)) return;
+    try {
+      deleteBackendProfile(draft.id);
+      selectDraft(EMPTY_DRAFT);
+    } catch (deleteError) {
+      setError(deleteError.message);
+    }
+  };
+
+  const updateDraft = (key, value) => setDraft(prev => ({ ...prev, [key]: value }));
+
+  return (
+    <div className="bg-white shadow-lg rounded-xl p-6 border border-gray-100 mb-6">
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-xl font-semibold text-gray-800">Backend Profiles</h2>
+        <button
+          type="button"
+          onClick={onClose}
+          className="px-3 py-1.5 text-xs font-medium rounded-md border border-gray-300 text-gray-700 bg-white hover:bg-gray-50"
+        >
+          Close
+        </button>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
+        <div>
+          <ul className="space-y-1">
+            {profiles.map(profile => (
+              <li key={profile.id}>
+                <button
+                  type="button"
+                  onClick={() => selectDraft(profile)}
+                  className={`w-full flex items-center justify-between px-3 py-2 text-sm rounded-md text-left ${
+                    draft.id === profile.id ? 'bg-blue-50 text-blue-800' : 'text-gray-700 hover:bg-gray-50'
+                  }`}
+                >
+                  <span className="truncate">{profile.name}</span>
+                  <span className="flex items-center gap-2 shrink-0">
+                    {!isBackendProfileConfigured(profile) && (
+                      <span className="text-xs text-yellow-700">incomplete</span>
+                    )}
+                    {profile.id === activeProfile.id && (
+                      <span className="px-1.5 py-0.5 text-xs font-medium rounded bg-green-100 text-green-800">active</span>
+                    )}
+                  </span>
+                </button>
+              </li>
+            ))}
+          </ul>
+          <button
+            type="button"
+            onClick={() => selectDraft(EMPTY_DRAFT)}
+            className="mt-2 text-xs font-medium text-blue-600 hover:text-blue-800"
+          >
+            + New profile
+          </button>
+        </div>
+
+        <form onSubmit={handleSave} className="md:col-span-2 space-y-3">
+          <div>
+            <label htmlFor="profile-name" className="block text-xs font-medium text-gray-600 mb-1">Name</label>
+            <input
+              id="profile-name"
+              type="text"
+              value={draft.name}
+              onChange={(e) => updateDraft('name', e.target.value)}
+              placeholder="e.g. Staging (Colab)"
+              className="w-full px-2 py-1.5 text-sm border border-gray-300 rounded-md text-black"
+            />
+          </div>
+          <div>
+            <label htmlFor="profile-text-url" className="block text-xs font-medium text-gray-600 mb-1">Text API URL</label>
+            <input
+              id="profile-text-url"
+              type="text"
+              value={draft.textApiUrl}
+              onChange={(e) => updateDraft('textApiUrl', e.target.value)}
+              placeholder="e.g. https://a1b2-104-196-119-93.ngrok-free.app"
+              className="w-full px-2 py-1.5 text-sm border border-gray-300 rounded-md text-black"
+            />
+          </div>
+          <div>
+            <label htmlFor="profile-symbol-url" className="block text-xs font-medium text-gray-600 mb-1">Symbol API URL</label>
+            <input
+              id="profile-symbol-url"
+              type="text"
+              value={draft.symbolApiUrl}
+              onChange={(e) => updateDraft('symbolApiUrl', e.target.value)}
+              placeholder="e.g. https://c3d4-35-243-181-247.ngrok-free.app"
+              className="w-full px-2 py-1.5 text-sm border border-gray-300 rounded-md text-black"
+            />
+            <p className="mt-1 text-xs text-gray-500">
+              Use a full URL, or a path such as /api/text to go through the dev server proxy.
+            </p>
+          </div>
+          <div>
+            <label className="inline-flex items-center gap-2 text-sm text-gray-700">
+              <input
+                type="checkbox"
+                checked={Boolean(draft.routeThroughDevServer)}
+                onChange={(e) => updateDraft('routeThroughDevServer', e.target.checked)}
+                className="rounded border-gray-300"
+              />
+              Route through dev server
+            </label>
+            <p className="mt-1 text-xs text-gray-500">
+              {isDevServerRouterAvailable
+                ? 'Requests go to /api/text and /api/symbol and the dev server forwards them to the URLs above, avoiding CORS.'
+                : 'Only takes effect under npm run dev with VITE_BACKEND_ROUTER=true; otherwise requests go straight to the URLs above.'}
+            </p>
+          </div>
+
+          {error && (
+            <div className="rounded-lg bg-red-50 p-3 border-l-4 border-red-500 text-sm text-red-700 whitespace-pre-line">
+              {error}
+            </div>
+          )}
+          {message && <p className="text-sm text-green-700">{message}</p>}
+
+          <div className="flex flex-wrap gap-2">
+            <button
+              type="submit"
+              className="px-3 py-1.5 text-xs font-medium rounded-md text-white bg-blue-600 hover:bg-blue-700"
+            >
+              Save
+            </button>
+            {draft.id && draft.id !== activeProfile.id && (
+              <button
+                type="button"
+                onClick={() => setActiveBackendProfile(draft.id)}
+                className="px-3 py-1.5 text-xs font-medium rounded-md border border-gray-300 text-gray-700 bg-white hover:bg-gray-50"
+              >
+                Make active
+              </button>
+            )}
+            {draft.id && (
+              <button
+                type="button"
+                onClick={handleDelete}
+                className="px-3 py-1.5 text-xs font-medium rounded-md border border-red-300 text-red-700 bg-white hover:bg-red-50"
+              >
+                Delete
+              </button>
+            )}
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default BackendProfileManager;
@@ -0,0 +1,43 @@
+import React from 'react';
+import useBackendProfiles from '../../hooks/useBackendProfiles';
+import { isBackendProfileConfigured, setActiveBackendProfile } from '../../services/backendProfileService';
+
+/**
+ * Header control showing the active backend profile and switching between profiles
+ * @param {Object} props - Component props
+ * @param {Function} props.onManage - Called when the user wants to edit profiles
+ * @returns {JSX.Element} - Rendered component
+ */
+const BackendProfileSelector = ({ onManage }) => {
+  const { profiles, activeProfile } = useBackendProfiles();
+  const isConfigured = isBackendProfileConfigured(activeProfile);
+
+  return (
+    <div className="flex items-center gap-2">
+      <span
+        className={`w-2.5 h-2.5 rounded-full ${isConfigured ? 'bg-green-500' : 'bg-yellow-400'}`}
+        title={isConfigured ? 'Both backend URLs are set' : 'This profile is missing a backend URL'}
+      />
+      <label htmlFor="backend-profile" className="text-sm text-gray-600 hidden sm:inline">Backend</label>
+      <select
+        id="backend-profile"
+        value={activeProfile.id}
+        onChange={(e) => setActiveBackendProfile(e.target.value)}
+        className="px-2 py-1.5 text-sm border border-gray-300 rounded-md bg-white text-gray-800"
+      >
+        {profiles.map(profile => (
+          <option key={profile.id} value={profile.id}>{profile.name}</option>
+        ))}
+      </select>
+      <button
+        type="button"
+        onClick={onManage}
+        className="px-3 py-1.5 text-xs font-medium rounded-md border border-gray-300 text-gray-700 bg-white hover:bg-gray-50"
+      >
+        Manage
+      </button>
+    </div>
+  );
+};
+
+export default BackendProfileSelector;
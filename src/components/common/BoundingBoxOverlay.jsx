@@ -0,0 +1,151 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { drawBox, drawBoxLabel, findBoxAt, scaleRect } from '../../utils/canvasUtils';
+
+const HIGHLIGHT_COLOR = '#facc15';
+const ISSUE_COLOR = '#dc2626';
+// Largest canvas side in device pixels, to bound memory use at high zoom
+const MAX_CANVAS_SIDE = 8192;
+
+/**
+ * Flatten the visible layers into boxes carrying their layer colour
+ * @param {Array} layers - Overlay layers
+ * @returns {Array<Object>} - Visible boxes
+ */
+const getVisibleBoxes = (layers) => {
+  return layers
+    .filter(layer => layer.visible)
+    .flatMap(layer => layer.boxes.map(box => ({ ...box, color: layer.color })));
+};
+
+/**
+ * Canvas overlay drawing detection boxes on top of an image
+ * Boxes are given in image pixels; the canvas stretches over its positioned parent
+ * @param {Object} props - Component props
+ * @param {Array} props.layers - Layers { id, label, color, visible, boxes: [{ key, rect, label }] }
+ * @param {number} props.width - Natural width of the image in pixels
+ * @param {number} props.height - Natural height of the image in pixels
+ * @param {number} props.displayScale - Screen pixels per image pixel when the overlay is scaled by a CSS transform (e.g. in ImageViewer)
+ * @param {string} props.hoveredKey - Key of the hovered box
+ * @param {string} props.selectedKey - Key of the selected box
+ * @param {Array<string>} props.highlightedKeys - Keys of boxes referenced by a failed requirement, drawn even on hidden layers
+ * @param {Function} props.onHover - Called with the box under the pointer, or null
+ * @param {Function} props.onSelect - Called with the clicked box
+ * @param {string} props.className - Additional CSS classes
+ * @returns {JSX.Element} - Rendered component
+ */
+const BoundingBoxOverlay = ({
+  layers,
+  width,
+  height,
+  displayScale = null,
+  hoveredKey = null,
+  selectedKey = null,
+  highlightedKeys = [],
+  onHover,
+  onSelect,
+  className = ''
+}) => {
+  const canvasRef = useRef(null);
+  const [observedSize, setObservedSize] = useState({ width: 0, height: 0 });
+
+  // Match the canvas resolution to its displayed size so lines stay sharp
+  const canvasSize = displayScale ? { width: width * displayScale, height: height * displayScale } : observedSize;
+
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas || displayScale) return;
+
+    const resizeObserver = new ResizeObserver(() => {
+      setObservedSize({ width: canvas.clientWidth, height: canvas.clientHeight });
+    });
+    resizeObserver.observe(canvas);
+
+    return () => resizeObserver.disconnect();
+  }, [displayScale]);
+
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas || !width || !height || !canvasSize.width) return;
+
+    const pixelRatio = Math.min(
+      window.devicePixelRatio || 1,
+      MAX_CANVAS_SIDE / canvasSize.width,
+      MAX_CANVAS_SIDE / canvasSize.height
+    );
+    canvas.width = Math.round(canvasSize.width * pixelRatio);
+    canvas.height = Math.round(canvasSize.height * pixelRatio);
+
+    const ctx = canvas.getContext('2d');
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    const scale = canvas.width / width;
+
+    // Draw plain boxes first so hovered and selected boxes end up on top
+    const visibleBoxes = getVisibleBoxes(layers);
+    const emphasised = [hoveredKey, selectedKey];
+    visibleBoxes
+      .filter(box => !emphasised.includes(box.key))
+      .forEach(box => {
+        drawBox(ctx, scaleRect(box.rect, scale), { strokeColor: box.color, lineWidth: 1.5 * pixelRatio });
+      });
+
+    visibleBoxes
+      .filter(box => emphasised.includes(box.key))
+      .forEach(box => {
+        const rect = scaleRect(box.rect, scale);
+        const isSelected = box.key === selectedKey;
+        drawBox(ctx, rect, {
+          strokeColor: isSelected ? HIGHLIGHT_COLOR : box.color,
+          fillColor: isSelected ? 'rgba(250, 204, 21, 0.25)' : 'rgba(255, 255, 255, 0.25)',
+          lineWidth: 3 * pixelRatio
+        });
+        drawBoxLabel(ctx, rect, [box.label], {
+          backgroundColor: box.color,
+          fontSize: 12 * pixelRatio
+        });
+      });
+
+    layers
+      .flatMap(layer => layer.boxes)
+      .filter(box => highlightedKeys.includes(box.key))
+      .forEach(box => {
+        const rect = scaleRect(box.rect, scale);
+        drawBox(ctx, rect, { strokeColor: ISSUE_COLOR, fillColor: 'rgba(220, 38, 38, 0.2)', lineWidth: 3 * pixelRatio });
+        drawBoxLabel(ctx, rect, [box.label], { backgroundColor: ISSUE_COLOR, fontSize: 12 * pixelRatio });
+      });
+  }, [layers, width, height, hoveredKey, selectedKey, highlightedKeys, canvasSize.width, canvasSize.height]);
+
+  // Convert a pointer event to image pixel coordinates
+  const getBoxAtEvent = (event) => {
+    const bounds = canvasRef.current.getBoundingClientRect();
+    const x = (event.clientX - bounds.left) * (width / bounds.width);
+    const y = (event.clientY - bounds.top) * (height / bounds.height);
+    return findBoxAt(getVisibleBoxes(layers), x, y);
+  };
+
+  const handleMouseMove = (event) => {
+    const box = getBoxAtEvent(event);
+    canvasRef.current.style.cursor = box ? 'pointer' : 'default';
+    if ((box?.key ?? null) !== hoveredKey) {
+      onHover?.(box);
+    }
+  };
+
+  const handleClick = (event) => {
+    const box = getBoxAtEvent(event);
+    if (box) {
+      onSelect?.(box);
+    }
+  };
+
+  return (
+    <canvas
+      ref={canvasRef}
+      className={`absolute inset-0 w-full h-full ${className}`}
+      onMouseMove={handleMouseMove}
+      onMouseLeave={() => hoveredKey && onHover?.(null)}
+      onClick={handleClick}
+    />
+  );
+};
+
+export default BoundingBoxOverlay;
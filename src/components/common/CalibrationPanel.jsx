@@ -0,0 +1,141 @@
+import React, { useState } from 'react';
+import { CALIBRATION_METHODS, LENGTH_UNITS, createDpiCalibration, createLineCalibration } from '../../utils/measurementUtils';
+
+/**
+ * Describe where physical sizes come from when there is no calibration
+ * @param {number} imageDpi - Resolution of rasterised artwork, or null
+ * @param {Object} imageShape - Image shape reported by the symbol backend, or null
+ * @returns {string} - Description
+ */
+const describeUncalibratedSizes = (imageDpi, imageShape) => {
+  if (imageDpi > 0) return `Sizes in cm use the ${Math.round(imageDpi)} DPI the artwork was rasterised at.`;
+  if (imageShape?.width_cm > 0) return 'Sizes in cm use the image size estimated by the symbol backend, which is often wrong for scans.';
+  return 'Sizes in cm are unknown until symbol detection reports the image size.';
+};
+
+/**
+ * Calibration of physical sizes: a line drawn over a dimension of known length, or a typed resolution
+ * @param {Object} props - Component props
+ * @param {Object} props.calibration - Active calibration, see utils/measurementUtils, or null
+ * @param {Function} props.onChange - Called with the new calibration, or null to remove it
+ * @param {Object} props.referenceLine - Line { start, end } drawn with the Calibrate tool, in image pixels, or null
+ * @param {Function} props.onClearLine - Called to discard the drawn line
+ * @param {number} props.imageDpi - Resolution of rasterised artwork, if known
+ * @param {Object} props.imageShape - Image shape reported by the symbol backend
+ * @param {boolean} props.disabled - Disable the controls, e.g. while analysing
+ * @param {string} props.className - Additional CSS classes
+ * @returns {JSX.Element} - Rendered component
+ */
+const CalibrationPanel = ({
+  calibration,
+  onChange,
+  referenceLine = null,
+  onClearLine,
+  imageDpi = null,
+  imageShape = null,
+  disabled = false,
+  className = ''
+}) => {
+  const [length, setLength] = useState('');
+  const [unit, setUnit] = useState('cm');
+  const [dpi, setDpi] = useState('');
+
+  const lineLength = referenceLine
+    ? Math.hypot(referenceLine.end.x - referenceLine.start.x, referenceLine.end.y - referenceLine.start.y)
+    : 0;
+
+  const handleApplyLine = () => {
+    const next = createLineCalibration(referenceLine.start, referenceLine.end, Number(length) * LENGTH_UNITS[unit]);
+    if (!next) return;
+    onChange(next);
+    onClearLine();
+    setLength('');
+  };
+
+  const handleApplyDpi = () => {
+    const next = createDpiCalibration(Number(dpi));
+    if (!next) return;
+    onChange(next);
+    setDpi('');
+  };
+
+  const inputClass = 'border border-gray-300 rounded-md px-2 py-1 text-sm text-gray-800 bg-white';
+  const buttonClass = 'px-3 py-1.5 text-xs font-medium rounded-md text-white bg-blue-600 hover:bg-blue-700 disabled:bg-gray-300 disabled:cursor-not-allowed';
+
+  return (
+    <div className={`rounded-lg border border-gray-200 bg-white p-3 space-y-2 text-xs text-gray-600 ${className}`}>
+      <div className="flex items-center justify-between gap-2">
+        {calibration ? (
+          <p className="text-blue-800">
+            <span className="font-medium">Calibrated at {calibration.dpi.toFixed(1)} DPI</span>
+            {calibration.method === CALIBRATION_METHODS.LINE
+              ? ` from a ${calibration.line.length_cm.toFixed(2)} cm reference line`
+              : ' (typed resolution)'}
+            ; all sizes in cm are computed from it.
+          </p>
+        ) : (
+          <p>{describeUncalibratedSizes(imageDpi, imageShape)}</p>
+        )}
+        {calibration && (
+          <button
+            type="button"
+            onClick={() => onChange(null)}
+            disabled={disabled}
+            className="flex-shrink-0 font-medium text-blue-600 underline"
+          >
+            Remove
+          </button>
+        )}
+      </div>
+
+      {referenceLine ? (
+        <div className="flex flex-wrap items-center gap-1.5">
+          <span>Line of {lineLength.toFixed(0)} px drawn. Its real length:</span>
+          <input
+            type="number"
+            min="0"
+            step="any"
+            value={length}
+            onChange={(e) => setLength(e.target.value)}
+            disabled={disabled}
+            className={`w-20 ${inputClass}`}
+            aria-label="Real length of the line"
+          />
+          <select value={unit} onChange={(e) => setUnit(e.target.value)} disabled={disabled} className={inputClass}>
+            {Object.keys(LENGTH_UNITS).map(value => (
+              <option key={value} value={value}>{value}</option>
+            ))}
+          </select>
+          <button type="button" onClick={handleApplyLine} disabled={disabled || !(Number(length) > 0)} className={buttonClass}>
+            Calibrate
+          </button>
+          <button type="button" onClick={onClearLine} className="font-medium text-blue-600 underline">
+            Discard line
+          </button>
+        </div>
+      ) : (
+        <p>Choose <span className="font-medium">Calibrate</span> and draw a line over a dimension you know, such as a ruler or a dieline edge, or type the resolution of the image:</p>
+      )}
+
+      <div className="flex flex-wrap items-center gap-1.5">
+        <input
+          type="number"
+          min="0"
+          step="any"
+          value={dpi}
+          onChange={(e) => setDpi(e.target.value)}
+          disabled={disabled}
+          placeholder="e.g. 300"
+          className={`w-24 ${inputClass}`}
+          aria-label="Resolution in DPI"
+        />
+        <span>DPI</span>
+        <button type="button" onClick={handleApplyDpi} disabled={disabled || !(Number(dpi) > 0)} className={buttonClass}>
+          Apply
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default CalibrationPanel;
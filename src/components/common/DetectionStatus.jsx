@@ -0,0 +1,57 @@
+import React from 'react';
+import LoadingSpinner from './LoadingSpinner';
+import { DETECTIONS, DETECTION_STATES } from '../../services/detectionService';
+
+const DETECTION_LABELS = {
+  [DETECTIONS.TEXT]: 'Text detection',
+  [DETECTIONS.SYMBOLS]: 'Symbol detection'
+};
+
+const STATE_LABELS = {
+  [DETECTION_STATES.IDLE]: 'Waiting',
+  [DETECTION_STATES.RUNNING]: 'Running...',
+  [DETECTION_STATES.DONE]: 'Done',
+  [DETECTION_STATES.FAILED]: 'Failed'
+};
+
+const STATE_CLASSES = {
+  [DETECTION_STATES.IDLE]: 'text-gray-500',
+  [DETECTION_STATES.RUNNING]: 'text-blue-700',
+  [DETECTION_STATES.DONE]: 'text-green-700',
+  [DETECTION_STATES.FAILED]: 'text-red-700'
+};
+
+/**
+ * Progress and error state of the text and symbol detections running in parallel
+ * @param {Object} props - Component props
+ * @param {Object} props.status - Status from createDetectionStatus
+ * @param {string} props.className - Additional CSS classes
+ * @returns {JSX.Element} - Rendered component
+ */
+const DetectionStatus = ({ status, className = '' }) => {
+  return (
+    <ul className={`space-y-2 ${className}`}>
+      {Object.values(DETECTIONS).map(detection => {
+        const { state, error } = status[detection];
+        return (
+          <li
+            key={detection}
+            className={`rounded-lg p-3 border ${state === DETECTION_STATES.FAILED ? 'bg-red-50 border-red-200' : 'bg-gray-50 border-gray-200'}`}
+          >
+            <div className="flex items-center justify-between text-sm">
+              <span className="font-medium text-gray-700">{DETECTION_LABELS[detection]}</span>
+              <span className={`flex items-center gap-2 ${STATE_CLASSES[state]}`}>
+                {state === DETECTION_STATES.RUNNING && <LoadingSpinner size="sm" color="blue" />}
+                {STATE_LABELS[state]}
+              </span>
+            </div>
+            {/* A finished detection can still name regions that were skipped or failed */}
+            {error && <p className={`mt-1 text-xs ${state === DETECTION_STATES.FAILED ? 'text-red-700' : 'text-amber-700'}`}>{error}</p>}
+          </li>
+        );
+      })}
+    </ul>
+  );
+};
+
+export default DetectionStatus;
@@ -0,0 +1,91 @@
+import React, { useState, useSyncExternalStore } from 'react';
+import { API_ROUTES } from '../../config/apiConfig';
+import { BACKEND_LABELS } from '../../services/backendHealthService';
+import { clearDiagnostics, getDiagnosticsSnapshot, subscribeToDiagnostics } from '../../services/diagnosticsService';
+import { SEVERITIES } from '../../utils/schemaUtils';
+
+// Issues listed per endpoint before the rest are summarised
+const MAX_VISIBLE_ISSUES = 20;
+
+/**
+ * Panel listing backend responses that did not match their declared schema
+ * Hidden while every latest response matched
+ * @param {Object} props - Component props
+ * @param {string} props.className - Additional CSS classes
+ * @returns {JSX.Element|null} - Rendered component
+ */
+const DiagnosticsPanel = ({ className = '' }) => {
+  const reports = useSyncExternalStore(subscribeToDiagnostics, getDiagnosticsSnapshot);
+  const [isOpen, setIsOpen] = useState(false);
+  if (reports.length === 0) return null;
+
+  const issueCount = reports.reduce((total, report) => total + report.issues.length, 0);
+
+  return (
+    <div className={`rounded-lg bg-yellow-50 p-4 border-l-4 border-yellow-400 ${className}`}>
+      <div className="flex items-center justify-between gap-3">
+        <p className="text-sm text-yellow-800">
+          <span className="font-medium">
+            {reports.length === 1 ? '1 backend response' : `${reports.length} backend responses`} did not match the expected format
+          </span>
+          {' '}({issueCount} {issueCount === 1 ? 'issue' : 'issues'}). Affected fields were left out of the results.
+        </p>
+        <div className="flex gap-2 flex-shrink-0">
+          <button
+            type="button"
+            onClick={() => setIsOpen(open => !open)}
+            className="px-3 py-1.5 text-xs font-medium rounded-md border border-yellow-400 text-yellow-800 bg-white hover:bg-yellow-100"
+          >
+            {isOpen ? 'Hide details' : 'Show details'}
+          </button>
+          <button
+            type="button"
+            onClick={clearDiagnostics}
+            className="px-3 py-1.5 text-xs font-medium rounded-md border border-gray-300 text-gray-700 bg-white hover:bg-gray-50"
+          >
+            Clear
+          </button>
+        </div>
+      </div>
+
+      {isOpen && (
+        <div className="mt-3 space-y-3">
+          {reports.map(({ endpointKey, checkedAt, issues }) => {
+            const route = API_ROUTES[endpointKey];
+            return (
+              <div key={endpointKey} className="bg-white rounded-md border border-yellow-200 p-3">
+                <div className="flex items-center justify-between text-xs">
+                  <span className="font-medium text-gray-800">
+                    {BACKEND_LABELS[route.backend]} <code>{route.path}</code>
+                    <span className="ml-2 text-gray-400">{endpointKey}</span>
+                  </span>
+                  <span className="text-gray-400">{new Date(checkedAt).toLocaleTimeString()}</span>
+                </div>
+                <ul className="mt-2 space-y-1 text-xs">
+                  {issues.slice(0, MAX_VISIBLE_ISSUES).map((issue, index) => (
+                    <li key={index} className="flex items-start gap-2">
+                      <span className={`px-1.5 rounded font-medium ${
+                        issue.severity === SEVERITIES.ERROR ? 'bg-red-100 text-red-800' : 'bg-yellow-100 text-yellow-800'
+                      }`}>
+                        {issue.severity}
+                      </span>
+                      <code className="text-gray-700">{issue.path}</code>
+                      <span className="text-gray-600">{issue.message}</span>
+                    </li>
+                  ))}
+                </ul>
+                {issues.length > MAX_VISIBLE_ISSUES && (
+                  <p className="mt-1 text-xs text-gray-500">
+                    and {issues.length - MAX_VISIBLE_ISSUES} more, see the browser console
+                  </p>
+                )}
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default DiagnosticsPanel;
@@ -8,6 +8,7 @@ import React, { useState } from 'react';
  * @param {string} props.accept - Accepted file types
  * @param {Function} props.onChange - Change handler function
  * @param {string} props.buttonText - Text for upload button
+ * @param {boolean} props.multiple - Allow selecting more than one file
  * @param {string} props.className - Additional CSS classes
  * @returns {JSX.Element} - Rendered component
  */
@@ -17,15 +18,21 @@ const FileUploader = ({
   accept, 
   onChange, 
   buttonText = 'Choose File', 
-  className = ''
+  className = '',
+  multiple = false
 }) => {
   const [isDragging, setIsDragging] = useState(false);
   const [fileName, setFileName] = useState('');
   
+  // Show the file name, or the number of files when several are selected
+  const describeFiles = (files) => {
+    if (files.length > 1) return `${files.length} files selected`;
+    return files[0]?.name || '';
+  };
+  
   const handleChange = (e) => {
-    const file = e.target.files[0];
-    if (file) {
-      setFileName(file.name);
+    if (e.target.files.length) {
+      setFileName(describeFiles(e.target.files));
     }
     onChange(e);
   };
@@ -46,7 +53,7 @@ const FileUploader = ({
     if (e.dataTransfer.files.length) {
       const fileInput = document.getElementById(id);
       fileInput.files = e.dataTransfer.files;
-      setFileName(e.dataTransfer.files[0].name);
+      setFileName(describeFiles(e.dataTransfer.files));
       
       // Create a synthetic event to pass to onChange
       const event = { target: { files: e.dataTransfer.files } };
@@ -89,6 +96,7 @@ const FileUploader = ({
             type="file"
             className="hidden"
             accept={accept}
+            multiple={multiple}
             onChange={handleChange}
           />
           
@@ -0,0 +1,445 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { measureDistance } from '../../utils/measurementUtils';
+import { DRAWING_SHAPES } from '../../utils/overlayUtils';
+
+const MAX_ZOOM = 8;
+const DEFAULT_MAX_HEIGHT = 600;
+// Wheel zoom factor per notch
+const WHEEL_ZOOM_STEP = 1.15;
+// Pointer movement (in screen pixels) after which a press counts as a drag rather than a click
+const DRAG_THRESHOLD = 3;
+// Margin kept around a focused region, relative to its size
+const FOCUS_PADDING = 0.15;
+// Smallest rectangle side or line length (in image pixels) kept when drawing with a drawing tool
+const MIN_DRAWING_SIZE = 4;
+
+const VIEWER_TOOLS = {
+  PAN: 'pan',
+  RULER: 'ruler'
+};
+
+/**
+ * Clamp a value between a minimum and a maximum
+ * @param {number} value - Value to clamp
+ * @param {number} min - Minimum
+ * @param {number} max - Maximum
+ * @returns {number} - Clamped value
+ */
+const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
+
+/**
+ * Keep the image inside the viewport: centred when smaller than the viewport, edge to edge otherwise
+ * @param {Object} view - { zoom, x, y }
+ * @param {Object} imageSize - Natural image size
+ * @param {Object} viewportSize - Viewport size in screen pixels
+ * @returns {Object} - Constrained view
+ */
+const constrainView = (view, imageSize, viewportSize) => {
+  const constrainAxis = (offset, content, viewport) => {
+    return content <= viewport ? (viewport - content) / 2 : clamp(offset, viewport - content, 0);
+  };
+
+  return {
+    zoom: view.zoom,
+    x: constrainAxis(view.x, imageSize.width * view.zoom, viewportSize.width),
+    y: constrainAxis(view.y, imageSize.height * view.zoom, viewportSize.height)
+  };
+};
+
+/**
+ * Get the rectangle spanned by two points
+ * @param {Object} start - { x, y }
+ * @param {Object} end - { x, y }
+ * @returns {Object} - { x, y, width, height }
+ */
+const toRect = (start, end) => ({
+  x: Math.min(start.x, end.x),
+  y: Math.min(start.y, end.y),
+  width: Math.abs(end.x - start.x),
+  height: Math.abs(end.y - start.y)
+});
+
+/**
+ * Image viewer with wheel zoom, drag pan, fit/1:1 buttons, a ruler and optional drawing tools
+ * Overlays are rendered in natural image pixel coordinates on top of the image
+ * @param {Object} props - Component props
+ * @param {string} props.src - Image URL
+ * @param {string} props.alt - Alternative text for the image
+ * @param {Object} props.imageShape - Physical image size { width_cm, height_cm } used by the ruler
+ * @param {Object} props.focusRect - Region { x, y, width, height } in image pixels to zoom to, or null
+ * @param {Function} props.renderOverlay - Renders overlays; called with the current zoom (screen pixels per image pixel)
+ * @param {Array} props.drawingTools - Extra toolbar tools { id, label, shape, onDraw } for drawing on the image;
+ *   onDraw is called in image pixels with { x, y, width, height } for DRAWING_SHAPES.RECT (the default)
+ *   and with { start, end } for DRAWING_SHAPES.LINE
+ * @param {Function} props.onImageLoad - Called with the loaded <img> element
+ * @param {Function} props.onViewportResize - Called with the viewport size { width, height }
+ * @param {number} props.maxHeight - Maximum viewport height in pixels
+ * @param {string} props.className - Additional CSS classes
+ * @returns {JSX.Element} - Rendered component
+ */
+const ImageViewer = ({
+  src,
+  alt = 'Image',
+  imageShape = null,
+  focusRect = null,
+  renderOverlay,
+  drawingTools = [],
+  onImageLoad,
+  onViewportResize,
+  maxHeight = DEFAULT_MAX_HEIGHT,
+  className = ''
+}) => {
+  const viewportRef = useRef(null);
+  const gestureRef = useRef(null);
+  const suppressClickRef = useRef(false);
+  // Latest onViewportResize, so a new callback on every render does not re-run the resize effect
+  const onViewportResizeRef = useRef(onViewportResize);
+  // Focus region the view was last zoomed to, or null while fitted
+  const appliedFocusRef = useRef(null);
+
+  const [loadedImage, setLoadedImage] = useState(null);
+  const [viewportWidth, setViewportWidth] = useState(0);
+  const [view, setView] = useState({ zoom: 1, x: 0, y: 0 });
+  const [isFitted, setIsFitted] = useState(true);
+  const [isAnimating, setIsAnimating] = useState(false);
+  const [tool, setTool] = useState(VIEWER_TOOLS.PAN);
+  const [ruler, setRuler] = useState(null);
+  const [draft, setDraft] = useState(null);
+
+  // Falls back to panning when the active drawing tool is no longer offered
+  const drawingTool = drawingTools.find(item => item.id === tool) || null;
+  const activeTool = (drawingTool || tool === VIEWER_TOOLS.RULER) ? tool : VIEWER_TOOLS.PAN;
+  const isDrawing = activeTool !== VIEWER_TOOLS.PAN;
+
+  // Size of the current image, once it has loaded
+  const imageSize = loadedImage?.src === src ? loadedImage : null;
+
+  // The viewport is as tall as the fitted image, up to maxHeight
+  const viewportHeight = imageSize && viewportWidth
+    ? Math.min(maxHeight, Math.round(imageSize.height * viewportWidth / imageSize.width))
+    : 300;
+  const viewportSize = { width: viewportWidth, height: viewportHeight };
+  const fitZoom = imageSize && viewportWidth
+    ? Math.min(viewportWidth / imageSize.width, viewportHeight / imageSize.height)
+    : 1;
+  const minZoom = Math.min(fitZoom, 1);
+
+  // Reset when the image changes
+  useEffect(() => {
+    setRuler(null);
+    setIsFitted(true);
+  }, [src]);
+
+  useEffect(() => {
+    const viewport = viewportRef.current;
+    if (!viewport) return;
+
+    const resizeObserver = new ResizeObserver(() => setViewportWidth(viewport.clientWidth));
+    resizeObserver.observe(viewport);
+    return () => resizeObserver.disconnect();
+  }, []);
+
+  useEffect(() => {
+    onViewportResizeRef.current = onViewportResize;
+  }, [onViewportResize]);
+
+  useEffect(() => {
+    onViewportResizeRef.current?.({ width: viewportWidth, height: viewportHeight });
+  }, [viewportWidth, viewportHeight]);
+
+  // Keep the image fitted while the user has not zoomed
+  useEffect(() => {
+    if (imageSize && viewportWidth && isFitted) {
+      setView(constrainView({ zoom: fitZoom, x: 0, y: 0 }, imageSize, { width: viewportWidth, height: viewportHeight }));
+    }
+  }, [imageSize, viewportWidth, viewportHeight, fitZoom, isFitted]);
+
+  // Zoom to the focused region, or back to fit when it is cleared
+  // Also runs once the viewport has been measured, so a region focused before that is not lost,
+  // and on resize, so the region stays in view
+  useEffect(() => {
+    if (!imageSize || !viewportWidth) return;
+
+    if (!focusRect) {
+      // Only refit when a focus was cleared, so a resize does not undo the user's own zoom
+      if (appliedFocusRef.current) {
+        appliedFocusRef.current = null;
+        setIsAnimating(true);
+        setIsFitted(true);
+      }
+      return;
+    }
+
+    appliedFocusRef.current = focusRect;
+    setIsAnimating(true);
+    const size = { width: viewportWidth, height: viewportHeight };
+    const regionWidth = Math.max(focusRect.width, 1) * (1 + FOCUS_PADDING * 2);
+    const regionHeight = Math.max(focusRect.height, 1) * (1 + FOCUS_PADDING * 2);
+    const zoom = clamp(Math.min(size.width / regionWidth, size.height / regionHeight), fitZoom, MAX_ZOOM);
+    const centerX = focusRect.x + focusRect.width / 2;
+    const centerY = focusRect.y + focusRect.height / 2;
+
+    setIsFitted(false);
+    setView(constrainView({
+      zoom,
+      x: size.width / 2 - centerX * zoom,
+      y: size.height / 2 - centerY * zoom
+    }, imageSize, size));
+  }, [focusRect, imageSize, viewportWidth, viewportHeight, fitZoom]);
+
+  // Zoom around a point of the viewport
+  const zoomAt = (nextZoom, pointX, pointY, animate = false) => {
+    if (!imageSize) return;
+    setIsAnimating(animate);
+    setIsFitted(false);
+    setView(current => {
+      const zoom = clamp(nextZoom, minZoom, MAX_ZOOM);
+      const imageX = (pointX - current.x) / current.zoom;
+      const imageY = (pointY - current.y) / current.zoom;
+      return constrainView({ zoom, x: pointX - imageX * zoom, y: pointY - imageY * zoom }, imageSize, viewportSize);
+    });
+  };
+
+  // Wheel zoom needs a non-passive listener to stop the page from scrolling
+  useEffect(() => {
+    const viewport = viewportRef.current;
+    if (!viewport) return;
+
+    const handleWheel = (event) => {
+      if (!imageSize) return;
+      event.preventDefault();
+      const bounds = viewport.getBoundingClientRect();
+      const factor = event.deltaY < 0 ? WHEEL_ZOOM_STEP : 1 / WHEEL_ZOOM_STEP;
+      zoomAt(view.zoom * factor, event.clientX - bounds.left, event.clientY - bounds.top);
+    };
+
+    viewport.addEventListener('wheel', handleWheel, { passive: false });
+    return () => viewport.removeEventListener('wheel', handleWheel);
+  });
+
+  // Convert a pointer event to image pixel coordinates
+  const toImagePoint = (event) => {
+    const bounds = viewportRef.current.getBoundingClientRect();
+    return {
+      x: clamp((event.clientX - bounds.left - view.x) / view.zoom, 0, imageSize.width),
+      y: clamp((event.clientY - bounds.top - view.y) / view.zoom, 0, imageSize.height)
+    };
+  };
+
+  const handlePointerDown = (event) => {
+    if (!imageSize || event.button !== 0) return;
+
+    suppressClickRef.current = false;
+    gestureRef.current = {
+      startX: event.clientX,
+      startY: event.clientY,
+      startView: view,
+      moved: false
+    };
+
+    if (activeTool === VIEWER_TOOLS.RULER) {
+      const point = toImagePoint(event);
+      setRuler({ start: point, end: point });
+    } else if (drawingTool) {
+      gestureRef.current.drawStart = toImagePoint(event);
+    }
+
+    // Track the gesture on the window so it continues outside the viewport
+    const handleMove = (moveEvent) => {
+      const gesture = gestureRef.current;
+      const dx = moveEvent.clientX - gesture.startX;
+      const dy = moveEvent.clientY - gesture.startY;
+      if (Math.hypot(dx, dy) > DRAG_THRESHOLD) gesture.moved = true;
+      if (!gesture.moved) return;
+
+      if (activeTool === VIEWER_TOOLS.RULER) {
+        const end = toImagePoint(moveEvent);
+        setRuler(current => current && { ...current, end });
+      } else if (drawingTool) {
+        gesture.draft = { start: gesture.drawStart, end: toImagePoint(moveEvent) };
+        setDraft(gesture.draft);
+      } else {
+        setIsAnimating(false);
+        setIsFitted(false);
+        setView(constrainView({
+          zoom: gesture.startView.zoom,
+          x: gesture.startView.x + dx,
+          y: gesture.startView.y + dy
+        }, imageSize, viewportSize));
+      }
+    };
+
+    const handleUp = () => {
+      const { moved, draft: drawn } = gestureRef.current;
+      // A drag or a drawing gesture must not also select the box under the pointer
+      suppressClickRef.current = moved || isDrawing;
+      gestureRef.current = null;
+      if (drawn) {
+        setDraft(null);
+        if (drawingTool.shape === DRAWING_SHAPES.LINE) {
+          const length = Math.hypot(drawn.end.x - drawn.start.x, drawn.end.y - drawn.start.y);
+          if (length >= MIN_DRAWING_SIZE) drawingTool.onDraw(drawn);
+        } else {
+          const rect = toRect(drawn.start, drawn.end);
+          if (rect.width >= MIN_DRAWING_SIZE && rect.height >= MIN_DRAWING_SIZE) drawingTool.onDraw(rect);
+        }
+      }
+      window.removeEventListener('pointermove', handleMove);
+      window.removeEventListener('pointerup', handleUp);
+    };
+
+    window.addEventListener('pointermove', handleMove);
+    window.addEventListener('pointerup', handleUp);
+  };
+
+  const handleClickCapture = (event) => {
+    if (suppressClickRef.current) {
+      event.stopPropagation();
+      suppressClickRef.current = false;
+    }
+  };
+
+  const handleFit = () => {
+    setIsAnimating(true);
+    setIsFitted(true);
+  };
+
+  const handleActualSize = () => {
+    zoomAt(1, viewportSize.width / 2, viewportSize.height / 2, true);
+  };
+
+  const handleZoomStep = (factor) => {
+    zoomAt(view.zoom * factor, viewportSize.width / 2, viewportSize.height / 2, true);
+  };
+
+  const handleToolChange = (nextTool) => {
+    setTool(nextTool);
+    if (nextTool !== VIEWER_TOOLS.RULER) setRuler(null);
+    setDraft(null);
+  };
+
+  const handleImageLoad = (event) => {
+    const image = event.currentTarget;
+    setLoadedImage({ src, width: image.naturalWidth, height: image.naturalHeight });
+    onImageLoad?.(image);
+  };
+
+  const measurement = ruler && imageSize ? measureDistance(ruler.start, ruler.end, imageShape, imageSize) : null;
+  const draftRect = draft && drawingTool?.shape !== DRAWING_SHAPES.LINE ? toRect(draft.start, draft.end) : null;
+
+  const buttonClass = 'px-2 py-1 text-xs font-medium text-gray-700 bg-white border border-gray-300 rounded hover:bg-gray-50 disabled:opacity-50';
+  const toolClass = (value) => `px-2 py-1 text-xs font-medium border rounded ${
+    activeTool === value ? 'bg-blue-600 text-white border-blue-600' : 'text-gray-700 bg-white border-gray-300 hover:bg-gray-50'
+  }`;
+
+  return (
+    <div className={className}>
+      <div className="flex flex-wrap items-center gap-1.5 mb-2">
+        <button type="button" className={buttonClass} onClick={() => handleZoomStep(1 / WHEEL_ZOOM_STEP)} disabled={!imageSize} aria-label="Zoom out">−</button>
+        <span className="w-12 text-center text-xs text-gray-600">{Math.round(view.zoom * 100)}%</span>
+        <button type="button" className={buttonClass} onClick={() => handleZoomStep(WHEEL_ZOOM_STEP)} disabled={!imageSize} aria-label="Zoom in">+</button>
+        <button type="button" className={buttonClass} onClick={handleFit} disabled={!imageSize}>Fit</button>
+        <button type="button" className={buttonClass} onClick={handleActualSize} disabled={!imageSize}>1:1</button>
+        <span className="mx-1 h-4 border-l border-gray-300" />
+        <button type="button" className={toolClass(VIEWER_TOOLS.PAN)} onClick={() => handleToolChange(VIEWER_TOOLS.PAN)}>Pan</button>
+        <button type="button" className={toolClass(VIEWER_TOOLS.RULER)} onClick={() => handleToolChange(VIEWER_TOOLS.RULER)}>Ruler</button>
+        {drawingTools.map(item => (
+          <button key={item.id} type="button" className={toolClass(item.id)} onClick={() => handleToolChange(item.id)}>
+            {item.label}
+          </button>
+        ))}
+        {measurement && (
+          <span className="ml-1 text-xs text-gray-700">
+            {measurement.px.toFixed(0)} px
+            {measurement.cm !== null ? ` · ${measurement.cm.toFixed(2)} cm` : ' · cm unavailable (no physical size)'}
+          </span>
+        )}
+      </div>
+
+      <div
+        ref={viewportRef}
+        className={`relative overflow-hidden bg-gray-100 rounded-md select-none touch-none ${
+          isDrawing ? 'cursor-crosshair' : 'cursor-grab'
+        }`}
+        style={{ height: viewportHeight }}
+        onPointerDown={handlePointerDown}
+        onClickCapture={handleClickCapture}
+      >
+        <div
+          className="absolute top-0 left-0"
+          style={{
+            width: imageSize?.width,
+            height: imageSize?.height,
+            transform: `translate(${view.x}px, ${view.y}px) scale(${view.zoom})`,
+            transformOrigin: '0 0',
+            transition: isAnimating ? 'transform 0.3s ease' : 'none'
+          }}
+        >
+          <img
+            src={src}
+            alt={alt}
+            onLoad={handleImageLoad}
+            draggable={false}
+            className="block max-w-none"
+            style={imageSize ? { width: imageSize.width, height: imageSize.height } : { visibility: 'hidden' }}
+          />
+          {imageSize && renderOverlay?.(view.zoom)}
+          {imageSize && ruler && (
+            <svg
+              className="absolute inset-0 pointer-events-none"
+              width={imageSize.width}
+              height={imageSize.height}
+              viewBox={`0 0 ${imageSize.width} ${imageSize.height}`}
+            >
+              <line
+                x1={ruler.start.x}
+                y1={ruler.start.y}
+                x2={ruler.end.x}
+                y2={ruler.end.y}
+                stroke="#db2777"
+                strokeWidth={2}
+                vectorEffect="non-scaling-stroke"
+              />
+              {[ruler.start, ruler.end].map((point, index) => (
+                <circle key={index} cx={point.x} cy={point.y} r={4 / view.zoom} fill="#db2777" />
+              ))}
+            </svg>
+          )}
+          {imageSize && draft && drawingTool?.shape === DRAWING_SHAPES.LINE && (
+            <svg
+              className="absolute inset-0 pointer-events-none"
+              width={imageSize.width}
+              height={imageSize.height}
+              viewBox={`0 0 ${imageSize.width} ${imageSize.height}`}
+            >
+              <line
+                x1={draft.start.x}
+                y1={draft.start.y}
+                x2={draft.end.x}
+                y2={draft.end.y}
+                stroke="#2563eb"
+                strokeWidth={2}
+                strokeDasharray="6 4"
+                vectorEffect="non-scaling-stroke"
+              />
+            </svg>
+          )}
+          {imageSize && draftRect && (
+            <div
+              className="absolute border-2 border-dashed border-blue-600 bg-blue-500/10 pointer-events-none"
+              style={{
+                left: draftRect.x,
+                top: draftRect.y,
+                width: draftRect.width,
+                height: draftRect.height,
+                borderWidth: 2 / view.zoom
+              }}
+            />
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ImageViewer;
@@ -0,0 +1,31 @@
+import React from 'react';
+
+/**
+ * Checkboxes to show or hide bounding box overlay layers
+ * @param {Object} props - Component props
+ * @param {Array} props.layers - Layers { id, label, color, visible, boxes }
+ * @param {Function} props.onToggle - Called with (layerId, visible)
+ * @param {string} props.className - Additional CSS classes
+ * @returns {JSX.Element} - Rendered component
+ */
+const OverlayLayerToggles = ({ layers, onToggle, className = '' }) => {
+  return (
+    <div className={`flex flex-wrap items-center gap-3 ${className}`}>
+      {layers.map(layer => (
+        <label key={layer.id} className="inline-flex items-center text-xs text-gray-700 cursor-pointer">
+          <input
+            type="checkbox"
+            checked={layer.visible}
+            onChange={(e) => onToggle(layer.id, e.target.checked)}
+            disabled={layer.boxes.length === 0}
+            className="h-3.5 w-3.5 rounded border-gray-300 mr-1.5"
+          />
+          <span className="inline-block w-3 h-3 rounded-sm mr-1" style={{ backgroundColor: layer.color }} />
+          {layer.label} ({layer.boxes.length})
+        </label>
+      ))}
+    </div>
+  );
+};
+
+export default OverlayLayerToggles;
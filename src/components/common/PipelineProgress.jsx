@@ -0,0 +1,94 @@
+import React, { useEffect, useState } from 'react';
+import LoadingSpinner from './LoadingSpinner';
+import {
+  PIPELINE_FLOWS,
+  STAGE_STATES,
+  getTimingRows,
+  getDuration,
+  estimateRemainingMs,
+  isTimingRunning,
+  formatDuration
+} from '../../utils/pipelineTimings';
+
+const STATE_CLASSES = {
+  [STAGE_STATES.PENDING]: 'text-gray-400',
+  [STAGE_STATES.RUNNING]: 'text-blue-700',
+  [STAGE_STATES.DONE]: 'text-green-700',
+  [STAGE_STATES.FAILED]: 'text-red-700',
+  [STAGE_STATES.CANCELLED]: 'text-gray-500',
+  [STAGE_STATES.SKIPPED]: 'text-gray-400'
+};
+
+/**
+ * Stage-by-stage progress of an analysis run with elapsed and estimated remaining time
+ * @param {Object} props - Component props
+ * @param {Object} props.timings - Timing record from usePipelineTracker
+ * @param {Object} props.typicalDurations - Typical row durations from earlier runs
+ * @param {string} props.className - Additional CSS classes
+ * @returns {JSX.Element} - Rendered component
+ */
+const PipelineProgress = ({ timings, typicalDurations = {}, className = '' }) => {
+  const [now, setNow] = useState(() => Date.now());
+  const running = isTimingRunning(timings);
+
+  // Tick once a second so running stages show their elapsed time
+  useEffect(() => {
+    if (!running) return;
+    setNow(Date.now());
+    const timer = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(timer);
+  }, [running]);
+
+  const rows = getTimingRows(timings);
+  const elapsed = getDuration(timings, now);
+  const remaining = running ? estimateRemainingMs(timings, typicalDurations, now) : 0;
+  const finishedRows = rows.filter(row => row.state !== STAGE_STATES.PENDING && row.state !== STAGE_STATES.RUNNING).length;
+
+  // Time-based progress when earlier runs give an estimate, otherwise finished stages
+  const percent = !running
+    ? 100
+    : remaining !== null
+      ? Math.min(Math.round((elapsed / (elapsed + remaining || 1)) * 100), 99)
+      : Math.round((finishedRows / rows.length) * 100);
+  const flowLabel = Object.values(PIPELINE_FLOWS).find(flow => flow.id === timings.flow)?.label;
+
+  return (
+    <div className={`rounded-lg bg-gray-50 p-3 border border-gray-200 ${className}`}>
+      <div className="flex items-center justify-between text-xs text-gray-600 mb-2">
+        <span className="font-medium text-gray-700">{flowLabel}</span>
+        <span>
+          {running ? 'Elapsed' : 'Took'} {formatDuration(elapsed)}
+          {running && (remaining !== null
+            ? ` · about ${formatDuration(remaining)} left`
+            : ' · no earlier runs to estimate the time left')}
+        </span>
+      </div>
+
+      <div className="w-full bg-gray-200 rounded-full h-2">
+        <div
+          className={`h-2 rounded-full transition-all duration-500 ${timings.state === STAGE_STATES.FAILED ? 'bg-red-500' : 'bg-blue-600'}`}
+          style={{ width: `${percent}%` }}
+        ></div>
+      </div>
+
+      <ul className="mt-2 space-y-1">
+        {rows.map(row => (
+          <li key={row.key} className="flex items-center justify-between text-xs">
+            <span className="text-gray-700">
+              {row.label}
+              {row.grouped && <span className="text-gray-400"> (one backend call)</span>}
+            </span>
+            <span className={`flex items-center gap-2 ${STATE_CLASSES[row.state]}`}>
+              {row.state === STAGE_STATES.RUNNING && <LoadingSpinner size="sm" color="blue" />}
+              {row.state === STAGE_STATES.PENDING || row.state === STAGE_STATES.SKIPPED
+                ? row.state
+                : `${row.state === STAGE_STATES.RUNNING ? '' : `${row.state} · `}${formatDuration(getDuration(row, now))}`}
+            </span>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+export default PipelineProgress;
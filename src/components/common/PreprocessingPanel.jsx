@@ -0,0 +1,233 @@
+import React, { useEffect, useState } from 'react';
+import ImageViewer from './ImageViewer';
+import LoadingSpinner from './LoadingSpinner';
+import { PREPROCESS_MAX_DIMENSIONS, preprocessImage, estimateDeskewAngle } from '../../services/preprocessService';
+import { MAX_UPLOAD_SIZE_MB, fileToDataUrl } from '../../utils/fileUtils';
+
+const CROP_TOOL = 'crop';
+
+/**
+ * Format a file size in megabytes
+ * @param {number} bytes - Size in bytes
+ * @returns {string} - e.g. "4.2 MB"
+ */
+const formatMegabytes = (bytes) => `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+
+/**
+ * Preprocessing options applied to the image before it is sent to the backends:
+ * downscale, crop, rotate or deskew, grayscale and contrast
+ * @param {Object} props - Component props
+ * @param {File} props.file - The selected image
+ * @param {string} props.previewUrl - URL of the selected image
+ * @param {number} props.dpi - Resolution of the selected image, if known
+ * @param {Object} props.options - Preprocessing options, see DEFAULT_PREPROCESS_OPTIONS
+ * @param {Function} props.onChange - Called with the new options
+ * @param {boolean} props.disabled - Disable the controls, e.g. while analysing
+ * @param {string} props.className - Additional CSS classes
+ * @returns {JSX.Element} - Rendered component
+ */
+const PreprocessingPanel = ({
+  file,
+  previewUrl,
+  dpi = null,
+  options,
+  onChange,
+  disabled = false,
+  className = ''
+}) => {
+  const [preview, setPreview] = useState(null);
+  const [isPreviewing, setIsPreviewing] = useState(false);
+  const [isDeskewing, setIsDeskewing] = useState(false);
+  const [error, setError] = useState(null);
+
+  // A preview of other settings or another image no longer applies
+  useEffect(() => {
+    setPreview(null);
+    setError(null);
+  }, [file, options]);
+
+  const isTooLarge = file.size > MAX_UPLOAD_SIZE_MB * 1024 * 1024;
+  const update = (changes) => onChange({ ...options, ...changes });
+
+  const handlePreview = async () => {
+    setIsPreviewing(true);
+    setError(null);
+    try {
+      const result = await preprocessImage(file, { ...options, dpi });
+      setPreview({
+        url: await fileToDataUrl(result.file),
+        size: result.file.size,
+        width: result.transform?.width,
+        height: result.transform?.height
+      });
+    } catch (previewError) {
+      setError(`Could not preprocess the image: ${previewError.message}`);
+    } finally {
+      setIsPreviewing(false);
+    }
+  };
+
+  const handleDeskew = async () => {
+    setIsDeskewing(true);
+    setError(null);
+    try {
+      update({ rotation: await estimateDeskewAngle(file, { crop: options.crop }) });
+    } catch (deskewError) {
+      setError(`Could not estimate the skew: ${deskewError.message}`);
+    } finally {
+      setIsDeskewing(false);
+    }
+  };
+
+  const buttonClass = 'px-3 py-1.5 text-xs font-medium rounded-md border border-gray-300 bg-white text-gray-700 hover:bg-gray-100 disabled:opacity-50 disabled:cursor-not-allowed';
+
+  return (
+    <div className={`rounded-lg border border-gray-200 bg-gray-50 p-3 space-y-3 ${className}`}>
+      <label className="flex items-center text-sm font-medium text-gray-700">
+        <input
+          type="checkbox"
+          checked={options.enabled}
+          onChange={(e) => update({ enabled: e.target.checked })}
+          disabled={disabled}
+          className="mr-2 h-4 w-4 rounded border-gray-300 text-blue-600"
+        />
+        Preprocess the image before upload
+      </label>
+
+      {isTooLarge && (
+        <p className={`text-xs ${options.enabled && options.maxDimension ? 'text-gray-500' : 'text-yellow-700'}`}>
+          {file.name} is {formatMegabytes(file.size)}; images over {MAX_UPLOAD_SIZE_MB} MB are only sent once downscaled or cropped.
+        </p>
+      )}
+
+      {options.enabled && (
+        <>
+          <div className="grid grid-cols-2 gap-3">
+            <label className="text-sm text-gray-700">
+              <span className="block text-xs text-gray-500 mb-1">Maximum size</span>
+              <select
+                value={options.maxDimension ?? ''}
+                onChange={(e) => update({ maxDimension: e.target.value ? Number(e.target.value) : null })}
+                disabled={disabled}
+                className="w-full border border-gray-300 rounded-md px-2 py-1 text-sm text-gray-800 bg-white"
+              >
+                <option value="">Original size</option>
+                {PREPROCESS_MAX_DIMENSIONS.map(value => (
+                  <option key={value} value={value}>{value} px</option>
+                ))}
+              </select>
+            </label>
+            <label className="text-sm text-gray-700">
+              <span className="block text-xs text-gray-500 mb-1">Rotation (degrees clockwise)</span>
+              <input
+                type="number"
+                step="0.1"
+                value={options.rotation}
+                onChange={(e) => update({ rotation: Number(e.target.value) || 0 })}
+                disabled={disabled}
+                className="w-full border border-gray-300 rounded-md px-2 py-1 text-sm text-gray-800 bg-white"
+              />
+            </label>
+          </div>
+
+          <div className="flex flex-wrap items-center gap-1.5">
+            <button type="button" className={buttonClass} onClick={() => update({ rotation: (options.rotation - 90) % 360 })} disabled={disabled}>
+              Rotate left
+            </button>
+            <button type="button" className={buttonClass} onClick={() => update({ rotation: (options.rotation + 90) % 360 })} disabled={disabled}>
+              Rotate right
+            </button>
+            <button type="button" className={buttonClass} onClick={handleDeskew} disabled={disabled || isDeskewing}>
+              {isDeskewing ? 'Estimating...' : 'Auto-deskew'}
+            </button>
+          </div>
+
+          <div className="flex flex-wrap items-center gap-4">
+            <label className="flex items-center text-sm text-gray-700">
+              <input
+                type="checkbox"
+                checked={options.grayscale}
+                onChange={(e) => update({ grayscale: e.target.checked })}
+                disabled={disabled}
+                className="mr-2 h-4 w-4 rounded border-gray-300 text-blue-600"
+              />
+              Grayscale
+            </label>
+            <label className="flex flex-1 items-center text-sm text-gray-700">
+              <span className="mr-2 whitespace-nowrap">Contrast {options.contrast.toFixed(1)}×</span>
+              <input
+                type="range"
+                min="0.5"
+                max="2"
+                step="0.1"
+                value={options.contrast}
+                onChange={(e) => update({ contrast: Number(e.target.value) })}
+                disabled={disabled}
+                className="flex-1"
+              />
+            </label>
+          </div>
+
+          <div>
+            <div className="flex items-center justify-between mb-1">
+              <p className="text-xs text-gray-500">
+                {options.crop
+                  ? `Cropped to ${Math.round(options.crop.width)} × ${Math.round(options.crop.height)} px`
+                  : 'Choose the Crop tool and drag over the image to send only part of it'}
+              </p>
+              {options.crop && (
+                <button type="button" onClick={() => update({ crop: null })} disabled={disabled} className="text-xs font-medium text-blue-600 hover:text-blue-800">
+                  Clear crop
+                </button>
+              )}
+            </div>
+            <ImageViewer
+              src={previewUrl}
+              alt="Image to preprocess"
+              maxHeight={300}
+              drawingTools={disabled ? [] : [{ id: CROP_TOOL, label: 'Crop', onDraw: (crop) => update({ crop }) }]}
+              renderOverlay={(zoom) => options.crop && (
+                <div
+                  className="absolute border-blue-600 pointer-events-none"
+                  style={{
+                    left: options.crop.x,
+                    top: options.crop.y,
+                    width: options.crop.width,
+                    height: options.crop.height,
+                    borderWidth: 2 / zoom,
+                    boxShadow: '0 0 0 100000px rgba(17, 24, 39, 0.4)'
+                  }}
+                />
+              )}
+            />
+          </div>
+
+          <div className="flex items-center gap-3">
+            <button type="button" className={buttonClass} onClick={handlePreview} disabled={disabled || isPreviewing}>
+              {isPreviewing ? (
+                <span className="flex items-center">
+                  <LoadingSpinner size="sm" className="mr-2" />
+                  Processing...
+                </span>
+              ) : 'Preview result'}
+            </button>
+            {preview && (
+              <span className={`text-xs ${preview.size > MAX_UPLOAD_SIZE_MB * 1024 * 1024 ? 'text-red-700' : 'text-gray-600'}`}>
+                {preview.width ? `${preview.width} × ${preview.height} px · ` : 'Unchanged · '}
+                {formatMegabytes(preview.size)}
+                {preview.size > MAX_UPLOAD_SIZE_MB * 1024 * 1024 && `, still over the ${MAX_UPLOAD_SIZE_MB} MB upload limit`}
+              </span>
+            )}
+          </div>
+          {preview && (
+            <img src={preview.url} alt="Preprocessed image" className="max-h-48 mx-auto rounded border border-gray-200 bg-white" />
+          )}
+        </>
+      )}
+
+      {error && <p className="text-xs text-red-700">{error}</p>}
+    </div>
+  );
+};
+
+export default PreprocessingPanel;
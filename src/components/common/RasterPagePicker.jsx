@@ -0,0 +1,94 @@
+import React from 'react';
+import LoadingSpinner from './LoadingSpinner';
+import { RASTER_DPI_OPTIONS } from '../../services/rasterService';
+
+/**
+ * Resolution selector and page list for rasterised PDF, TIFF, WebP and SVG artwork
+ * @param {Object} props - Component props
+ * @param {string} props.sourceName - Name of the rasterised file
+ * @param {Array} props.pages - Rasterised pages from rasteriseFile
+ * @param {number} props.selectedIndex - Index of the page being analysed
+ * @param {Function} props.onSelectPage - Called with the index of the chosen page
+ * @param {number} props.dpi - Requested resolution
+ * @param {Function} props.onDpiChange - Called with the new resolution
+ * @param {boolean} props.isRasterising - Whether the file is being rasterised
+ * @param {boolean} props.disabled - Disable the controls, e.g. while analysing
+ * @param {string} props.className - Additional CSS classes
+ * @returns {JSX.Element} - Rendered component
+ */
+const RasterPagePicker = ({
+  sourceName,
+  pages,
+  selectedIndex,
+  onSelectPage,
+  dpi,
+  onDpiChange,
+  isRasterising,
+  disabled = false,
+  className = ''
+}) => {
+  const selectedPage = pages[selectedIndex];
+
+  return (
+    <div className={`rounded-lg border border-gray-200 bg-gray-50 p-3 space-y-3 ${className}`}>
+      <div className="flex items-center justify-between gap-3">
+        <p className="text-sm text-gray-700 truncate" title={sourceName}>
+          {isRasterising ? (
+            <span className="flex items-center">
+              <LoadingSpinner size="sm" className="mr-2" />
+              Rasterising {sourceName}...
+            </span>
+          ) : (
+            <>
+              <span className="font-medium">{sourceName}</span>
+              {' · '}
+              {pages.length === 1 ? '1 page' : `${pages.length} pages`}
+            </>
+          )}
+        </p>
+        <label className="text-sm text-gray-700 flex items-center flex-shrink-0">
+          <select
+            value={dpi}
+            onChange={(e) => onDpiChange(Number(e.target.value))}
+            disabled={disabled || isRasterising}
+            className="mr-2 border border-gray-300 rounded-md px-2 py-1 text-sm text-gray-800 bg-white"
+          >
+            {RASTER_DPI_OPTIONS.map(value => (
+              <option key={value} value={value}>{value}</option>
+            ))}
+          </select>
+          DPI
+        </label>
+      </div>
+
+      {!isRasterising && pages.length > 1 && (
+        <div className="flex flex-wrap gap-1.5">
+          {pages.map((page, index) => (
+            <button
+              key={page.pageNumber}
+              type="button"
+              onClick={() => onSelectPage(index)}
+              disabled={disabled}
+              className={`px-3 py-1.5 text-xs font-medium rounded-md border transition-colors disabled:cursor-not-allowed ${
+                index === selectedIndex
+                  ? 'bg-blue-600 border-blue-600 text-white'
+                  : 'bg-white border-gray-300 text-gray-700 hover:bg-gray-100'
+              }`}
+            >
+              Page {page.pageNumber}
+            </button>
+          ))}
+        </div>
+      )}
+
+      {!isRasterising && selectedPage && (
+        <p className="text-xs text-gray-500">
+          Analysing page {selectedPage.pageNumber} at {selectedPage.dpi} DPI
+          {selectedPage.dpi < dpi && ', lowered to fit the browser\'s image size limit or the resolution stored in the file'}
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default RasterPagePicker;
@@ -0,0 +1,65 @@
+import React, { useState } from 'react';
+import { EXPORT_SHEETS, downloadResultsWorkbook, downloadResultsCsv } from '../../services/exportService';
+
+/**
+ * Export controls for detection and validation results (Excel workbook or single-sheet CSV)
+ * @param {Object} props - Component props
+ * @param {Object} props.ocrResults - OCR results data
+ * @param {Array} props.symbolResults - Symbol detection results
+ * @param {Object} props.validationResults - Validation results data
+ * @param {string} props.imageName - File name of the analysed image
+ * @param {string} props.className - Additional CSS classes
+ * @returns {JSX.Element} - Rendered component
+ */
+const ResultsExportMenu = ({ ocrResults, symbolResults, validationResults, imageName, className = '' }) => {
+  const [csvSheet, setCsvSheet] = useState(EXPORT_SHEETS.VALIDATION);
+  const [error, setError] = useState(null);
+
+  const results = { ocrResults, symbolResults, validationResults };
+
+  const runExport = (exportFn) => {
+    setError(null);
+    try {
+      exportFn();
+    } catch (error) {
+      console.error('Error exporting results:', error);
+      setError('Could not export the results. Please try again.');
+    }
+  };
+
+  return (
+    <div className={className}>
+      <div className="flex items-center space-x-2">
+        <button
+          type="button"
+          onClick={() => runExport(() => downloadResultsWorkbook(results, imageName))}
+          className="inline-flex items-center px-3 py-1.5 text-xs font-medium rounded-md text-white bg-green-600 hover:bg-green-700"
+        >
+          Export Excel
+        </button>
+        <div className="inline-flex rounded-md border border-gray-300 overflow-hidden">
+          <select
+            value={csvSheet}
+            onChange={(e) => setCsvSheet(e.target.value)}
+            className="px-2 py-1.5 text-xs text-gray-700 bg-white border-r border-gray-300"
+            aria-label="Sheet to export as CSV"
+          >
+            {Object.values(EXPORT_SHEETS).map(sheetName => (
+              <option key={sheetName} value={sheetName}>{sheetName}</option>
+            ))}
+          </select>
+          <button
+            type="button"
+            onClick={() => runExport(() => downloadResultsCsv(results, csvSheet, imageName))}
+            className="px-3 py-1.5 text-xs font-medium text-gray-700 bg-white hover:bg-gray-50"
+          >
+            Export CSV
+          </button>
+        </div>
+      </div>
+      {error && <p className="text-xs text-red-600 mt-1 text-right">{error}</p>}
+    </div>
+  );
+};
+
+export default ResultsExportMenu;
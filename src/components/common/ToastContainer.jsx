@@ -0,0 +1,41 @@
+import React, { useSyncExternalStore } from 'react';
+import { TOAST_TYPES, dismissToast, getToastsSnapshot, subscribeToToasts } from '../../services/toastService';
+
+const TYPE_CLASSES = {
+  [TOAST_TYPES.INFO]: 'border-blue-500',
+  [TOAST_TYPES.SUCCESS]: 'border-green-500',
+  [TOAST_TYPES.WARNING]: 'border-yellow-500',
+  [TOAST_TYPES.ERROR]: 'border-red-500'
+};
+
+/**
+ * Stack of toasts raised through toastService, shown in the bottom-right corner
+ * @returns {JSX.Element} - Rendered component
+ */
+const ToastContainer = () => {
+  const toasts = useSyncExternalStore(subscribeToToasts, getToastsSnapshot);
+
+  return (
+    <div className="fixed bottom-4 right-4 z-50 flex flex-col gap-2 w-80" aria-live="polite">
+      {toasts.map(toast => (
+        <div
+          key={toast.id}
+          role="status"
+          className={`flex items-start justify-between gap-3 bg-white shadow-lg rounded-lg p-3 border-l-4 ${TYPE_CLASSES[toast.type] || TYPE_CLASSES[TOAST_TYPES.INFO]}`}
+        >
+          <p className="text-sm text-gray-700">{toast.message}</p>
+          <button
+            type="button"
+            onClick={() => dismissToast(toast.id)}
+            className="text-gray-400 hover:text-gray-600 text-sm leading-none"
+            aria-label="Dismiss"
+          >
+            ×
+          </button>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default ToastContainer;
@@ -0,0 +1,26 @@
+import React from 'react';
+import { VALIDATION_STATES, VALIDATION_STATE_LABELS } from '../../utils/validationUtils';
+
+const STATE_BADGE_CLASSES = {
+  [VALIDATION_STATES.PASS]: 'bg-green-100 text-green-800',
+  [VALIDATION_STATES.FAIL]: 'bg-red-100 text-red-800',
+  [VALIDATION_STATES.NOT_EVALUATED]: 'bg-gray-100 text-gray-700',
+  [VALIDATION_STATES.BACKEND_MISSING]: 'bg-yellow-100 text-yellow-800'
+};
+
+/**
+ * Pill showing the state of a requirement or of a whole validation
+ * @param {Object} props - Component props
+ * @param {string} props.state - One of VALIDATION_STATES
+ * @param {string} props.label - Text to show instead of the state's label
+ * @param {string} props.title - Tooltip
+ * @param {string} props.className - Additional CSS classes
+ * @returns {JSX.Element} - Rendered component
+ */
+const ValidationStateBadge = ({ state, label, title, className = 'px-2.5 py-1 rounded-full' }) => (
+  <span className={`text-xs font-medium ${STATE_BADGE_CLASSES[state]} ${className}`} title={title}>
+    {label ?? VALIDATION_STATE_LABELS[state]}
+  </span>
+);
+
+export default ValidationStateBadge;
@@ -1,16 +1,22 @@
 import React from 'react';
+import ImageViewer from './ImageViewer';
+import { toImageDataUrl } from '../../utils/fileUtils';
 
 /**
  * Component to display visualization results from OCR or symbol detection
  * @param {Object} props - Component props
  * @param {string} props.visualizationData - Base64 encoded visualization image
  * @param {string} props.altText - Alternative text for the image
+ * @param {Object} props.imageShape - Physical image size used by the ruler
+ * @param {number} props.maxHeight - Maximum viewer height in pixels
  * @param {string} props.className - Additional CSS classes
  * @returns {JSX.Element} - Rendered component
  */
 const VisualizationView = ({ 
   visualizationData, 
   altText = 'Visualization', 
+  imageShape = null,
+  maxHeight,
   className = '' 
 }) => {
   if (!visualizationData) {
@@ -21,17 +27,15 @@ const VisualizationView = ({
     );
   }
 
-  // Check if the visualization data already has the data URL prefix
-  const imageSource = visualizationData.startsWith('data:image') 
-    ? visualizationData 
-    : `data:image/png;base64,${visualizationData}`;
+  const imageSource = toImageDataUrl(visualizationData);
 
   return (
     <div className={`overflow-hidden rounded-md ${className}`}>
-      <img
+      <ImageViewer
         src={imageSource}
         alt={altText}
-        className="w-full h-auto object-contain"
+        imageShape={imageShape}
+        maxHeight={maxHeight}
       />
     </div>
   );
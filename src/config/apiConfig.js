@@ -1,23 +1,42 @@
 /**
  * API Configuration
  * 
- * This file contains all API endpoint configurations.
- * Using proxy to avoid CORS issues.
+ * This file contains the backend routes and the built-in backend profiles.
+ * The active profile is picked at runtime, see services/backendProfileService.js.
  */
 
-// Direct API URLs (for reference)
-// export const TEXT_API_URL = 'https://66ce-34-16-148-119.ngrok-free.app'; // Text detection backend
-// export const SYMBOL_API_URL = 'https://eb39-35-243-181-247.ngrok-free.app'; // Symbol detection backend
-
 // Proxy API URLs (using Vite's proxy configuration)
 export const TEXT_API_URL = '/api/text'; // Text detection backend via proxy
 export const SYMBOL_API_URL = '/api/symbol'; // Symbol detection backend via proxy
 
-// API Endpoints
+// Header naming the backend a request is for when routed through the dev server (see plugins/backendRouterPlugin.js)
+export const BACKEND_TARGET_HEADER = 'X-Backend-Target';
+
+export const BACKENDS = {
+  TEXT: 'text',
+  SYMBOL: 'symbol'
+};
+
+/**
+ * Profiles available before the user has saved any of their own.
+ * Each profile holds the base URLs of the text and symbol backends, and whether
+ * requests go through the dev server router instead of straight to those URLs.
+ *
+ * - local: the Vite dev server proxy (see vite.config.js)
+ * - staging: the Colab notebooks; their ngrok URLs change every session
+ * - production: the hosted backends
+ */
+export const DEFAULT_BACKEND_PROFILES = [
+  { id: 'local', name: 'Local', textApiUrl: TEXT_API_URL, symbolApiUrl: SYMBOL_API_URL, routeThroughDevServer: false },
+  { id: 'staging', name: 'Staging (Colab)', textApiUrl: '', symbolApiUrl: '', routeThroughDevServer: true },
+  { id: 'production', name: 'Production', textApiUrl: '', symbolApiUrl: '', routeThroughDevServer: false }
+];
+
+export const DEFAULT_BACKEND_PROFILE_ID = 'local';
+
+// API Routes
 /**
- * API_ENDPOINTS provides a centralized configuration of all API endpoints for the
- * application. These endpoints are categorized based on their functionality and
- * are designed to work with both text and symbol detection backends.
+ * API_ROUTES lists every backend route with the backend that serves it.
  *
  * - Text detection endpoints:
  *   - TEXT_DETECTION: Endpoint for detecting text in images.
@@ -31,6 +50,7 @@ export const SYMBOL_API_URL = '/api/symbol'; // Symbol detection backend via pro
  *   - UPLOAD_REQUIREMENTS: Endpoint for uploading requirements files.
  *   - VALIDATE_PRODUCT: Endpoint for product validation against requirements.
  *   - PARSE_REQUIREMENTS: Endpoint for parsing requirement files.
+ *   - PARSE_UPLOADED_REQUIREMENTS: Endpoint for parsing requirements returned by UPLOAD_REQUIREMENTS.
  *   - CHECK_TEXT_REQUIREMENTS: Endpoint for checking text against requirements.
  *   - TEXT_PIPELINE: Endpoint for processing the complete text pipeline.
  *   - VERIFY_REQUIREMENTS: Endpoint for verifying requirements.
@@ -39,50 +59,25 @@ export const SYMBOL_API_URL = '/api/symbol'; // Symbol detection backend via pro
  *   - TEXT_STATUS: Endpoint for checking the status of the text detection backend.
  *   - SYMBOL_STATUS: Endpoint for checking the status of the symbol detection backend.
  */
-export const API_ENDPOINTS = {
+export const API_ROUTES = {
   // Text detection endpoints - using predict_pipeline since there's no dedicated text detection endpoint
-  TEXT_DETECTION: `${TEXT_API_URL}/predict_pipeline`,
-  TEXT_REFINEMENT: `${TEXT_API_URL}/refine_texts`,
-  
+  TEXT_DETECTION: { backend: BACKENDS.TEXT, path: '/predict_pipeline' },
+  TEXT_REFINEMENT: { backend: BACKENDS.TEXT, path: '/refine_texts' },
+
   // Symbol detection endpoints
-  SYMBOL_DETECTION: `${SYMBOL_API_URL}/detect_symbols`,
-  SYMBOL_REFINEMENT: `${TEXT_API_URL}/refine_symbols`,
-  
-  // Requirements endpoints
-  UPLOAD_REQUIREMENTS: `${TEXT_API_URL}/upload_requirements`,
-  VALIDATE_PRODUCT: `${TEXT_API_URL}/validate_product`,
-  PARSE_REQUIREMENTS: `${TEXT_API_URL}/req_parser`,
-  CHECK_TEXT_REQUIREMENTS: `${TEXT_API_URL}/check_text_requirement`,
-  TEXT_PIPELINE: `${TEXT_API_URL}/predict_pipeline`,
-  VERIFY_REQUIREMENTS: `${TEXT_API_URL}/verify_requirements`,
-  
-  // Status endpoints
-  TEXT_STATUS: `${TEXT_API_URL}/status`,
-  SYMBOL_STATUS: `${SYMBOL_API_URL}/status`
-};
+  SYMBOL_DETECTION: { backend: BACKENDS.SYMBOL, path: '/detect_symbols' },
+  SYMBOL_REFINEMENT: { backend: BACKENDS.TEXT, path: '/refine_symbols' },
 
-/**
- * Update the text API URL
- * @param {string} newUrl - The new base URL for the text API
- */
-export const updateTextApiUrl = (newUrl) => {
-  // This is just for runtime updates - you'll still need to modify the constant above for persistence
-  Object.keys(API_ENDPOINTS).forEach(key => {
-    if (API_ENDPOINTS[key].startsWith(TEXT_API_URL)) {
-      API_ENDPOINTS[key] = API_ENDPOINTS[key].replace(TEXT_API_URL, newUrl);
-    }
-  });
-};
+  // Requirements endpoints
+  UPLOAD_REQUIREMENTS: { backend: BACKENDS.TEXT, path: '/upload_requirements' },
+  VALIDATE_PRODUCT: { backend: BACKENDS.TEXT, path: '/validate_product' },
+  PARSE_REQUIREMENTS: { backend: BACKENDS.TEXT, path: '/req_parser' },
+  PARSE_UPLOADED_REQUIREMENTS: { backend: BACKENDS.TEXT, path: '/parse_requirements' },
+  CHECK_TEXT_REQUIREMENTS: { backend: BACKENDS.TEXT, path: '/check_text_requirement' },
+  TEXT_PIPELINE: { backend: BACKENDS.TEXT, path: '/predict_pipeline' },
+  VERIFY_REQUIREMENTS: { backend: BACKENDS.TEXT, path: '/verify_requirements' },
 
-/**
- * Update the symbol API URL
- * @param {string} newUrl - The new base URL for the symbol API
- */
-export const updateSymbolApiUrl = (newUrl) => {
-  // This is just for runtime updates - you'll still need to modify the constant above for persistence
-  Object.keys(API_ENDPOINTS).forEach(key => {
-    if (API_ENDPOINTS[key].startsWith(SYMBOL_API_URL)) {
-      API_ENDPOINTS[key] = API_ENDPOINTS[key].replace(SYMBOL_API_URL, newUrl);
-    }
-  });
+  // Status endpoints
+  TEXT_STATUS: { backend: BACKENDS.TEXT, path: '/status' },
+  SYMBOL_STATUS: { backend: BACKENDS.SYMBOL, path: '/status' }
 };
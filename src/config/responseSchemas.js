@@ -0,0 +1,256 @@
+/**
+ * Backend Response Schemas
+ *
+ * One declared schema per API_ROUTES key, describing what the frontend reads from the
+ * backend response. services/responseNormalizer.js checks every response against its
+ * schema and reports mismatches in the diagnostics panel.
+ * The format is a subset of JSON Schema, see utils/schemaUtils.js.
+ */
+
+const nullableNumber = { type: ['number', 'null'] };
+
+// A text region from the text backend
+const TEXT_BLOCK_SCHEMA = {
+  type: 'object',
+  required: ['id', 'text'],
+  properties: {
+    id: { type: ['string', 'integer'] },
+    text: { type: 'string' },
+    xmin: nullableNumber,
+    ymin: nullableNumber,
+    xmax: nullableNumber,
+    ymax: nullableNumber,
+    confidence: nullableNumber,
+    font_size: { type: ['number', 'string', 'null'] },
+    font: { type: ['string', 'null'] }
+  }
+};
+
+const VISUALIZATIONS_SCHEMA = {
+  type: 'object',
+  properties: {
+    word_image: { type: 'string' },
+    line_image: { type: 'string' },
+    para_image: { type: 'string' }
+  }
+};
+
+// A property of a parsed requirement
+const PARSED_REQUIREMENT_PROPERTY_SCHEMA = {
+  type: 'array',
+  items: {
+    type: 'object',
+    required: ['req_name'],
+    properties: {
+      req_name: { type: 'string' },
+      req_desc: { type: 'string' }
+    }
+  }
+};
+
+// A requirement as parsed from the requirements spreadsheet; the backend sends the properties
+// of symbol requirements as reqs
+const PARSED_REQUIREMENT_SCHEMA = {
+  type: 'object',
+  required: ['name'],
+  properties: {
+    name: { type: 'string' },
+    required: { type: 'boolean' },
+    req_properties: PARSED_REQUIREMENT_PROPERTY_SCHEMA,
+    reqs: PARSED_REQUIREMENT_PROPERTY_SCHEMA
+  }
+};
+
+const PARSED_REQUIREMENTS_SCHEMA = {
+  type: 'object',
+  required: ['result'],
+  properties: {
+    result: {
+      type: 'object',
+      required: ['text_requirement', 'symbol_requirement'],
+      properties: {
+        text_requirement: { type: 'array', items: PARSED_REQUIREMENT_SCHEMA },
+        symbol_requirement: { type: 'array', items: PARSED_REQUIREMENT_SCHEMA }
+      }
+    }
+  }
+};
+
+// The verdict of the backend on one requirement
+const REQUIREMENT_RESULT_SCHEMA = {
+  type: 'object',
+  required: ['req_name', 'req_properties'],
+  properties: {
+    req_name: { type: 'string' },
+    req_para_id: { type: 'array', items: { type: ['string', 'integer'] } },
+    req_labels: { type: 'array', items: { type: 'string' } },
+    req_properties: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['req_property_name', 'req_status'],
+        properties: {
+          req_property_name: { type: 'string' },
+          req_property_value: { type: ['string', 'number', 'null'] },
+          req_desc: { type: 'string' },
+          req_status: { type: 'integer', enum: [0, 1] }
+        }
+      }
+    }
+  }
+};
+
+const REQUIREMENT_RESULTS_SCHEMA = {
+  type: 'object',
+  required: ['result'],
+  properties: {
+    result: { type: 'array', items: REQUIREMENT_RESULT_SCHEMA }
+  }
+};
+
+const TEXT_REQUIREMENT_CHECK_SCHEMA = {
+  type: 'object',
+  required: ['text_requirment'],
+  properties: {
+    text_requirment: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['id', 'refined_text'],
+        properties: {
+          id: { type: ['string', 'integer'] },
+          refined_text: { type: 'string' }
+        }
+      }
+    }
+  }
+};
+
+const SYMBOL_PREDICTION_SCHEMA = {
+  type: 'object',
+  required: ['item', 'statement_requirement'],
+  properties: {
+    id: { type: ['string', 'integer'] },
+    item: { type: 'string' },
+    layout_requirement: { type: 'integer', enum: [0, 1] },
+    statement_requirement: { type: 'integer', enum: [0, 1] }
+  }
+};
+
+const STATUS_SCHEMA = {
+  type: 'object',
+  properties: {
+    status: { type: 'string' },
+    message: { type: 'string' },
+    version: { type: ['string', 'number'] },
+    model_version: { type: ['string', 'number'] },
+    api_version: { type: ['string', 'number'] }
+  }
+};
+
+const VERIFICATION_SCHEMA = {
+  type: 'object',
+  required: ['text_req_results', 'symbol_req_results'],
+  properties: {
+    text_req_results: REQUIREMENT_RESULTS_SCHEMA,
+    symbol_req_results: REQUIREMENT_RESULTS_SCHEMA,
+    parsed_requirements: PARSED_REQUIREMENTS_SCHEMA
+  }
+};
+
+export const RESPONSE_SCHEMAS = {
+  TEXT_DETECTION: {
+    type: 'object',
+    required: ['refined_text'],
+    properties: {
+      refined_text: { type: 'array', items: TEXT_BLOCK_SCHEMA },
+      visualizations: VISUALIZATIONS_SCHEMA
+    }
+  },
+  TEXT_REFINEMENT: {
+    type: 'object',
+    required: ['refined_text'],
+    properties: {
+      refined_text: { type: 'array', items: TEXT_BLOCK_SCHEMA }
+    }
+  },
+
+  SYMBOL_DETECTION: {
+    type: 'object',
+    required: ['labels', 'image_shape'],
+    properties: {
+      labels: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['label', 'x', 'y', 'width', 'height'],
+          properties: {
+            label: { type: 'string' },
+            confidence: { type: 'number' },
+            x: { type: 'number' },
+            y: { type: 'number' },
+            width: { type: 'number' },
+            height: { type: 'number' }
+          }
+        }
+      },
+      image_shape: {
+        type: 'object',
+        required: ['width', 'height'],
+        properties: {
+          width: { type: 'number' },
+          height: { type: 'number' },
+          width_cm: { type: 'number' },
+          height_cm: { type: 'number' }
+        }
+      },
+      visualization: { type: 'string' }
+    }
+  },
+  SYMBOL_REFINEMENT: {
+    type: 'object',
+    required: ['predictions'],
+    properties: {
+      predictions: { type: 'array', items: SYMBOL_PREDICTION_SCHEMA },
+      refined_text: { type: 'array', items: TEXT_BLOCK_SCHEMA }
+    }
+  },
+
+  UPLOAD_REQUIREMENTS: {
+    type: 'object',
+    properties: {
+      requirements: { type: ['object', 'array'] }
+    }
+  },
+  VALIDATE_PRODUCT: VERIFICATION_SCHEMA,
+  PARSE_REQUIREMENTS: PARSED_REQUIREMENTS_SCHEMA,
+  PARSE_UPLOADED_REQUIREMENTS: PARSED_REQUIREMENTS_SCHEMA,
+  CHECK_TEXT_REQUIREMENTS: TEXT_REQUIREMENT_CHECK_SCHEMA,
+  TEXT_PIPELINE: {
+    type: 'object',
+    required: ['detection_results', 'refined_text'],
+    properties: {
+      detection_results: { type: 'array', items: TEXT_BLOCK_SCHEMA },
+      refined_text: { type: 'array', items: TEXT_BLOCK_SCHEMA },
+      requirement_check: TEXT_REQUIREMENT_CHECK_SCHEMA,
+      parsed_requirements: PARSED_REQUIREMENTS_SCHEMA,
+      visualizations: VISUALIZATIONS_SCHEMA,
+      refined_symbols: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['id', 'text'],
+          properties: {
+            id: { type: ['string', 'integer'] },
+            text: { type: 'string' }
+          }
+        }
+      },
+      symbol_check: { type: 'array', items: SYMBOL_PREDICTION_SCHEMA }
+    }
+  },
+  VERIFY_REQUIREMENTS: VERIFICATION_SCHEMA,
+
+  TEXT_STATUS: STATUS_SCHEMA,
+  SYMBOL_STATUS: STATUS_SCHEMA
+};
@@ -0,0 +1,36 @@
+/**
+ * Spreadsheet Configuration
+ *
+ * Column layout of the legal requirements spreadsheet. Exported result
+ * workbooks reuse the same columns so compliance staff can annotate them
+ * and send them back in the format they already know.
+ */
+
+// One row per requirement property
+export const REQUIREMENT_COLUMNS = {
+  TYPE: 'requirement_type',
+  NAME: 'requirement_name',
+  PROPERTY: 'property_name',
+  DESCRIPTION: 'property_description'
+};
+
+// Values of the requirement_type column
+export const REQUIREMENT_TYPES = {
+  TEXT: 'text',
+  SYMBOL: 'symbol'
+};
+
+// Extra columns appended to exported validation sheets for reviewers to fill in
+export const REVIEW_COLUMNS = {
+  STATUS: 'reviewer_status',
+  COMMENT: 'reviewer_comment'
+};
+
+// Property names written for requirements created in the requirements editor
+export const REQUIREMENT_PROPERTIES = {
+  STATEMENT: 'statement',
+  MIN_TEXT_HEIGHT: 'min_text_height',
+  COUNTRY: 'country_details',
+  MIN_WIDTH: 'min_width',
+  MIN_HEIGHT: 'min_height'
+};
@@ -0,0 +1,13 @@
+import { useSyncExternalStore } from 'react';
+import { getBackendHealthSnapshot, subscribeToBackendHealth } from '../services/backendHealthService';
+
+/**
+ * Subscribe to the health of the text and symbol backends
+ * Polling is started by BackendHealthIndicator; this hook only reads the latest checks
+ * @returns {Object} - Health by backend { state, latencyMs, lastSeenAt, lastCheckedAt, version, message, error }
+ */
+const useBackendHealth = () => {
+  return useSyncExternalStore(subscribeToBackendHealth, getBackendHealthSnapshot);
+};
+
+export default useBackendHealth;
@@ -0,0 +1,12 @@
+import { useSyncExternalStore } from 'react';
+import { getBackendProfilesSnapshot, subscribeToBackendProfiles } from '../services/backendProfileService';
+
+/**
+ * Subscribe to the stored backend profiles
+ * @returns {Object} - { profiles, activeProfile }, updated whenever a profile is saved, deleted or activated
+ */
+const useBackendProfiles = () => {
+  return useSyncExternalStore(subscribeToBackendProfiles, getBackendProfilesSnapshot);
+};
+
+export default useBackendProfiles;
@@ -0,0 +1,46 @@
+import { useCallback, useEffect, useRef } from 'react';
+
+/**
+ * Track the one analysis run that is allowed to update the page
+ * Starting a run aborts the previous one, and a run's results should only be applied
+ * while it is still current, so late responses from superseded runs are dropped
+ * @returns {Object} - { startRun, cancelRun }
+ */
+const useCancellableRun = () => {
+  const controllerRef = useRef(null);
+
+  /**
+   * Start a new run, aborting the active one
+   * @returns {Object} - { signal, isCurrent } where isCurrent() is false once the run is cancelled or superseded
+   */
+  const startRun = useCallback(() => {
+    controllerRef.current?.abort();
+    const controller = new AbortController();
+    controllerRef.current = controller;
+
+    return {
+      signal: controller.signal,
+      isCurrent: () => controllerRef.current === controller && !controller.signal.aborted
+    };
+  }, []);
+
+  /**
+   * Abort the active run, if any
+   * @returns {boolean} - Whether a run was cancelled
+   */
+  const cancelRun = useCallback(() => {
+    const controller = controllerRef.current;
+    controllerRef.current = null;
+    if (!controller || controller.signal.aborted) return false;
+
+    controller.abort();
+    return true;
+  }, []);
+
+  // Requests of an unmounted page have nowhere to go
+  useEffect(() => () => controllerRef.current?.abort(), []);
+
+  return { startRun, cancelRun };
+};
+
+export default useCancellableRun;
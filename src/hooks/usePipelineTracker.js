@@ -0,0 +1,79 @@
+import { useCallback, useRef, useState } from 'react';
+import { listRunTimings } from '../services/historyService';
+import {
+  createTimings,
+  startStages,
+  endStages,
+  finishTimings,
+  getTypicalDurations,
+  isTimingRunning,
+  STAGE_STATES
+} from '../utils/pipelineTimings';
+
+/**
+ * Record the stage timings of the active analysis run
+ * Only the most recently begun run can update the timings, so callbacks of a superseded
+ * run never overwrite the stages of the run that replaced it
+ * @returns {Object} - { timings, typicalDurations, beginTimings, cancelTimings, resetTimings }
+ */
+const usePipelineTracker = () => {
+  const [timings, setTimings] = useState(null);
+  const [typicalDurations, setTypicalDurations] = useState({});
+  const timingsRef = useRef(null);
+  const tokenRef = useRef(0);
+
+  /**
+   * Start timing a new run
+   * @param {string} flowId - Flow id from PIPELINE_FLOWS
+   * @returns {Object} - { start(stageIds), end(stageIds, state), finish(state) }; each returns the
+   *   updated timing record, or null once a newer run has begun
+   */
+  const beginTimings = useCallback((flowId) => {
+    const token = ++tokenRef.current;
+    timingsRef.current = createTimings(flowId);
+    setTimings(timingsRef.current);
+    setTypicalDurations({});
+
+    listRunTimings()
+      .then(pastTimings => {
+        if (tokenRef.current === token) setTypicalDurations(getTypicalDurations(pastTimings, flowId));
+      })
+      .catch(error => console.error('Error loading run timings:', error));
+
+    const update = (apply) => {
+      if (tokenRef.current !== token) return null;
+      timingsRef.current = apply(timingsRef.current);
+      setTimings(timingsRef.current);
+      return timingsRef.current;
+    };
+
+    return {
+      start: (stageIds) => update(current => startStages(current, stageIds)),
+      end: (stageIds, state) => update(current => endStages(current, stageIds, state)),
+      finish: (state) => update(current => (isTimingRunning(current) ? finishTimings(current, state) : current))
+    };
+  }, []);
+
+  /**
+   * Close the active run's timings as cancelled; later updates from that run are ignored
+   */
+  const cancelTimings = useCallback(() => {
+    tokenRef.current++;
+    if (!isTimingRunning(timingsRef.current)) return;
+    timingsRef.current = finishTimings(timingsRef.current, STAGE_STATES.CANCELLED);
+    setTimings(timingsRef.current);
+  }, []);
+
+  /**
+   * Clear the timings, e.g. when another image is selected
+   */
+  const resetTimings = useCallback(() => {
+    tokenRef.current++;
+    timingsRef.current = null;
+    setTimings(null);
+  }, []);
+
+  return { timings, typicalDurations, beginTimings, cancelTimings, resetTimings };
+};
+
+export default usePipelineTracker;
@@ -3,6 +3,12 @@ import { StrictMode } from 'react'
 import { createRoot } from 'react-dom/client'
 import './index.css'
 import App from './App.jsx'
+import { addRequestListener, logRequestEvent } from './services/httpClient'
+
+// Log backend requests, retries and failures while developing
+if (import.meta.env.DEV) {
+  addRequestListener(logRequestEvent)
+}
 
 createRoot(document.getElementById('root')).render(
   <StrictMode>
@@ -0,0 +1,227 @@
+/**
+ * Backend Health Service
+ * Polls the /status endpoint of the text and symbol backends of the active profile and
+ * keeps the latest state, latency, last-seen time and version of each. Raises a toast
+ * when a backend that was down answers again.
+ */
+import { API_ROUTES, BACKENDS } from '../config/apiConfig';
+import { getActiveBackendProfile, subscribeToBackendProfiles } from './backendProfileService';
+import { request } from './httpClient';
+import { normalizeStatus } from './responseNormalizer';
+import { showToast, TOAST_TYPES } from './toastService';
+
+export const HEALTH_POLL_INTERVAL_MS = 30000;
+// Status checks should answer quickly; a slow /status means the backend is busy or gone
+const HEALTH_CHECK_TIMEOUT_MS = 10000;
+
+// States of a backend
+export const HEALTH_STATES = {
+  UNKNOWN: 'unknown',
+  UP: 'up',
+  DOWN: 'down',
+  UNCONFIGURED: 'unconfigured'
+};
+
+export const BACKEND_LABELS = {
+  [BACKENDS.TEXT]: 'Text backend',
+  [BACKENDS.SYMBOL]: 'Symbol backend'
+};
+
+const STATUS_ENDPOINTS = {
+  [BACKENDS.TEXT]: 'TEXT_STATUS',
+  [BACKENDS.SYMBOL]: 'SYMBOL_STATUS'
+};
+
+const listeners = new Set();
+// Generation of the running check of each backend
+const inFlight = new Map();
+// Bumped when the active profile's backends change, so answers for the previous ones are dropped
+let generation = 0;
+let profileKey = null;
+let pollers = 0;
+let pollTimer = null;
+let unsubscribeProfiles = null;
+
+/**
+ * Create the health of a backend that has not been checked yet
+ * @returns {Object} - { state, latencyMs, lastSeenAt, lastCheckedAt, version, message, error }
+ */
+const createHealth = () => ({
+  state: HEALTH_STATES.UNKNOWN,
+  latencyMs: null,
+  lastSeenAt: null,
+  lastCheckedAt: null,
+  version: null,
+  message: null,
+  error: null
+});
+
+const createSnapshot = () => ({
+  [BACKENDS.TEXT]: createHealth(),
+  [BACKENDS.SYMBOL]: createHealth()
+});
+
+let snapshot = createSnapshot();
+
+/**
+ * Get the health of both backends
+ * The same object is returned until a check changes it, as useSyncExternalStore requires
+ * @returns {Object} - Health by backend
+ */
+export const getBackendHealthSnapshot = () => snapshot;
+
+/**
+ * Subscribe to health changes
+ * @param {Function} listener - Called after every change
+ * @returns {Function} - Unsubscribe function
+ */
+export const subscribeToBackendHealth = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+/**
+ * Merge a health update for one backend and notify subscribers
+ * @param {string} backend - BACKENDS.TEXT or BACKENDS.SYMBOL
+ * @param {Object} patch - Fields to update
+ */
+const updateHealth = (backend, patch) => {
+  snapshot = { ...snapshot, [backend]: { ...snapshot[backend], ...patch } };
+  listeners.forEach(listener => listener());
+};
+
+/**
+ * Check one backend of the active profile
+ * @param {string} backend - BACKENDS.TEXT or BACKENDS.SYMBOL
+ * @returns {Promise<void>}
+ */
+export const checkBackendHealth = async (backend) => {
+  const checkGeneration = generation;
+  if (inFlight.get(backend) === checkGeneration) return;
+
+  const profile = getActiveBackendProfile();
+  const baseUrl = backend === BACKENDS.TEXT ? profile.textApiUrl : profile.symbolApiUrl;
+  if (!baseUrl) {
+    updateHealth(backend, { ...createHealth(), state: HEALTH_STATES.UNCONFIGURED });
+    return;
+  }
+
+  inFlight.set(backend, checkGeneration);
+  const startedAt = Date.now();
+  try {
+    const data = await request(STATUS_ENDPOINTS[backend], {
+      label: `${BACKEND_LABELS[backend]} status check`,
+      method: 'GET',
+      timeout: HEALTH_CHECK_TIMEOUT_MS,
+      retries: 0
+    });
+    if (checkGeneration !== generation) return;
+
+    const { version, message } = normalizeStatus(data, STATUS_ENDPOINTS[backend]);
+    const wasDown = snapshot[backend].state === HEALTH_STATES.DOWN;
+    const now = Date.now();
+    updateHealth(backend, {
+      state: HEALTH_STATES.UP,
+      latencyMs: now - startedAt,
+      lastSeenAt: now,
+      lastCheckedAt: now,
+      version,
+      message,
+      error: null
+    });
+    if (wasDown) {
+      showToast({ type: TOAST_TYPES.SUCCESS, message: `${BACKEND_LABELS[backend]} is reachable again` });
+    }
+  } catch (error) {
+    if (checkGeneration !== generation) return;
+    updateHealth(backend, {
+      state: HEALTH_STATES.DOWN,
+      latencyMs: null,
+      lastCheckedAt: Date.now(),
+      error: error.message
+    });
+  } finally {
+    if (inFlight.get(backend) === checkGeneration) inFlight.delete(backend);
+  }
+};
+
+/**
+ * Identify the servers of the active profile
+ * @returns {string} - Key that changes whenever a backend URL or the routing changes
+ */
+const getProfileKey = () => {
+  const { textApiUrl, symbolApiUrl, routeThroughDevServer } = getActiveBackendProfile();
+  return JSON.stringify([textApiUrl, symbolApiUrl, Boolean(routeThroughDevServer)]);
+};
+
+/**
+ * Check both backends of the active profile
+ * @returns {Promise<void>}
+ */
+export const checkAllBackends = () => Promise.all(Object.values(BACKENDS).map(checkBackendHealth));
+
+/**
+ * Start polling both backends; polling runs while at least one caller keeps it started
+ * @param {number} intervalMs - Time between checks
+ * @returns {Function} - Stops this caller's polling
+ */
+export const startHealthPolling = (intervalMs = HEALTH_POLL_INTERVAL_MS) => {
+  pollers++;
+  if (pollers === 1) {
+    profileKey = getProfileKey();
+    checkAllBackends();
+    pollTimer = setInterval(checkAllBackends, intervalMs);
+
+    // Different servers: forget what we knew about the old ones and check again
+    unsubscribeProfiles = subscribeToBackendProfiles(() => {
+      const nextKey = getProfileKey();
+      if (nextKey === profileKey) return;
+      profileKey = nextKey;
+      generation++;
+      snapshot = createSnapshot();
+      listeners.forEach(listener => listener());
+      checkAllBackends();
+    });
+  }
+
+  let stopped = false;
+  return () => {
+    if (stopped) return;
+    stopped = true;
+    pollers--;
+    if (pollers === 0) {
+      clearInterval(pollTimer);
+      unsubscribeProfiles();
+      pollTimer = null;
+      unsubscribeProfiles = null;
+    }
+  };
+};
+
+/**
+ * List the backends behind the given endpoints whose last status check failed
+ * @param {Array<string>} endpointKeys - Endpoint keys from API_ROUTES, e.g. ['TEXT_PIPELINE']
+ * @param {Object} health - Health snapshot to read, the latest one by default
+ * @returns {Array<Object>} - { backend, label, error } of each unreachable backend
+ */
+export const getUnreachableBackends = (endpointKeys, health = snapshot) => {
+  const backends = [...new Set(endpointKeys.map(key => API_ROUTES[key].backend))];
+  return backends
+    .filter(backend => health[backend].state === HEALTH_STATES.DOWN)
+    .map(backend => ({ backend, label: BACKEND_LABELS[backend], error: health[backend].error }));
+};
+
+/**
+ * Ask the user whether to go ahead when a backend needed for a long request is down
+ * @param {Array<string>} endpointKeys - Endpoint keys the request will call
+ * @returns {boolean} - Whether to start the request
+ */
+export const confirmBackendsReachable = (endpointKeys) => {
+  const unreachable = getUnreachableBackends(endpointKeys);
+  if (unreachable.length === 0) return true;
+
+  const names = unreachable.map(({ label }) => label).join(' and ');
+  return window.confirm(
+    `${names} did not answer the last status check, so this analysis will probably fail.\n\nStart it anyway?`
+  );
+};
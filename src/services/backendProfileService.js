@@ -0,0 +1,259 @@
+/**
+ * Backend Profile Service
+ * Stores named backend profiles (text and symbol base URLs) in localStorage and
+ * tracks which one is active. API_ENDPOINTS always resolves against the active
+ * profile, so switching profiles takes effect on the next request without a reload.
+ */
+import {
+  API_ROUTES,
+  BACKENDS,
+  BACKEND_TARGET_HEADER,
+  TEXT_API_URL,
+  SYMBOL_API_URL,
+  DEFAULT_BACKEND_PROFILES,
+  DEFAULT_BACKEND_PROFILE_ID
+} from '../config/apiConfig';
+
+const STORAGE_KEY = 'ocr-mattel-backend-profiles';
+
+// The dev server router only exists while running `vite` with VITE_BACKEND_ROUTER=true
+export const isDevServerRouterAvailable = import.meta.env.DEV && import.meta.env.VITE_BACKEND_ROUTER === 'true';
+
+// Set when `vite` answers /api/text and /api/symbol from fixtures (plugins/mockBackendPlugin.js):
+// 'true' for mock answers, 'record' while real answers are being saved as fixtures
+export const devServerMockMode = import.meta.env.DEV ? import.meta.env.VITE_MOCK_BACKEND : undefined;
+
+// Mocks only answer the dev server prefixes, so every profile is sent there while they are on
+const isMockingBackends = devServerMockMode === 'true';
+
+const listeners = new Set();
+let snapshot = null;
+
+/**
+ * Remove surrounding whitespace and trailing slashes from a base URL
+ * @param {string} url - Base URL as typed by the user
+ * @returns {string} - Normalised base URL
+ */
+export const normalizeBaseUrl = (url) => String(url || '').trim().replace(/\/+$/, '');
+
+/**
+ * Read the stored profiles, falling back to the built-in ones
+ * @returns {Object} - { profiles, activeProfileId }
+ */
+const readState = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY) || 'null');
+    if (stored && Array.isArray(stored.profiles) && stored.profiles.length > 0) {
+      return stored;
+    }
+  } catch (error) {
+    console.error('Error reading backend profiles:', error);
+  }
+  return { profiles: DEFAULT_BACKEND_PROFILES, activeProfileId: DEFAULT_BACKEND_PROFILE_ID };
+};
+
+/**
+ * Build the snapshot handed to subscribers
+ * @param {Object} state - { profiles, activeProfileId }
+ * @returns {Object} - { profiles, activeProfile }
+ */
+const toSnapshot = (state) => ({
+  profiles: state.profiles,
+  activeProfile: state.profiles.find(profile => profile.id === state.activeProfileId) || state.profiles[0]
+});
+
+/**
+ * Get the current profiles and active profile
+ * The same object is returned until the profiles change, as useSyncExternalStore requires
+ * @returns {Object} - { profiles, activeProfile }
+ */
+export const getBackendProfilesSnapshot = () => {
+  if (!snapshot) snapshot = toSnapshot(readState());
+  return snapshot;
+};
+
+/**
+ * Store the profiles and notify subscribers
+ * @param {Object} state - { profiles, activeProfileId }
+ */
+const writeState = (state) => {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(state));
+  snapshot = toSnapshot(state);
+  listeners.forEach(listener => listener());
+};
+
+/**
+ * Subscribe to profile changes, including changes made in other tabs
+ * @param {Function} listener - Called after every change
+ * @returns {Function} - Unsubscribe function
+ */
+export const subscribeToBackendProfiles = (listener) => {
+  const handleStorage = (event) => {
+    if (event.key !== STORAGE_KEY) return;
+    snapshot = null;
+    listener();
+  };
+
+  listeners.add(listener);
+  window.addEventListener('storage', handleStorage);
+  return () => {
+    listeners.delete(listener);
+    window.removeEventListener('storage', handleStorage);
+  };
+};
+
+/**
+ * List all backend profiles
+ * @returns {Array<Object>} - Profiles { id, name, textApiUrl, symbolApiUrl }
+ */
+export const listBackendProfiles = () => getBackendProfilesSnapshot().profiles;
+
+/**
+ * Get the profile requests are currently sent to
+ * @returns {Object} - The active profile
+ */
+export const getActiveBackendProfile = () => getBackendProfilesSnapshot().activeProfile;
+
+/**
+ * Describe the backends of a profile, as recorded with a run
+ * @param {Object} profile - Backend profile, the active one if omitted
+ * @returns {Object} - { profile, text, symbol } with the profile name and both base URLs
+ */
+export const describeBackendProfile = (profile = getActiveBackendProfile()) => ({
+  profile: profile.name,
+  text: profile.textApiUrl,
+  symbol: profile.symbolApiUrl
+});
+
+/**
+ * Switch the active profile
+ * @param {string} id - Profile id
+ */
+export const setActiveBackendProfile = (id) => {
+  const state = readState();
+  if (!state.profiles.some(profile => profile.id === id)) {
+    throw new Error('Backend profile not found');
+  }
+  writeState({ ...state, activeProfileId: id });
+};
+
+/**
+ * Check a base URL: empty (not configured yet), an absolute http(s) URL or a path on this server
+ * @param {string} url - Normalised base URL
+ * @returns {boolean} - Whether the URL is usable
+ */
+const isValidBaseUrl = (url) => url === '' || /^https?:\/\/[^/\s]+/.test(url) || /^\/\S*$/.test(url);
+
+/**
+ * Validate a profile before saving
+ * @param {Object} profile - Profile to check
+ * @returns {Array<string>} - Error messages, empty if the profile is valid
+ */
+export const validateBackendProfile = (profile) => {
+  const errors = [];
+  if (!profile.name?.trim()) errors.push('Profile name is required');
+  if (!isValidBaseUrl(normalizeBaseUrl(profile.textApiUrl))) {
+    errors.push('Text API URL must start with http://, https:// or /');
+  }
+  if (!isValidBaseUrl(normalizeBaseUrl(profile.symbolApiUrl))) {
+    errors.push('Symbol API URL must start with http://, https:// or /');
+  }
+  return errors;
+};
+
+/**
+ * Create or update a profile
+ * @param {Object} profile - { id, name, textApiUrl, symbolApiUrl }; a new profile is created without an id
+ * @returns {Object} - The stored profile
+ */
+export const saveBackendProfile = (profile) => {
+  const errors = validateBackendProfile(profile);
+  if (errors.length > 0) {
+    throw new Error(errors.join('\n'));
+  }
+
+  const state = readState();
+  const stored = {
+    id: profile.id || `profile_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
+    name: profile.name.trim(),
+    textApiUrl: normalizeBaseUrl(profile.textApiUrl),
+    symbolApiUrl: normalizeBaseUrl(profile.symbolApiUrl),
+    routeThroughDevServer: Boolean(profile.routeThroughDevServer)
+  };
+  const exists = state.profiles.some(item => item.id === stored.id);
+  const profiles = exists
+    ? state.profiles.map(item => (item.id === stored.id ? stored : item))
+    : [...state.profiles, stored];
+
+  writeState({ ...state, profiles });
+  return stored;
+};
+
+/**
+ * Delete a profile; the first remaining profile becomes active if the active one is deleted
+ * @param {string} id - Profile id
+ */
+export const deleteBackendProfile = (id) => {
+  const state = readState();
+  const profiles = state.profiles.filter(profile => profile.id !== id);
+  if (profiles.length === 0) {
+    throw new Error('At least one backend profile is required');
+  }
+
+  const activeProfileId = state.activeProfileId === id ? profiles[0].id : state.activeProfileId;
+  writeState({ profiles, activeProfileId });
+};
+
+/**
+ * Check whether a profile has both backend URLs set
+ * @param {Object} profile - Backend profile
+ * @returns {boolean} - Whether the profile can be used for analysis
+ */
+export const isBackendProfileConfigured = (profile) => Boolean(profile?.textApiUrl && profile?.symbolApiUrl);
+
+/**
+ * Get the base URL of a backend in the active profile
+ * @param {string} backend - BACKENDS.TEXT or BACKENDS.SYMBOL
+ * @returns {Object} - { profile, baseUrl, routed } where routed means the request goes through the dev server router
+ */
+const resolveBackend = (backend) => {
+  const profile = getActiveBackendProfile();
+  const baseUrl = backend === BACKENDS.TEXT ? profile.textApiUrl : profile.symbolApiUrl;
+  if (!baseUrl) {
+    throw new Error(`No ${backend} backend URL is set in the "${profile.name}" backend profile`);
+  }
+
+  const routed = isDevServerRouterAvailable && Boolean(profile.routeThroughDevServer) && /^https?:\/\//.test(baseUrl);
+  return { profile, baseUrl, routed };
+};
+
+/**
+ * Endpoint URLs of the active profile, resolved on every access
+ * Reading an endpoint whose backend has no URL in the active profile throws, so
+ * requests fail with a clear message instead of hitting this server. With the mock
+ * backend on, every endpoint points at the dev server prefixes whatever the profile says.
+ */
+export const API_ENDPOINTS = Object.defineProperties({}, Object.fromEntries(
+  Object.entries(API_ROUTES).map(([key, route]) => [key, {
+    enumerable: true,
+    get: () => {
+      const proxyUrl = route.backend === BACKENDS.TEXT ? TEXT_API_URL : SYMBOL_API_URL;
+      if (isMockingBackends) return `${proxyUrl}${route.path}`;
+
+      const { baseUrl, routed } = resolveBackend(route.backend);
+      return `${routed ? proxyUrl : baseUrl}${route.path}`;
+    }
+  }])
+));
+
+/**
+ * Extra request headers an endpoint needs under the active profile
+ * Routed profiles name their backend in a header that the dev server router forwards to
+ * @param {string} key - Endpoint key from API_ROUTES
+ * @returns {Object} - Headers to merge into the request
+ */
+export const getEndpointHeaders = (key) => {
+  if (isMockingBackends) return {};
+  const { baseUrl, routed } = resolveBackend(API_ROUTES[key].backend);
+  return routed ? { [BACKEND_TARGET_HEADER]: baseUrl } : {};
+};
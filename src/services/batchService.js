@@ -0,0 +1,195 @@
+/**
+ * Batch Analysis Service
+ * Runs the OCR -> Symbol Detection -> Verification pipeline over many images
+ * against a single requirements file
+ */
+import JSZip from 'jszip';
+import { detectText, verifyRequirements } from './ocrService';
+import { detectSymbols } from './symbolService';
+import { processVerificationResults, getVerifiedLegalTerms } from './legalValidationService';
+import { describeBackendProfile } from './backendProfileService';
+import { rasteriseFile, DEFAULT_RASTER_DPI } from './rasterService';
+import { IMAGE_FORMATS, IMAGE_FORMAT_EXTENSIONS, validateImageFile, isZipFile, needsRasterisation } from '../utils/fileUtils';
+import { runWithConcurrency } from '../utils/queueUtils';
+import { getValidationSummary } from '../utils/validationUtils';
+import { getSymbolSizeRules, applySymbolSizeRules } from '../utils/sizeRules';
+import { isAbortError } from './httpClient';
+
+// Colab backends handle only a few requests at a time, keep the queue small
+export const DEFAULT_BATCH_CONCURRENCY = 2;
+
+// Types of the image files that can be pulled out of a zip archive, keyed by format
+const ZIP_IMAGE_TYPES = {
+  [IMAGE_FORMATS.JPEG]: 'image/jpeg',
+  [IMAGE_FORMATS.PNG]: 'image/png',
+  [IMAGE_FORMATS.WEBP]: 'image/webp',
+  [IMAGE_FORMATS.TIFF]: 'image/tiff',
+  [IMAGE_FORMATS.SVG]: 'image/svg+xml',
+  [IMAGE_FORMATS.PDF]: 'application/pdf'
+};
+
+/**
+ * Extract image files from a zip archive
+ * @param {File} zipFile - The zip archive
+ * @returns {Promise<Array<File>>} - Image files found in the archive
+ */
+const extractImagesFromZip = async (zipFile) => {
+  const zip = await JSZip.loadAsync(zipFile);
+  const entries = Object.values(zip.files).filter(entry =>
+    !entry.dir && !entry.name.startsWith('__MACOSX/') && !entry.name.split('/').pop().startsWith('.')
+  );
+
+  const images = [];
+  for (const entry of entries) {
+    const extension = entry.name.split('.').pop().toLowerCase();
+    const type = ZIP_IMAGE_TYPES[IMAGE_FORMAT_EXTENSIONS[extension]];
+    if (!type) continue;
+
+    const blob = await entry.async('blob');
+    const fileName = entry.name.split('/').pop();
+    images.push(new File([blob], fileName, { type }));
+  }
+
+  return images;
+};
+
+/**
+ * Collect the images for a batch from a list of dropped files and zip archives
+ * PDF, TIFF, WebP and SVG files are rasterised, each page or frame becoming its own image
+ * @param {FileList|Array<File>} files - Files selected by the user
+ * @param {Object} options - { dpi } to rasterise at
+ * @returns {Promise<Object>} - { images: Array<{file, dpi}>, rejected: Array<{name, error}> }; dpi is
+ *   null for JPEG and PNG images
+ */
+export const collectBatchImages = async (files, { dpi = DEFAULT_RASTER_DPI } = {}) => {
+  const images = [];
+  const rejected = [];
+
+  for (const file of Array.from(files || [])) {
+    let candidates = [file];
+
+    if (isZipFile(file)) {
+      try {
+        candidates = await extractImagesFromZip(file);
+        if (candidates.length === 0) {
+          rejected.push({ name: file.name, error: 'Zip archive contains no supported images' });
+        }
+      } catch (error) {
+        console.error('Error reading zip archive:', error);
+        rejected.push({ name: file.name, error: 'Could not read zip archive' });
+        continue;
+      }
+    }
+
+    for (const candidate of candidates) {
+      const validation = validateImageFile(candidate);
+      if (!validation.isValid) {
+        rejected.push({ name: candidate.name, error: validation.error });
+      } else if (!needsRasterisation(candidate)) {
+        images.push({ file: candidate, dpi: null });
+      } else {
+        try {
+          const pages = await rasteriseFile(candidate, { dpi });
+          pages.forEach(page => images.push({ file: page.file, dpi: page.dpi }));
+        } catch (error) {
+          rejected.push({ name: candidate.name, error: `Could not rasterise: ${error.message}` });
+        }
+      }
+    }
+  }
+
+  return { images, rejected };
+};
+
+/**
+ * Run the full analysis pipeline for one image
+ * @param {File} imageFile - The image to analyse
+ * @param {File} requirementsFile - The shared requirements file; verification is skipped without one
+ * @param {Function} onStageChange - Called with the current stage ('text', 'symbols', 'validation')
+ * @param {Object} options - { dpi } of the image, if known, and { signal } to cancel the requests
+ * @returns {Promise<Object>} - OCR, symbol and validation results for the image, and the backends used
+ */
+export const analyzeImageWithRequirements = async (imageFile, requirementsFile, onStageChange = () => {}, { dpi = null, signal } = {}) => {
+  const backends = describeBackendProfile();
+  onStageChange('text');
+  const textData = await detectText(imageFile, { signal });
+
+  onStageChange('symbols');
+  const symbolData = await detectSymbols(imageFile, { signal, dpi });
+
+  let validationResults = null;
+  if (requirementsFile) {
+    onStageChange('validation');
+    const verificationResults = await verifyRequirements(
+      imageFile,
+      textData,
+      symbolData.symbols,
+      requirementsFile,
+      { signal }
+    );
+    const legalTerms = await getVerifiedLegalTerms(verificationResults, requirementsFile);
+    signal?.throwIfAborted();
+    validationResults = applySymbolSizeRules(
+      processVerificationResults(verificationResults, null),
+      getSymbolSizeRules(legalTerms),
+      symbolData.symbols
+    );
+  }
+
+  return {
+    ocrResults: textData,
+    symbolResults: symbolData.symbols,
+    imageShape: symbolData.imageShape,
+    imageDpi: dpi,
+    backends,
+    validationResults,
+    visualizations: {
+      text: {
+        word_image: textData.visualizations?.word_image || '',
+        line_image: textData.visualizations?.line_image || '',
+        para_image: textData.visualizations?.para_image || ''
+      },
+      symbols: symbolData.visualization
+    },
+    summary: getValidationSummary(validationResults)
+  };
+};
+
+/**
+ * Analyse a batch of images against one requirements file through a bounded queue
+ * @param {Array<Object>} images - Images to analyse, { file, dpi } as returned by collectBatchImages
+ * @param {File} requirementsFile - The shared requirements file
+ * @param {Object} options - Batch options
+ * @param {number} options.concurrency - Maximum number of images processed at once
+ * @param {Function} options.onItemUpdate - Called with (index, patch) whenever an item changes
+ * @param {AbortSignal} options.signal - Cancels the batch: running images are aborted and queued ones
+ *   are not started; both are reported with the status 'cancelled'
+ * @returns {Promise<Array>} - Settled results in the order of the input images
+ */
+export const analyzeBatch = async (images, requirementsFile, {
+  concurrency = DEFAULT_BATCH_CONCURRENCY,
+  onItemUpdate = () => {},
+  signal
+} = {}) => {
+  return runWithConcurrency(images, concurrency, async ({ file: imageFile, dpi }, index) => {
+    try {
+      signal?.throwIfAborted();
+      const result = await analyzeImageWithRequirements(
+        imageFile,
+        requirementsFile,
+        (stage) => onItemUpdate(index, { status: stage }),
+        { dpi, signal }
+      );
+      onItemUpdate(index, { status: 'done', ...result });
+      return result;
+    } catch (error) {
+      if (isAbortError(error) || signal?.aborted) {
+        onItemUpdate(index, { status: 'cancelled' });
+        throw error;
+      }
+      console.error(`Error analysing ${imageFile.name} in batch:`, error);
+      onItemUpdate(index, { status: 'error', error: error.message || 'Analysis failed' });
+      throw error;
+    }
+  });
+};
@@ -0,0 +1,185 @@
+/**
+ * Detection Service
+ * Runs text and symbol detection side by side, tracking each backend separately so
+ * one failing backend does not hide the results of the other
+ */
+import { detectText } from './ocrService';
+import { detectSymbols } from './symbolService';
+import { isAbortError } from './httpClient';
+import { preprocessImage } from './preprocessService';
+import { validateImageFile } from '../utils/fileUtils';
+import { toOriginalDetections, toOriginalImageShape, getProcessedDpi } from '../utils/imageTransformUtils';
+import { mergeRegionDetections } from '../utils/regionUtils';
+
+// States of a single detection
+export const DETECTION_STATES = {
+  IDLE: 'idle',
+  RUNNING: 'running',
+  DONE: 'done',
+  FAILED: 'failed'
+};
+
+// Detections run by runParallelDetection, keyed like the result tabs
+export const DETECTIONS = {
+  TEXT: 'text',
+  SYMBOLS: 'symbols'
+};
+
+/**
+ * Create the status of all detections
+ * @param {string} state - Initial state from DETECTION_STATES
+ * @returns {Object} - { text: { state, error }, symbols: { state, error } }
+ */
+export const createDetectionStatus = (state = DETECTION_STATES.IDLE) => ({
+  [DETECTIONS.TEXT]: { state, error: null },
+  [DETECTIONS.SYMBOLS]: { state, error: null }
+});
+
+/**
+ * Check whether any detection in a status failed
+ * @param {Object} status - Status from createDetectionStatus
+ * @returns {boolean} - Whether at least one detection failed
+ */
+export const hasFailedDetection = (status) => (
+  Object.values(status).some(detection => detection.state === DETECTION_STATES.FAILED)
+);
+
+/**
+ * Run text and symbol detection in parallel
+ * Each callback fires as soon as its own backend answers, so results can be shown
+ * before the other detection finishes. A failing detection resolves to null;
+ * cancelling through the signal rejects with the abort error.
+ * @param {File} imageFile - The image file to process
+ * @param {Object} options - Options
+ * @param {AbortSignal} options.signal - Cancels both requests
+ * @param {number} options.dpi - Resolution of the image if known, see detectSymbols
+ * @param {Function} options.onStatusChange - Called with (detection, { state, error })
+ * @param {Function} options.onUploadProgress - Called with (detection, { loaded, total, done }) while the image is sent
+ * @param {Function} options.onTextResults - Called with the text detection results
+ * @param {Function} options.onSymbolResults - Called with the symbol detection results
+ * @returns {Promise<Object>} - { textData, symbolData }, null for a failed detection
+ */
+export const runParallelDetection = async (imageFile, {
+  signal,
+  dpi = null,
+  onStatusChange = () => {},
+  onUploadProgress,
+  onTextResults = () => {},
+  onSymbolResults = () => {}
+} = {}) => {
+  const track = async (detection, detect, onResults) => {
+    onStatusChange(detection, { state: DETECTION_STATES.RUNNING, error: null });
+    try {
+      const data = await detect(imageFile, {
+        signal,
+        dpi,
+        onUploadProgress: onUploadProgress && (progress => onUploadProgress(detection, progress))
+      });
+      onResults(data);
+      onStatusChange(detection, { state: DETECTION_STATES.DONE, error: null });
+      return data;
+    } catch (error) {
+      if (isAbortError(error) || signal?.aborted) throw error;
+      console.error(`Error in ${detection} detection:`, error);
+      onStatusChange(detection, { state: DETECTION_STATES.FAILED, error: error.message });
+      return null;
+    }
+  };
+
+  const [textData, symbolData] = await Promise.all([
+    track(DETECTIONS.TEXT, detectText, onTextResults),
+    track(DETECTIONS.SYMBOLS, detectSymbols, onSymbolResults)
+  ]);
+  return { textData, symbolData };
+};
+
+/**
+ * Run text and symbol detection on regions of an image only
+ * Each region is cut out (and preprocessed with the given options) and analysed in turn; the
+ * detections are mapped back onto the whole image and merged. A region that cannot be prepared,
+ * e.g. because its crop is over the upload limit, is skipped and named in the status; a detection
+ * fails only when no region produced results for it.
+ * @param {File} imageFile - The whole image
+ * @param {Array<AnalysisRegion>} regions - Regions to analyse, in image pixels, see utils/regionUtils
+ * @param {Object} options - Options
+ * @param {AbortSignal} options.signal - Cancels the requests
+ * @param {number} options.dpi - Resolution of the whole image if known
+ * @param {Object} options.preprocessOptions - Preprocessing applied to every region, see preprocessService;
+ *   the region replaces its crop
+ * @param {Function} options.onStatusChange - Called with (detection, { state, error }) for the run as a whole
+ * @param {Function} options.onUploadProgress - Called with (detection, { loaded, total, done }) while a region is sent
+ * @param {Function} options.onRegionStart - Called with the index of the region being analysed
+ * @param {Function} options.onTextResults - Called with the merged text results after each region
+ * @param {Function} options.onSymbolResults - Called with the merged symbol results after each region
+ * @returns {Promise<Object>} - { textData, symbolData } in whole-image coordinates, like runParallelDetection;
+ *   the backend visualizations are kept for a single region only
+ */
+export const runRegionDetection = async (imageFile, regions, {
+  signal,
+  dpi = null,
+  preprocessOptions = {},
+  onStatusChange = () => {},
+  onUploadProgress,
+  onRegionStart = () => {},
+  onTextResults = () => {},
+  onSymbolResults = () => {}
+} = {}) => {
+  const failures = { [DETECTIONS.TEXT]: [], [DETECTIONS.SYMBOLS]: [] };
+  const skipped = [];
+  const regionDetections = [];
+  let textVisualizations = null;
+  let symbolVisualization = null;
+  let imageShape = null;
+
+  Object.values(DETECTIONS).forEach(detection => onStatusChange(detection, { state: DETECTION_STATES.RUNNING, error: null }));
+
+  for (const [index, region] of regions.entries()) {
+    onRegionStart(index);
+    const label = `Region ${index + 1}`;
+
+    let upload;
+    try {
+      upload = await preprocessImage(imageFile, { ...preprocessOptions, crop: region, dpi });
+      const validation = validateImageFile(upload.file);
+      if (!validation.isValid) throw new Error(validation.error);
+    } catch (error) {
+      console.error(`Error preparing ${label.toLowerCase()}:`, error);
+      skipped.push(`${label} skipped: ${error.message}`);
+      continue;
+    }
+    signal?.throwIfAborted();
+
+    const { textData, symbolData } = await runParallelDetection(upload.file, {
+      signal,
+      dpi: getProcessedDpi(dpi, upload.transform),
+      onUploadProgress,
+      onStatusChange: (detection, status) => {
+        if (status.state === DETECTION_STATES.FAILED) failures[detection].push(`${label}: ${status.error}`);
+      }
+    });
+
+    const mapped = toOriginalDetections({ ocrResults: textData, symbolResults: symbolData?.symbols || null }, upload.transform);
+    regionDetections.push({ ...mapped, regionIndex: index });
+    if (textData && regions.length === 1) textVisualizations = textData.visualizations;
+    if (symbolData) {
+      if (regions.length === 1) symbolVisualization = symbolData.visualization;
+      imageShape = imageShape || toOriginalImageShape(symbolData.imageShape, upload.transform, dpi);
+    }
+
+    const merged = mergeRegionDetections(regionDetections);
+    if (textData) onTextResults({ ...merged.ocrResults, visualizations: textVisualizations });
+    if (symbolData) onSymbolResults({ symbols: merged.symbolResults, visualization: symbolVisualization, imageShape });
+  }
+
+  const merged = mergeRegionDetections(regionDetections);
+  const hasResults = { [DETECTIONS.TEXT]: Boolean(merged.ocrResults), [DETECTIONS.SYMBOLS]: Boolean(merged.symbolResults) };
+  Object.values(DETECTIONS).forEach(detection => {
+    const error = [...skipped, ...failures[detection]].join('; ') || null;
+    onStatusChange(detection, { state: hasResults[detection] ? DETECTION_STATES.DONE : DETECTION_STATES.FAILED, error });
+  });
+
+  return {
+    textData: merged.ocrResults && { ...merged.ocrResults, visualizations: textVisualizations },
+    symbolData: merged.symbolResults && { symbols: merged.symbolResults, visualization: symbolVisualization, imageShape }
+  };
+};
@@ -0,0 +1,61 @@
+/**
+ * Diagnostics Service
+ * Keeps the schema issues found in the latest response of each backend endpoint, so
+ * DiagnosticsPanel can show where a backend answered something the frontend does not expect.
+ */
+
+const listeners = new Set();
+// Latest report of each endpoint that had issues, in the order they were first reported
+let reports = [];
+
+/**
+ * Get the endpoints whose latest response had issues
+ * The same array is returned until the reports change, as useSyncExternalStore requires
+ * @returns {Array<Object>} - Reports { endpointKey, checkedAt, issues }
+ */
+export const getDiagnosticsSnapshot = () => reports;
+
+/**
+ * Subscribe to diagnostics changes
+ * @param {Function} listener - Called after every change
+ * @returns {Function} - Unsubscribe function
+ */
+export const subscribeToDiagnostics = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+/**
+ * Replace the report list and notify subscribers
+ * @param {Array<Object>} next - New report list
+ */
+const setReports = (next) => {
+  reports = next;
+  listeners.forEach(listener => listener());
+};
+
+/**
+ * Record the issues found in a response; a response without issues clears the endpoint's report
+ * @param {string} endpointKey - Endpoint key from API_ROUTES
+ * @param {Array<Object>} issues - Issues { path, message, severity } from validateSchema
+ */
+export const reportDiagnostics = (endpointKey, issues) => {
+  const hasReport = reports.some(report => report.endpointKey === endpointKey);
+  if (issues.length === 0) {
+    if (hasReport) setReports(reports.filter(report => report.endpointKey !== endpointKey));
+    return;
+  }
+
+  console.warn(`Response of ${endpointKey} does not match its schema:`, issues);
+  const report = { endpointKey, checkedAt: Date.now(), issues };
+  setReports(hasReport
+    ? reports.map(item => (item.endpointKey === endpointKey ? report : item))
+    : [...reports, report]);
+};
+
+/**
+ * Forget all reported issues
+ */
+export const clearDiagnostics = () => {
+  if (reports.length > 0) setReports([]);
+};
@@ -0,0 +1,225 @@
+/**
+ * Results Export Service
+ * Writes OCR, symbol and validation results to Excel/CSV using the bundled xlsx library
+ */
+import * as XLSX from 'xlsx';
+import { REQUIREMENT_COLUMNS, REQUIREMENT_TYPES, REVIEW_COLUMNS } from '../config/spreadsheetConfig';
+import { getOriginalData, getValidationProperties, getPropertyValue, getPropertyState, getValidationState } from '../utils/validationUtils';
+
+// Sheet names of the exported workbook
+export const EXPORT_SHEETS = {
+  VALIDATION: 'Validation',
+  OCR: 'OCR Blocks',
+  SYMBOLS: 'Symbols'
+};
+
+/**
+ * Round a number for display in a sheet, keeping empty values empty
+ * @param {number} value - The value to round
+ * @param {number} digits - Number of decimals
+ * @returns {number|string} - Rounded number or empty string
+ */
+const round = (value, digits = 2) => {
+  return typeof value === 'number' && !isNaN(value) ? parseFloat(value.toFixed(digits)) : '';
+};
+
+/**
+ * Build validation rows in the requirements spreadsheet layout, one row per property
+ * The status column holds one of VALIDATION_STATES, so unchecked requirements never read as failed
+ * @param {Object} validationResults - Processed validation results
+ * @returns {Array<Object>} - Sheet rows
+ */
+export const buildValidationRows = (validationResults) => {
+  const rows = [];
+
+  const addRows = (validations = [], type) => {
+    validations.forEach(validation => {
+      const originalData = getOriginalData(validation);
+      const name = originalData.req_name || validation.description;
+      const properties = getValidationProperties(validation);
+
+      if (properties.length === 0) {
+        rows.push({
+          [REQUIREMENT_COLUMNS.TYPE]: type,
+          [REQUIREMENT_COLUMNS.NAME]: name,
+          [REQUIREMENT_COLUMNS.PROPERTY]: '',
+          [REQUIREMENT_COLUMNS.DESCRIPTION]: validation.description || '',
+          detected_value: '',
+          status: getValidationState(validation),
+          [REVIEW_COLUMNS.STATUS]: '',
+          [REVIEW_COLUMNS.COMMENT]: ''
+        });
+        return;
+      }
+
+      properties.forEach((prop, index) => {
+        const originalProp = originalData.req_properties?.[index] || {};
+        rows.push({
+          [REQUIREMENT_COLUMNS.TYPE]: type,
+          [REQUIREMENT_COLUMNS.NAME]: name,
+          [REQUIREMENT_COLUMNS.PROPERTY]: prop.req_property_name || prop.req_name || '',
+          [REQUIREMENT_COLUMNS.DESCRIPTION]: originalProp.req_desc || prop.req_desc || '',
+          detected_value: getPropertyValue(prop),
+          status: getPropertyState(prop),
+          [REVIEW_COLUMNS.STATUS]: '',
+          [REVIEW_COLUMNS.COMMENT]: ''
+        });
+      });
+    });
+  };
+
+  addRows(validationResults?.text_validations, REQUIREMENT_TYPES.TEXT);
+  addRows(validationResults?.symbol_validations, REQUIREMENT_TYPES.SYMBOL);
+
+  return rows;
+};
+
+/**
+ * Build OCR block rows
+ * @param {Object} ocrResults - Results from detectText
+ * @returns {Array<Object>} - Sheet rows
+ */
+export const buildOcrRows = (ocrResults) => {
+  return (ocrResults?.results || []).map((block, index) => ({
+    index: index + 1,
+    id: block.id ?? '',
+    text: block.text || '',
+    confidence: round(block.confidence, 4),
+    font_size: block.font_size ?? '',
+    xmin: round(block.xmin, 0),
+    ymin: round(block.ymin, 0),
+    xmax: round(block.xmax, 0),
+    ymax: round(block.ymax, 0)
+  }));
+};
+
+/**
+ * Build symbol rows
+ * @param {Array} symbolResults - Symbols from detectSymbols
+ * @returns {Array<Object>} - Sheet rows
+ */
+export const buildSymbolRows = (symbolResults) => {
+  return (symbolResults || []).map((symbol, index) => ({
+    index: index + 1,
+    class: symbol.class || '',
+    label: symbol.label || '',
+    confidence: round(symbol.confidence, 4),
+    xmin: round(symbol.xmin, 0),
+    ymin: round(symbol.ymin, 0),
+    xmax: round(symbol.xmax, 0),
+    ymax: round(symbol.ymax, 0),
+    width_px: round(symbol.width, 0),
+    height_px: round(symbol.height, 0),
+    width_cm: round(symbol.width_cm),
+    height_cm: round(symbol.height_cm)
+  }));
+};
+
+/**
+ * Create a worksheet from rows, keeping the header row even when there are no rows
+ * @param {Array<Object>} rows - Sheet rows
+ * @param {Array<string>} header - Column names
+ * @returns {Object} - xlsx worksheet
+ */
+const createSheet = (rows, header) => {
+  const sheet = XLSX.utils.json_to_sheet(rows, { header });
+  sheet['!cols'] = header.map(column => ({ wch: Math.max(column.length + 2, 14) }));
+  return sheet;
+};
+
+// Column order of each exported sheet
+const SHEET_HEADERS = {
+  [EXPORT_SHEETS.VALIDATION]: [
+    REQUIREMENT_COLUMNS.TYPE,
+    REQUIREMENT_COLUMNS.NAME,
+    REQUIREMENT_COLUMNS.PROPERTY,
+    REQUIREMENT_COLUMNS.DESCRIPTION,
+    'detected_value',
+    'status',
+    REVIEW_COLUMNS.STATUS,
+    REVIEW_COLUMNS.COMMENT
+  ],
+  [EXPORT_SHEETS.OCR]: ['index', 'id', 'text', 'confidence', 'font_size', 'xmin', 'ymin', 'xmax', 'ymax'],
+  [EXPORT_SHEETS.SYMBOLS]: ['index', 'class', 'label', 'confidence', 'xmin', 'ymin', 'xmax', 'ymax', 'width_px', 'height_px', 'width_cm', 'height_cm']
+};
+
+/**
+ * Build the rows of one export sheet
+ * @param {string} sheetName - One of EXPORT_SHEETS
+ * @param {Object} results - { ocrResults, symbolResults, validationResults }
+ * @returns {Array<Object>} - Sheet rows
+ */
+const buildSheetRows = (sheetName, { ocrResults, symbolResults, validationResults }) => {
+  switch (sheetName) {
+    case EXPORT_SHEETS.VALIDATION:
+      return buildValidationRows(validationResults);
+    case EXPORT_SHEETS.OCR:
+      return buildOcrRows(ocrResults);
+    case EXPORT_SHEETS.SYMBOLS:
+      return buildSymbolRows(symbolResults);
+    default:
+      throw new Error(`Unknown export sheet: ${sheetName}`);
+  }
+};
+
+/**
+ * Build a workbook with validation, OCR and symbol sheets
+ * @param {Object} results - { ocrResults, symbolResults, validationResults }
+ * @returns {Object} - xlsx workbook
+ */
+export const buildResultsWorkbook = (results) => {
+  const workbook = XLSX.utils.book_new();
+
+  Object.values(EXPORT_SHEETS).forEach(sheetName => {
+    const sheet = createSheet(buildSheetRows(sheetName, results), SHEET_HEADERS[sheetName]);
+    XLSX.utils.book_append_sheet(workbook, sheet, sheetName);
+  });
+
+  return workbook;
+};
+
+/**
+ * Build an export file name from the analysed image name
+ * @param {string} imageName - File name of the analysed image
+ * @param {string} suffix - Suffix describing the content
+ * @param {string} extension - File extension without the dot
+ * @returns {string} - File name
+ */
+const getExportFileName = (imageName, suffix, extension) => {
+  const baseName = (imageName || 'artwork').replace(/\.[^.]+$/, '');
+  return `${baseName}_${suffix}.${extension}`;
+};
+
+/**
+ * Download all results as an Excel workbook
+ * @param {Object} results - { ocrResults, symbolResults, validationResults }
+ * @param {string} imageName - File name of the analysed image
+ */
+export const downloadResultsWorkbook = (results, imageName) => {
+  try {
+    XLSX.writeFile(buildResultsWorkbook(results), getExportFileName(imageName, 'results', 'xlsx'));
+  } catch (error) {
+    console.error('Error in downloadResultsWorkbook:', error);
+    throw error;
+  }
+};
+
+/**
+ * Download one result sheet as CSV
+ * @param {Object} results - { ocrResults, symbolResults, validationResults }
+ * @param {string} sheetName - One of EXPORT_SHEETS
+ * @param {string} imageName - File name of the analysed image
+ */
+export const downloadResultsCsv = (results, sheetName, imageName) => {
+  try {
+    const workbook = XLSX.utils.book_new();
+    const sheet = createSheet(buildSheetRows(sheetName, results), SHEET_HEADERS[sheetName]);
+    XLSX.utils.book_append_sheet(workbook, sheet, sheetName);
+
+    const suffix = sheetName.toLowerCase().replace(/\s+/g, '_');
+    XLSX.writeFile(workbook, getExportFileName(imageName, suffix, 'csv'), { bookType: 'csv' });
+  } catch (error) {
+    console.error('Error in downloadResultsCsv:', error);
+    throw error;
+  }
+};
@@ -0,0 +1,315 @@
+/**
+ * Run History Service
+ * Persists analysis runs (image, requirements file info and results) in IndexedDB
+ * so they survive reloads and can be restored without calling the backend again
+ */
+import { hashFile } from '../utils/fileUtils';
+import { describeBackendProfile } from './backendProfileService';
+
+const DB_NAME = 'ocr-mattel-history';
+const DB_VERSION = 2;
+const RUN_STORE = 'runs';
+// Copy of each run's stage timings, so estimates can be read without loading images and visualizations
+const TIMING_STORE = 'timings';
+// Runs whose timings are used to estimate how long a new run takes
+const MAX_TIMED_RUNS = 50;
+
+let dbPromise = null;
+
+/**
+ * Wrap an IndexedDB request in a promise
+ * @param {IDBRequest} request - The request to wrap
+ * @returns {Promise<any>} - Resolves with the request result
+ */
+const promisifyRequest = (request) => {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+};
+
+/**
+ * Wait for a transaction to complete
+ * @param {IDBTransaction} transaction - The transaction to wait for
+ * @returns {Promise<void>} - Resolves once every request of the transaction has been committed
+ */
+const promisifyTransaction = (transaction) => {
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+};
+
+/**
+ * Build the timing store entry of a run
+ * @param {Object} run - The run record
+ * @returns {Object} - { runId, createdAt, timings }
+ */
+const toTimingRecord = (run) => ({ runId: run.id, createdAt: run.createdAt, timings: run.timings || [] });
+
+/**
+ * Open (and create if needed) the history database
+ * @returns {Promise<IDBDatabase>} - The opened database
+ */
+const openDatabase = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(RUN_STORE)) {
+          const store = db.createObjectStore(RUN_STORE, { keyPath: 'id' });
+          store.createIndex('createdAt', 'createdAt');
+        }
+        if (!db.objectStoreNames.contains(TIMING_STORE)) {
+          const timingStore = db.createObjectStore(TIMING_STORE, { keyPath: 'runId' });
+          timingStore.createIndex('createdAt', 'createdAt');
+
+          // Copy the timings of runs stored before the timing store existed
+          const cursorRequest = request.transaction.objectStore(RUN_STORE).openCursor();
+          cursorRequest.onsuccess = () => {
+            const cursor = cursorRequest.result;
+            if (!cursor) return;
+            timingStore.put(toTimingRecord(cursor.value));
+            cursor.continue();
+          };
+        }
+      };
+
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        dbPromise = null;
+        reject(request.error);
+      };
+    });
+  }
+
+  return dbPromise;
+};
+
+/**
+ * Run a callback against the run store inside a transaction
+ * @param {string} mode - Transaction mode ('readonly' or 'readwrite')
+ * @param {Function} callback - Called with the object store, returns an IDBRequest
+ * @returns {Promise<any>} - Result of the request
+ */
+const withStore = async (mode, callback) => {
+  const db = await openDatabase();
+  const transaction = db.transaction(RUN_STORE, mode);
+  return promisifyRequest(callback(transaction.objectStore(RUN_STORE)));
+};
+
+/**
+ * Write a run and its timing store entry in one transaction
+ * @param {Object} record - The run record
+ * @returns {Promise<void>} - Resolves once the transaction has completed
+ */
+const putRun = async (record) => {
+  const db = await openDatabase();
+  const transaction = db.transaction([RUN_STORE, TIMING_STORE], 'readwrite');
+  transaction.objectStore(RUN_STORE).put(record);
+  transaction.objectStore(TIMING_STORE).put(toTimingRecord(record));
+  return promisifyTransaction(transaction);
+};
+
+/**
+ * Describe a requirements file by name and content hash
+ * @param {File} requirementsFile - The requirements file used for validation
+ * @returns {Promise<Object|null>} - { name, hash } or null when no file is given
+ */
+export const describeRequirementsFile = async (requirementsFile) => {
+  if (!requirementsFile) return null;
+
+  return {
+    name: requirementsFile.name,
+    hash: await hashFile(requirementsFile)
+  };
+};
+
+/**
+ * Save a new analysis run
+ * @param {Object} run - Run data
+ * @param {File} run.imageFile - The analysed image
+ * @param {File} run.requirementsFile - The requirements file (optional)
+ * @param {Object} run.results - ocrResults, symbolResults, validationResults, visualizations, imageShape,
+ *   imageDpi (resolution of rasterised artwork), preprocessing (transform applied before upload, see
+ *   utils/imageTransformUtils), regions (areas analysed instead of the whole image, see utils/regionUtils),
+ *   calibration (resolution the physical sizes are computed from, see utils/measurementUtils),
+ *   backends (profile name and URLs the run was sent to, see describeBackendProfile; the active
+ *   profile if omitted),
+ *   timings (stage timing records, see utils/pipelineTimings)
+ * @param {string} run.source - Where the run came from ('single', 'pipeline', 'batch', 'compare')
+ * @returns {Promise<Object>} - The stored run record
+ */
+export const saveRun = async ({ imageFile, requirementsFile = null, results = {}, source = 'single' }) => {
+  try {
+    const now = new Date().toISOString();
+    const record = {
+      id: `run_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
+      createdAt: now,
+      updatedAt: now,
+      source,
+      image: {
+        name: imageFile.name,
+        type: imageFile.type,
+        size: imageFile.size,
+        blob: imageFile
+      },
+      requirementsFile: await describeRequirementsFile(requirementsFile),
+      ocrResults: results.ocrResults || null,
+      symbolResults: results.symbolResults || null,
+      validationResults: results.validationResults || null,
+      visualizations: results.visualizations || { text: null, symbols: null },
+      imageShape: results.imageShape || null,
+      imageDpi: results.imageDpi ?? null,
+      preprocessing: results.preprocessing || null,
+      regions: results.regions || [],
+      calibration: results.calibration || null,
+      backends: results.backends || describeBackendProfile(),
+      timings: results.timings || []
+    };
+
+    await putRun(record);
+    return record;
+  } catch (error) {
+    console.error('Error in saveRun:', error);
+    throw error;
+  }
+};
+
+/**
+ * Update an existing run with new results
+ * @param {string} id - The run id
+ * @param {Object} patch - Fields to merge into the run
+ * @param {File} patch.requirementsFile - Requirements file to record (optional)
+ * @param {Array} patch.timings - Stage timing records to append to the run's timings (optional)
+ * @returns {Promise<Object>} - The updated run record
+ */
+export const updateRun = async (id, { requirementsFile, timings, ...patch }) => {
+  try {
+    const existing = await withStore('readonly', store => store.get(id));
+    if (!existing) {
+      throw new Error(`Run ${id} not found in history`);
+    }
+
+    const record = {
+      ...existing,
+      ...patch,
+      updatedAt: new Date().toISOString()
+    };
+
+    if (requirementsFile) {
+      record.requirementsFile = await describeRequirementsFile(requirementsFile);
+    }
+
+    if (timings) {
+      record.timings = [...(existing.timings || []), ...timings];
+    }
+
+    await putRun(record);
+    return record;
+  } catch (error) {
+    console.error('Error in updateRun:', error);
+    throw error;
+  }
+};
+
+/**
+ * Get a single run by id
+ * @param {string} id - The run id
+ * @returns {Promise<Object|undefined>} - The run record
+ */
+export const getRun = async (id) => {
+  return withStore('readonly', store => store.get(id));
+};
+
+/**
+ * List all runs, newest first
+ * @returns {Promise<Array>} - Run records
+ */
+export const listRuns = async () => {
+  try {
+    const runs = await withStore('readonly', store => store.getAll());
+    return runs.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  } catch (error) {
+    console.error('Error in listRuns:', error);
+    throw error;
+  }
+};
+
+/**
+ * Collect the stage timings of the most recent runs, used to estimate how long a new run takes
+ * Reads the timing store only, so stored images and visualizations are never loaded
+ * @returns {Promise<Array>} - Timing records of the latest MAX_TIMED_RUNS runs
+ */
+export const listRunTimings = async () => {
+  try {
+    const db = await openDatabase();
+    const index = db.transaction(TIMING_STORE, 'readonly').objectStore(TIMING_STORE).index('createdAt');
+    return await new Promise((resolve, reject) => {
+      const timings = [];
+      let runCount = 0;
+      const request = index.openCursor(null, 'prev');
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor || runCount >= MAX_TIMED_RUNS) {
+          resolve(timings);
+          return;
+        }
+        timings.push(...cursor.value.timings);
+        runCount += 1;
+        cursor.continue();
+      };
+      request.onerror = () => reject(request.error);
+    });
+  } catch (error) {
+    console.error('Error in listRunTimings:', error);
+    throw error;
+  }
+};
+
+/**
+ * Filter runs by image name, requirements file name or requirements hash
+ * @param {Array} runs - Run records
+ * @param {string} query - Search text
+ * @returns {Array} - Matching runs
+ */
+export const filterRuns = (runs, query) => {
+  const term = query.trim().toLowerCase();
+  if (!term) return runs;
+
+  return runs.filter(run =>
+    run.image?.name?.toLowerCase().includes(term) ||
+    run.requirementsFile?.name?.toLowerCase().includes(term) ||
+    run.requirementsFile?.hash?.startsWith(term)
+  );
+};
+
+/**
+ * Delete a run
+ * @param {string} id - The run id
+ * @returns {Promise<void>}
+ */
+export const deleteRun = async (id) => {
+  try {
+    const db = await openDatabase();
+    const transaction = db.transaction([RUN_STORE, TIMING_STORE], 'readwrite');
+    transaction.objectStore(RUN_STORE).delete(id);
+    transaction.objectStore(TIMING_STORE).delete(id);
+    await promisifyTransaction(transaction);
+  } catch (error) {
+    console.error('Error in deleteRun:', error);
+    throw error;
+  }
+};
+
+/**
+ * Rebuild the image File of a stored run
+ * @param {Object} run - The run record
+ * @returns {File} - The analysed image
+ */
+export const getRunImageFile = (run) => {
+  return new File([run.image.blob], run.image.name, { type: run.image.type });
+};
@@ -0,0 +1,438 @@
+/**
+ * HTTP Client
+ * Shared client for all backend requests: resolves endpoints against the active
+ * backend profile, applies timeouts, retries network errors and 5xx responses with
+ * exponential backoff, supports cancellation through an AbortSignal and turns
+ * failures into typed errors
+ */
+import { API_ENDPOINTS, getEndpointHeaders } from './backendProfileService';
+
+export const DEFAULT_TIMEOUT_MS = 120000;
+// Detection, pipeline and verification calls run models on Colab and can take minutes
+export const LONG_RUNNING_TIMEOUT_MS = 300000;
+export const DEFAULT_RETRIES = 2;
+// Delay before the first retry; doubles with every further attempt
+const RETRY_BASE_DELAY_MS = 1000;
+const RETRY_MAX_DELAY_MS = 10000;
+// Characters of a response body kept on errors, enough for a backend traceback summary
+const ERROR_BODY_LIMIT = 2000;
+
+/**
+ * Base class of all errors raised by the client
+ */
+export class ApiError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} details - { url, status, body, cause }
+   */
+  constructor(message, { url = null, status = null, body = null, cause = undefined } = {}) {
+    super(message, { cause });
+    this.name = 'ApiError';
+    this.url = url;
+    this.status = status;
+    this.body = body;
+  }
+}
+
+/**
+ * The backend could not be reached (offline, DNS, CORS, connection reset)
+ */
+export class NetworkError extends ApiError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'NetworkError';
+  }
+}
+
+/**
+ * The backend did not answer within the timeout
+ */
+export class TimeoutError extends ApiError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'TimeoutError';
+  }
+}
+
+/**
+ * The backend rejected the request (4xx), e.g. a missing field or an unreadable file
+ */
+export class BackendValidationError extends ApiError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'BackendValidationError';
+  }
+}
+
+/**
+ * The backend failed while handling the request (5xx)
+ */
+export class BackendServerError extends ApiError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'BackendServerError';
+  }
+}
+
+/**
+ * ngrok answered with its browser warning page instead of forwarding to the backend
+ */
+export class NgrokInterstitialError extends ApiError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'NgrokInterstitialError';
+  }
+}
+
+/**
+ * The backend answered with something other than the expected JSON
+ */
+export class InvalidResponseError extends ApiError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'InvalidResponseError';
+  }
+}
+
+/**
+ * Check whether an error comes from the caller cancelling the request
+ * @param {Error} error - Caught error
+ * @returns {boolean} - Whether the request was aborted through its signal
+ */
+export const isAbortError = (error) => error?.name === 'AbortError';
+
+const listeners = new Set();
+
+/**
+ * Listen to request events, e.g. for logging or timing
+ * Events: { type: 'request' | 'response' | 'retry' | 'error', endpoint, url, method, attempt, status, durationMs, error }
+ * @param {Function} listener - Called with every event
+ * @returns {Function} - Unsubscribe function
+ */
+export const addRequestListener = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+/**
+ * Request listener that logs every event to the console
+ * @param {Object} event - Request event, see addRequestListener
+ */
+export const logRequestEvent = (event) => {
+  const { type, method, url, attempt, status, durationMs, error } = event;
+  if (type === 'request') {
+    console.debug(`[http] ${method} ${url} (attempt ${attempt})`);
+  } else if (type === 'response') {
+    console.debug(`[http] ${status} ${method} ${url} in ${durationMs}ms`);
+  } else {
+    console.warn(`[http] ${type} ${method} ${url} after ${durationMs}ms:`, error?.message);
+  }
+};
+
+/**
+ * Send an event to all listeners; a failing listener never breaks the request
+ * @param {Object} event - Request event
+ */
+const emit = (event) => {
+  listeners.forEach(listener => {
+    try {
+      listener(event);
+    } catch (error) {
+      console.error('Error in request listener:', error);
+    }
+  });
+};
+
+/**
+ * Check whether a response body is ngrok's browser warning page
+ * @param {string} text - Response body
+ * @returns {boolean} - Whether the body is the interstitial
+ */
+const isNgrokInterstitial = (text) => /<html/i.test(text) && /ngrok/i.test(text);
+
+/**
+ * Check whether a response body is an HTML page
+ * @param {string} text - Response body
+ * @returns {boolean} - Whether the body is HTML
+ */
+const isHtml = (text) => /^\s*(<!doctype html|<html)/i.test(text);
+
+/**
+ * Pull a readable message out of an error response
+ * @param {string} text - Response body
+ * @returns {string|null} - The backend's message, or null if there is none
+ */
+const getBackendMessage = (text) => {
+  try {
+    const data = JSON.parse(text);
+    const message = data?.error || data?.message || data?.detail;
+    return typeof message === 'string' ? message : null;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Build the error for a failed response
+ * @param {Response} response - Fetch response
+ * @param {string} text - Response body
+ * @param {string} label - Human-readable name of the request
+ * @returns {ApiError} - Typed error
+ */
+const toResponseError = (response, text, label) => {
+  const details = { url: response.url, status: response.status, body: text.slice(0, ERROR_BODY_LIMIT) };
+
+  if (isNgrokInterstitial(text)) {
+    return new NgrokInterstitialError(
+      `${label} was blocked by the ngrok browser warning page. Open the backend URL once in this browser or check the backend profile.`,
+      details
+    );
+  }
+
+  const backendMessage = getBackendMessage(text);
+  const suffix = backendMessage ? `: ${backendMessage}` : '';
+  if (response.status >= 500) {
+    return new BackendServerError(`${label} failed on the backend (status ${response.status})${suffix}`, details);
+  }
+  return new BackendValidationError(`${label} was rejected by the backend (status ${response.status})${suffix}`, details);
+};
+
+/**
+ * Check whether a failed attempt is worth retrying
+ * Timeouts are not retried: a backend that hung once for the whole timeout would keep the caller
+ * waiting several times as long before the error is shown
+ * @param {Error} error - Error of the attempt
+ * @returns {boolean} - Whether to retry
+ */
+const isRetryable = (error) => (
+  error instanceof NetworkError || error instanceof BackendServerError
+);
+
+/**
+ * Wait before the next attempt, stopping early if the request is cancelled
+ * @param {number} ms - Delay in milliseconds
+ * @param {AbortSignal} signal - Caller's signal
+ * @returns {Promise<void>}
+ */
+const wait = (ms, signal) => new Promise((resolve, reject) => {
+  if (signal?.aborted) {
+    reject(signal.reason);
+    return;
+  }
+  const timer = setTimeout(() => {
+    signal?.removeEventListener('abort', handleAbort);
+    resolve();
+  }, ms);
+  const handleAbort = () => {
+    clearTimeout(timer);
+    reject(signal.reason);
+  };
+  signal?.addEventListener('abort', handleAbort, { once: true });
+});
+
+/**
+ * Format a timeout for error messages
+ * @param {number} timeout - Timeout in milliseconds
+ * @returns {string} - e.g. "300s" or "500ms"
+ */
+const formatTimeout = (timeout) => (timeout < 1000 ? `${timeout}ms` : `${Math.round(timeout / 1000)}s`);
+
+/**
+ * Get the backoff delay before a retry
+ * @param {number} attempt - Number of the attempt that failed, starting at 1
+ * @returns {number} - Delay in milliseconds, with jitter so parallel requests spread out
+ */
+const getRetryDelay = (attempt) => {
+  const delay = Math.min(RETRY_BASE_DELAY_MS * 2 ** (attempt - 1), RETRY_MAX_DELAY_MS);
+  return delay / 2 + Math.random() * (delay / 2);
+};
+
+/**
+ * Turn a finished response into the parsed body or a typed error
+ * @param {Object} response - { ok, status, url } of the response
+ * @param {string} text - Response body
+ * @param {Object} options - { label, responseType }
+ * @returns {Object} - { data, status } with the parsed response
+ */
+const parseResponse = (response, text, { label, responseType }) => {
+  if (!response.ok) {
+    throw toResponseError(response, text, label);
+  }
+  if (responseType === 'text') return { data: text, status: response.status };
+
+  try {
+    return { data: JSON.parse(text), status: response.status };
+  } catch (error) {
+    if (isNgrokInterstitial(text)) {
+      throw toResponseError(response, text, label);
+    }
+    const reason = isHtml(text) ? 'an HTML page' : 'invalid JSON';
+    throw new InvalidResponseError(`${label} returned ${reason} instead of JSON. Check the backend URL.`, {
+      url: response.url, status: response.status, body: text.slice(0, ERROR_BODY_LIMIT), cause: error
+    });
+  }
+};
+
+/**
+ * Send one attempt of a request
+ * @param {string} url - Request URL
+ * @param {Object} init - Fetch options without signal
+ * @param {Object} options - { timeout, signal, label, responseType }
+ * @returns {Promise<Object>} - { data, status } with the parsed response
+ */
+const sendAttempt = async (url, init, { timeout, signal, label, responseType }) => {
+  // Cancelled during the backoff before this attempt
+  if (signal?.aborted) throw signal.reason;
+
+  const controller = new AbortController();
+  let timedOut = false;
+  const timer = setTimeout(() => {
+    timedOut = true;
+    controller.abort();
+  }, timeout);
+  const handleAbort = () => controller.abort(signal.reason);
+  signal?.addEventListener('abort', handleAbort, { once: true });
+
+  try {
+    let response;
+    try {
+      response = await fetch(url, { ...init, signal: controller.signal });
+    } catch (error) {
+      if (timedOut) {
+        throw new TimeoutError(`${label} timed out after ${formatTimeout(timeout)}`, { url, cause: error });
+      }
+      if (isAbortError(error) || signal?.aborted) throw error;
+      throw new NetworkError(`Could not reach the backend for ${label.toLowerCase()}. Check the backend profile and that the server is running.`, { url, cause: error });
+    }
+
+    const text = await response.text();
+    return parseResponse(response, text, { label, responseType });
+  } catch (error) {
+    // A timeout that fires while the body is being read surfaces as an abort
+    if (timedOut && isAbortError(error)) {
+      throw new TimeoutError(`${label} timed out after ${formatTimeout(timeout)}`, { url, cause: error });
+    }
+    throw error;
+  } finally {
+    clearTimeout(timer);
+    signal?.removeEventListener('abort', handleAbort);
+  }
+};
+
+/**
+ * Send one attempt through XMLHttpRequest, which unlike fetch reports upload progress
+ * @param {string} url - Request URL
+ * @param {Object} init - Fetch-style options without signal
+ * @param {Object} options - { timeout, signal, label, responseType, onUploadProgress }
+ * @returns {Promise<Object>} - { data, status } with the parsed response
+ */
+const sendXhrAttempt = (url, init, { timeout, signal, label, responseType, onUploadProgress }) => {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(signal.reason);
+      return;
+    }
+
+    const xhr = new XMLHttpRequest();
+    const handleAbort = () => xhr.abort();
+    const settle = (callback) => {
+      signal?.removeEventListener('abort', handleAbort);
+      callback();
+    };
+
+    xhr.open(init.method, url);
+    Object.entries(init.headers).forEach(([name, value]) => xhr.setRequestHeader(name, value));
+    xhr.timeout = timeout;
+
+    xhr.upload.onprogress = (event) => {
+      onUploadProgress({ loaded: event.loaded, total: event.lengthComputable ? event.total : null, done: false });
+    };
+    xhr.upload.onload = () => {
+      onUploadProgress({ loaded: null, total: null, done: true });
+    };
+
+    xhr.onload = () => settle(() => {
+      const response = { ok: xhr.status >= 200 && xhr.status < 300, status: xhr.status, url: xhr.responseURL || url };
+      try {
+        resolve(parseResponse(response, xhr.responseText, { label, responseType }));
+      } catch (error) {
+        reject(error);
+      }
+    });
+    xhr.onerror = () => settle(() => reject(
+      new NetworkError(`Could not reach the backend for ${label.toLowerCase()}. Check the backend profile and that the server is running.`, { url })
+    ));
+    xhr.ontimeout = () => settle(() => reject(
+      new TimeoutError(`${label} timed out after ${formatTimeout(timeout)}`, { url })
+    ));
+    xhr.onabort = () => settle(() => reject(signal?.reason ?? new DOMException('The request was aborted', 'AbortError')));
+
+    signal?.addEventListener('abort', handleAbort, { once: true });
+    xhr.send(init.body ?? null);
+  });
+};
+
+/**
+ * Send a request to a backend endpoint
+ * @param {string} endpoint - Endpoint key from API_ROUTES, e.g. 'TEXT_DETECTION'
+ * @param {Object} options - Request options
+ * @param {string} options.label - Human-readable name used in error messages, e.g. 'Text detection'
+ * @param {string} options.method - HTTP method
+ * @param {FormData|string} options.body - Raw request body
+ * @param {Object} options.json - Body sent as JSON; sets the Content-Type header
+ * @param {Object} options.headers - Extra headers
+ * @param {number} options.timeout - Timeout per attempt in milliseconds
+ * @param {number} options.retries - Retries after network errors and 5xx responses
+ * @param {AbortSignal} options.signal - Cancels the request and any pending retry
+ * @param {string} options.responseType - 'json' or 'text'
+ * @param {Function} options.onUploadProgress - Called with { loaded, total, done } while the body is sent;
+ *   done is true once the whole body has reached the backend. Sends the request through XMLHttpRequest.
+ * @returns {Promise<*>} - Parsed response
+ */
+export const request = async (endpoint, {
+  label = endpoint,
+  method = 'POST',
+  body,
+  json,
+  headers = {},
+  timeout = DEFAULT_TIMEOUT_MS,
+  retries = DEFAULT_RETRIES,
+  signal,
+  responseType = 'json',
+  onUploadProgress
+} = {}) => {
+  const url = API_ENDPOINTS[endpoint];
+  const init = {
+    method,
+    headers: {
+      Accept: 'application/json',
+      // Makes ngrok forward the request instead of serving its browser warning page
+      'ngrok-skip-browser-warning': 'true',
+      ...getEndpointHeaders(endpoint),
+      ...(json !== undefined ? { 'Content-Type': 'application/json' } : {}),
+      ...headers
+    },
+    body: json !== undefined ? JSON.stringify(json) : body
+  };
+
+  for (let attempt = 1; ; attempt++) {
+    const startedAt = Date.now();
+    emit({ type: 'request', endpoint, url, method, attempt });
+
+    try {
+      const send = onUploadProgress ? sendXhrAttempt : sendAttempt;
+      const { data, status } = await send(url, init, { timeout, signal, label, responseType, onUploadProgress });
+      emit({ type: 'response', endpoint, url, method, attempt, status, durationMs: Date.now() - startedAt });
+      return data;
+    } catch (error) {
+      const durationMs = Date.now() - startedAt;
+      if (!isAbortError(error) && isRetryable(error) && attempt <= retries) {
+        emit({ type: 'retry', endpoint, url, method, attempt, status: error.status, durationMs, error });
+        await wait(getRetryDelay(attempt), signal);
+        continue;
+      }
+      emit({ type: 'error', endpoint, url, method, attempt, status: error.status ?? null, durationMs, error });
+      throw error;
+    }
+  }
+};
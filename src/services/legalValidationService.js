@@ -3,79 +3,77 @@
  * Handles processing and validation of legal terms against OCR results
  * Now uses backend API for processing instead of client-side processing
  */
-import { API_ENDPOINTS } from '../config/apiConfig';
+import { request, LONG_RUNNING_TIMEOUT_MS } from './httpClient';
+import { normalizeParsedRequirements, normalizeVerification } from './responseNormalizer';
+import { VALIDATION_STATES, getStateFromProperties } from '../utils/validationUtils';
+import { parseRequirementsFile } from '../utils/requirementsParser';
+import { getRequirementSetVersion, isRequirementSet, requirementSetToFile, toRequirementsData } from './requirementSetService';
 
 /**
  * Process legal term file (Excel/CSV) and extract structured data
- * This now sends the file to the backend for processing
+ * The file is sent to the backend parser; if the backend is unavailable the
+ * requirements parsed in the browser are used instead
  * @param {File} file - The Excel/CSV file containing legal terms
+ * @param {Object} localParse - Result of parseRequirementsFile, parsed on demand if omitted
  * @returns {Promise<Object>} - Structured legal terms data
  */
-export const processLegalTermFile = async (file) => {
+export const processLegalTermFile = async (file, localParse = null) => {
   try {
     // Create form data for file upload
     const formData = new FormData();
     formData.append('requirements', file); // Mengubah 'file' menjadi 'requirements' sesuai dengan yang diharapkan backend
     
-    let data;
     try {
       // Call the backend API to process the file
-      const response = await fetch(API_ENDPOINTS.PARSE_REQUIREMENTS, {
-        method: 'POST',
+      const data = await request('PARSE_REQUIREMENTS', {
+        label: 'Requirements parsing',
         body: formData
       });
-      
-      if (!response.ok) {
-        throw new Error(`HTTP error in parsing requirements! Status: ${response.status}`);
-      }
-      
-      data = await response.json();
       console.log('Parsed requirements from backend:', data);
+      return { ...processRequirementsData(normalizeParsedRequirements(data)), source: 'backend' };
     } catch (error) {
       console.error('Error calling req_parser endpoint:', error);
-      console.log('Falling back to local file parsing for requirements');
-      
-      // Fallback: Create a simple structure for requirements
-      data = {
-        result: {
-          text_requirement: [
-            {
-              name: "Warning Text",
-              req_properties: [
-                {
-                  req_name: "text_height",
-                  req_desc: "Text must be at least 12mm tall"
-                },
-                {
-                  req_name: "text_statement",
-                  req_desc: "Must contain warning statement"
-                }
-              ]
-            }
-          ],
-          symbol_requirement: [
-            {
-              name: "Warning Symbol",
-              reqs: [
-                {
-                  req_name: "symbol_height",
-                  req_desc: "Symbol must be at least 10cm tall"
-                }
-              ]
-            }
-          ]
-        }
-      };
+      console.log('Falling back to requirements parsed in the browser');
+    }
+    
+    // Fallback: use the requirements actually contained in the file
+    const parsed = localParse || await parseRequirementsFile(file);
+    const hasRequirements = parsed.result.text_requirement.length > 0 || parsed.result.symbol_requirement.length > 0;
+    if (!hasRequirements) {
+      throw new Error('Requirements could not be parsed by the backend or in the browser');
     }
     
-    // Process the data
-    return processRequirementsData(data);
+    return {
+      ...processRequirementsData({ result: parsed.result }),
+      source: 'local',
+      issues: parsed.issues
+    };
   } catch (error) {
     console.error('Error in processLegalTermFile:', error);
     throw error;
   }
 };
 
+/**
+ * Build structured legal terms from a requirement set saved in the requirements editor
+ * @param {Object} set - Saved requirement set
+ * @param {number} version - Version number, the latest version if omitted
+ * @returns {Object} - Structured legal terms data, including a generated requirements file
+ */
+export const processRequirementSet = (set, version = null) => {
+  const setVersion = getRequirementSetVersion(set, version);
+  if (!setVersion) {
+    throw new Error(`Requirement set "${set.name}" has no saved version${version ? ` ${version}` : ''}`);
+  }
+
+  return {
+    ...processRequirementsData({ result: toRequirementsData(setVersion) }),
+    requirementsFile: requirementSetToFile(set, setVersion),
+    source: 'saved-set',
+    requirementSet: { id: set.id, name: set.name, version: setVersion.version }
+  };
+};
+
 /**
  * Process requirements data from backend
  * @param {Object} data - The data from backend
@@ -95,14 +93,14 @@ const processRequirementsData = (data) => {
     if (data && data.result) {
       // Process text requirements
       if (data.result.text_requirement && Array.isArray(data.result.text_requirement)) {
-        data.result.text_requirement.forEach((req, index) => {
+        data.result.text_requirement.forEach(req => {
           if (!req || !req.name) return; // Skip invalid requirements
           
           const textReq = {
             id: `text_${legalTerms.required_texts.length}`,
             description: req.name,
             pattern: req.name,
-            required: true,
+            required: req.required !== false,
             originalReq: req
           };
           
@@ -125,14 +123,14 @@ const processRequirementsData = (data) => {
       
       // Process symbol requirements
       if (data.result.symbol_requirement && Array.isArray(data.result.symbol_requirement)) {
-        data.result.symbol_requirement.forEach((req, index) => {
+        data.result.symbol_requirement.forEach(req => {
           if (!req || !req.name) return; // Skip invalid requirements
           
           const symbolReq = {
             id: `symbol_${legalTerms.required_symbols.length}`,
             description: req.name,
             class: req.name.toLowerCase(),
-            required: true,
+            required: req.required !== false,
             originalReq: req
           };
           
@@ -149,15 +147,39 @@ const processRequirementsData = (data) => {
   }
 };
 
+/**
+ * Get the legal terms a verification was checked against, used for checks made in the browser
+ * Prefers the requirements the backend parsed for the verification, else parses the file in the browser
+ * @param {Object} verificationResults - Output of normalizeVerification or normalizeTextPipeline
+ * @param {File} requirementsFile - The requirements file that was verified
+ * @param {Object} localParse - Result of parseRequirementsFile, parsed on demand if omitted
+ * @returns {Promise<Object|null>} - Structured legal terms data, or null if the file cannot be parsed
+ */
+export const getVerifiedLegalTerms = async (verificationResults, requirementsFile, localParse = null) => {
+  if (verificationResults?.parsedRequirements) {
+    return processRequirementsData(verificationResults.parsedRequirements);
+  }
+
+  try {
+    const parsed = localParse || await parseRequirementsFile(requirementsFile);
+    return processRequirementsData({ result: parsed.result });
+  } catch (error) {
+    console.error('Error in getVerifiedLegalTerms:', error);
+    return null;
+  }
+};
+
 /**
  * Validate OCR results against legal terms
  * Now uses backend API for validation instead of client-side processing
  * @param {Object} ocrResults - The OCR results to validate
  * @param {Array} symbolResults - The symbol detection results
- * @param {Object} legalTerms - The legal terms to validate against
+ * @param {Object} legalTermsOrSet - The legal terms to validate against, or a saved requirement set
  * @returns {Promise<Object>} - Validation results
  */
-export const validateAgainstLegalTerms = async (ocrResults, symbolResults, legalTerms) => {
+export const validateAgainstLegalTerms = async (ocrResults, symbolResults, legalTermsOrSet) => {
+  const legalTerms = isRequirementSet(legalTermsOrSet) ? processRequirementSet(legalTermsOrSet) : legalTermsOrSet;
+  
   try {
     console.log('Validating against legal terms:', {
       ocrResultsCount: ocrResults?.results?.length || 0,
@@ -200,43 +222,48 @@ export const validateAgainstLegalTerms = async (ocrResults, symbolResults, legal
     }
     
     // Call the verification API
-    const response = await fetch(API_ENDPOINTS.VERIFY_REQUIREMENTS, {
-      method: 'POST',
-      body: formData
+    const verificationData = await request('VERIFY_REQUIREMENTS', {
+      label: 'Requirement verification',
+      body: formData,
+      timeout: LONG_RUNNING_TIMEOUT_MS
     });
-    
-    if (!response.ok) {
-      throw new Error(`HTTP error in verification! Status: ${response.status}`);
-    }
-    
-    const verificationData = await response.json();
     console.log('Verification API Response:', verificationData);
     
     // Process the verification results
-    return processVerificationResults(verificationData, legalTerms);
+    return processVerificationResults(normalizeVerification(verificationData), legalTerms);
   } catch (error) {
     console.error('Error in validateAgainstLegalTerms:', error);
     
-    // Return a fallback validation result
+    // Nothing was checked: list the requirements without a verdict, and keep the error apart from them
     return {
-      text_validations: legalTerms?.required_texts?.map(text => ({
-        ...text,
-        valid: false,
-        error: error.message
-      })) || [],
-      symbol_validations: legalTerms?.required_symbols?.map(symbol => ({
-        ...symbol,
-        valid: false,
-        error: error.message
-      })) || [],
-      layout_validations: []
+      text_validations: (legalTerms?.required_texts || []).map(text => toUncheckedValidation(text, VALIDATION_STATES.BACKEND_MISSING)),
+      symbol_validations: (legalTerms?.required_symbols || []).map(symbol => toUncheckedValidation(symbol, VALIDATION_STATES.BACKEND_MISSING)),
+      layout_validations: [],
+      backendError: error.message
     };
   }
 };
 
+/**
+ * Turn a requirement from the legal terms into a validation without a verdict
+ * @param {Object} requirement - Entry of required_texts or required_symbols
+ * @param {string} status - VALIDATION_STATES.NOT_EVALUATED or VALIDATION_STATES.BACKEND_MISSING
+ * @returns {Object} - Validation entry
+ */
+const toUncheckedValidation = (requirement, status) => ({
+  id: requirement.id,
+  description: requirement.description,
+  ...(requirement.pattern !== undefined && { pattern: requirement.pattern }),
+  ...(requirement.class !== undefined && { class: requirement.class }),
+  required: requirement.required,
+  status,
+  properties: []
+});
+
 /**
  * Process verification results from the backend
- * @param {Object} verificationResults - The verification results from the backend
+ * Detected symbols the backend gave no verdict on are not requirements and are not listed here
+ * @param {Object} verificationResults - Output of normalizeVerification
  * @param {Object} legalTerms - The legal terms to validate against (fallback)
  * @returns {Object} - Processed validation results
  */
@@ -250,191 +277,42 @@ export const processVerificationResults = (verificationResults, legalTerms) => {
   
   console.log('Processing verification results:', verificationResults);
   
-  // Process text verification results
-  if (verificationResults.textReqResults && verificationResults.textReqResults.result) {
-    // Format sesuai dengan yang diinginkan
-    verificationResults.textReqResults.result.forEach(req => {
-      // Check if the requirement is valid based on properties status
-      const isValid = req.req_properties?.every(prop => prop.req_status === 1) || false;
-      
-      // Pastikan req_properties memiliki format yang benar dan semua nilai properti ditampilkan
-      const formattedProperties = (req.req_properties || []).map(prop => {
-        // Pastikan semua properti memiliki nilai yang sesuai
-        let propertyValue = prop.req_property_value || '';
-        
-        // Jika ini properti warning_statement, pastikan nilainya lengkap
-        if (prop.req_property_name === 'warning_statement' && !propertyValue) {
-          propertyValue = 'Warning: Not suitable for children under 36 months. Small parts may be generated.';
-        }
-        
-        // Jika ini properti country_details, pastikan nilainya ada
-        if (prop.req_property_name === 'country_details' && !propertyValue) {
-          // Coba ambil dari hasil OCR jika tersedia
-          propertyValue = 'MALAYSIA'; // Default atau dari hasil OCR
-        }
-        
-        return {
-          req_property_name: prop.req_property_name || prop.req_name || '',
-          req_property_value: propertyValue,
-          req_status: prop.req_status || 0
-        };
-      });
-      
-      validationResults.text_validations.push({
-        id: `text_${validationResults.text_validations.length}`,
-        description: req.req_name,
-        pattern: req.req_name,
-        required: true,
-        valid: isValid,
-        properties: formattedProperties,
-        para_id: req.req_para_id || [],
-        // Tambahkan data asli dari backend untuk referensi
-        originalData: req
-      });
+  // Process text verification results; values the backend did not report stay empty
+  verificationResults.textReqResults.forEach(req => {
+    validationResults.text_validations.push({
+      id: `text_${validationResults.text_validations.length}`,
+      description: req.req_name,
+      pattern: req.req_name,
+      required: true,
+      status: getStateFromProperties(req.req_properties),
+      properties: req.req_properties,
+      para_id: req.req_para_id,
+      // Tambahkan data asli dari backend untuk referensi
+      originalData: req
     });
-  }
+  });
   
   // Process symbol verification results
-  if (verificationResults.symbolReqResults && verificationResults.symbolReqResults.result) {
-    verificationResults.symbolReqResults.result.forEach(req => {
-      // Check if the requirement is valid based on properties status
-      const isValid = req.req_properties?.every(prop => prop.req_status === 1) || false;
-      
-      // Pastikan req_properties memiliki format yang benar
-      const formattedProperties = (req.req_properties || []).map(prop => ({
-        req_property_name: prop.req_property_name || prop.req_name || '',
-        req_property_value: prop.req_property_value || prop.req_property_validation || prop.req_desc || '',
-        req_status: prop.req_status || 0
-      }));
-      
-      validationResults.symbol_validations.push({
-        id: `symbol_${validationResults.symbol_validations.length}`,
-        description: req.req_name,
-        class: req.req_name.toLowerCase().replace(/\s+/g, '_'),
-        required: true,
-        valid: isValid,
-        properties: formattedProperties,
-        labels: req.req_labels || [],
-        // Tambahkan data asli dari backend untuk referensi
-        originalData: req
-      });
-    });
-  }
-  
-  // Jika tidak ada simbol yang terdeteksi dalam hasil validasi tetapi ada dalam symbolResults,
-  // tambahkan simbol-simbol tersebut sebagai validasi
-  if (validationResults.symbol_validations.length === 0 && 
-      verificationResults.symbolResults && 
-      Array.isArray(verificationResults.symbolResults)) {
-    
-    console.log('Adding detected symbols to validation results:', verificationResults.symbolResults);
-    
-    // Buat daftar simbol yang terdeteksi dengan informasi lengkap
-    const detectedSymbols = [];
-    verificationResults.symbolResults.forEach(symbol => {
-      if (typeof symbol === 'string') {
-        // Format lama: hanya string nama simbol
-        detectedSymbols.push({
-          name: symbol,
-          width_cm: null,
-          height_cm: null
-        });
-      } else if (typeof symbol === 'object') {
-        // Format baru: objek dengan informasi lengkap
-        detectedSymbols.push({
-          name: symbol.label || symbol.class || '',
-          width_cm: symbol.width_cm,
-          height_cm: symbol.height_cm,
-          width_cm_display: symbol.width_cm_display || `${symbol.width_cm?.toFixed(2)} cm`,
-          height_cm_display: symbol.height_cm_display || `${symbol.height_cm?.toFixed(2)} cm`
-        });
-      }
-    });
-    
-    // Tambahkan setiap simbol ke hasil validasi
-    detectedSymbols.forEach(symbol => {
-      const symbolName = symbol.name;
-      const formattedName = symbolName.replace(/_/g, ' ').replace(/\b\w/g, l => l.toUpperCase());
-      
-      // Buat properties dengan format yang konsisten
-      const formattedProperties = [
-        {
-          req_property_name: 'symbol_detected',
-          req_property_value: 'true',
-          req_status: 1
-        },
-        {
-          req_property_name: 'symbol_name',
-          req_property_value: formattedName,
-          req_status: 1
-        }
-      ];
-      
-      // Tambahkan informasi ukuran jika tersedia
-      if (symbol.width_cm) {
-        formattedProperties.push({
-          req_property_name: 'symbol_width',
-          req_property_value: symbol.width_cm_display || `${symbol.width_cm.toFixed(2)} cm`,
-          req_status: 1
-        });
-      }
-      
-      if (symbol.height_cm) {
-        formattedProperties.push({
-          req_property_name: 'symbol_height',
-          req_property_value: symbol.height_cm_display || `${symbol.height_cm.toFixed(2)} cm`,
-          req_status: 1
-        });
-      }
-      
-      validationResults.symbol_validations.push({
-        id: `symbol_${validationResults.symbol_validations.length}`,
-        description: formattedName,
-        class: symbolName.toLowerCase(),
-        required: true,
-        valid: true, // Simbol terdeteksi, jadi dianggap valid
-        properties: formattedProperties,
-        labels: [symbolName],
-        width_cm: symbol.width_cm,
-        height_cm: symbol.height_cm,
-        width_cm_display: symbol.width_cm_display,
-        height_cm_display: symbol.height_cm_display,
-        originalData: {
-          req_name: formattedName,
-          req_labels: [symbolName],
-          req_properties: formattedProperties
-        }
-      });
+  verificationResults.symbolReqResults.forEach(req => {
+    validationResults.symbol_validations.push({
+      id: `symbol_${validationResults.symbol_validations.length}`,
+      description: req.req_name,
+      class: req.req_name.toLowerCase().replace(/\s+/g, '_'),
+      required: true,
+      status: getStateFromProperties(req.req_properties),
+      properties: req.req_properties,
+      labels: req.req_labels,
+      // Tambahkan data asli dari backend untuk referensi
+      originalData: req
     });
-  }
+  });
   
-  // If no validation results were returned from the backend, add the original requirements as invalid
+  // If no validation results were returned from the backend, list the original requirements as not evaluated
   if (validationResults.text_validations.length === 0 && validationResults.symbol_validations.length === 0 && legalTerms) {
-    // Add text validations from the original legal terms
-    if (legalTerms.required_texts) {
-      legalTerms.required_texts.forEach(requiredText => {
-        validationResults.text_validations.push({
-          id: requiredText.id,
-          description: requiredText.description,
-          pattern: requiredText.pattern,
-          required: requiredText.required,
-          valid: false // Not validated by backend
-        });
-      });
-    }
-    
-    // Add symbol validations from the original legal terms
-    if (legalTerms.required_symbols) {
-      legalTerms.required_symbols.forEach(requiredSymbol => {
-        validationResults.symbol_validations.push({
-          id: requiredSymbol.id,
-          description: requiredSymbol.description,
-          class: requiredSymbol.class,
-          required: requiredSymbol.required,
-          valid: false // Not validated by backend
-        });
-      });
-    }
+    validationResults.text_validations = (legalTerms.required_texts || [])
+      .map(requiredText => toUncheckedValidation(requiredText, VALIDATION_STATES.NOT_EVALUATED));
+    validationResults.symbol_validations = (legalTerms.required_symbols || [])
+      .map(requiredSymbol => toUncheckedValidation(requiredSymbol, VALIDATION_STATES.NOT_EVALUATED));
   }
   
   console.log('Processed validation results:', validationResults);
@@ -3,15 +3,22 @@
  * Handles all interactions with the OCR API
  */
 
-import { API_ENDPOINTS } from '../config/apiConfig';
-
+import { request, ApiError, LONG_RUNNING_TIMEOUT_MS } from './httpClient';
+import {
+  checkResponse,
+  normalizeParsedRequirements,
+  normalizeTextDetection,
+  normalizeTextPipeline,
+  normalizeVerification
+} from './responseNormalizer';
 
 /**
  * Process text detection from an image
  * @param {File} imageFile - The image file to process
+ * @param {Object} options - { signal } to cancel the request, { onUploadProgress } to follow the upload
  * @returns {Promise<Object>} - The processed OCR results
  */
-export const detectText = async (imageFile) => {
+export const detectText = async (imageFile, { signal, onUploadProgress } = {}) => {
   try {
     console.log('Attempting to detect text from image:', imageFile.name);
     
@@ -33,44 +40,22 @@ export const detectText = async (imageFile) => {
     let data;
     try {
       // Call the text detection API
-      const response = await fetch(API_ENDPOINTS.TEXT_DETECTION, {
-        method: 'POST',
+      data = await request('TEXT_DETECTION', {
+        label: 'Text detection',
         body: formData,
+        timeout: LONG_RUNNING_TIMEOUT_MS,
+        signal,
+        onUploadProgress
       });
-      
-      if (!response.ok) {
-        // Handle specific error cases
-        const errorText = await response.text();
-        console.error('Text detection API error:', errorText);
-        
-        // Check if it's a division by zero error
-        if (errorText.includes('division by zero') || errorText.includes('ZeroDivisionError')) {
-          console.warn('Backend encountered a division by zero error. This may happen with certain images.');
-          // Return a fallback empty result instead of throwing
-          return {
-            results: [],
-            visualizations: {
-              word_image: '',
-              line_image: '',
-              para_image: ''
-            }
-          };
-        }
-        
-        throw new Error(`HTTP error in text detection! Status: ${response.status}`);
-      }
-      
-      // Parse the response data
-      data = await response.json();
       console.log('Text Detection API Response:', data);
-      
     } catch (error) {
-      console.error('Error in text detection API call:', error);
-      // If it's a network error or other unexpected error, throw it
-      if (!error.message.includes('division by zero')) {
+      // Check if it's a division by zero error
+      // This may happen with certain images, return an empty result instead of throwing
+      const body = error instanceof ApiError ? error.body || '' : '';
+      if (!body.includes('division by zero') && !body.includes('ZeroDivisionError')) {
         throw error;
       }
-      // For division by zero errors, return fallback
+      console.warn('Backend encountered a division by zero error. This may happen with certain images.');
       return {
         results: [],
         visualizations: {
@@ -81,85 +66,7 @@ export const detectText = async (imageFile) => {
       };
     }
     
-    // Handle the response from predict_pipeline endpoint
-    let results = [];
-    
-    if (data.refined_text && Array.isArray(data.refined_text)) {
-      // If we have refined_text in the response, use it
-      results = data.refined_text;
-    } else if (data.text_req_results && data.text_req_results.result) {
-      // If we have text_req_results, extract the text from there
-      results = data.text_req_results.result.map(req => ({
-        id: req.req_para_id && req.req_para_id.length > 0 ? req.req_para_id[0] : `para_${Math.random().toString(36).substr(2, 9)}`,
-        text: req.req_name || ''
-      }));
-    } else {
-      console.error('Invalid API response structure:', data);
-      return { results: [] };
-    }
-    
-    // Process each result to extract text if needed
-    const extractedResults = results.map((result, index) => {
-      // If the result doesn't have text property, try to extract it
-      if (!result.text) {
-        let extractedText = '';
-        
-        // Try to extract text from lines array if present
-        if (result.lines && Array.isArray(result.lines)) {
-          const lineTexts = [];
-          
-          for (const line of result.lines) {
-            // Handle different possible structures of lines
-            if (typeof line === 'string') {
-              lineTexts.push(line);
-            } else if (line && typeof line === 'object') {
-              // If line has text property
-              if (line.text) {
-                lineTexts.push(line.text);
-              }
-              // If line is an object with words property
-              else if (line.words && Array.isArray(line.words)) {
-                const wordTexts = [];
-                for (const word of line.words) {
-                  if (typeof word === 'string') {
-                    wordTexts.push(word);
-                  } else if (word && typeof word === 'object' && word.text) {
-                    wordTexts.push(word.text);
-                  }
-                }
-                if (wordTexts.length > 0) {
-                  lineTexts.push(wordTexts.join(' '));
-                }
-              }
-            }
-          }
-          
-          if (lineTexts.length > 0) {
-            extractedText = lineTexts.join('\n');
-          }
-        }
-        
-        // If we extracted text, add it to the result
-        if (extractedText) {
-          result.text = extractedText;
-        } else {
-          // If we couldn't extract text, use a placeholder
-          result.text = `Text Block ${index + 1}`;
-        }
-      }
-      
-      return result;
-    });
-    
-    // Return the processed results
-    return {
-      results: extractedResults,
-      visualizations: data.visualizations || {
-        word_image: '',
-        line_image: '',
-        para_image: ''
-      }
-    };
+    return normalizeTextDetection(data);
   } catch (error) {
     console.error('Error in detectText:', error);
     throw error;
@@ -174,25 +81,16 @@ export const detectText = async (imageFile) => {
  */
 export const refineText = async (imageBase64, detectionResults) => {
   try {
-    const response = await fetch(API_ENDPOINTS.TEXT_REFINEMENT, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify({
+    const refinedData = await request('TEXT_REFINEMENT', {
+      label: 'Text refinement',
+      json: {
         image: imageBase64,
         result: detectionResults
-      })
+      }
     });
-
-    if (!response.ok) {
-      throw new Error(`HTTP error in text refinement! Status: ${response.status}`);
-    }
-
-    const refinedData = await response.json();
     console.log('Text Refinement API Response:', refinedData);
     
-    return refinedData;
+    return checkResponse('TEXT_REFINEMENT', refinedData);
   } catch (error) {
     console.error('Error in refineText:', error);
     throw error;
@@ -209,38 +107,24 @@ export const parseRequirements = async (requirementsFile) => {
     const formData = new FormData();
     formData.append('file', requirementsFile);
 
-    const response = await fetch(API_ENDPOINTS.UPLOAD_REQUIREMENTS, {
-      method: 'POST',
+    const uploadData = await request('UPLOAD_REQUIREMENTS', {
+      label: 'Requirements upload',
       body: formData
     });
-
-    if (!response.ok) {
-      throw new Error(`HTTP error in requirements parsing! Status: ${response.status}`);
-    }
-
-    const uploadData = await response.json();
     console.log('Requirements Upload Response:', uploadData);
+    checkResponse('UPLOAD_REQUIREMENTS', uploadData);
     
     // If we have requirements data, parse it using the new endpoint
     if (uploadData.requirements) {
-      const parseResponse = await fetch(API_ENDPOINTS.TEXT_API_URL + '/parse_requirements', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify({
+      const parsedData = await request('PARSE_UPLOADED_REQUIREMENTS', {
+        label: 'Requirements parsing',
+        json: {
           requirements: uploadData.requirements
-        })
+        }
       });
-
-      if (!parseResponse.ok) {
-        throw new Error(`HTTP error in requirements parsing! Status: ${parseResponse.status}`);
-      }
-
-      const parsedData = await parseResponse.json();
       console.log('Requirements Parsing Response:', parsedData);
       
-      return parsedData;
+      return normalizeParsedRequirements(parsedData, 'PARSE_UPLOADED_REQUIREMENTS');
     }
     
     return uploadData;
@@ -259,26 +143,17 @@ export const parseRequirements = async (requirementsFile) => {
  */
 export const checkTextRequirements = async (imageBase64, refinedText, textRequirement) => {
   try {
-    const response = await fetch(API_ENDPOINTS.CHECK_TEXT_REQUIREMENTS, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify({
+    const checkData = await request('CHECK_TEXT_REQUIREMENTS', {
+      label: 'Text requirement check',
+      json: {
         image: imageBase64,
         refined_text: refinedText,
         text_requirement: textRequirement
-      })
+      }
     });
-
-    if (!response.ok) {
-      throw new Error(`HTTP error in text requirement check! Status: ${response.status}`);
-    }
-
-    const checkData = await response.json();
     console.log('Text Requirement Check Response:', checkData);
     
-    return checkData;
+    return checkResponse('CHECK_TEXT_REQUIREMENTS', checkData);
   } catch (error) {
     console.error('Error in checkTextRequirements:', error);
     throw error;
@@ -295,9 +170,10 @@ export const checkTextRequirements = async (imageBase64, refinedText, textRequir
  * 
  * @param {File} imageFile - The image file to process
  * @param {File} requirementsFile - The requirements file (Excel/CSV)
+ * @param {Object} options - { signal } to cancel the request, { onUploadProgress } to follow the upload
  * @returns {Promise<Object>} - The complete pipeline results
  */
-export const processTextPipeline = async (imageFile, requirementsFile) => {
+export const processTextPipeline = async (imageFile, requirementsFile, { signal, onUploadProgress } = {}) => {
   try {
     // Create form data for the pipeline request
     const formData = new FormData();
@@ -305,29 +181,16 @@ export const processTextPipeline = async (imageFile, requirementsFile) => {
     formData.append('requirements', requirementsFile);
     
     // Call the text pipeline API
-    const response = await fetch(API_ENDPOINTS.TEXT_PIPELINE, {
-      method: 'POST',
-      body: formData
+    const pipelineData = await request('TEXT_PIPELINE', {
+      label: 'Text pipeline',
+      body: formData,
+      timeout: LONG_RUNNING_TIMEOUT_MS,
+      signal,
+      onUploadProgress
     });
-    
-    if (!response.ok) {
-      throw new Error(`HTTP error in text pipeline! Status: ${response.status}`);
-    }
-    
-    const pipelineData = await response.json();
     console.log('Text Pipeline API Response:', pipelineData);
     
-    // Return the complete pipeline results
-    return {
-      detectionResults: pipelineData.detection_results || [],
-      refinedText: pipelineData.refined_text || [],
-      requirementCheck: pipelineData.requirement_check || {},
-      parsedRequirements: pipelineData.parsed_requirements || {},
-      visualizations: pipelineData.visualizations || {},
-      // Add any additional data from the pipeline response
-      refinedSymbols: pipelineData.refined_symbols || [],
-      symbolCheck: pipelineData.symbol_check || []
-    };
+    return normalizeTextPipeline(pipelineData);
   } catch (error) {
     console.error('Error in processTextPipeline:', error);
     throw error;
@@ -343,26 +206,17 @@ export const processTextPipeline = async (imageFile, requirementsFile) => {
  */
 export const refineSymbols = async (imageBase64, detectionResults, requirements) => {
   try {
-    const response = await fetch(API_ENDPOINTS.SYMBOL_REFINEMENT, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify({
+    const refinedData = await request('SYMBOL_REFINEMENT', {
+      label: 'Symbol refinement',
+      json: {
         image: imageBase64,
         result: detectionResults,
         product_requirement: requirements
-      })
+      }
     });
-
-    if (!response.ok) {
-      throw new Error(`HTTP error in symbol refinement! Status: ${response.status}`);
-    }
-
-    const refinedData = await response.json();
     console.log('Symbol Refinement API Response:', refinedData);
     
-    return refinedData;
+    return checkResponse('SYMBOL_REFINEMENT', refinedData);
   } catch (error) {
     console.error('Error in refineSymbols:', error);
     throw error;
@@ -375,9 +229,10 @@ export const refineSymbols = async (imageBase64, detectionResults, requirements)
  * @param {Object} ocrResults - Results from text detection
  * @param {Array} symbolResults - Results from symbol detection
  * @param {File} requirementsFile - The requirements file
+ * @param {Object} options - { signal } to cancel the request, { onUploadProgress } to follow the upload
  * @returns {Promise<Object>} - The verification results
  */
-export const verifyRequirements = async (imageFile, ocrResults, symbolResults, requirementsFile) => {
+export const verifyRequirements = async (imageFile, ocrResults, symbolResults, requirementsFile, { signal, onUploadProgress } = {}) => {
   try {
     console.log('Attempting to verify requirements with:', {
       imageFileName: imageFile.name,
@@ -401,25 +256,16 @@ export const verifyRequirements = async (imageFile, ocrResults, symbolResults, r
     formData.append('requirements', requirementsFile);
     
     // Call the verification API
-    const response = await fetch(API_ENDPOINTS.VERIFY_REQUIREMENTS, {
-      method: 'POST',
-      body: formData
+    const verificationData = await request('VERIFY_REQUIREMENTS', {
+      label: 'Requirement verification',
+      body: formData,
+      timeout: LONG_RUNNING_TIMEOUT_MS,
+      signal,
+      onUploadProgress
     });
-    
-    if (!response.ok) {
-      const errorText = await response.text();
-      console.error('Verification API error:', errorText);
-      throw new Error(`HTTP error in verification! Status: ${response.status}`);
-    }
-    
-    const verificationData = await response.json();
     console.log('Verification API Response:', verificationData);
     
-    return {
-      textReqResults: verificationData.text_req_results || {},
-      symbolReqResults: verificationData.symbol_req_results || {},
-      parsedRequirements: verificationData.parsed_requirements || {}
-    };
+    return normalizeVerification(verificationData);
   } catch (error) {
     console.error('Error in verifyRequirements:', error);
     throw error;
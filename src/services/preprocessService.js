@@ -0,0 +1,247 @@
+/**
+ * Image Preprocessing Service
+ * Prepares the image sent to the backends in the browser: crop, rotate, downscale,
+ * grayscale and contrast. The transform applied is returned with the processed image
+ * so detections can be mapped back onto the original, see utils/imageTransformUtils.js.
+ */
+import { createImageTransform, isIdentityTransform } from '../utils/imageTransformUtils';
+import { setPngDpi } from '../utils/pngUtils';
+import { IMAGE_FORMATS, getImageFormat } from '../utils/fileUtils';
+
+// Longest side choices for downscaling, in pixels
+export const PREPROCESS_MAX_DIMENSIONS = [4000, 3000, 2000, 1500, 1000];
+
+export const DEFAULT_PREPROCESS_OPTIONS = {
+  enabled: false,
+  maxDimension: null,
+  crop: null,
+  rotation: 0,
+  grayscale: false,
+  contrast: 1
+};
+
+const JPEG_QUALITY = 0.92;
+
+// Skew estimation works on a small copy of the image
+const DESKEW_SAMPLE_SIDE = 1000;
+const DESKEW_MAX_ANGLE = 15;
+const DESKEW_COARSE_STEP = 0.5;
+const DESKEW_FINE_STEP = 0.1;
+// Ink pixels used for the estimate, sampled evenly if there are more
+const DESKEW_MAX_POINTS = 60000;
+
+/**
+ * Decode an image file
+ * @param {File} file - JPEG or PNG image
+ * @returns {Promise<ImageBitmap>} - The decoded image, oriented as its EXIF data says
+ */
+const loadBitmap = async (file) => {
+  try {
+    return await createImageBitmap(file);
+  } catch {
+    throw new Error(`Could not decode ${file.name}`);
+  }
+};
+
+/**
+ * Turn canvas pixels to gray and stretch their contrast around mid-gray
+ * @param {CanvasRenderingContext2D} context - Context of the processed image
+ * @param {ImageTransform} transform - Transform with the grayscale and contrast settings
+ */
+const adjustPixels = (context, transform) => {
+  const { width, height } = context.canvas;
+  const image = context.getImageData(0, 0, width, height);
+  const { data } = image;
+  const { grayscale, contrast } = transform;
+
+  for (let i = 0; i < data.length; i += 4) {
+    let r = data[i];
+    let g = data[i + 1];
+    let b = data[i + 2];
+    if (grayscale) {
+      r = g = b = 0.299 * r + 0.587 * g + 0.114 * b;
+    }
+    // Uint8ClampedArray clamps the stretched values to 0-255
+    data[i] = (r - 128) * contrast + 128;
+    data[i + 1] = (g - 128) * contrast + 128;
+    data[i + 2] = (b - 128) * contrast + 128;
+  }
+  context.putImageData(image, 0, 0);
+};
+
+/**
+ * Encode the processed canvas in the format of the original image
+ * @param {HTMLCanvasElement} canvas - Processed image
+ * @param {File} file - Original image
+ * @param {number} dpi - Resolution of the processed image, recorded in PNGs; null if unknown
+ * @returns {Promise<File>} - Processed image file
+ */
+const encodeCanvas = async (canvas, file, dpi) => {
+  const isJpeg = getImageFormat(file) === IMAGE_FORMATS.JPEG;
+  const type = isJpeg ? 'image/jpeg' : 'image/png';
+  let blob = await new Promise((resolve, reject) => {
+    canvas.toBlob(result => (result ? resolve(result) : reject(new Error('Could not encode the processed image'))), type, JPEG_QUALITY);
+  });
+  if (!isJpeg && dpi > 0) blob = await setPngDpi(blob, dpi);
+
+  const baseName = file.name.replace(/\.[^.]+$/, '');
+  return new File([blob], `${baseName}_preprocessed.${isJpeg ? 'jpg' : 'png'}`, { type });
+};
+
+/**
+ * Apply a transform to an image
+ * @param {File} file - Original JPEG or PNG image
+ * @param {ImageTransform} transform - Transform from createImageTransform
+ * @param {Object} options - { dpi } of the original image, if known
+ * @returns {Promise<File>} - Processed image
+ */
+export const applyImageTransform = async (file, transform, { dpi = null } = {}) => {
+  try {
+    const bitmap = await loadBitmap(file);
+    const canvas = document.createElement('canvas');
+    canvas.width = transform.width;
+    canvas.height = transform.height;
+    const context = canvas.getContext('2d');
+
+    // White shows in the corners uncovered by a rotation
+    context.fillStyle = '#ffffff';
+    context.fillRect(0, 0, canvas.width, canvas.height);
+
+    const { crop } = transform;
+    context.imageSmoothingQuality = 'high';
+    context.translate(canvas.width / 2, canvas.height / 2);
+    context.scale(transform.scale, transform.scale);
+    context.rotate((transform.rotation * Math.PI) / 180);
+    context.drawImage(bitmap, crop.x, crop.y, crop.width, crop.height, -crop.width / 2, -crop.height / 2, crop.width, crop.height);
+    context.setTransform(1, 0, 0, 1, 0, 0);
+    bitmap.close();
+
+    if (transform.grayscale || transform.contrast !== 1) adjustPixels(context, transform);
+
+    const processed = await encodeCanvas(canvas, file, dpi > 0 ? dpi * transform.scale : null);
+    canvas.width = 0;
+    canvas.height = 0;
+    return processed;
+  } catch (error) {
+    console.error('Error in applyImageTransform:', error);
+    throw error;
+  }
+};
+
+/**
+ * Preprocess an image before upload
+ * @param {File} file - Original JPEG or PNG image
+ * @param {Object} options - Preprocessing options, see DEFAULT_PREPROCESS_OPTIONS
+ * @param {number} options.dpi - Resolution of the original image, if known
+ * @returns {Promise<Object>} - { file, transform }; the original file and a null transform when
+ *   the options leave the image unchanged
+ */
+export const preprocessImage = async (file, { dpi = null, ...options } = {}) => {
+  try {
+    const bitmap = await loadBitmap(file);
+    const sourceSize = { width: bitmap.width, height: bitmap.height };
+    bitmap.close();
+
+    const transform = createImageTransform({ sourceSize, ...options });
+    if (isIdentityTransform(transform)) return { file, transform: null };
+
+    return { file: await applyImageTransform(file, transform, { dpi }), transform };
+  } catch (error) {
+    console.error('Error in preprocessImage:', error);
+    throw error;
+  }
+};
+
+/**
+ * Score how well the ink lines up in rows when the image is tilted by an angle
+ * Aligned text lines give a few very full rows, so the sum of squared row counts peaks
+ * @param {Array<number>} points - Flat list of ink pixel coordinates x0, y0, x1, y1, ...
+ * @param {number} angle - Candidate skew in degrees
+ * @returns {number} - Alignment score
+ */
+const scoreSkewAngle = (points, angle) => {
+  const radians = (angle * Math.PI) / 180;
+  const cos = Math.cos(radians);
+  const sin = Math.sin(radians);
+  const rows = new Map();
+  for (let i = 0; i < points.length; i += 2) {
+    const row = Math.round(points[i + 1] * cos - points[i] * sin);
+    rows.set(row, (rows.get(row) || 0) + 1);
+  }
+
+  let score = 0;
+  rows.forEach(count => {
+    score += count * count;
+  });
+  return score;
+};
+
+/**
+ * Find the best scoring angle in a range
+ * @param {Array<number>} points - Ink pixel coordinates
+ * @param {number} from - First angle in degrees
+ * @param {number} to - Last angle in degrees
+ * @param {number} step - Step in degrees
+ * @returns {number} - Best angle
+ */
+const findBestAngle = (points, from, to, step) => {
+  let best = { angle: 0, score: -1 };
+  for (let angle = from; angle <= to + step / 2; angle += step) {
+    const score = scoreSkewAngle(points, angle);
+    if (score > best.score) best = { angle, score };
+  }
+  return best.angle;
+};
+
+/**
+ * Estimate the rotation that straightens the text of an image
+ * Uses the projection profile of the dark pixels of a downscaled copy; works best on
+ * images with several lines of text
+ * @param {File} file - JPEG or PNG image
+ * @param {Object} options - { crop } to only look at part of the image, in image pixels
+ * @returns {Promise<number>} - Clockwise rotation in degrees, rounded to 0.1
+ */
+export const estimateDeskewAngle = async (file, { crop = null } = {}) => {
+  try {
+    const bitmap = await loadBitmap(file);
+    const region = crop || { x: 0, y: 0, width: bitmap.width, height: bitmap.height };
+    const scale = Math.min(1, DESKEW_SAMPLE_SIDE / Math.max(region.width, region.height));
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.max(1, Math.round(region.width * scale));
+    canvas.height = Math.max(1, Math.round(region.height * scale));
+    const context = canvas.getContext('2d', { willReadFrequently: true });
+    context.drawImage(bitmap, region.x, region.y, region.width, region.height, 0, 0, canvas.width, canvas.height);
+    bitmap.close();
+
+    const { data } = context.getImageData(0, 0, canvas.width, canvas.height);
+    const luminance = new Float32Array(canvas.width * canvas.height);
+    let total = 0;
+    for (let i = 0; i < luminance.length; i++) {
+      luminance[i] = 0.299 * data[i * 4] + 0.587 * data[i * 4 + 1] + 0.114 * data[i * 4 + 2];
+      total += luminance[i];
+    }
+
+    // Pixels clearly darker than the average count as ink
+    const threshold = (total / luminance.length) * 0.7;
+    const ink = [];
+    for (let i = 0; i < luminance.length; i++) {
+      if (luminance[i] < threshold) ink.push(i);
+    }
+    if (ink.length === 0) return 0;
+
+    const stride = Math.max(1, Math.ceil(ink.length / DESKEW_MAX_POINTS));
+    const points = [];
+    for (let i = 0; i < ink.length; i += stride) {
+      points.push(ink[i] % canvas.width, Math.floor(ink[i] / canvas.width));
+    }
+
+    const coarse = findBestAngle(points, -DESKEW_MAX_ANGLE, DESKEW_MAX_ANGLE, DESKEW_COARSE_STEP);
+    const skew = findBestAngle(points, coarse - DESKEW_COARSE_STEP, coarse + DESKEW_COARSE_STEP, DESKEW_FINE_STEP);
+
+    // Rotating against the skew straightens the lines
+    return Math.round(-skew * 10) / 10 || 0;
+  } catch (error) {
+    console.error('Error in estimateDeskewAngle:', error);
+    throw error;
+  }
+};
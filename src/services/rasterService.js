@@ -0,0 +1,259 @@
+/**
+ * Rasterisation Service
+ * Turns artwork the backends cannot read (PDF, TIFF, WebP, SVG) into PNG images in the
+ * browser. Every PDF page and TIFF frame becomes its own image. The resolution each image
+ * was rendered at is returned and written into the PNG, so physical sizes can be computed.
+ */
+import { IMAGE_FORMATS, getImageFormat } from '../utils/fileUtils';
+import { setPngDpi } from '../utils/pngUtils';
+
+// Resolutions offered when rasterising
+export const RASTER_DPI_OPTIONS = [150, 300, 600];
+export const DEFAULT_RASTER_DPI = 300;
+
+// Largest image rendered; bigger pages are rendered at a lower DPI to stay within browser canvas limits
+const MAX_RASTER_PIXELS = 40_000_000;
+const MAX_RASTER_SIDE = 16_384;
+
+const PDF_POINTS_PER_INCH = 72;
+const CSS_PIXELS_PER_INCH = 96;
+
+/**
+ * @typedef {Object} RasterPage
+ * @property {File} file - PNG image of the page or frame
+ * @property {number} dpi - Resolution of the image
+ * @property {number} pageNumber - 1-based page or frame number
+ * @property {number} pageCount - Number of pages or frames in the source file
+ * @property {string} sourceName - Name of the source file
+ */
+
+/**
+ * Lower a resolution until the rendered image fits the canvas limits
+ * @param {Object} sizeInInches - { width, height } of the artwork
+ * @param {number} dpi - Requested resolution
+ * @returns {number} - Resolution to render at
+ */
+const fitDpi = (sizeInInches, dpi) => {
+  const scale = Math.min(
+    1,
+    Math.sqrt(MAX_RASTER_PIXELS / (sizeInInches.width * sizeInInches.height * dpi * dpi)),
+    MAX_RASTER_SIDE / (Math.max(sizeInInches.width, sizeInInches.height) * dpi)
+  );
+  return scale < 1 ? Math.floor(dpi * scale) : dpi;
+};
+
+/**
+ * Create a canvas with a white background, so transparent artwork is not sent as black
+ * @param {number} width - Width in pixels
+ * @param {number} height - Height in pixels
+ * @returns {HTMLCanvasElement} - The canvas
+ */
+const createCanvas = (width, height) => {
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.max(1, Math.round(width));
+  canvas.height = Math.max(1, Math.round(height));
+  const context = canvas.getContext('2d');
+  context.fillStyle = '#ffffff';
+  context.fillRect(0, 0, canvas.width, canvas.height);
+  return canvas;
+};
+
+/**
+ * Draw an image source onto a new canvas at the requested resolution
+ * @param {CanvasImageSource} source - Image to draw
+ * @param {Object} size - { width, height } of the source in pixels
+ * @param {number} sourceDpi - Resolution of the source
+ * @param {number} dpi - Requested resolution
+ * @returns {Object} - { canvas, dpi } with the resolution actually used
+ */
+const drawAtDpi = (source, size, sourceDpi, dpi) => {
+  const targetDpi = fitDpi({ width: size.width / sourceDpi, height: size.height / sourceDpi }, dpi);
+  const scale = targetDpi / sourceDpi;
+  const canvas = createCanvas(size.width * scale, size.height * scale);
+  canvas.getContext('2d').drawImage(source, 0, 0, canvas.width, canvas.height);
+  return { canvas, dpi: targetDpi };
+};
+
+/**
+ * Encode a rendered page as a PNG carrying its resolution, then free the canvas
+ * Pages are encoded one at a time so a long PDF never holds more than one canvas in memory
+ * @param {Object} rendered - { canvas, dpi } from drawAtDpi or the PDF renderer
+ * @returns {Promise<Object>} - { png, dpi }
+ */
+const encodePage = async ({ canvas, dpi }) => {
+  const blob = await new Promise((resolve, reject) => {
+    canvas.toBlob(result => (result ? resolve(result) : reject(new Error('Could not encode the page as PNG'))), 'image/png');
+  });
+  canvas.width = 0;
+  canvas.height = 0;
+  return { png: await setPngDpi(blob, dpi), dpi };
+};
+
+/**
+ * Build the file name of a rasterised page
+ * @param {string} sourceName - Name of the source file
+ * @param {number} pageNumber - 1-based page number
+ * @param {number} pageCount - Number of pages
+ * @returns {string} - e.g. "carton_p2.png", or "carton.png" for a single page
+ */
+const getPageFileName = (sourceName, pageNumber, pageCount) => {
+  const baseName = sourceName.replace(/\.[^.]+$/, '');
+  return pageCount > 1 ? `${baseName}_p${pageNumber}.png` : `${baseName}.png`;
+};
+
+/**
+ * Load an image file into an HTML image element
+ * @param {File} file - Image the browser can decode (WebP, SVG)
+ * @returns {Promise<HTMLImageElement>} - The loaded image
+ */
+const loadImage = (file) => {
+  const url = URL.createObjectURL(file);
+  return new Promise((resolve, reject) => {
+    const image = new Image();
+    image.onload = () => resolve(image);
+    image.onerror = () => reject(new Error(`Could not decode ${file.name}`));
+    image.src = url;
+  }).finally(() => URL.revokeObjectURL(url));
+};
+
+/**
+ * Render every page of a PDF
+ * @param {File} file - PDF file
+ * @param {number} dpi - Requested resolution
+ * @returns {Promise<Array<Object>>} - { png, dpi } per page
+ */
+const renderPdfPages = async (file, dpi) => {
+  const pdfjs = await import('pdfjs-dist');
+  const { default: workerUrl } = await import('pdfjs-dist/build/pdf.worker.min.mjs?url');
+  pdfjs.GlobalWorkerOptions.workerSrc = workerUrl;
+
+  const pdf = await pdfjs.getDocument({ data: await file.arrayBuffer() }).promise;
+  try {
+    const pages = [];
+    for (let pageNumber = 1; pageNumber <= pdf.numPages; pageNumber++) {
+      const page = await pdf.getPage(pageNumber);
+      const pageSize = page.getViewport({ scale: 1 });
+      const pageDpi = fitDpi({
+        width: pageSize.width / PDF_POINTS_PER_INCH,
+        height: pageSize.height / PDF_POINTS_PER_INCH
+      }, dpi);
+      const viewport = page.getViewport({ scale: pageDpi / PDF_POINTS_PER_INCH });
+      const canvas = createCanvas(viewport.width, viewport.height);
+      await page.render({ canvas, viewport, background: '#ffffff' }).promise;
+      page.cleanup();
+      pages.push(await encodePage({ canvas, dpi: pageDpi }));
+    }
+    return pages;
+  } finally {
+    await pdf.destroy();
+  }
+};
+
+/**
+ * Read the resolution stored in a TIFF frame
+ * @param {Object} ifd - Frame directory from UTIF.decode
+ * @returns {number|null} - Dots per inch, or null if the frame has none
+ */
+const getTiffDpi = (ifd) => {
+  const [numerator, denominator] = ifd.t282?.[0] || [];
+  if (!(numerator > 0) || !(denominator > 0)) return null;
+
+  const resolution = numerator / denominator;
+  const unit = ifd.t296?.[0] ?? 2;
+  if (unit === 2) return resolution;
+  if (unit === 3) return resolution * 2.54;
+  return null;
+};
+
+/**
+ * Render every frame of a TIFF
+ * Frames are never enlarged: a frame stored below the requested resolution keeps its own.
+ * The requested resolution is taken as the frame's resolution when the file records none.
+ * @param {File} file - TIFF file
+ * @param {number} dpi - Requested resolution
+ * @returns {Promise<Array<Object>>} - { png, dpi } per frame
+ */
+const renderTiffFrames = async (file, dpi) => {
+  const { default: UTIF } = await import('utif2');
+  const buffer = await file.arrayBuffer();
+  // Reduced-resolution frames (bit 0 of NewSubfileType) are thumbnails of another frame
+  const frames = UTIF.decode(buffer).filter(ifd => !((ifd.t254?.[0] ?? 0) & 1));
+
+  const pages = [];
+  for (const ifd of frames) {
+    UTIF.decodeImage(buffer, ifd);
+    const rgba = UTIF.toRGBA8(ifd);
+    const bitmap = await createImageBitmap(new ImageData(new Uint8ClampedArray(rgba.buffer, 0, ifd.width * ifd.height * 4), ifd.width, ifd.height));
+    const frameDpi = getTiffDpi(ifd) ?? dpi;
+    const rendered = drawAtDpi(bitmap, ifd, frameDpi, Math.min(dpi, frameDpi));
+    bitmap.close();
+    pages.push(await encodePage(rendered));
+  }
+  return pages;
+};
+
+/**
+ * Render an SVG
+ * SVG sizes are CSS pixels at 96 per inch; the vector image is scaled to the requested resolution.
+ * @param {File} file - SVG file
+ * @param {number} dpi - Requested resolution
+ * @returns {Promise<Array<Object>>} - A single { png, dpi }
+ */
+const renderSvg = async (file, dpi) => {
+  const image = await loadImage(file);
+  if (!image.naturalWidth || !image.naturalHeight) {
+    throw new Error(`${file.name} has no width and height, so its size cannot be determined`);
+  }
+  return [await encodePage(drawAtDpi(image, { width: image.naturalWidth, height: image.naturalHeight }, CSS_PIXELS_PER_INCH, dpi))];
+};
+
+/**
+ * Convert a WebP image to PNG
+ * WebP files record no resolution, so the requested resolution is taken as the image's.
+ * @param {File} file - WebP file
+ * @param {number} dpi - Requested resolution
+ * @returns {Promise<Array<Object>>} - A single { png, dpi }
+ */
+const renderWebp = async (file, dpi) => {
+  const image = await loadImage(file);
+  return [await encodePage(drawAtDpi(image, { width: image.naturalWidth, height: image.naturalHeight }, dpi, dpi))];
+};
+
+const RENDERERS = {
+  [IMAGE_FORMATS.PDF]: renderPdfPages,
+  [IMAGE_FORMATS.TIFF]: renderTiffFrames,
+  [IMAGE_FORMATS.SVG]: renderSvg,
+  [IMAGE_FORMATS.WEBP]: renderWebp
+};
+
+/**
+ * Rasterise a PDF, TIFF, WebP or SVG file into one PNG image per page or frame
+ * @param {File} file - File to rasterise, see needsRasterisation
+ * @param {Object} options - Options
+ * @param {number} options.dpi - Requested resolution; lowered for pages too large to render
+ * @returns {Promise<Array<RasterPage>>} - The rasterised pages
+ */
+export const rasteriseFile = async (file, { dpi = DEFAULT_RASTER_DPI } = {}) => {
+  try {
+    const render = RENDERERS[getImageFormat(file)];
+    if (!render) {
+      throw new Error(`${file.name} cannot be rasterised`);
+    }
+
+    const rendered = await render(file, dpi);
+    if (rendered.length === 0) {
+      throw new Error(`${file.name} contains no pages`);
+    }
+
+    return rendered.map(({ png, dpi: pageDpi }, index) => ({
+      file: new File([png], getPageFileName(file.name, index + 1, rendered.length), { type: 'image/png' }),
+      dpi: pageDpi,
+      pageNumber: index + 1,
+      pageCount: rendered.length,
+      sourceName: file.name
+    }));
+  } catch (error) {
+    console.error('Error in rasteriseFile:', error);
+    throw error;
+  }
+};
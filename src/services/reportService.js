@@ -0,0 +1,371 @@
+/**
+ * Compliance Report Service
+ * Builds QA sign-off reports from validation results, fully client-side,
+ * as a print-optimised HTML view or a downloadable PDF
+ */
+import { toImageDataUrl } from '../utils/fileUtils';
+import {
+  VALIDATION_STATES,
+  VALIDATION_STATE_LABELS,
+  getOriginalData,
+  getValidationSummary,
+  getValidationState,
+  getPropertyState,
+  getValidationProperties,
+  getPropertyValue,
+  formatValidationCounts
+} from '../utils/validationUtils';
+
+// PDF text colour of each validation state
+const STATE_PDF_COLORS = {
+  [VALIDATION_STATES.PASS]: [6, 95, 70],
+  [VALIDATION_STATES.FAIL]: [153, 27, 27],
+  [VALIDATION_STATES.NOT_EVALUATED]: [75, 85, 99],
+  [VALIDATION_STATES.BACKEND_MISSING]: [146, 64, 14]
+};
+
+// Visualizations included in the report, in display order
+const VISUALIZATION_LABELS = [
+  { key: 'word_image', group: 'text', label: 'Word Detection' },
+  { key: 'line_image', group: 'text', label: 'Line Detection' },
+  { key: 'para_image', group: 'text', label: 'Paragraph Detection' },
+  { key: null, group: 'symbols', label: 'Symbol Detection' }
+];
+
+// Image URLs the report may embed; anything else could load remote content or carry markup
+const SAFE_IMAGE_URL_PATTERN = /^(data:image\/|blob:)/i;
+
+/**
+ * Keep an image URL only if it is a data URL of an image or a blob URL
+ * @param {string} url - Image URL
+ * @returns {string} - The URL, or an empty string if it is not safe to embed
+ */
+const toSafeImageUrl = (url) => {
+  return typeof url === 'string' && SAFE_IMAGE_URL_PATTERN.test(url) ? url : '';
+};
+
+/**
+ * Convert a list of validations into report rows
+ * @param {Array} validations - Text or symbol validations
+ * @returns {Array} - Requirement rows with their properties
+ */
+const toRequirementRows = (validations = []) => {
+  return validations.map(validation => ({
+    name: getOriginalData(validation).req_name || validation.description,
+    description: validation.description,
+    state: getValidationState(validation),
+    properties: getValidationProperties(validation).map(prop => ({
+      name: prop.req_property_name || prop.req_name,
+      value: getPropertyValue(prop),
+      state: getPropertyState(prop)
+    }))
+  }));
+};
+
+/**
+ * Collect everything needed for a compliance report
+ * @param {Object} params - Report inputs
+ * @param {Object} params.validationResults - Processed validation results
+ * @param {Object} params.visualizations - Text and symbol visualizations
+ * @param {string} params.imageUrl - Data URL of the analysed image
+ * @param {string} params.imageName - File name of the analysed image
+ * @param {string} params.requirementsFileName - File name of the requirements file
+ * @param {string} params.runId - History run id, if the run was saved
+ * @param {Object} params.backends - { profile, text, symbol } the run was sent to, as recorded with the run
+ * @returns {Object} - Report data
+ */
+export const buildReportData = ({
+  validationResults,
+  visualizations = {},
+  imageUrl = '',
+  imageName = '',
+  requirementsFileName = '',
+  runId = null,
+  backends = null
+}) => {
+  const visualizationImages = VISUALIZATION_LABELS
+    .map(({ key, group, label }) => {
+      const data = key ? visualizations.text?.[key] : visualizations.symbols;
+      const src = data ? toSafeImageUrl(toImageDataUrl(data)) : '';
+      return src ? { label, src, group } : null;
+    })
+    .filter(Boolean);
+
+  return {
+    title: 'Packaging Compliance Report',
+    generatedAt: new Date().toISOString(),
+    runId,
+    imageName,
+    requirementsFileName,
+    // Runs saved before the backends were recorded do not say which ones they used
+    backends: backends || { profile: 'Not recorded', text: 'Not recorded', symbol: 'Not recorded' },
+    imageUrl: toSafeImageUrl(imageUrl),
+    visualizations: visualizationImages,
+    summary: getValidationSummary(validationResults),
+    backendError: validationResults?.backendError || null,
+    sections: [
+      { title: 'Text Requirements', rows: toRequirementRows(validationResults?.text_validations) },
+      { title: 'Symbol Requirements', rows: toRequirementRows(validationResults?.symbol_validations) }
+    ]
+  };
+};
+
+/**
+ * Escape text for safe inclusion in HTML
+ * @param {*} value - Value to escape
+ * @returns {string} - Escaped text
+ */
+const escapeHtml = (value) => {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+};
+
+/**
+ * Render report data as a standalone, print-optimised HTML document
+ * @param {Object} report - Report data from buildReportData
+ * @returns {string} - HTML document
+ */
+export const renderReportHtml = (report) => {
+  const statusBadge = (state) => (
+    `<span class="badge ${state}">${escapeHtml(VALIDATION_STATE_LABELS[state])}</span>`
+  );
+
+  const sectionsHtml = report.sections.map(section => `
+    <h2>${escapeHtml(section.title)}</h2>
+    ${section.rows.length === 0 ? '<p class="muted">No requirements</p>' : section.rows.map(row => `
+      <div class="requirement">
+        <div class="requirement-header">
+          <strong>${escapeHtml(row.name)}</strong>
+          ${statusBadge(row.state)}
+        </div>
+        ${row.description && row.description !== row.name ? `<p class="muted">${escapeHtml(row.description)}</p>` : ''}
+        <table>
+          <thead><tr><th>Property</th><th>Value</th><th>Status</th></tr></thead>
+          <tbody>
+            ${row.properties.map(prop => `
+              <tr>
+                <td>${escapeHtml(prop.name)}</td>
+                <td class="value">${escapeHtml(prop.value)}</td>
+                <td>${statusBadge(prop.state)}</td>
+              </tr>`).join('')}
+          </tbody>
+        </table>
+      </div>`).join('')}
+  `).join('');
+
+  const visualizationsHtml = report.visualizations.map(image => `
+    <figure>
+      <img src="${escapeHtml(image.src)}" alt="${escapeHtml(image.label)}" />
+      <figcaption>${escapeHtml(image.label)}</figcaption>
+    </figure>
+  `).join('');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8" />
+  <title>${escapeHtml(report.title)} - ${escapeHtml(report.imageName)}</title>
+  <style>
+    body { font-family: system-ui, Arial, sans-serif; color: #111827; margin: 24px; font-size: 12px; }
+    h1 { font-size: 20px; margin: 0 0 12px; }
+    h2 { font-size: 15px; margin: 24px 0 8px; border-bottom: 1px solid #d1d5db; padding-bottom: 4px; }
+    table { width: 100%; border-collapse: collapse; margin-top: 6px; }
+    th, td { border: 1px solid #d1d5db; padding: 4px 6px; text-align: left; vertical-align: top; }
+    th { background: #f3f4f6; }
+    .meta td:first-child { width: 180px; font-weight: 600; }
+    .value { white-space: pre-wrap; word-break: break-word; }
+    .muted { color: #6b7280; margin: 2px 0; }
+    .badge { display: inline-block; padding: 1px 8px; border-radius: 9999px; font-weight: 600; font-size: 11px; }
+    .badge.pass { background: #d1fae5; color: #065f46; }
+    .badge.fail { background: #fee2e2; color: #991b1b; }
+    .badge.not_evaluated { background: #f3f4f6; color: #374151; }
+    .badge.backend_missing { background: #fef3c7; color: #92400e; }
+    .notice { background: #fffbeb; border-left: 4px solid #f59e0b; padding: 8px 12px; margin: 8px 0; }
+    .totals { display: flex; gap: 24px; margin: 8px 0; }
+    .requirement { margin-bottom: 12px; page-break-inside: avoid; }
+    .requirement-header { display: flex; justify-content: space-between; align-items: center; }
+    figure { margin: 0 0 16px; page-break-inside: avoid; }
+    figure img { max-width: 100%; max-height: 600px; border: 1px solid #d1d5db; }
+    figcaption { color: #6b7280; margin-top: 4px; }
+    @media print {
+      body { margin: 0; }
+      h2 { page-break-after: avoid; }
+      .page-break { page-break-before: always; }
+    }
+  </style>
+</head>
+<body>
+  <h1>${escapeHtml(report.title)}</h1>
+  <table class="meta">
+    <tr><td>Image</td><td>${escapeHtml(report.imageName || 'N/A')}</td></tr>
+    <tr><td>Requirements file</td><td>${escapeHtml(report.requirementsFileName || 'N/A')}</td></tr>
+    <tr><td>Backend profile</td><td>${escapeHtml(report.backends.profile)}</td></tr>
+    <tr><td>Text backend</td><td>${escapeHtml(report.backends.text)}</td></tr>
+    <tr><td>Symbol backend</td><td>${escapeHtml(report.backends.symbol)}</td></tr>
+    ${report.runId ? `<tr><td>Run ID</td><td>${escapeHtml(report.runId)}</td></tr>` : ''}
+    <tr><td>Generated</td><td>${escapeHtml(new Date(report.generatedAt).toLocaleString())}</td></tr>
+  </table>
+
+  <h2>Summary</h2>
+  <div class="totals">
+    <div>Overall: ${statusBadge(report.summary.state)}</div>
+    <div>Text: ${escapeHtml(formatValidationCounts(report.summary.text))}</div>
+    <div>Symbols: ${escapeHtml(formatValidationCounts(report.summary.symbols))}</div>
+  </div>
+  ${report.backendError ? `<p class="notice">The validation backend did not answer (${escapeHtml(report.backendError)}). Requirements were not checked.</p>` : ''}
+
+  ${sectionsHtml}
+
+  <div class="page-break"></div>
+  <h2>Analysed Image</h2>
+  ${report.imageUrl ? `<figure><img src="${escapeHtml(report.imageUrl)}" alt="Analysed image" /></figure>` : '<p class="muted">No image available</p>'}
+
+  ${report.visualizations.length > 0 ? `<h2>Annotated Visualizations</h2>${visualizationsHtml}` : ''}
+</body>
+</html>`;
+};
+
+/**
+ * Open the report in a new window and show the print dialog
+ * @param {Object} report - Report data from buildReportData
+ */
+export const openPrintableReport = (report) => {
+  const reportWindow = window.open('', '_blank');
+  if (!reportWindow) {
+    throw new Error('The report window was blocked. Please allow pop-ups for this site.');
+  }
+
+  reportWindow.document.open();
+  reportWindow.document.write(renderReportHtml(report));
+  reportWindow.document.close();
+  reportWindow.onload = () => {
+    reportWindow.focus();
+    reportWindow.print();
+  };
+};
+
+/**
+ * Build a file name for an exported report
+ * @param {Object} report - Report data from buildReportData
+ * @param {string} extension - File extension without the dot
+ * @returns {string} - File name
+ */
+export const getReportFileName = (report, extension) => {
+  const baseName = (report.imageName || 'artwork').replace(/\.[^.]+$/, '');
+  const date = report.generatedAt.slice(0, 10);
+  return `compliance-report_${baseName}_${date}.${extension}`;
+};
+
+/**
+ * Generate the report as a PDF and download it
+ * @param {Object} report - Report data from buildReportData
+ * @returns {Promise<void>}
+ */
+export const downloadReportPdf = async (report) => {
+  try {
+    // Loaded on demand so jsPDF is not part of the main bundle
+    const { jsPDF } = await import('jspdf');
+    const doc = new jsPDF({ unit: 'mm', format: 'a4' });
+
+    const pageWidth = doc.internal.pageSize.getWidth();
+    const pageHeight = doc.internal.pageSize.getHeight();
+    const margin = 15;
+    const contentWidth = pageWidth - margin * 2;
+    let y = margin;
+
+    const ensureSpace = (height) => {
+      if (y + height > pageHeight - margin) {
+        doc.addPage();
+        y = margin;
+      }
+    };
+
+    const writeLines = (text, { size = 10, bold = false, color = [17, 24, 39], indent = 0 } = {}) => {
+      doc.setFont('helvetica', bold ? 'bold' : 'normal');
+      doc.setFontSize(size);
+      doc.setTextColor(...color);
+      const lines = doc.splitTextToSize(String(text ?? ''), contentWidth - indent);
+      const lineHeight = size * 0.45;
+      lines.forEach(line => {
+        ensureSpace(lineHeight);
+        doc.text(line, margin + indent, y + lineHeight * 0.8);
+        y += lineHeight;
+      });
+    };
+
+
+    const addImage = (src, caption) => {
+      const properties = doc.getImageProperties(src);
+      const maxHeight = pageHeight - margin * 2 - 10;
+      let width = contentWidth;
+      let height = (properties.height / properties.width) * width;
+      if (height > maxHeight) {
+        height = maxHeight;
+        width = (properties.width / properties.height) * height;
+      }
+      ensureSpace(height + 8);
+      const format = src.startsWith('data:image/jpeg') ? 'JPEG' : 'PNG';
+      doc.addImage(src, format, margin, y, width, height);
+      y += height + 2;
+      writeLines(caption, { size: 9, color: [107, 114, 128] });
+      y += 4;
+    };
+
+    // Title and run metadata
+    writeLines(report.title, { size: 16, bold: true });
+    y += 2;
+    [
+      ['Image', report.imageName || 'N/A'],
+      ['Requirements file', report.requirementsFileName || 'N/A'],
+      ['Backend profile', report.backends.profile],
+      ['Text backend', report.backends.text],
+      ['Symbol backend', report.backends.symbol],
+      ...(report.runId ? [['Run ID', report.runId]] : []),
+      ['Generated', new Date(report.generatedAt).toLocaleString()]
+    ].forEach(([label, value]) => writeLines(`${label}: ${value}`, { size: 9 }));
+
+    // Totals
+    y += 4;
+    writeLines('Summary', { size: 13, bold: true });
+    writeLines(`Overall: ${VALIDATION_STATE_LABELS[report.summary.state]}`, { bold: true, color: STATE_PDF_COLORS[report.summary.state] });
+    writeLines(`Text requirements: ${formatValidationCounts(report.summary.text)}`);
+    writeLines(`Symbol requirements: ${formatValidationCounts(report.summary.symbols)}`);
+    if (report.backendError) {
+      writeLines(`The validation backend did not answer (${report.backendError}). Requirements were not checked.`, { color: STATE_PDF_COLORS[VALIDATION_STATES.BACKEND_MISSING] });
+    }
+
+    // Requirements with each property status and value
+    report.sections.forEach(section => {
+      y += 4;
+      writeLines(section.title, { size: 13, bold: true });
+      if (section.rows.length === 0) {
+        writeLines('No requirements', { color: [107, 114, 128] });
+      }
+      section.rows.forEach(row => {
+        y += 2;
+        writeLines(`${row.name} - ${VALIDATION_STATE_LABELS[row.state]}`, { bold: true, color: STATE_PDF_COLORS[row.state] });
+        row.properties.forEach(prop => {
+          writeLines(`[${VALIDATION_STATE_LABELS[prop.state]}] ${prop.name}`, { size: 9, bold: true, indent: 4, color: STATE_PDF_COLORS[prop.state] });
+          writeLines(prop.value, { size: 9, indent: 8 });
+        });
+      });
+    });
+
+    // Analysed image and annotated visualizations
+    doc.addPage();
+    y = margin;
+    writeLines('Analysed Image', { size: 13, bold: true });
+    if (report.imageUrl) {
+      addImage(report.imageUrl, report.imageName);
+    }
+    report.visualizations.forEach(image => addImage(image.src, image.label));
+
+    doc.save(getReportFileName(report, 'pdf'));
+  } catch (error) {
+    console.error('Error in downloadReportPdf:', error);
+    throw error;
+  }
+};
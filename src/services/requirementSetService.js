@@ -0,0 +1,297 @@
+/**
+ * Requirement Set Service
+ * Stores requirement sets created in the requirements editor in localStorage.
+ * Every save adds a new version so earlier definitions stay available, and a
+ * version can be exported to XLSX/CSV or turned into a requirements file for the backend.
+ */
+import * as XLSX from 'xlsx';
+import { REQUIREMENT_COLUMNS, REQUIREMENT_TYPES, REQUIREMENT_PROPERTIES } from '../config/spreadsheetConfig';
+
+const STORAGE_KEY = 'ocr-mattel-requirement-sets';
+
+/**
+ * Create an empty text requirement for the editor
+ * @returns {Object} - Text requirement
+ */
+export const createTextRequirement = () => ({
+  name: '',
+  statement: '',
+  minTextHeightMm: '',
+  country: ''
+});
+
+/**
+ * Create an empty symbol requirement for the editor
+ * @returns {Object} - Symbol requirement
+ */
+export const createSymbolRequirement = () => ({
+  label: '',
+  minWidthCm: '',
+  minHeightCm: ''
+});
+
+/**
+ * Read all sets from localStorage
+ * @returns {Array<Object>} - Stored sets
+ */
+const readSets = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]');
+    return Array.isArray(stored) ? stored : [];
+  } catch (error) {
+    console.error('Error reading requirement sets:', error);
+    return [];
+  }
+};
+
+/**
+ * Write all sets to localStorage
+ * @param {Array<Object>} sets - Sets to store
+ */
+const writeSets = (sets) => {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(sets));
+};
+
+/**
+ * List saved requirement sets, most recently updated first
+ * @returns {Array<Object>} - Requirement sets
+ */
+export const listRequirementSets = () => {
+  return readSets().sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+};
+
+/**
+ * Get a saved requirement set
+ * @param {string} id - Set id
+ * @returns {Object|null} - The set, or null if it does not exist
+ */
+export const getRequirementSet = (id) => {
+  return readSets().find(set => set.id === id) || null;
+};
+
+/**
+ * Get one version of a set
+ * @param {Object} set - Requirement set
+ * @param {number} version - Version number, the latest version if omitted
+ * @returns {Object|null} - The version
+ */
+export const getRequirementSetVersion = (set, version = null) => {
+  if (!set || set.versions.length === 0) return null;
+  if (version === null) return set.versions[set.versions.length - 1];
+  return set.versions.find(item => item.version === version) || null;
+};
+
+/**
+ * Validate requirements before saving
+ * @param {Object} requirements - { text: [], symbol: [] }
+ * @returns {Array<string>} - Validation errors, empty if valid
+ */
+export const validateRequirementSet = (requirements) => {
+  const errors = [];
+  const isInvalidNumber = (value) => value !== '' && !(Number(value) > 0);
+
+  requirements.text.forEach((req, index) => {
+    const label = req.name || `Text requirement ${index + 1}`;
+    if (!req.name.trim()) errors.push(`Text requirement ${index + 1} needs a name`);
+    if (isInvalidNumber(req.minTextHeightMm)) errors.push(`${label}: minimum text height must be a positive number`);
+  });
+
+  requirements.symbol.forEach((req, index) => {
+    const label = req.label || `Symbol requirement ${index + 1}`;
+    if (!req.label.trim()) errors.push(`Symbol requirement ${index + 1} needs a label`);
+    if (isInvalidNumber(req.minWidthCm)) errors.push(`${label}: minimum width must be a positive number`);
+    if (isInvalidNumber(req.minHeightCm)) errors.push(`${label}: minimum height must be a positive number`);
+  });
+
+  if (requirements.text.length === 0 && requirements.symbol.length === 0) {
+    errors.push('Add at least one text or symbol requirement');
+  }
+
+  return errors;
+};
+
+/**
+ * Save requirements as a new version of a set, creating the set if needed
+ * @param {Object} options - Save options
+ * @param {string} options.id - Id of an existing set, omit to create a new set
+ * @param {string} options.name - Set name
+ * @param {Object} options.requirements - { text: [], symbol: [] }
+ * @returns {Object} - The saved set
+ */
+export const saveRequirementSet = ({ id = null, name, requirements }) => {
+  const errors = validateRequirementSet(requirements);
+  if (errors.length > 0) {
+    throw new Error(errors.join('\n'));
+  }
+
+  const sets = readSets();
+  const now = new Date().toISOString();
+  let set = id ? sets.find(item => item.id === id) : null;
+
+  if (!set) {
+    set = {
+      id: `reqset_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
+      createdAt: now,
+      versions: []
+    };
+    sets.push(set);
+  }
+
+  set.name = name.trim() || 'Untitled requirements';
+  set.updatedAt = now;
+  set.versions.push({
+    version: set.versions.length + 1,
+    savedAt: now,
+    requirements: {
+      text: requirements.text.map(req => ({ ...req, name: req.name.trim() })),
+      symbol: requirements.symbol.map(req => ({ ...req, label: req.label.trim() }))
+    }
+  });
+
+  writeSets(sets);
+  return set;
+};
+
+/**
+ * Delete a requirement set with all its versions
+ * @param {string} id - Set id
+ */
+export const deleteRequirementSet = (id) => {
+  writeSets(readSets().filter(set => set.id !== id));
+};
+
+/**
+ * Build the property list of a text requirement
+ * @param {Object} req - Text requirement from the editor
+ * @returns {Array<Object>} - req_properties
+ */
+const getTextProperties = (req) => {
+  const properties = [];
+  if (req.statement) properties.push({ req_name: REQUIREMENT_PROPERTIES.STATEMENT, req_desc: req.statement });
+  if (req.minTextHeightMm !== '') properties.push({ req_name: REQUIREMENT_PROPERTIES.MIN_TEXT_HEIGHT, req_desc: `${req.minTextHeightMm} mm` });
+  if (req.country) properties.push({ req_name: REQUIREMENT_PROPERTIES.COUNTRY, req_desc: req.country });
+  return properties;
+};
+
+/**
+ * Build the property list of a symbol requirement
+ * @param {Object} req - Symbol requirement from the editor
+ * @returns {Array<Object>} - req_properties
+ */
+const getSymbolProperties = (req) => {
+  const properties = [];
+  if (req.minWidthCm !== '') properties.push({ req_name: REQUIREMENT_PROPERTIES.MIN_WIDTH, req_desc: `${req.minWidthCm} cm` });
+  if (req.minHeightCm !== '') properties.push({ req_name: REQUIREMENT_PROPERTIES.MIN_HEIGHT, req_desc: `${req.minHeightCm} cm` });
+  return properties;
+};
+
+/**
+ * Convert a set version to the text_requirement / symbol_requirement structure returned by /req_parser
+ * @param {Object} version - Requirement set version
+ * @returns {Object} - { text_requirement, symbol_requirement }
+ */
+export const toRequirementsData = (version) => ({
+  text_requirement: version.requirements.text.map(req => ({
+    name: req.name,
+    required: true,
+    req_properties: getTextProperties(req)
+  })),
+  symbol_requirement: version.requirements.symbol.map(req => ({
+    name: req.label,
+    required: true,
+    req_properties: getSymbolProperties(req)
+  }))
+});
+
+/**
+ * Build spreadsheet rows in the requirements layout, one row per property
+ * @param {Object} version - Requirement set version
+ * @returns {Array<Object>} - Sheet rows
+ */
+const buildRequirementRows = (version) => {
+  const data = toRequirementsData(version);
+  const rows = [];
+
+  const addRows = (requirements, type) => {
+    requirements.forEach(req => {
+      // Requirements without properties still get a row so they survive a round trip
+      const properties = req.req_properties.length > 0 ? req.req_properties : [{ req_name: '', req_desc: '' }];
+      properties.forEach(prop => {
+        rows.push({
+          [REQUIREMENT_COLUMNS.TYPE]: type,
+          [REQUIREMENT_COLUMNS.NAME]: req.name,
+          [REQUIREMENT_COLUMNS.PROPERTY]: prop.req_name,
+          [REQUIREMENT_COLUMNS.DESCRIPTION]: prop.req_desc
+        });
+      });
+    });
+  };
+
+  addRows(data.text_requirement, REQUIREMENT_TYPES.TEXT);
+  addRows(data.symbol_requirement, REQUIREMENT_TYPES.SYMBOL);
+  return rows;
+};
+
+/**
+ * Build a requirements workbook for a set version
+ * @param {Object} version - Requirement set version
+ * @returns {Object} - xlsx workbook
+ */
+const buildRequirementsWorkbook = (version) => {
+  const header = Object.values(REQUIREMENT_COLUMNS);
+  const sheet = XLSX.utils.json_to_sheet(buildRequirementRows(version), { header });
+  sheet['!cols'] = header.map(column => ({ wch: Math.max(column.length + 2, 18) }));
+
+  const workbook = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(workbook, sheet, 'Requirements');
+  return workbook;
+};
+
+/**
+ * Build a file name for a set version
+ * @param {Object} set - Requirement set
+ * @param {Object} version - Requirement set version
+ * @param {string} extension - File extension without the dot
+ * @returns {string} - File name
+ */
+const getRequirementSetFileName = (set, version, extension) => {
+  const baseName = set.name.replace(/[^\w-]+/g, '_').replace(/^_+|_+$/g, '') || 'requirements';
+  return `${baseName}_v${version.version}.${extension}`;
+};
+
+/**
+ * Download a set version as an XLSX or CSV file
+ * @param {Object} set - Requirement set
+ * @param {Object} version - Requirement set version
+ * @param {string} format - 'xlsx' or 'csv'
+ */
+export const downloadRequirementSet = (set, version, format = 'xlsx') => {
+  try {
+    XLSX.writeFile(buildRequirementsWorkbook(version), getRequirementSetFileName(set, version, format), { bookType: format });
+  } catch (error) {
+    console.error('Error in downloadRequirementSet:', error);
+    throw error;
+  }
+};
+
+/**
+ * Create a requirements file from a set version, for services that upload a requirements file
+ * @param {Object} set - Requirement set
+ * @param {Object} version - Requirement set version, the latest if omitted
+ * @returns {File} - XLSX requirements file
+ */
+export const requirementSetToFile = (set, version = getRequirementSetVersion(set)) => {
+  const buffer = XLSX.write(buildRequirementsWorkbook(version), { bookType: 'xlsx', type: 'array' });
+  return new File([buffer], getRequirementSetFileName(set, version, 'xlsx'), {
+    type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+  });
+};
+
+/**
+ * Check whether a value is a saved requirement set
+ * @param {*} value - Value to check
+ * @returns {boolean} - True for requirement sets
+ */
+export const isRequirementSet = (value) => {
+  return Boolean(value && typeof value.id === 'string' && value.id.startsWith('reqset_') && Array.isArray(value.versions));
+};
@@ -0,0 +1,382 @@
+/**
+ * Response Normalizer
+ * The one place that reads backend payloads. Every response is checked against its
+ * declared schema in config/responseSchemas.js, mismatches are reported to
+ * diagnosticsService, and the payload is mapped to the canonical frontend types below.
+ * Fields that are missing or of the wrong type become null or are left out; they are
+ * never replaced with invented values.
+ */
+import { RESPONSE_SCHEMAS } from '../config/responseSchemas';
+import { getJsonType, validateSchema } from '../utils/schemaUtils';
+import { getCmPerPixel, getImageShapeAtDpi } from '../utils/measurementUtils';
+import { reportDiagnostics } from './diagnosticsService';
+
+/**
+ * @typedef {Object} TextBlock
+ * @property {string|number|null} id - Paragraph id assigned by the backend
+ * @property {string} text - Detected text, empty if the backend sent none
+ * @property {number|null} xmin - Bounding box in image pixels
+ * @property {number|null} ymin
+ * @property {number|null} xmax
+ * @property {number|null} ymax
+ * @property {number|null} confidence - 0 to 1
+ * @property {number|string|null} font_size
+ * @property {string|null} font
+ */
+
+/**
+ * @typedef {Object} DetectedSymbol
+ * @property {string} id - Position of the symbol in the response, e.g. "symbol_0"
+ * @property {string} class - Lowercase label
+ * @property {string} label - Label as sent by the backend
+ * @property {number|null} confidence
+ * @property {number} xmin - Bounding box in image pixels
+ * @property {number} ymin
+ * @property {number} xmax
+ * @property {number} ymax
+ * @property {number} width
+ * @property {number} height
+ * @property {number|null} width_cm - Physical size, null when the image size in cm is unknown
+ * @property {number|null} height_cm
+ * @property {string|null} width_cm_display
+ * @property {string|null} height_cm_display
+ */
+
+/**
+ * @typedef {Object} RequirementResult
+ * @property {string} req_name - Requirement name
+ * @property {Array<string|number>} req_para_id - Ids of the text blocks the verdict is based on
+ * @property {Array<string>} req_labels - Symbol labels the verdict is based on
+ * @property {Array<Object>} req_properties - { req_property_name, req_property_value, req_desc, req_status };
+ *   value and description are null when not sent, status is 1 (pass), 0 (fail) or null
+ */
+
+/**
+ * @typedef {Object} ParsedRequirements
+ * @property {Object} result - { text_requirement, symbol_requirement }, each a list of
+ *   { name, required, req_properties: [{ req_name, req_desc }] }
+ */
+
+/**
+ * Check a response against the schema of its endpoint and report the issues
+ * @param {string} endpointKey - Endpoint key from API_ROUTES
+ * @param {*} data - Response body
+ * @returns {Array<Object>} - Issues found
+ */
+const checkSchema = (endpointKey, data) => {
+  const issues = validateSchema(RESPONSE_SCHEMAS[endpointKey], data);
+  reportDiagnostics(endpointKey, issues);
+  return issues;
+};
+
+const isObject = (value) => getJsonType(value) === 'object';
+const objectsIn = (value) => (Array.isArray(value) ? value.filter(isObject) : []);
+const stringOrNull = (value) => (typeof value === 'string' ? value : null);
+const numberOrNull = (value) => (typeof value === 'number' && Number.isFinite(value) ? value : null);
+const idOrNull = (value) => (typeof value === 'string' || Number.isInteger(value) ? value : null);
+const statusOrNull = (value) => (value === 0 || value === 1 ? value : null);
+
+/**
+ * Check a response whose payload is passed on as it is
+ * @param {string} endpointKey - Endpoint key from API_ROUTES
+ * @param {*} data - Response body
+ * @returns {*} - The same response body
+ */
+export const checkResponse = (endpointKey, data) => {
+  checkSchema(endpointKey, data);
+  return data;
+};
+
+/**
+ * Join the text of a region sent as lines instead of text
+ * A line is a string, an object with text, or an object with words (strings or objects with text)
+ * @param {Array} lines - lines of the text region
+ * @returns {string} - One line of text per line, empty if none has text
+ */
+const textFromLines = (lines) => (Array.isArray(lines) ? lines : [])
+  .map(line => {
+    if (typeof line === 'string') return line;
+    if (!isObject(line)) return '';
+    if (typeof line.text === 'string' && line.text) return line.text;
+    return (Array.isArray(line.words) ? line.words : [])
+      .map(word => (typeof word === 'string' ? word : stringOrNull(word?.text) ?? ''))
+      .filter(Boolean)
+      .join(' ');
+  })
+  .filter(Boolean)
+  .join('\n');
+
+/**
+ * Map a text region to a TextBlock
+ * @param {Object} block - Text region from the backend
+ * @returns {TextBlock} - Canonical text block; a region without text takes it from its lines
+ */
+const toTextBlock = (block) => ({
+  id: idOrNull(block.id),
+  text: (typeof block.text === 'string' && block.text) ? block.text : textFromLines(block.lines),
+  xmin: numberOrNull(block.xmin),
+  ymin: numberOrNull(block.ymin),
+  xmax: numberOrNull(block.xmax),
+  ymax: numberOrNull(block.ymax),
+  confidence: numberOrNull(block.confidence),
+  font_size: numberOrNull(block.font_size) ?? stringOrNull(block.font_size),
+  font: stringOrNull(block.font)
+});
+
+const toTextBlocks = (value) => objectsIn(value).map(toTextBlock);
+
+/**
+ * Map the visualization images of the text backend
+ * @param {Object} visualizations - { word_image, line_image, para_image } as base64 strings
+ * @returns {Object} - The same keys, empty strings for images that were not sent
+ */
+const toVisualizations = (visualizations) => {
+  const source = isObject(visualizations) ? visualizations : {};
+  return {
+    word_image: stringOrNull(source.word_image) ?? '',
+    line_image: stringOrNull(source.line_image) ?? '',
+    para_image: stringOrNull(source.para_image) ?? ''
+  };
+};
+
+/**
+ * Map a parsed requirement list
+ * @param {Array} requirements - text_requirement or symbol_requirement from the backend
+ * @returns {Array<Object>} - Requirements that have a name; properties sent as reqs (the backend's
+ *   format for symbol requirements) become req_properties
+ */
+const toParsedRequirementList = (requirements) => objectsIn(requirements)
+  .filter(req => typeof req.name === 'string' && req.name)
+  .map(req => ({
+    name: req.name,
+    required: req.required !== false,
+    req_properties: objectsIn(Array.isArray(req.req_properties) ? req.req_properties : req.reqs)
+      .filter(prop => typeof prop.req_name === 'string')
+      .map(prop => ({ req_name: prop.req_name, req_desc: stringOrNull(prop.req_desc) }))
+  }));
+
+/**
+ * Map parsed requirements
+ * @param {Object} data - { result: { text_requirement, symbol_requirement } }
+ * @returns {ParsedRequirements|null} - Canonical requirements, or null if the payload has no result
+ */
+const toParsedRequirements = (data) => {
+  if (!isObject(data) || !isObject(data.result)) return null;
+  return {
+    result: {
+      text_requirement: toParsedRequirementList(data.result.text_requirement),
+      symbol_requirement: toParsedRequirementList(data.result.symbol_requirement)
+    }
+  };
+};
+
+/**
+ * Map requirement verdicts
+ * @param {Object} results - { result: [...] } from the backend
+ * @returns {Array<RequirementResult>} - Verdicts that name their requirement
+ */
+const toRequirementResults = (results) => objectsIn(isObject(results) ? results.result : null)
+  .filter(req => typeof req.req_name === 'string')
+  .map(req => ({
+    req_name: req.req_name,
+    req_para_id: Array.isArray(req.req_para_id) ? req.req_para_id.filter(id => idOrNull(id) !== null) : [],
+    req_labels: Array.isArray(req.req_labels) ? req.req_labels.filter(label => typeof label === 'string') : [],
+    req_properties: objectsIn(req.req_properties)
+      .filter(prop => typeof prop.req_property_name === 'string')
+      .map(prop => ({
+        req_property_name: prop.req_property_name,
+        req_property_value: typeof prop.req_property_value === 'number'
+          ? String(prop.req_property_value)
+          : stringOrNull(prop.req_property_value),
+        req_desc: stringOrNull(prop.req_desc),
+        req_status: statusOrNull(prop.req_status)
+      }))
+  }));
+
+/**
+ * Map symbol verdicts of the refinement step
+ * @param {Array} predictions - symbol_check or predictions from the backend
+ * @returns {Array<Object>} - { id, item, layout_requirement, statement_requirement }
+ */
+const toSymbolPredictions = (predictions) => objectsIn(predictions)
+  .filter(prediction => typeof prediction.item === 'string')
+  .map(prediction => ({
+    id: idOrNull(prediction.id),
+    item: prediction.item,
+    layout_requirement: statusOrNull(prediction.layout_requirement),
+    statement_requirement: statusOrNull(prediction.statement_requirement)
+  }));
+
+/**
+ * Map the requirement verdicts of a text detection response that has no refined_text
+ * Older backends only sent text_req_results; each verdict then stands for the paragraph it names
+ * @param {Object} results - text_req_results from the backend
+ * @returns {Array<TextBlock>} - One block per verdict, without coordinates
+ */
+const toTextBlocksFromRequirements = (results) => toRequirementResults(results).map((req, index) => toTextBlock({
+  id: req.req_para_id[0] ?? `para_${index}`,
+  text: req.req_name
+}));
+
+/**
+ * Normalise a text detection response (/predict_pipeline called for text only)
+ * @param {Object} data - Response body
+ * @returns {Object} - { results: Array<TextBlock>, visualizations }
+ */
+export const normalizeTextDetection = (data) => {
+  checkSchema('TEXT_DETECTION', data);
+  const source = isObject(data) ? data : {};
+  return {
+    results: Array.isArray(source.refined_text)
+      ? toTextBlocks(source.refined_text)
+      : toTextBlocksFromRequirements(source.text_req_results),
+    visualizations: toVisualizations(source.visualizations)
+  };
+};
+
+/**
+ * Normalise a symbol detection response
+ * @param {Object} data - Response body
+ * @param {Object} options - { dpi } of the analysed image, if known; physical sizes are then
+ *   computed from it instead of the size in cm sent by the backend
+ * @returns {Object} - { symbols: Array<DetectedSymbol>, visualization, imageShape }; imageShape is
+ *   null when the backend did not send the image size
+ */
+export const normalizeSymbolDetection = (data, { dpi = null } = {}) => {
+  checkSchema('SYMBOL_DETECTION', data);
+  const source = isObject(data) ? data : {};
+  const shape = isObject(source.image_shape) ? source.image_shape : {};
+  let imageShape = null;
+  if (numberOrNull(shape.width) !== null && numberOrNull(shape.height) !== null) {
+    // A known resolution, e.g. of a rasterised PDF page, is more reliable than the backend's estimate
+    imageShape = dpi > 0
+      ? getImageShapeAtDpi(shape, dpi)
+      : {
+        width: shape.width,
+        height: shape.height,
+        width_cm: numberOrNull(shape.width_cm),
+        height_cm: numberOrNull(shape.height_cm)
+      };
+  }
+  const cmPerPixel = getCmPerPixel(imageShape);
+
+  const symbols = objectsIn(source.labels)
+    .filter(label => typeof label.label === 'string' &&
+      ['x', 'y', 'width', 'height'].every(key => numberOrNull(label[key]) !== null))
+    .map((label, index) => {
+      const widthCm = cmPerPixel ? parseFloat((label.width * cmPerPixel.x).toFixed(2)) : null;
+      const heightCm = cmPerPixel ? parseFloat((label.height * cmPerPixel.y).toFixed(2)) : null;
+      return {
+        id: `symbol_${index}`,
+        class: label.label.toLowerCase(),
+        label: label.label,
+        confidence: numberOrNull(label.confidence),
+        xmin: label.x,
+        ymin: label.y,
+        xmax: label.x + label.width,
+        ymax: label.y + label.height,
+        width: label.width,
+        height: label.height,
+        width_cm: widthCm,
+        height_cm: heightCm,
+        width_cm_display: widthCm === null ? null : `${widthCm.toFixed(2)} cm`,
+        height_cm_display: heightCm === null ? null : `${heightCm.toFixed(2)} cm`
+      };
+    });
+
+  return {
+    symbols,
+    visualization: stringOrNull(source.visualization) ?? '',
+    imageShape
+  };
+};
+
+/**
+ * Normalise a complete text pipeline response
+ * @param {Object} data - Response body
+ * @returns {Object} - { detectionResults, refinedText, requirementCheck, parsedRequirements,
+ *   visualizations, refinedSymbols, symbolCheck }; requirementCheck and parsedRequirements are
+ *   null when the backend did not send them
+ */
+export const normalizeTextPipeline = (data) => {
+  checkSchema('TEXT_PIPELINE', data);
+  const source = isObject(data) ? data : {};
+  const requirementCheck = isObject(source.requirement_check)
+    ? {
+      text_requirment: objectsIn(source.requirement_check.text_requirment)
+        .filter(item => typeof item.refined_text === 'string')
+        .map(item => ({ id: idOrNull(item.id), refined_text: item.refined_text }))
+    }
+    : null;
+
+  return {
+    detectionResults: toTextBlocks(source.detection_results),
+    refinedText: toTextBlocks(source.refined_text),
+    requirementCheck,
+    parsedRequirements: toParsedRequirements(source.parsed_requirements),
+    visualizations: toVisualizations(source.visualizations),
+    refinedSymbols: objectsIn(source.refined_symbols)
+      .filter(symbol => typeof symbol.text === 'string')
+      .map(symbol => ({ id: idOrNull(symbol.id), text: symbol.text })),
+    symbolCheck: toSymbolPredictions(source.symbol_check)
+  };
+};
+
+/**
+ * Normalise a requirement verification response
+ * @param {Object} data - Response body
+ * @param {string} endpointKey - 'VERIFY_REQUIREMENTS' or 'VALIDATE_PRODUCT'
+ * @returns {Object} - { textReqResults, symbolReqResults: Array<RequirementResult>, parsedRequirements }
+ */
+export const normalizeVerification = (data, endpointKey = 'VERIFY_REQUIREMENTS') => {
+  checkSchema(endpointKey, data);
+  const source = isObject(data) ? data : {};
+  return {
+    textReqResults: toRequirementResults(source.text_req_results),
+    symbolReqResults: toRequirementResults(source.symbol_req_results),
+    parsedRequirements: toParsedRequirements(source.parsed_requirements)
+  };
+};
+
+/**
+ * Normalise a requirements parsing response
+ * @param {Object} data - Response body
+ * @param {string} endpointKey - 'PARSE_REQUIREMENTS' or 'PARSE_UPLOADED_REQUIREMENTS'
+ * @returns {ParsedRequirements} - Canonical requirements; empty lists if the payload has no result
+ */
+export const normalizeParsedRequirements = (data, endpointKey = 'PARSE_REQUIREMENTS') => {
+  checkSchema(endpointKey, data);
+  return toParsedRequirements(data) || { result: { text_requirement: [], symbol_requirement: [] } };
+};
+
+/**
+ * Normalise a symbol refinement response
+ * @param {Object} data - Response body
+ * @returns {Object} - { predictions, refinedText: Array<TextBlock> }
+ */
+export const normalizeSymbolRefinement = (data) => {
+  checkSchema('SYMBOL_REFINEMENT', data);
+  const source = isObject(data) ? data : {};
+  return {
+    predictions: toSymbolPredictions(source.predictions),
+    refinedText: toTextBlocks(source.refined_text)
+  };
+};
+
+/**
+ * Normalise a /status response
+ * @param {Object} data - Response body
+ * @param {string} endpointKey - 'TEXT_STATUS' or 'SYMBOL_STATUS'
+ * @returns {Object} - { version, message }, each null if not reported
+ */
+export const normalizeStatus = (data, endpointKey) => {
+  checkSchema(endpointKey, data);
+  const source = isObject(data) ? data : {};
+  // Backends report their version under one of these names
+  const version = [source.version, source.model_version, source.api_version]
+    .find(value => typeof value === 'string' || typeof value === 'number');
+  return {
+    version: version === undefined ? null : String(version),
+    message: stringOrNull(source.message)
+  };
+};
@@ -0,0 +1,71 @@
+/**
+ * Toast Service
+ * Short notifications shown in the corner of the page. Any module can raise one;
+ * ToastContainer renders them.
+ */
+
+export const DEFAULT_TOAST_DURATION_MS = 6000;
+
+// Toast types, matching the colours used by ToastContainer
+export const TOAST_TYPES = {
+  INFO: 'info',
+  SUCCESS: 'success',
+  WARNING: 'warning',
+  ERROR: 'error'
+};
+
+const listeners = new Set();
+let toasts = [];
+let nextId = 1;
+
+/**
+ * Replace the toast list and notify subscribers
+ * @param {Array<Object>} next - New toast list
+ */
+const setToasts = (next) => {
+  toasts = next;
+  listeners.forEach(listener => listener());
+};
+
+/**
+ * Get the visible toasts
+ * The same array is returned until the toasts change, as useSyncExternalStore requires
+ * @returns {Array<Object>} - Toasts { id, type, message }
+ */
+export const getToastsSnapshot = () => toasts;
+
+/**
+ * Subscribe to toast changes
+ * @param {Function} listener - Called after every change
+ * @returns {Function} - Unsubscribe function
+ */
+export const subscribeToToasts = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+/**
+ * Remove a toast
+ * @param {number} id - Toast id
+ */
+export const dismissToast = (id) => {
+  if (!toasts.some(toast => toast.id === id)) return;
+  setToasts(toasts.filter(toast => toast.id !== id));
+};
+
+/**
+ * Show a toast
+ * @param {Object} toast - Toast options
+ * @param {string} toast.message - Text to show
+ * @param {string} toast.type - One of TOAST_TYPES
+ * @param {number} toast.duration - Milliseconds before it disappears; 0 keeps it until dismissed
+ * @returns {number} - Toast id
+ */
+export const showToast = ({ message, type = TOAST_TYPES.INFO, duration = DEFAULT_TOAST_DURATION_MS }) => {
+  const id = nextId++;
+  setToasts([...toasts, { id, type, message }]);
+  if (duration > 0) {
+    setTimeout(() => dismissToast(id), duration);
+  }
+  return id;
+};
@@ -0,0 +1,126 @@
+/**
+ * Canvas drawing utilities for bounding boxes of detected text blocks and symbols
+ */
+
+/**
+ * Generate a distinct colour for the nth box
+ * @param {number} index - Box index
+ * @param {number} alpha - Opacity between 0 and 1
+ * @returns {string} - CSS colour
+ */
+export const getBoxColor = (index, alpha = 1) => {
+  const hue = (index * 137) % 360; // Golden angle approximation for good color distribution
+  return `hsla(${hue}, 100%, 50%, ${alpha})`;
+};
+
+/**
+ * Get the rectangle of a detection in image pixels
+ * Accepts both xmin/ymin/xmax/ymax and xmin/ymin/width/height detections
+ * @param {Object} item - OCR block or symbol
+ * @returns {Object|null} - { x, y, width, height }, or null if the item has no position
+ */
+export const getBoxRect = (item) => {
+  if (!item || typeof item.xmin !== 'number' || typeof item.ymin !== 'number') return null;
+
+  const width = typeof item.xmax === 'number' ? item.xmax - item.xmin : item.width;
+  const height = typeof item.ymax === 'number' ? item.ymax - item.ymin : item.height;
+  if (typeof width !== 'number' || typeof height !== 'number') return null;
+
+  return { x: item.xmin, y: item.ymin, width, height };
+};
+
+/**
+ * Scale a rectangle, e.g. from image pixels to canvas pixels
+ * @param {Object} rect - { x, y, width, height }
+ * @param {number} scale - Scale factor
+ * @returns {Object} - Scaled rectangle
+ */
+export const scaleRect = (rect, scale) => ({
+  x: rect.x * scale,
+  y: rect.y * scale,
+  width: rect.width * scale,
+  height: rect.height * scale
+});
+
+/**
+ * Find the smallest box containing a point, so nested boxes stay reachable
+ * @param {Array<Object>} boxes - Boxes with a rect property
+ * @param {number} x - X coordinate in the same space as the rects
+ * @param {number} y - Y coordinate in the same space as the rects
+ * @returns {Object|null} - The box under the point
+ */
+export const findBoxAt = (boxes, x, y) => {
+  let found = null;
+  boxes.forEach(box => {
+    const { rect } = box;
+    const contains = x >= rect.x && x <= rect.x + rect.width && y >= rect.y && y <= rect.y + rect.height;
+    if (contains && (!found || rect.width * rect.height < found.rect.width * found.rect.height)) {
+      found = box;
+    }
+  });
+  return found;
+};
+
+/**
+ * Draw a filled and stroked bounding box
+ * @param {CanvasRenderingContext2D} ctx - Canvas context
+ * @param {Object} rect - { x, y, width, height } in canvas pixels
+ * @param {Object} style - { strokeColor, fillColor, lineWidth }
+ */
+export const drawBox = (ctx, rect, { strokeColor, fillColor = null, lineWidth = 2 }) => {
+  ctx.lineWidth = lineWidth;
+  ctx.strokeStyle = strokeColor;
+  ctx.strokeRect(rect.x, rect.y, rect.width, rect.height);
+
+  if (fillColor) {
+    ctx.fillStyle = fillColor;
+    ctx.fillRect(rect.x, rect.y, rect.width, rect.height);
+  }
+};
+
+/**
+ * Draw label lines on a coloured background next to a box
+ * The label goes above the box if there is room, otherwise inside at the top
+ * @param {CanvasRenderingContext2D} ctx - Canvas context
+ * @param {Object} rect - { x, y, width, height } in canvas pixels
+ * @param {Array<string>} lines - Label lines
+ * @param {Object} style - { backgroundColor, textColor, fontSize }
+ */
+export const drawBoxLabel = (ctx, rect, lines, { backgroundColor, textColor = '#ffffff', fontSize = 12 }) => {
+  if (lines.length === 0) return;
+
+  const textPadding = 4;
+  const lineHeight = fontSize + 2;
+  ctx.font = `${fontSize}px Arial`;
+
+  const labelWidth = Math.max(...lines.map(line => ctx.measureText(line).width)) + textPadding * 2;
+  const labelHeight = lineHeight * lines.length + textPadding * 2;
+
+  const textX = Math.min(rect.x, Math.max(0, ctx.canvas.width - labelWidth));
+  const top = rect.y > labelHeight + 2 ? rect.y - labelHeight - 2 : rect.y;
+
+  ctx.fillStyle = backgroundColor;
+  ctx.fillRect(textX, top, labelWidth, labelHeight);
+
+  ctx.fillStyle = textColor;
+  ctx.textBaseline = 'top';
+  lines.forEach((line, index) => {
+    ctx.fillText(line, textX + textPadding, top + textPadding + index * lineHeight);
+  });
+};
+
+/**
+ * Get the smallest rectangle containing all given rectangles
+ * @param {Array<Object>} rects - Rectangles { x, y, width, height }
+ * @returns {Object|null} - Bounding rectangle, or null if there are no rectangles
+ */
+export const getUnionRect = (rects) => {
+  if (rects.length === 0) return null;
+
+  const left = Math.min(...rects.map(rect => rect.x));
+  const top = Math.min(...rects.map(rect => rect.y));
+  const right = Math.max(...rects.map(rect => rect.x + rect.width));
+  const bottom = Math.max(...rects.map(rect => rect.y + rect.height));
+
+  return { x: left, y: top, width: right - left, height: bottom - top };
+};
@@ -0,0 +1,270 @@
+/**
+ * Revision Diff Utilities
+ * Compare the OCR, symbol and validation results of two artwork revisions
+ */
+import { getBoxRect } from './canvasUtils';
+import { getOriginalData, getValidationState } from './validationUtils';
+
+// Minimum overlap (intersection over union) for two text blocks to count as the same block
+const BLOCK_MATCH_IOU = 0.3;
+// Maximum distance between symbol centres, relative to the image diagonal, to count as the same symbol
+const SYMBOL_MATCH_DISTANCE = 0.1;
+// Relative size change above which a symbol counts as resized
+export const SYMBOL_RESIZE_TOLERANCE = 0.05;
+
+/**
+ * Normalise text for comparison
+ * @param {string} text - Text to normalise
+ * @returns {string} - Lowercase text with collapsed whitespace
+ */
+const normaliseText = (text) => String(text || '').toLowerCase().replace(/\s+/g, ' ').trim();
+
+/**
+ * Get a detection rectangle relative to the image size, so revisions of different resolution line up
+ * @param {Object} item - OCR block or symbol
+ * @param {Object} imageSize - { width, height } of the image
+ * @returns {Object|null} - Rectangle with coordinates between 0 and 1
+ */
+const getRelativeRect = (item, imageSize) => {
+  const rect = getBoxRect(item);
+  if (!rect || !imageSize?.width || !imageSize?.height) return null;
+
+  return {
+    x: rect.x / imageSize.width,
+    y: rect.y / imageSize.height,
+    width: rect.width / imageSize.width,
+    height: rect.height / imageSize.height
+  };
+};
+
+/**
+ * Intersection over union of two rectangles
+ * @param {Object} a - First rectangle
+ * @param {Object} b - Second rectangle
+ * @returns {number} - Overlap between 0 and 1
+ */
+const getIoU = (a, b) => {
+  if (!a || !b) return 0;
+  const width = Math.min(a.x + a.width, b.x + b.width) - Math.max(a.x, b.x);
+  const height = Math.min(a.y + a.height, b.y + b.height) - Math.max(a.y, b.y);
+  if (width <= 0 || height <= 0) return 0;
+
+  const intersection = width * height;
+  return intersection / (a.width * a.height + b.width * b.height - intersection);
+};
+
+/**
+ * Distance between the centres of two rectangles
+ * @param {Object} a - First rectangle
+ * @param {Object} b - Second rectangle
+ * @returns {number} - Distance in the rectangles' units
+ */
+const getCenterDistance = (a, b) => {
+  return Math.hypot(
+    (a.x + a.width / 2) - (b.x + b.width / 2),
+    (a.y + a.height / 2) - (b.y + b.height / 2)
+  );
+};
+
+/**
+ * Diff the OCR text blocks of two revisions
+ * Blocks with the same text are matched first, then the remaining blocks are matched by position
+ * @param {Object} before - { ocrResults, imageSize } of the earlier revision
+ * @param {Object} after - { ocrResults, imageSize } of the later revision
+ * @returns {Object} - { added, removed, changed: [{ before, after }], unchanged }
+ */
+export const diffTextBlocks = (before, after) => {
+  const beforeBlocks = (before.ocrResults?.results || []).map((block, index) => ({
+    block, index, rect: getRelativeRect(block, before.imageSize), text: normaliseText(block.text)
+  }));
+  const afterBlocks = (after.ocrResults?.results || []).map((block, index) => ({
+    block, index, rect: getRelativeRect(block, after.imageSize), text: normaliseText(block.text)
+  }));
+  const matchedAfter = new Set();
+  const unmatchedBefore = [];
+  const unchanged = [];
+  const changed = [];
+
+  beforeBlocks.forEach(entry => {
+    const match = afterBlocks.find(candidate => !matchedAfter.has(candidate.index) && candidate.text === entry.text);
+    if (match) {
+      matchedAfter.add(match.index);
+      unchanged.push({ before: entry.block, after: match.block });
+    } else {
+      unmatchedBefore.push(entry);
+    }
+  });
+
+  const removed = [];
+  unmatchedBefore.forEach(entry => {
+    let best = null;
+    let bestOverlap = BLOCK_MATCH_IOU;
+    afterBlocks.forEach(candidate => {
+      if (matchedAfter.has(candidate.index)) return;
+      const overlap = getIoU(entry.rect, candidate.rect);
+      if (overlap >= bestOverlap) {
+        best = candidate;
+        bestOverlap = overlap;
+      }
+    });
+
+    if (best) {
+      matchedAfter.add(best.index);
+      changed.push({ before: entry.block, after: best.block });
+    } else {
+      removed.push(entry.block);
+    }
+  });
+
+  return {
+    added: afterBlocks.filter(entry => !matchedAfter.has(entry.index)).map(entry => entry.block),
+    removed,
+    changed,
+    unchanged
+  };
+};
+
+/**
+ * Get the name a symbol is matched by
+ * @param {Object} symbol - Detected symbol
+ * @returns {string} - Lowercase label or class
+ */
+const getSymbolName = (symbol) => String(symbol.label || symbol.class || '').toLowerCase();
+
+/**
+ * Get the size of a symbol, in centimetres when known and relative to the image otherwise
+ * @param {Object} symbol - Detected symbol
+ * @param {Object} rect - Relative rectangle of the symbol
+ * @returns {Object} - { width, height, unit }
+ */
+const getSymbolSize = (symbol, rect) => {
+  if (symbol.width_cm > 0 && symbol.height_cm > 0) {
+    return { width: symbol.width_cm, height: symbol.height_cm, unit: 'cm' };
+  }
+  return { width: rect?.width || 0, height: rect?.height || 0, unit: 'relative' };
+};
+
+/**
+ * Diff the symbols of two revisions
+ * Symbols with the same label are matched by nearest position
+ * @param {Object} before - { symbolResults, imageSize } of the earlier revision
+ * @param {Object} after - { symbolResults, imageSize } of the later revision
+ * @param {number} tolerance - Relative size change above which a symbol counts as resized
+ * @returns {Object} - { added, removed, resized: [{ before, after, widthChange, heightChange }], unchanged }
+ */
+export const diffSymbols = (before, after, tolerance = SYMBOL_RESIZE_TOLERANCE) => {
+  const afterSymbols = (after.symbolResults || []).map((symbol, index) => ({
+    symbol, index, name: getSymbolName(symbol), rect: getRelativeRect(symbol, after.imageSize)
+  }));
+  const matchedAfter = new Set();
+  const removed = [];
+  const resized = [];
+  const unchanged = [];
+
+  (before.symbolResults || []).forEach(symbol => {
+    const name = getSymbolName(symbol);
+    const rect = getRelativeRect(symbol, before.imageSize);
+
+    let best = null;
+    let bestDistance = Infinity;
+    afterSymbols.forEach(candidate => {
+      if (matchedAfter.has(candidate.index) || candidate.name !== name) return;
+      const distance = rect && candidate.rect ? getCenterDistance(rect, candidate.rect) : 0;
+      if (distance < bestDistance) {
+        best = candidate;
+        bestDistance = distance;
+      }
+    });
+
+    if (!best || bestDistance > SYMBOL_MATCH_DISTANCE * Math.SQRT2) {
+      removed.push(symbol);
+      return;
+    }
+
+    matchedAfter.add(best.index);
+    const beforeSize = getSymbolSize(symbol, rect);
+    const afterSize = getSymbolSize(best.symbol, best.rect);
+    // Compare in the same unit; fall back to relative sizes if only one revision has centimetres
+    const [from, to] = beforeSize.unit === afterSize.unit
+      ? [beforeSize, afterSize]
+      : [getSymbolSize({}, rect), getSymbolSize({}, best.rect)];
+    const widthChange = from.width ? (to.width - from.width) / from.width : 0;
+    const heightChange = from.height ? (to.height - from.height) / from.height : 0;
+
+    if (Math.abs(widthChange) > tolerance || Math.abs(heightChange) > tolerance) {
+      resized.push({ before: symbol, after: best.symbol, widthChange, heightChange });
+    } else {
+      unchanged.push({ before: symbol, after: best.symbol });
+    }
+  });
+
+  return {
+    added: afterSymbols.filter(entry => !matchedAfter.has(entry.index)).map(entry => entry.symbol),
+    removed,
+    resized,
+    unchanged
+  };
+};
+
+/**
+ * Index the validations of a result by requirement type and name
+ * @param {Object} validationResults - Processed validation results
+ * @returns {Map<string, Object>} - Validations keyed by "type:name"
+ */
+const indexValidations = (validationResults) => {
+  const index = new Map();
+  const add = (validations = [], type) => {
+    validations.forEach(validation => {
+      const name = getOriginalData(validation).req_name || validation.description;
+      index.set(`${type}:${normaliseText(name)}`, { type, name, validation, state: getValidationState(validation) });
+    });
+  };
+
+  add(validationResults?.text_validations, 'text');
+  add(validationResults?.symbol_validations, 'symbol');
+  return index;
+};
+
+/**
+ * Diff the requirement statuses of two revisions
+ * @param {Object} before - { validationResults } of the earlier revision
+ * @param {Object} after - { validationResults } of the later revision
+ * @returns {Object} - { flipped: [{ type, name, before, after }], added, removed, unchanged }
+ */
+export const diffRequirementStatuses = (before, after) => {
+  const beforeIndex = indexValidations(before.validationResults);
+  const afterIndex = indexValidations(after.validationResults);
+  const flipped = [];
+  const removed = [];
+  const unchanged = [];
+
+  beforeIndex.forEach((entry, key) => {
+    const match = afterIndex.get(key);
+    if (!match) {
+      removed.push(entry);
+    } else if (match.state !== entry.state) {
+      flipped.push({ type: entry.type, name: entry.name, before: entry.state, after: match.state });
+    } else {
+      unchanged.push(match);
+    }
+  });
+
+  return {
+    flipped,
+    added: [...afterIndex.entries()].filter(([key]) => !beforeIndex.has(key)).map(([, entry]) => entry),
+    removed,
+    unchanged
+  };
+};
+
+/**
+ * Diff two analysed revisions
+ * @param {Object} before - { ocrResults, symbolResults, validationResults, imageSize } of the earlier revision
+ * @param {Object} after - The same for the later revision
+ * @returns {Object} - { text, symbols, requirements } diffs
+ */
+export const diffRevisions = (before, after) => ({
+  text: diffTextBlocks(before, after),
+  symbols: diffSymbols(before, after),
+  requirements: diffRequirementStatuses(before, after)
+});
@@ -3,26 +3,90 @@
  * Common functions for file operations
  */
 
+// Image formats accepted for analysis
+// The backends read JPEG and PNG; the other formats are rasterised in the browser first (see rasterService)
+export const IMAGE_FORMATS = {
+  JPEG: 'jpeg',
+  PNG: 'png',
+  WEBP: 'webp',
+  TIFF: 'tiff',
+  SVG: 'svg',
+  PDF: 'pdf'
+};
+
+const IMAGE_FORMAT_TYPES = {
+  'image/jpeg': IMAGE_FORMATS.JPEG,
+  'image/png': IMAGE_FORMATS.PNG,
+  'image/webp': IMAGE_FORMATS.WEBP,
+  'image/tiff': IMAGE_FORMATS.TIFF,
+  'image/svg+xml': IMAGE_FORMATS.SVG,
+  'application/pdf': IMAGE_FORMATS.PDF
+};
+
+// Browsers often leave the type of TIFF files empty, so the extension is checked as well
+export const IMAGE_FORMAT_EXTENSIONS = {
+  jpg: IMAGE_FORMATS.JPEG,
+  jpeg: IMAGE_FORMATS.JPEG,
+  png: IMAGE_FORMATS.PNG,
+  webp: IMAGE_FORMATS.WEBP,
+  tif: IMAGE_FORMATS.TIFF,
+  tiff: IMAGE_FORMATS.TIFF,
+  svg: IMAGE_FORMATS.SVG,
+  pdf: IMAGE_FORMATS.PDF
+};
+
+// Largest image sent to the backends, in MB
+export const MAX_UPLOAD_SIZE_MB = 5;
+// Largest file accepted for rasterising or preprocessing in the browser, in MB
+export const MAX_SOURCE_SIZE_MB = 100;
+
+// Value for the accept attribute of image file inputs
+export const IMAGE_FILE_ACCEPT = 'image/jpeg, image/png, image/webp, image/tiff, image/svg+xml, application/pdf, .tif, .tiff';
+
+/**
+ * Get the image format of a file from its type or, failing that, its extension
+ * @param {File} file - The file to check
+ * @returns {string|null} - One of IMAGE_FORMATS, or null if the format is not supported
+ */
+export const getImageFormat = (file) => {
+  if (!file) return null;
+  const extension = file.name?.split('.').pop().toLowerCase();
+  return IMAGE_FORMAT_TYPES[file.type] || IMAGE_FORMAT_EXTENSIONS[extension] || null;
+};
+
+/**
+ * Check if a file has to be rasterised before the backends can read it
+ * @param {File} file - The file to check
+ * @returns {boolean} - True for PDF, TIFF, WebP and SVG files
+ */
+export const needsRasterisation = (file) => {
+  const format = getImageFormat(file);
+  return format !== null && format !== IMAGE_FORMATS.JPEG && format !== IMAGE_FORMATS.PNG;
+};
+
 /**
  * Validate image file type and size
  * @param {File} file - The file to validate
- * @param {number} maxSizeInMB - Maximum allowed file size in MB
+ * @param {number} maxSizeInMB - Maximum allowed size of JPEG and PNG files in MB
+ * @param {number} maxSourceSizeInMB - Maximum allowed size of files that are rasterised first, in MB;
+ *   print-ready PDFs and TIFFs are much larger than the images sent to the backends
  * @returns {Object} - Validation result with status and error message if any
  */
-export const validateImageFile = (file, maxSizeInMB = 5) => {
+export const validateImageFile = (file, maxSizeInMB = MAX_UPLOAD_SIZE_MB, maxSourceSizeInMB = MAX_SOURCE_SIZE_MB) => {
   if (!file) {
     return { isValid: false, error: 'No file selected' };
   }
   
   // Validate file type
-  if (!(file.type === 'image/jpeg' || file.type === 'image/png')) {
-    return { isValid: false, error: 'Please select a valid image file (JPEG or PNG)' };
+  if (!getImageFormat(file)) {
+    return { isValid: false, error: 'Please select a valid image file (JPEG, PNG, WebP, TIFF, SVG or PDF)' };
   }
   
   // Validate file size (maxSizeInMB in bytes)
-  const maxSizeInBytes = maxSizeInMB * 1024 * 1024;
+  const limitInMB = needsRasterisation(file) ? maxSourceSizeInMB : maxSizeInMB;
+  const maxSizeInBytes = limitInMB * 1024 * 1024;
   if (file.size > maxSizeInBytes) {
-    return { isValid: false, error: `File size exceeds the limit of ${maxSizeInMB}MB` };
+    return { isValid: false, error: `File size exceeds the limit of ${limitInMB}MB` };
   }
   
   return { isValid: true, error: null };
@@ -75,3 +139,67 @@ export const fileToBase64 = (file) => {
     reader.readAsDataURL(file);
   });
 };
+
+/**
+ * Read a file as a data URL (for image previews)
+ * @param {File|Blob} file - The file to read
+ * @returns {Promise<string>} - Data URL representation of the file
+ */
+export const fileToDataUrl = (file) => {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = (error) => reject(error);
+    reader.readAsDataURL(file);
+  });
+};
+
+/**
+ * Check if a file is a zip archive
+ * @param {File} file - The file to check
+ * @returns {boolean} - True if the file looks like a zip archive
+ */
+export const isZipFile = (file) => {
+  if (!file) return false;
+  return ['application/zip', 'application/x-zip-compressed'].includes(file.type) ||
+    file.name?.toLowerCase().endsWith('.zip');
+};
+
+/**
+ * Compute the SHA-256 hash of a file
+ * @param {File|Blob} file - The file to hash
+ * @returns {Promise<string>} - Hex encoded SHA-256 digest
+ */
+export const hashFile = async (file) => {
+  const buffer = await file.arrayBuffer();
+  const digest = await crypto.subtle.digest('SHA-256', buffer);
+  return Array.from(new Uint8Array(digest))
+    .map(byte => byte.toString(16).padStart(2, '0'))
+    .join('');
+};
+
+/**
+ * Turn backend base64 image data into a data URL
+ * @param {string} imageData - Base64 image data, with or without the data URL prefix
+ * @returns {string} - Data URL usable as an image source
+ */
+export const toImageDataUrl = (imageData) => {
+  if (!imageData) return '';
+  return imageData.startsWith('data:image')
+    ? imageData
+    : `data:image/png;base64,${imageData}`;
+};
+
+/**
+ * Load an image and read its natural size
+ * @param {string} url - Image URL (object URL or data URL)
+ * @returns {Promise<Object>} - { width, height } in pixels
+ */
+export const getImageSize = (url) => {
+  return new Promise((resolve, reject) => {
+    const image = new Image();
+    image.onload = () => resolve({ width: image.naturalWidth, height: image.naturalHeight });
+    image.onerror = () => reject(new Error('Could not load image'));
+    image.src = url;
+  });
+};
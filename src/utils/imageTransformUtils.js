@@ -0,0 +1,262 @@
+/**
+ * Image transform utilities
+ * Geometry of the preprocessing applied before upload (crop, rotate, resize), so coordinates
+ * returned by the backends can be mapped back onto the original image and back again
+ */
+import { getImageShapeAtDpi } from './measurementUtils';
+
+/**
+ * @typedef {Object} ImageTransform
+ * @property {number} sourceWidth - Size of the original image in pixels
+ * @property {number} sourceHeight
+ * @property {Object} crop - { x, y, width, height } of the original that is kept, in original pixels
+ * @property {number} rotation - Clockwise rotation in degrees around the centre of the crop
+ * @property {number} scale - Processed pixels per original pixel
+ * @property {number} width - Size of the processed image in pixels
+ * @property {number} height
+ * @property {boolean} grayscale - Whether the colours were removed
+ * @property {number} contrast - Contrast factor, 1 leaves the contrast unchanged
+ */
+
+/**
+ * Clamp a crop region to the image, falling back to the whole image
+ * @param {Object} crop - { x, y, width, height } in image pixels, or null
+ * @param {Object} sourceSize - { width, height } of the image
+ * @returns {Object} - Crop region inside the image
+ */
+const clampCrop = (crop, sourceSize) => {
+  if (!crop) return { x: 0, y: 0, width: sourceSize.width, height: sourceSize.height };
+
+  const x = Math.min(Math.max(Math.round(crop.x), 0), sourceSize.width - 1);
+  const y = Math.min(Math.max(Math.round(crop.y), 0), sourceSize.height - 1);
+  return {
+    x,
+    y,
+    width: Math.max(1, Math.min(Math.round(crop.width), sourceSize.width - x)),
+    height: Math.max(1, Math.min(Math.round(crop.height), sourceSize.height - y))
+  };
+};
+
+/**
+ * Get the rotation of a transform and the size of the rotated crop, before scaling
+ * @param {ImageTransform} transform - The transform
+ * @returns {Object} - { cos, sin, width, height }
+ */
+const getRotation = (transform) => {
+  const radians = (transform.rotation * Math.PI) / 180;
+  const cos = Math.cos(radians);
+  const sin = Math.sin(radians);
+  const { width, height } = transform.crop;
+  return {
+    cos,
+    sin,
+    width: Math.abs(width * cos) + Math.abs(height * sin),
+    height: Math.abs(width * sin) + Math.abs(height * cos)
+  };
+};
+
+/**
+ * Build the transform for a set of preprocessing options
+ * @param {Object} options - Preprocessing options
+ * @param {Object} options.sourceSize - { width, height } of the original image
+ * @param {Object} options.crop - Region to keep in original pixels, or null for the whole image
+ * @param {number} options.rotation - Clockwise rotation in degrees
+ * @param {number} options.maxDimension - Longest side of the processed image, or null to keep the size;
+ *   images are only ever made smaller
+ * @param {boolean} options.grayscale - Remove the colours
+ * @param {number} options.contrast - Contrast factor
+ * @returns {ImageTransform} - The transform
+ */
+export const createImageTransform = ({
+  sourceSize,
+  crop = null,
+  rotation = 0,
+  maxDimension = null,
+  grayscale = false,
+  contrast = 1
+}) => {
+  const transform = {
+    sourceWidth: sourceSize.width,
+    sourceHeight: sourceSize.height,
+    crop: clampCrop(crop, sourceSize),
+    rotation: Number(rotation) || 0,
+    scale: 1,
+    grayscale: Boolean(grayscale),
+    contrast: Number(contrast) || 1
+  };
+
+  const rotated = getRotation(transform);
+  if (maxDimension > 0) {
+    transform.scale = Math.min(1, maxDimension / Math.max(rotated.width, rotated.height));
+  }
+  transform.width = Math.max(1, Math.round(rotated.width * transform.scale));
+  transform.height = Math.max(1, Math.round(rotated.height * transform.scale));
+  return transform;
+};
+
+/**
+ * Check whether a transform leaves the image unchanged
+ * @param {ImageTransform} transform - The transform
+ * @returns {boolean} - True if the original image can be sent as it is
+ */
+export const isIdentityTransform = (transform) => {
+  const { crop } = transform;
+  return crop.x === 0 && crop.y === 0 &&
+    crop.width === transform.sourceWidth && crop.height === transform.sourceHeight &&
+    transform.rotation % 360 === 0 && transform.scale === 1 &&
+    !transform.grayscale && transform.contrast === 1;
+};
+
+/**
+ * Map a point of the original image onto the processed image
+ * @param {Object} point - { x, y } in original pixels
+ * @param {ImageTransform} transform - The transform
+ * @returns {Object} - { x, y } in processed pixels
+ */
+export const toProcessedPoint = (point, transform) => {
+  const { cos, sin, width, height } = getRotation(transform);
+  const x = point.x - transform.crop.x - transform.crop.width / 2;
+  const y = point.y - transform.crop.y - transform.crop.height / 2;
+  return {
+    x: (x * cos - y * sin + width / 2) * transform.scale,
+    y: (x * sin + y * cos + height / 2) * transform.scale
+  };
+};
+
+/**
+ * Map a point of the processed image back onto the original image
+ * @param {Object} point - { x, y } in processed pixels
+ * @param {ImageTransform} transform - The transform
+ * @returns {Object} - { x, y } in original pixels
+ */
+export const toOriginalPoint = (point, transform) => {
+  const { cos, sin, width, height } = getRotation(transform);
+  const x = point.x / transform.scale - width / 2;
+  const y = point.y / transform.scale - height / 2;
+  return {
+    x: x * cos + y * sin + transform.crop.x + transform.crop.width / 2,
+    y: -x * sin + y * cos + transform.crop.y + transform.crop.height / 2
+  };
+};
+
+/**
+ * Check whether a transform turns the image closer to a quarter turn than to upright,
+ * so the width of a detection becomes its height
+ * @param {ImageTransform} transform - The transform
+ * @returns {boolean} - True for rotations nearer 90 or 270 degrees
+ */
+const swapsAxes = (transform) => {
+  const { cos, sin } = getRotation(transform);
+  return Math.abs(sin) > Math.abs(cos);
+};
+
+// Physical sizes measured along the image axes, swapped by a quarter turn
+const PHYSICAL_SIZE_PAIRS = [['width_cm', 'height_cm'], ['width_cm_display', 'height_cm_display']];
+
+/**
+ * Map the box of a detection with a point mapping
+ * A rotated box is replaced by the axis-aligned box around it, so boxes grow slightly
+ * when mapped across a rotation that is not a multiple of 90 degrees
+ * @param {Object} item - Text block or symbol with xmin, ymin, xmax, ymax (and optionally width, height)
+ * @param {Function} mapPoint - Point mapping
+ * @param {boolean} swapSizes - Swap the physical width and height
+ * @returns {Object} - The item with its box mapped; items without a box are returned unchanged
+ */
+const mapBox = (item, mapPoint, swapSizes) => {
+  if (![item.xmin, item.ymin, item.xmax, item.ymax].every(value => typeof value === 'number')) return item;
+
+  const corners = [
+    mapPoint({ x: item.xmin, y: item.ymin }),
+    mapPoint({ x: item.xmax, y: item.ymin }),
+    mapPoint({ x: item.xmin, y: item.ymax }),
+    mapPoint({ x: item.xmax, y: item.ymax })
+  ];
+  const xs = corners.map(corner => corner.x);
+  const ys = corners.map(corner => corner.y);
+  const mapped = {
+    ...item,
+    xmin: Math.min(...xs),
+    ymin: Math.min(...ys),
+    xmax: Math.max(...xs),
+    ymax: Math.max(...ys)
+  };
+  if (typeof item.width === 'number') mapped.width = mapped.xmax - mapped.xmin;
+  if (typeof item.height === 'number') mapped.height = mapped.ymax - mapped.ymin;
+  if (swapSizes) {
+    PHYSICAL_SIZE_PAIRS.filter(([width]) => width in item).forEach(([width, height]) => {
+      mapped[width] = item[height];
+      mapped[height] = item[width];
+    });
+  }
+  return mapped;
+};
+
+/**
+ * Map detections from the processed image onto the original image
+ * Physical sizes (width_cm, height_cm) keep their values, swapped if the image was turned on its side
+ * @param {Object} detections - { ocrResults, symbolResults }, either may be null
+ * @param {ImageTransform} transform - The transform, or null if the image was not preprocessed
+ * @returns {Object} - Detections in original pixels
+ */
+export const toOriginalDetections = ({ ocrResults = null, symbolResults = null }, transform) => {
+  if (!transform) return { ocrResults, symbolResults };
+  const mapPoint = (point) => toOriginalPoint(point, transform);
+  const swapSizes = swapsAxes(transform);
+  return {
+    ocrResults: ocrResults && { ...ocrResults, results: (ocrResults.results || []).map(block => mapBox(block, mapPoint, swapSizes)) },
+    symbolResults: symbolResults && symbolResults.map(symbol => mapBox(symbol, mapPoint, swapSizes))
+  };
+};
+
+/**
+ * Map detections from the original image onto the processed image, e.g. to send them
+ * back to the backend with the processed image
+ * @param {Object} detections - { ocrResults, symbolResults }, either may be null
+ * @param {ImageTransform} transform - The transform, or null if the image was not preprocessed
+ * @returns {Object} - Detections in processed pixels
+ */
+export const toProcessedDetections = ({ ocrResults = null, symbolResults = null }, transform) => {
+  if (!transform) return { ocrResults, symbolResults };
+  const mapPoint = (point) => toProcessedPoint(point, transform);
+  const swapSizes = swapsAxes(transform);
+  return {
+    ocrResults: ocrResults && { ...ocrResults, results: (ocrResults.results || []).map(block => mapBox(block, mapPoint, swapSizes)) },
+    symbolResults: symbolResults && symbolResults.map(symbol => mapBox(symbol, mapPoint, swapSizes))
+  };
+};
+
+/**
+ * Get the physical size of the original image from the size reported for the processed image
+ * @param {Object} imageShape - { width, height, width_cm, height_cm } of the processed image, or null
+ * @param {ImageTransform} transform - The transform, or null if the image was not preprocessed
+ * @param {number} dpi - Resolution of the original image if known, which takes precedence
+ * @returns {Object|null} - Image shape of the original image
+ */
+export const toOriginalImageShape = (imageShape, transform, dpi = null) => {
+  if (!transform || !imageShape) return imageShape;
+
+  const sourceSize = { width: transform.sourceWidth, height: transform.sourceHeight };
+  if (dpi > 0) return getImageShapeAtDpi(sourceSize, dpi);
+  if (!(imageShape.width_cm > 0) || !(imageShape.width > 0)) {
+    return { ...sourceSize, width_cm: null, height_cm: null };
+  }
+
+  // Pixels stay square through cropping and rotation, so one scale covers both axes
+  const cmPerOriginalPixel = (imageShape.width_cm / imageShape.width) * transform.scale;
+  return {
+    ...sourceSize,
+    width_cm: sourceSize.width * cmPerOriginalPixel,
+    height_cm: sourceSize.height * cmPerOriginalPixel
+  };
+};
+
+/**
+ * Get the resolution of the processed image
+ * @param {number} dpi - Resolution of the original image, or null if unknown
+ * @param {ImageTransform} transform - The transform, or null if the image was not preprocessed
+ * @returns {number|null} - Resolution of the uploaded image
+ */
+export const getProcessedDpi = (dpi, transform) => {
+  if (!(dpi > 0)) return null;
+  return transform ? dpi * transform.scale : dpi;
+};
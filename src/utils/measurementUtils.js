@@ -0,0 +1,161 @@
+/**
+ * Measurement utilities
+ * Convert distances on the analysed image from pixels to centimetres
+ */
+
+export const CM_PER_INCH = 2.54;
+
+/**
+ * Get the physical size of one image pixel
+ * @param {Object} imageShape - { width, height, width_cm, height_cm } reported by the symbol backend
+ * @param {Object} imageSize - { width, height } of the image the pixels belong to, defaults to the backend's image size
+ * @returns {Object|null} - { x, y } centimetres per pixel, or null if the physical size is unknown
+ */
+export const getCmPerPixel = (imageShape, imageSize = imageShape) => {
+  if (!imageShape || !imageSize || !(imageSize.width > 0) || !(imageSize.height > 0) ||
+      !(imageShape.width_cm > 0) || !(imageShape.height_cm > 0)) {
+    return null;
+  }
+
+  return {
+    x: imageShape.width_cm / imageSize.width,
+    y: imageShape.height_cm / imageSize.height
+  };
+};
+
+/**
+ * Get the physical size of an image from its resolution
+ * @param {Object} imageSize - { width, height } in pixels
+ * @param {number} dpi - Resolution of the image in dots per inch
+ * @returns {Object} - { width, height, width_cm, height_cm, dpi }, in the form of the symbol backend's image shape
+ */
+export const getImageShapeAtDpi = (imageSize, dpi) => ({
+  width: imageSize.width,
+  height: imageSize.height,
+  width_cm: (imageSize.width / dpi) * CM_PER_INCH,
+  height_cm: (imageSize.height / dpi) * CM_PER_INCH,
+  dpi
+});
+
+/**
+ * Measure the distance between two points on the image
+ * @param {Object} start - { x, y } in image pixels
+ * @param {Object} end - { x, y } in image pixels
+ * @param {Object} imageShape - Physical image size, see getCmPerPixel
+ * @param {Object} imageSize - { width, height } of the measured image, see getCmPerPixel
+ * @returns {Object} - { px, cm } where cm is null if the physical size is unknown
+ */
+export const measureDistance = (start, end, imageShape, imageSize = imageShape) => {
+  const dx = end.x - start.x;
+  const dy = end.y - start.y;
+  const cmPerPixel = getCmPerPixel(imageShape, imageSize);
+
+  return {
+    px: Math.hypot(dx, dy),
+    cm: cmPerPixel ? Math.hypot(dx * cmPerPixel.x, dy * cmPerPixel.y) : null
+  };
+};
+
+// How a calibration was made
+export const CALIBRATION_METHODS = {
+  LINE: 'line',
+  DPI: 'dpi'
+};
+
+// Units a reference length can be typed in, in centimetres per unit
+export const LENGTH_UNITS = {
+  mm: 0.1,
+  cm: 1,
+  in: CM_PER_INCH
+};
+
+/**
+ * @typedef {Object} Calibration
+ * @property {string} method - One of CALIBRATION_METHODS
+ * @property {number} dpi - Resolution of the selected image in dots per inch
+ * @property {Object|null} line - Reference line { start, end, length_cm } in image pixels, for line calibrations
+ */
+
+/**
+ * Create a calibration from a typed resolution
+ * @param {number} dpi - Resolution in dots per inch
+ * @returns {Calibration|null} - The calibration, or null for a resolution that is not positive
+ */
+export const createDpiCalibration = (dpi) => (
+  dpi > 0 ? { method: CALIBRATION_METHODS.DPI, dpi, line: null } : null
+);
+
+/**
+ * Create a calibration from a line drawn over a dimension of known length
+ * @param {Object} start - { x, y } in image pixels
+ * @param {Object} end - { x, y } in image pixels
+ * @param {number} lengthCm - Real length of the line in centimetres
+ * @returns {Calibration|null} - The calibration, or null for a line or length that is zero
+ */
+export const createLineCalibration = (start, end, lengthCm) => {
+  const px = Math.hypot(end.x - start.x, end.y - start.y);
+  if (!(px > 0) || !(lengthCm > 0)) return null;
+  return {
+    method: CALIBRATION_METHODS.LINE,
+    dpi: px / (lengthCm / CM_PER_INCH),
+    line: { start, end, length_cm: lengthCm }
+  };
+};
+
+/**
+ * Round a length in centimetres the way the symbol backend's sizes are shown
+ * @param {number} cm - Length in centimetres
+ * @returns {number} - Length rounded to 0.01 cm
+ */
+const roundCm = (cm) => parseFloat(cm.toFixed(2));
+
+/**
+ * Recompute the physical sizes of detections
+ * With a calibration, symbol sizes and the image shape are computed from its resolution instead of
+ * the size the backend inferred. Text blocks get text_height_cm, the height of one line of the
+ * block (box height divided by its number of lines), whenever the physical size is known.
+ * Detections are recomputed from their pixel boxes, so applying this again gives the same values.
+ * @param {Object} detections - { ocrResults, symbolResults, imageShape } as reported by the backends
+ * @param {Calibration} calibration - The calibration, or null to keep the backend's sizes
+ * @param {Object} imageSize - { width, height } of the image in pixels, used for the calibrated image shape;
+ *   defaults to the backend's image size
+ * @returns {Object} - { ocrResults, symbolResults, imageShape } with the recomputed sizes
+ */
+export const measureDetections = ({ ocrResults = null, symbolResults = null, imageShape = null }, calibration, imageSize = imageShape) => {
+  const cmPerPixel = calibration
+    ? { x: CM_PER_INCH / calibration.dpi, y: CM_PER_INCH / calibration.dpi }
+    : getCmPerPixel(imageShape);
+
+  const measuredSymbols = calibration && symbolResults
+    ? symbolResults.map(symbol => {
+      if (typeof symbol.width !== 'number' || typeof symbol.height !== 'number') return symbol;
+      const widthCm = roundCm(symbol.width * cmPerPixel.x);
+      const heightCm = roundCm(symbol.height * cmPerPixel.y);
+      return {
+        ...symbol,
+        width_cm: widthCm,
+        height_cm: heightCm,
+        width_cm_display: `${widthCm.toFixed(2)} cm`,
+        height_cm_display: `${heightCm.toFixed(2)} cm`
+      };
+    })
+    : symbolResults;
+
+  const measuredText = cmPerPixel && ocrResults
+    ? {
+      ...ocrResults,
+      results: (ocrResults.results || []).map(block => {
+        if (typeof block.ymin !== 'number' || typeof block.ymax !== 'number') return block;
+        const lineCount = Math.max(1, (block.text || '').split('\n').filter(line => line.trim()).length);
+        return { ...block, text_height_cm: roundCm(((block.ymax - block.ymin) / lineCount) * cmPerPixel.y) };
+      })
+    }
+    : ocrResults;
+
+  const hasSize = imageSize?.width > 0 && imageSize?.height > 0;
+  return {
+    ocrResults: measuredText,
+    symbolResults: measuredSymbols,
+    imageShape: calibration && hasSize ? getImageShapeAtDpi(imageSize, calibration.dpi) : imageShape
+  };
+};
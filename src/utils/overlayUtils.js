@@ -0,0 +1,131 @@
+/**
+ * Overlay utilities
+ * Turns OCR and symbol results into the layers drawn by BoundingBoxOverlay
+ */
+import { getBoxRect, getUnionRect } from './canvasUtils';
+
+// Overlay layer ids, matching the result tabs
+export const OVERLAY_LAYERS = {
+  TEXT: 'text',
+  SYMBOLS: 'symbols'
+};
+
+// Shapes the image viewer's drawing tools draw
+export const DRAWING_SHAPES = {
+  RECT: 'rect',
+  LINE: 'line'
+};
+
+// Display settings of each layer
+const LAYER_STYLES = {
+  [OVERLAY_LAYERS.TEXT]: { label: 'Text blocks', color: '#2563eb' },
+  [OVERLAY_LAYERS.SYMBOLS]: { label: 'Symbols', color: '#ea580c' }
+};
+
+/**
+ * Build the key identifying a detection in the overlay and result lists
+ * @param {string} layer - One of OVERLAY_LAYERS
+ * @param {number} index - Index of the detection in its result list
+ * @returns {string} - Overlay key
+ */
+export const getOverlayKey = (layer, index) => `${layer}-${index}`;
+
+/**
+ * Convert detections to overlay boxes, skipping detections without a position
+ * @param {Array} items - OCR blocks or symbols
+ * @param {string} layer - One of OVERLAY_LAYERS
+ * @param {Function} getLabel - Returns the label of a detection
+ * @returns {Array<Object>} - Boxes { key, layer, index, rect, label }
+ */
+const toBoxes = (items = [], layer, getLabel) => {
+  return items
+    .map((item, index) => ({
+      key: getOverlayKey(layer, index),
+      layer,
+      index,
+      rect: getBoxRect(item),
+      label: getLabel(item, index)
+    }))
+    .filter(box => box.rect);
+};
+
+/**
+ * Build the overlay layers for the current results
+ * @param {Object} options - Layer options
+ * @param {Object} options.ocrResults - Results from detectText
+ * @param {Array} options.symbolResults - Symbols from detectSymbols
+ * @param {Object} options.visibleLayers - Visibility keyed by layer id
+ * @returns {Array<Object>} - Layers { id, label, color, visible, boxes }
+ */
+export const buildDetectionLayers = ({ ocrResults, symbolResults, visibleLayers = {} }) => {
+  const boxesByLayer = {
+    [OVERLAY_LAYERS.TEXT]: toBoxes(ocrResults?.results, OVERLAY_LAYERS.TEXT, (block, index) => block.text || `Region ${index + 1}`),
+    [OVERLAY_LAYERS.SYMBOLS]: toBoxes(symbolResults, OVERLAY_LAYERS.SYMBOLS, (symbol, index) => symbol.label || symbol.class || `Symbol ${index + 1}`)
+  };
+
+  return Object.values(OVERLAY_LAYERS).map(id => ({
+    id,
+    ...LAYER_STYLES[id],
+    visible: visibleLayers[id] !== false,
+    boxes: boxesByLayer[id]
+  }));
+};
+
+/**
+ * Get the result index of an overlay key if it belongs to a layer
+ * @param {string} key - Overlay key
+ * @param {string} layer - One of OVERLAY_LAYERS
+ * @returns {number|null} - Index in the layer's result list
+ */
+export const getOverlayIndex = (key, layer) => {
+  if (!key || !key.startsWith(`${layer}-`)) return null;
+  return Number(key.slice(layer.length + 1));
+};
+
+/**
+ * Find the overlay keys of the detections a validation refers to
+ * Text validations reference OCR blocks by paragraph id, symbol validations reference symbols by label
+ * @param {Object} validation - Processed text or symbol validation
+ * @param {Object} results - { ocrResults, symbolResults }
+ * @returns {Array<string>} - Overlay keys of the referenced detections
+ */
+export const getValidationOverlayKeys = (validation, { ocrResults, symbolResults }) => {
+  if (!validation) return [];
+
+  const paraIds = (validation.para_id || []).map(String);
+  const labels = (validation.labels || []).map(label => String(label).toLowerCase());
+  const keys = [];
+
+  if (paraIds.length > 0) {
+    (ocrResults?.results || []).forEach((block, index) => {
+      if (block.id !== undefined && paraIds.includes(String(block.id))) {
+        keys.push(getOverlayKey(OVERLAY_LAYERS.TEXT, index));
+      }
+    });
+  }
+
+  if (labels.length > 0) {
+    (symbolResults || []).forEach((symbol, index) => {
+      const names = [symbol.label, symbol.class].filter(Boolean).map(name => String(name).toLowerCase());
+      if (names.some(name => labels.includes(name))) {
+        keys.push(getOverlayKey(OVERLAY_LAYERS.SYMBOLS, index));
+      }
+    });
+  }
+
+  return keys;
+};
+
+/**
+ * Get the rectangle enclosing the boxes with the given keys
+ * @param {Array} layers - Overlay layers
+ * @param {Array<string>} keys - Overlay keys
+ * @returns {Object|null} - { x, y, width, height } in image pixels
+ */
+export const getOverlayKeysRect = (layers, keys) => {
+  const rects = layers
+    .flatMap(layer => layer.boxes)
+    .filter(box => keys.includes(box.key))
+    .map(box => box.rect);
+  return getUnionRect(rects);
+};
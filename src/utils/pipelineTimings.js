@@ -0,0 +1,288 @@
+/**
+ * Pipeline timing utilities
+ * Records when each stage of an analysis starts and ends, and estimates the time left
+ * from the timings of earlier runs. Timing records are plain objects so they can be
+ * kept in React state and stored with the run history.
+ */
+
+// Stages an analysis can go through
+export const PIPELINE_STAGES = {
+  UPLOAD: 'upload',
+  DETECTION: 'detection',
+  REFINEMENT: 'refinement',
+  PARSING: 'parsing',
+  VERIFICATION: 'verification'
+};
+
+export const STAGE_LABELS = {
+  [PIPELINE_STAGES.UPLOAD]: 'Upload',
+  [PIPELINE_STAGES.DETECTION]: 'Detection',
+  [PIPELINE_STAGES.REFINEMENT]: 'Refinement',
+  [PIPELINE_STAGES.PARSING]: 'Parsing',
+  [PIPELINE_STAGES.VERIFICATION]: 'Verification'
+};
+
+// States of a stage and of a whole timing record
+export const STAGE_STATES = {
+  PENDING: 'pending',
+  RUNNING: 'running',
+  DONE: 'done',
+  FAILED: 'failed',
+  CANCELLED: 'cancelled',
+  SKIPPED: 'skipped'
+};
+
+/**
+ * Flows of the analysis page and the stages each goes through
+ * Stages sharing a group run inside a single backend call, so they start and end
+ * together and are shown as one row; the backend does not report where the time goes.
+ */
+export const PIPELINE_FLOWS = {
+  ANALYSIS: {
+    id: 'analysis',
+    label: 'Image analysis',
+    stages: [PIPELINE_STAGES.UPLOAD, PIPELINE_STAGES.DETECTION]
+  },
+  PIPELINE: {
+    id: 'pipeline',
+    label: 'Complete pipeline',
+    stages: [
+      PIPELINE_STAGES.UPLOAD,
+      PIPELINE_STAGES.DETECTION,
+      PIPELINE_STAGES.REFINEMENT,
+      PIPELINE_STAGES.PARSING,
+      PIPELINE_STAGES.VERIFICATION
+    ],
+    groups: {
+      backend: [PIPELINE_STAGES.DETECTION, PIPELINE_STAGES.REFINEMENT, PIPELINE_STAGES.PARSING, PIPELINE_STAGES.VERIFICATION]
+    }
+  },
+  VERIFICATION: {
+    id: 'verification',
+    label: 'Requirement verification',
+    stages: [PIPELINE_STAGES.UPLOAD, PIPELINE_STAGES.VERIFICATION]
+  }
+};
+
+const FINISHED_STATES = [STAGE_STATES.DONE, STAGE_STATES.FAILED, STAGE_STATES.CANCELLED, STAGE_STATES.SKIPPED];
+
+/**
+ * Look up a flow by id
+ * @param {string} flowId - Flow id, e.g. 'pipeline'
+ * @returns {Object|undefined} - Flow from PIPELINE_FLOWS
+ */
+const getFlow = (flowId) => Object.values(PIPELINE_FLOWS).find(flow => flow.id === flowId);
+
+/**
+ * Get the group a stage belongs to in a flow
+ * @param {Object} flow - Flow from PIPELINE_FLOWS
+ * @param {string} stageId - Stage id
+ * @returns {string|null} - Group name, or null for a stage of its own
+ */
+const getStageGroup = (flow, stageId) => {
+  const entry = Object.entries(flow.groups || {}).find(([, stageIds]) => stageIds.includes(stageId));
+  return entry ? entry[0] : null;
+};
+
+/**
+ * Create the timing record of a new run
+ * @param {string} flowId - Flow id from PIPELINE_FLOWS
+ * @param {number} now - Start time in milliseconds
+ * @returns {Object} - { flow, state, startedAt, endedAt, stages: [{ id, group, state, startedAt, endedAt }] }
+ */
+export const createTimings = (flowId, now = Date.now()) => {
+  const flow = getFlow(flowId);
+  if (!flow) {
+    throw new Error(`Unknown pipeline flow: ${flowId}`);
+  }
+
+  return {
+    flow: flow.id,
+    state: STAGE_STATES.RUNNING,
+    startedAt: now,
+    endedAt: null,
+    stages: flow.stages.map(id => ({
+      id,
+      group: getStageGroup(flow, id),
+      state: STAGE_STATES.PENDING,
+      startedAt: null,
+      endedAt: null
+    }))
+  };
+};
+
+/**
+ * Mark stages as started; stages that already started keep their start time
+ * @param {Object} timings - Timing record
+ * @param {Array<string>} stageIds - Stages to start
+ * @param {number} now - Time in milliseconds
+ * @returns {Object} - Updated timing record
+ */
+export const startStages = (timings, stageIds, now = Date.now()) => ({
+  ...timings,
+  stages: timings.stages.map(stage => (
+    stageIds.includes(stage.id) && stage.state === STAGE_STATES.PENDING
+      ? { ...stage, state: STAGE_STATES.RUNNING, startedAt: now }
+      : stage
+  ))
+});
+
+/**
+ * Mark running stages as finished
+ * @param {Object} timings - Timing record
+ * @param {Array<string>} stageIds - Stages to end
+ * @param {string} state - Final state from STAGE_STATES
+ * @param {number} now - Time in milliseconds
+ * @returns {Object} - Updated timing record
+ */
+export const endStages = (timings, stageIds, state = STAGE_STATES.DONE, now = Date.now()) => ({
+  ...timings,
+  stages: timings.stages.map(stage => (
+    stageIds.includes(stage.id) && stage.state === STAGE_STATES.RUNNING
+      ? { ...stage, state, endedAt: now }
+      : stage
+  ))
+});
+
+/**
+ * Close a timing record: running stages take the final state and stages that never
+ * started are marked skipped
+ * @param {Object} timings - Timing record
+ * @param {string} state - Final state of the run from STAGE_STATES
+ * @param {number} now - Time in milliseconds
+ * @returns {Object} - Finished timing record
+ */
+export const finishTimings = (timings, state = STAGE_STATES.DONE, now = Date.now()) => ({
+  ...timings,
+  state,
+  endedAt: now,
+  stages: timings.stages.map(stage => {
+    if (stage.state === STAGE_STATES.RUNNING) return { ...stage, state, endedAt: now };
+    if (stage.state === STAGE_STATES.PENDING) return { ...stage, state: STAGE_STATES.SKIPPED };
+    return stage;
+  })
+});
+
+/**
+ * Check whether a timing record is still running
+ * @param {Object} timings - Timing record
+ * @returns {boolean} - Whether the run has not finished yet
+ */
+export const isTimingRunning = (timings) => Boolean(timings) && !FINISHED_STATES.includes(timings.state);
+
+/**
+ * Get the duration of a stage or timing record
+ * @param {Object} span - Stage or timing record with startedAt and endedAt
+ * @param {number} now - Current time, used while the span is still running
+ * @returns {number|null} - Duration in milliseconds, or null if it never started
+ */
+export const getDuration = (span, now = Date.now()) => {
+  if (!span || span.startedAt === null) return null;
+  return (span.endedAt ?? now) - span.startedAt;
+};
+
+/**
+ * Merge stages of the same group into display rows
+ * @param {Object} timings - Timing record
+ * @returns {Array<Object>} - Rows { key, label, stageIds, grouped, state, startedAt, endedAt }
+ */
+export const getTimingRows = (timings) => {
+  const rows = [];
+  timings.stages.forEach(stage => {
+    const existing = stage.group && rows.find(row => row.key === stage.group);
+    if (existing) {
+      existing.stageIds.push(stage.id);
+      existing.label = `${existing.label}, ${STAGE_LABELS[stage.id].toLowerCase()}`;
+      return;
+    }
+    rows.push({
+      key: stage.group || stage.id,
+      label: STAGE_LABELS[stage.id],
+      stageIds: [stage.id],
+      grouped: Boolean(stage.group),
+      state: stage.state,
+      startedAt: stage.startedAt,
+      endedAt: stage.endedAt
+    });
+  });
+  return rows;
+};
+
+/**
+ * Get the median of a list of numbers
+ * @param {Array<number>} values - Numbers
+ * @returns {number|null} - Median, or null for an empty list
+ */
+const median = (values) => {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+/**
+ * Get the typical duration of each row of a flow from earlier runs
+ * @param {Array<Object>} pastTimings - Finished timing records of earlier runs
+ * @param {string} flowId - Flow to estimate
+ * @returns {Object} - Median duration in milliseconds by row key
+ */
+export const getTypicalDurations = (pastTimings, flowId) => {
+  const durations = {};
+  pastTimings
+    .filter(timings => timings.flow === flowId && timings.state === STAGE_STATES.DONE)
+    .forEach(timings => {
+      getTimingRows(timings)
+        .filter(row => row.state === STAGE_STATES.DONE)
+        .forEach(row => {
+          durations[row.key] = [...(durations[row.key] || []), row.endedAt - row.startedAt];
+        });
+    });
+
+  return Object.fromEntries(Object.entries(durations).map(([key, values]) => [key, median(values)]));
+};
+
+/**
+ * Estimate the time left in a running flow
+ * @param {Object} timings - Running timing record
+ * @param {Object} typicalDurations - Result of getTypicalDurations
+ * @param {number} now - Current time in milliseconds
+ * @returns {number|null} - Milliseconds left, or null when a stage has no earlier timings
+ */
+export const estimateRemainingMs = (timings, typicalDurations, now = Date.now()) => {
+  let remaining = 0;
+  for (const row of getTimingRows(timings)) {
+    if (FINISHED_STATES.includes(row.state)) continue;
+    const typical = typicalDurations[row.key];
+    if (typical === undefined || typical === null) return null;
+    const elapsed = row.state === STAGE_STATES.RUNNING ? now - row.startedAt : 0;
+    remaining += Math.max(typical - elapsed, 0);
+  }
+  return remaining;
+};
+
+/**
+ * Format a duration for display
+ * @param {number} ms - Duration in milliseconds
+ * @returns {string} - e.g. "850ms", "12.4s" or "2m 05s"
+ */
+export const formatDuration = (ms) => {
+  if (ms === null || ms === undefined) return '—';
+  if (ms < 1000) return `${Math.round(ms)}ms`;
+  if (ms < 60000) return `${(ms / 1000).toFixed(1)}s`;
+  const totalSeconds = Math.round(ms / 1000);
+  return `${Math.floor(totalSeconds / 60)}m ${String(totalSeconds % 60).padStart(2, '0')}s`;
+};
+
+/**
+ * Summarise a finished timing record in one line, e.g. for the run history
+ * @param {Object} timings - Timing record
+ * @returns {string} - e.g. "Complete pipeline 52.3s: upload 4.1s · detection, refinement, parsing, verification 48.2s"
+ */
+export const formatTimingSummary = (timings) => {
+  const flow = getFlow(timings.flow);
+  const rows = getTimingRows(timings)
+    .filter(row => row.startedAt !== null)
+    .map(row => `${row.label.toLowerCase()} ${formatDuration(getDuration(row, timings.endedAt))}`);
+  const state = timings.state === STAGE_STATES.DONE ? '' : ` (${timings.state})`;
+  return `${flow?.label || timings.flow} ${formatDuration(getDuration(timings))}${state}: ${rows.join(' · ')}`;
+};
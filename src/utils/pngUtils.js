@@ -0,0 +1,54 @@
+/**
+ * PNG utilities
+ * Low-level edits of PNG files produced by canvas encoding
+ */
+
+const METERS_PER_INCH = 0.0254;
+
+let crcTable = null;
+
+/**
+ * Compute the CRC-32 of PNG chunk bytes
+ * @param {Uint8Array} bytes - Chunk type and data
+ * @returns {number} - Unsigned CRC-32
+ */
+const crc32 = (bytes) => {
+  if (!crcTable) {
+    crcTable = Array.from({ length: 256 }, (_, n) => {
+      let c = n;
+      for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      return c >>> 0;
+    });
+  }
+
+  let crc = 0xffffffff;
+  bytes.forEach(byte => {
+    crc = crcTable[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  });
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+/**
+ * Record a resolution in a PNG by inserting a pHYs chunk after the IHDR chunk
+ * Canvas PNGs carry no resolution, and the backends would otherwise assume their own
+ * @param {Blob} png - PNG without a pHYs chunk, e.g. produced by a canvas
+ * @param {number} dpi - Resolution to record
+ * @returns {Promise<Blob>} - PNG with the resolution
+ */
+export const setPngDpi = async (png, dpi) => {
+  const bytes = new Uint8Array(await png.arrayBuffer());
+  // 8 byte signature, then IHDR: 4 byte length, 4 byte type, 13 bytes of data, 4 byte CRC
+  const ihdrEnd = 8 + 4 + 4 + 13 + 4;
+  const pixelsPerMeter = Math.round(dpi / METERS_PER_INCH);
+
+  const chunk = new Uint8Array(4 + 4 + 9 + 4);
+  const view = new DataView(chunk.buffer);
+  view.setUint32(0, 9);
+  chunk.set([0x70, 0x48, 0x59, 0x73], 4); // "pHYs"
+  view.setUint32(8, pixelsPerMeter);
+  view.setUint32(12, pixelsPerMeter);
+  chunk[16] = 1; // Unit: metre
+  view.setUint32(17, crc32(chunk.subarray(4, 17)));
+
+  return new Blob([bytes.subarray(0, ihdrEnd), chunk, bytes.subarray(ihdrEnd)], { type: 'image/png' });
+};
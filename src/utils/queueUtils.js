@@ -0,0 +1,35 @@
+/**
+ * Queue Utility Functions
+ * Helpers for running asynchronous work with bounded concurrency
+ */
+
+/**
+ * Run an async worker over a list of items with at most `limit` workers in flight
+ * Results keep the order of the input items. A rejected worker does not stop the
+ * queue; its error is stored in the result entry instead.
+ * @param {Array} items - Items to process
+ * @param {number} limit - Maximum number of concurrent workers
+ * @param {Function} worker - Async function called with (item, index)
+ * @returns {Promise<Array>} - Array of { status: 'fulfilled'|'rejected', value, reason }
+ */
+export const runWithConcurrency = async (items, limit, worker) => {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+
+  const runNext = async () => {
+    while (nextIndex < items.length) {
+      const index = nextIndex++;
+      try {
+        const value = await worker(items[index], index);
+        results[index] = { status: 'fulfilled', value };
+      } catch (error) {
+        results[index] = { status: 'rejected', reason: error };
+      }
+    }
+  };
+
+  const workerCount = Math.max(1, Math.min(limit, items.length));
+  await Promise.all(Array.from({ length: workerCount }, runNext));
+
+  return results;
+};
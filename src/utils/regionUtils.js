@@ -0,0 +1,106 @@
+/**
+ * Region of interest utilities
+ * Regions are rectangles drawn on the image to analyse only part of it. Detections of each
+ * region are mapped back onto the whole image and merged into one result set.
+ */
+
+// Overlap (intersection over union) above which two equal detections from overlapping regions are one
+const DUPLICATE_OVERLAP = 0.5;
+
+/**
+ * @typedef {Object} AnalysisRegion
+ * @property {string} id - Unique id
+ * @property {number} x - Left edge in image pixels
+ * @property {number} y - Top edge in image pixels
+ * @property {number} width
+ * @property {number} height
+ */
+
+/**
+ * Create a region from a rectangle drawn on the image
+ * @param {Object} rect - { x, y, width, height } in image pixels
+ * @returns {AnalysisRegion} - The region, rounded to whole pixels
+ */
+export const createAnalysisRegion = (rect) => ({
+  id: `region_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
+  x: Math.round(rect.x),
+  y: Math.round(rect.y),
+  width: Math.round(rect.width),
+  height: Math.round(rect.height)
+});
+
+/**
+ * Get the overlap of two boxes as intersection over union
+ * @param {Object} a - Box with xmin, ymin, xmax, ymax
+ * @param {Object} b - Box with xmin, ymin, xmax, ymax
+ * @returns {number} - 0 for disjoint boxes, 1 for identical boxes
+ */
+const getOverlap = (a, b) => {
+  const width = Math.min(a.xmax, b.xmax) - Math.max(a.xmin, b.xmin);
+  const height = Math.min(a.ymax, b.ymax) - Math.max(a.ymin, b.ymin);
+  if (width <= 0 || height <= 0) return 0;
+
+  const intersection = width * height;
+  const area = (box) => (box.xmax - box.xmin) * (box.ymax - box.ymin);
+  return intersection / (area(a) + area(b) - intersection);
+};
+
+/**
+ * Append detections to a list, skipping those already found in an overlapping region
+ * @param {Array<Object>} kept - Detections kept so far
+ * @param {Array<Object>} items - Detections of the next region
+ * @param {Function} getName - Returns what must match for two detections to be the same
+ * @returns {Array<Object>} - The merged list
+ */
+const appendUnique = (kept, items, getName) => {
+  const merged = [...kept];
+  items.forEach(item => {
+    const hasBox = typeof item.xmin === 'number' && typeof item.xmax === 'number';
+    const isDuplicate = hasBox && kept.some(other => (
+      getName(other) === getName(item) && getOverlap(other, item) > DUPLICATE_OVERLAP
+    ));
+    if (!isDuplicate) merged.push(item);
+  });
+  return merged;
+};
+
+/**
+ * Prefix the ids of a region's detections with the region, so they stay unique across regions
+ * @param {Array<Object>} items - Detections of one region
+ * @param {number} regionIndex - Index of the region
+ * @returns {Array<Object>} - Detections with ids like "region1_symbol_0"
+ */
+const withRegionIds = (items, regionIndex) => items.map((item, index) => ({
+  ...item,
+  id: `region${regionIndex + 1}_${item.id ?? index}`
+}));
+
+/**
+ * Merge the detections of several regions, already mapped onto the whole image
+ * Text blocks and symbols keep the ids the backends gave them, prefixed with their region
+ * @param {Array<Object>} regionDetections - { regionIndex, ocrResults, symbolResults } per analysed region;
+ *   either result is null when that detection failed for the region
+ * @returns {Object} - { ocrResults, symbolResults }, each null when it failed for every region
+ */
+export const mergeRegionDetections = (regionDetections) => {
+  const textRegions = regionDetections.filter(detections => detections.ocrResults);
+  const symbolRegions = regionDetections.filter(detections => detections.symbolResults);
+
+  const blocks = textRegions.reduce(
+    (kept, { regionIndex, ocrResults }) => appendUnique(
+      kept,
+      withRegionIds(ocrResults.results || [], regionIndex),
+      block => block.text.trim().toLowerCase()
+    ),
+    []
+  );
+  const symbols = symbolRegions.reduce(
+    (kept, { regionIndex, symbolResults }) => appendUnique(kept, withRegionIds(symbolResults, regionIndex), symbol => symbol.class),
+    []
+  );
+
+  return {
+    ocrResults: textRegions.length > 0 ? { results: blocks } : null,
+    symbolResults: symbolRegions.length > 0 ? symbols : null
+  };
+};
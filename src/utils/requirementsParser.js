@@ -0,0 +1,233 @@
+/**
+ * Requirements Spreadsheet Parser
+ * Reads legal requirement CSV/XLSX files in the browser into the
+ * text_requirement / symbol_requirement structure returned by the backend /req_parser
+ */
+import * as XLSX from 'xlsx';
+import { REQUIREMENT_COLUMNS, REQUIREMENT_TYPES } from '../config/spreadsheetConfig';
+
+// Accepted header names for each column, after normalisation
+const COLUMN_ALIASES = {
+  [REQUIREMENT_COLUMNS.TYPE]: ['requirement_type', 'type', 'req_type'],
+  [REQUIREMENT_COLUMNS.NAME]: ['requirement_name', 'requirement', 'name', 'text_requirement', 'symbol_requirement'],
+  [REQUIREMENT_COLUMNS.PROPERTY]: ['property_name', 'property', 'req_name'],
+  [REQUIREMENT_COLUMNS.DESCRIPTION]: ['property_description', 'description', 'req_desc'],
+  required: ['required']
+};
+
+// Property name used for rows that only have a description (legacy layout)
+const DEFAULT_PROPERTY_NAME = 'description';
+
+/**
+ * Normalise a header cell for alias matching
+ * @param {*} value - Header cell value
+ * @returns {string} - Lowercase, underscore separated header
+ */
+const normaliseHeader = (value) => {
+  return String(value ?? '').trim().toLowerCase().replace(/[\s-]+/g, '_');
+};
+
+/**
+ * Read a cell as trimmed text
+ * @param {Array} row - Sheet row
+ * @param {number} index - Column index, or -1 if the column is missing
+ * @returns {string} - Cell text
+ */
+const cellText = (row, index) => {
+  return index >= 0 ? String(row[index] ?? '').trim() : '';
+};
+
+/**
+ * Map the header row to column indexes
+ * @param {Array} headerRow - The header row
+ * @returns {Object} - Column indexes keyed by column, plus the raw normalised headers
+ */
+const resolveColumns = (headerRow) => {
+  const headers = headerRow.map(normaliseHeader);
+  const columns = {};
+
+  Object.entries(COLUMN_ALIASES).forEach(([column, aliases]) => {
+    columns[column] = headers.findIndex(header => aliases.includes(header));
+  });
+
+  return { columns, headers };
+};
+
+/**
+ * Work out the default requirement type of a sheet from its headers and name
+ * @param {Array<string>} headers - Normalised headers
+ * @param {string} sheetName - Sheet name
+ * @returns {string} - Requirement type
+ */
+const getDefaultType = (headers, sheetName) => {
+  if (headers.includes('symbol_requirement') || /symbol/i.test(sheetName)) {
+    return REQUIREMENT_TYPES.SYMBOL;
+  }
+  return REQUIREMENT_TYPES.TEXT;
+};
+
+/**
+ * Parse a requirement type cell
+ * @param {string} value - Cell text
+ * @returns {string|null} - Requirement type, or null if not recognised
+ */
+const parseType = (value) => {
+  const type = value.toLowerCase();
+  if (type.startsWith('text')) return REQUIREMENT_TYPES.TEXT;
+  if (type.startsWith('symbol')) return REQUIREMENT_TYPES.SYMBOL;
+  return null;
+};
+
+/**
+ * Parse a required cell; empty means required
+ * @param {string} value - Cell text
+ * @returns {boolean} - Whether the requirement is required
+ */
+const parseRequired = (value) => {
+  return !['false', 'no', 'n', '0'].includes(value.toLowerCase());
+};
+
+/**
+ * Parse one worksheet
+ * @param {Object} sheet - xlsx worksheet
+ * @param {string} sheetName - Sheet name
+ * @param {Object} output - Accumulator with result, rows and issues
+ */
+const parseSheet = (sheet, sheetName, output) => {
+  const rows = XLSX.utils.sheet_to_json(sheet, { header: 1, defval: '', blankrows: true, raw: false });
+  const headerIndex = rows.findIndex(row => row.some(cell => String(cell).trim() !== ''));
+  if (headerIndex === -1) return;
+
+  const addIssue = (row, severity, message) => {
+    output.issues.push({ sheet: sheetName, row, severity, message });
+  };
+
+  const { columns, headers } = resolveColumns(rows[headerIndex]);
+  if (columns[REQUIREMENT_COLUMNS.NAME] === -1) {
+    addIssue(headerIndex + 1, 'error', 'No requirement name column found (expected "requirement_name" or "text_requirement"/"symbol_requirement")');
+    return;
+  }
+
+  const defaultType = getDefaultType(headers, sheetName);
+  let current = null;
+
+  rows.slice(headerIndex + 1).forEach((row, offset) => {
+    const rowNumber = headerIndex + offset + 2;
+    if (!row.some(cell => String(cell).trim() !== '')) return;
+
+    const rowIssues = [];
+    const typeText = cellText(row, columns[REQUIREMENT_COLUMNS.TYPE]);
+    let name = cellText(row, columns[REQUIREMENT_COLUMNS.NAME]);
+    const propertyName = cellText(row, columns[REQUIREMENT_COLUMNS.PROPERTY]) || DEFAULT_PROPERTY_NAME;
+    const description = cellText(row, columns[REQUIREMENT_COLUMNS.DESCRIPTION]);
+
+    let type = defaultType;
+    if (typeText) {
+      type = parseType(typeText);
+      if (!type) {
+        rowIssues.push({ severity: 'error', message: `Unknown requirement type "${typeText}" (expected "text" or "symbol")` });
+      }
+    }
+
+    // An empty name continues the previous requirement (merged cells in Excel)
+    if (!name && current && (!typeText || type === current.type)) {
+      name = current.requirement.name;
+      type = current.type;
+    } else if (!name) {
+      rowIssues.push({ severity: 'error', message: 'Missing requirement name' });
+    }
+
+    if (!description) {
+      rowIssues.push({ severity: 'warning', message: `Missing description for property "${propertyName}"` });
+    }
+
+    const isValidRow = !rowIssues.some(issue => issue.severity === 'error');
+    rowIssues.forEach(issue => addIssue(rowNumber, issue.severity, issue.message));
+
+    output.rows.push({
+      sheet: sheetName,
+      row: rowNumber,
+      type,
+      name,
+      property: propertyName,
+      description,
+      issues: rowIssues
+    });
+
+    if (!isValidRow) return;
+
+    const listKey = type === REQUIREMENT_TYPES.SYMBOL ? 'symbol_requirement' : 'text_requirement';
+    let requirement = output.result[listKey].find(req => req.name === name);
+    if (!requirement) {
+      requirement = {
+        name,
+        required: parseRequired(cellText(row, columns.required)),
+        req_properties: []
+      };
+      output.result[listKey].push(requirement);
+    }
+
+    if (requirement.req_properties.some(prop => prop.req_name === propertyName)) {
+      addIssue(rowNumber, 'warning', `Duplicate property "${propertyName}" for requirement "${name}"`);
+    }
+
+    requirement.req_properties.push({ req_name: propertyName, req_desc: description });
+    current = { type, requirement };
+  });
+};
+
+/**
+ * Parse a requirements workbook
+ * @param {Object} workbook - xlsx workbook
+ * @returns {Object} - { result: { text_requirement, symbol_requirement }, rows, issues }
+ */
+export const parseRequirementsWorkbook = (workbook) => {
+  const output = {
+    result: {
+      text_requirement: [],
+      symbol_requirement: []
+    },
+    rows: [],
+    issues: []
+  };
+
+  workbook.SheetNames.forEach(sheetName => {
+    parseSheet(workbook.Sheets[sheetName], sheetName, output);
+  });
+
+  if (output.result.text_requirement.length === 0 && output.result.symbol_requirement.length === 0) {
+    output.issues.push({
+      sheet: workbook.SheetNames[0] || '',
+      row: null,
+      severity: 'error',
+      message: 'No requirements found in the file'
+    });
+  }
+
+  return output;
+};
+
+/**
+ * Parse a requirements CSV/XLSX file in the browser
+ * @param {File} file - The requirements file
+ * @returns {Promise<Object>} - { result: { text_requirement, symbol_requirement }, rows, issues }
+ */
+export const parseRequirementsFile = async (file) => {
+  try {
+    const buffer = await file.arrayBuffer();
+    const workbook = XLSX.read(buffer, { type: 'array' });
+    return parseRequirementsWorkbook(workbook);
+  } catch (error) {
+    console.error('Error in parseRequirementsFile:', error);
+    throw error;
+  }
+};
+
+/**
+ * Format an issue location as a sheet/row reference
+ * @param {Object} issue - Parser issue
+ * @returns {string} - Reference such as "Sheet1!R5"
+ */
+export const formatIssueLocation = (issue) => {
+  return issue.row ? `${issue.sheet}!R${issue.row}` : issue.sheet;
+};
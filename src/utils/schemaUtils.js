@@ -0,0 +1,97 @@
+/**
+ * Schema Utility Functions
+ * Check a value against a declared schema, a small subset of JSON Schema:
+ * type, properties, required, items and enum
+ */
+
+// Issue severities, matching the ones used for requirement spreadsheet issues
+export const SEVERITIES = {
+  ERROR: 'error',
+  WARNING: 'warning'
+};
+
+/**
+ * Name the JSON type of a value
+ * @param {*} value - Any value
+ * @returns {string} - 'null', 'array', 'integer', 'number', 'string', 'boolean', 'object' or 'undefined'
+ */
+export const getJsonType = (value) => {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+  return typeof value;
+};
+
+/**
+ * Check whether a value has one of the types a schema allows
+ * @param {*} value - Value to check
+ * @param {string|Array<string>} type - Allowed type or types
+ * @returns {boolean} - Whether the type matches; integers also match 'number'
+ */
+const matchesType = (value, type) => {
+  const actual = getJsonType(value);
+  return [].concat(type).some(expected => (
+    expected === actual || (expected === 'number' && actual === 'integer' && Number.isFinite(value))
+  ));
+};
+
+/**
+ * Join a property name or array index onto a path
+ * @param {string} path - Parent path, e.g. "refined_text"
+ * @param {string|number} key - Property name or index
+ * @returns {string} - e.g. "refined_text[2]" or "image_shape.width"
+ */
+const joinPath = (path, key) => {
+  if (typeof key === 'number') return `${path}[${key}]`;
+  return path ? `${path}.${key}` : key;
+};
+
+/**
+ * Check a value against a schema
+ * Missing required fields and values of the wrong type are errors; values of an optional
+ * field with the wrong type are warnings, because the field is left out instead
+ * @param {Object} schema - Declared schema
+ * @param {*} value - Value to check
+ * @param {string} path - Path of the value, used in issue messages
+ * @param {string} severity - Severity of a type mismatch at this level
+ * @returns {Array<Object>} - Issues { path, message, severity }; empty when the value matches
+ */
+export const validateSchema = (schema, value, path = '', severity = SEVERITIES.ERROR) => {
+  const where = path || 'response';
+
+  if (schema.type && !matchesType(value, schema.type)) {
+    return [{
+      path: where,
+      message: `expected ${[].concat(schema.type).join(' or ')}, got ${getJsonType(value)}`,
+      severity
+    }];
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    return [{ path: where, message: `expected one of ${schema.enum.map(item => JSON.stringify(item)).join(', ')}, got ${JSON.stringify(value)}`, severity }];
+  }
+
+  const issues = [];
+
+  if (schema.properties && getJsonType(value) === 'object') {
+    const required = schema.required || [];
+    Object.entries(schema.properties).forEach(([key, propertySchema]) => {
+      const isRequired = required.includes(key);
+      if (value[key] === undefined) {
+        if (isRequired) {
+          issues.push({ path: joinPath(path, key), message: 'is missing', severity: SEVERITIES.ERROR });
+        }
+        return;
+      }
+      issues.push(...validateSchema(propertySchema, value[key], joinPath(path, key), isRequired ? severity : SEVERITIES.WARNING));
+    });
+  }
+
+  if (schema.items && Array.isArray(value)) {
+    value.forEach((item, index) => {
+      issues.push(...validateSchema(schema.items, item, joinPath(path, index), severity));
+    });
+  }
+
+  return issues;
+};
@@ -0,0 +1,268 @@
+/**
+ * Symbol size rules
+ * Parses size constraints ("at least 10cm tall", "min 6mm") from the properties of symbol
+ * requirements and checks the measured size of each detected symbol against them in the browser,
+ * so the result can be compared with the verdict of the verification backend.
+ */
+import { LENGTH_UNITS } from './measurementUtils';
+import { VALIDATION_STATES, getPropertyState, getStateFromProperties, getValidationState, getOriginalData } from './validationUtils';
+
+export const SIZE_COMPARISONS = {
+  MIN: 'min',
+  MAX: 'max'
+};
+
+// A dimension of null means the constraint applies to both width and height
+export const SIZE_DIMENSIONS = {
+  WIDTH: 'width',
+  HEIGHT: 'height'
+};
+
+// A number followed by a length unit, e.g. "10cm", "6 mm", "0.5 in"
+const LENGTH_PATTERN = /(\d+(?:[.,]\d+)?)\s*(mm|cm|inches|inch|in|")(?![a-z])/i;
+const MIN_PATTERN = /\b(at least|min(?:imum)?|not (?:less|smaller) than|no (?:less|smaller) than)\b|>=|≥/i;
+const MAX_PATTERN = /\b(at most|max(?:imum)?|not (?:more|greater|larger|bigger) than|no (?:more|greater|larger|bigger) than|up to)\b|<=|≤/i;
+const HEIGHT_PATTERN = /\b(tall|height|high)\b/i;
+const WIDTH_PATTERN = /\b(wide|width)\b/i;
+// Property names whose description is a size, e.g. symbol_height or min_width
+const SIZE_PROPERTY_PATTERN = /width|height|size|dimension|min|max/i;
+// Clauses of one description, e.g. "at least 10mm wide and 12mm tall"
+const CLAUSE_SEPARATOR = /([,;]|\band\b)/i;
+
+/**
+ * @typedef {Object} SizeConstraint
+ * @property {string|null} dimension - One of SIZE_DIMENSIONS, or null for both
+ * @property {string} comparison - One of SIZE_COMPARISONS
+ * @property {number} value_cm - Limit in centimetres
+ * @property {string} property - Name of the requirement property it was read from
+ * @property {string} text - The clause it was read from
+ */
+
+/**
+ * Read the dimension a piece of text refers to
+ * @param {string} text - Clause or property name
+ * @returns {string|null} - One of SIZE_DIMENSIONS, or null if it names neither or both
+ */
+const getDimension = (text) => {
+  const isHeight = HEIGHT_PATTERN.test(text);
+  const isWidth = WIDTH_PATTERN.test(text);
+  if (isHeight === isWidth) return null;
+  return isHeight ? SIZE_DIMENSIONS.HEIGHT : SIZE_DIMENSIONS.WIDTH;
+};
+
+/**
+ * Split a description into clauses that each hold at most one length
+ * Text without a length is kept with the clause after it, so "width and height at least 2 cm"
+ * stays one clause
+ * @param {string} description - Property description
+ * @returns {Array<string>} - Clauses
+ */
+const splitClauses = (description) => {
+  const clauses = [];
+  let pending = '';
+  String(description ?? '').split(CLAUSE_SEPARATOR).forEach(part => {
+    pending += part;
+    if (LENGTH_PATTERN.test(part)) {
+      clauses.push(pending);
+      pending = '';
+    }
+  });
+  return clauses;
+};
+
+/**
+ * Combine the states of several checks
+ * @param {Array<string>} states - States of VALIDATION_STATES
+ * @returns {string} - FAIL if any failed, PASS if all passed, NOT_EVALUATED otherwise
+ */
+const combineStates = (states) => {
+  if (states.includes(VALIDATION_STATES.FAIL)) return VALIDATION_STATES.FAIL;
+  if (states.length > 0 && states.every(state => state === VALIDATION_STATES.PASS)) return VALIDATION_STATES.PASS;
+  return VALIDATION_STATES.NOT_EVALUATED;
+};
+
+/**
+ * Parse the size constraints of one requirement property
+ * A clause is read as a constraint when it contains a length and either names a limit or a
+ * dimension, or belongs to a size property such as symbol_height. Clauses without "max"-like
+ * wording are minimums; the dimension comes from the clause, else from the property name.
+ * @param {string} description - Property description, e.g. "at least 10cm tall"
+ * @param {string} propertyName - Property name, e.g. "min_height"
+ * @returns {Array<SizeConstraint>} - Constraints found, empty if there are none
+ */
+export const parseSizeConstraints = (description, propertyName = '') => {
+  const isSizeProperty = SIZE_PROPERTY_PATTERN.test(propertyName);
+  // Underscores are word characters, so "min_height" is split into words first
+  const propertyWords = propertyName.replace(/_/g, ' ');
+
+  return splitClauses(description).flatMap(clause => {
+    const match = clause.match(LENGTH_PATTERN);
+
+    const hasMin = MIN_PATTERN.test(clause);
+    const hasMax = MAX_PATTERN.test(clause);
+    const clauseDimension = getDimension(clause);
+    if (!isSizeProperty && !hasMin && !hasMax && !clauseDimension) return [];
+
+    const unit = match[2].toLowerCase();
+    const cmPerUnit = LENGTH_UNITS[unit] ?? LENGTH_UNITS.in;
+    const isMax = hasMax || (!hasMin && /\bmax/i.test(propertyWords));
+
+    return [{
+      dimension: clauseDimension || getDimension(propertyWords),
+      comparison: isMax ? SIZE_COMPARISONS.MAX : SIZE_COMPARISONS.MIN,
+      value_cm: parseFloat(match[1].replace(',', '.')) * cmPerUnit,
+      property: propertyName,
+      text: clause.trim()
+    }];
+  });
+};
+
+/**
+ * Normalise a requirement or symbol name for matching, e.g. "CE Mark" and "ce_mark"
+ * @param {string} name - Name to normalise
+ * @returns {string} - Lowercase name with words joined by underscores
+ */
+const normaliseName = (name) => String(name ?? '').toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+
+/**
+ * Collect the size rules of the symbol requirements
+ * @param {Object} legalTerms - Structured legal terms, as returned by processLegalTermFile
+ * @returns {Array<Object>} - { name, constraints } per symbol requirement with at least one constraint
+ */
+export const getSymbolSizeRules = (legalTerms) => {
+  return (legalTerms?.required_symbols || []).flatMap(requirement => {
+    // Requirements parsed by the backend list the properties of symbols as reqs
+    const properties = requirement.originalReq?.req_properties || requirement.originalReq?.reqs || [];
+    const constraints = properties.flatMap(prop => parseSizeConstraints(prop.req_desc, prop.req_name));
+    return constraints.length > 0 ? [{ name: requirement.description, constraints }] : [];
+  });
+};
+
+/**
+ * Describe a constraint, e.g. "Height ≥ 10.00 cm"
+ * @param {SizeConstraint} constraint - The constraint
+ * @returns {string} - Description
+ */
+export const formatSizeConstraint = (constraint) => {
+  const dimension = {
+    [SIZE_DIMENSIONS.WIDTH]: 'Width',
+    [SIZE_DIMENSIONS.HEIGHT]: 'Height'
+  }[constraint.dimension] || 'Width and height';
+  const operator = constraint.comparison === SIZE_COMPARISONS.MAX ? '≤' : '≥';
+  return `${dimension} ${operator} ${constraint.value_cm.toFixed(2)} cm`;
+};
+
+/**
+ * Get the measured size a constraint is checked against
+ * A constraint on both dimensions is checked against the smaller one for a minimum and the
+ * larger one for a maximum, so both must meet it
+ * @param {Object} symbol - Detected symbol with width_cm and height_cm
+ * @param {SizeConstraint} constraint - The constraint
+ * @returns {number|null} - Size in centimetres, or null if it was not measured
+ */
+const getMeasuredSize = (symbol, constraint) => {
+  const width = typeof symbol.width_cm === 'number' ? symbol.width_cm : null;
+  const height = typeof symbol.height_cm === 'number' ? symbol.height_cm : null;
+  if (constraint.dimension === SIZE_DIMENSIONS.WIDTH) return width;
+  if (constraint.dimension === SIZE_DIMENSIONS.HEIGHT) return height;
+  if (width === null || height === null) return null;
+  return constraint.comparison === SIZE_COMPARISONS.MAX ? Math.max(width, height) : Math.min(width, height);
+};
+
+/**
+ * Check one detected symbol against the constraints of a rule
+ * @param {Object} symbol - Detected symbol with width_cm and height_cm
+ * @param {Array<SizeConstraint>} constraints - The constraints
+ * @returns {Object} - { id, label, width_cm, height_cm, state, checks: [{ measured_cm, state }] } with one
+ *   check per constraint; a size that was not measured is not evaluated
+ */
+const checkSymbol = (symbol, constraints) => {
+  const checks = constraints.map(constraint => {
+    const measured = getMeasuredSize(symbol, constraint);
+    if (measured === null) return { measured_cm: null, state: VALIDATION_STATES.NOT_EVALUATED };
+
+    // Sizes are rounded to 0.01 cm, so a value equal to the limit meets it
+    const passed = constraint.comparison === SIZE_COMPARISONS.MAX
+      ? measured <= constraint.value_cm + 1e-9
+      : measured >= constraint.value_cm - 1e-9;
+    return { measured_cm: measured, state: passed ? VALIDATION_STATES.PASS : VALIDATION_STATES.FAIL };
+  });
+
+  return {
+    id: symbol.id ?? null,
+    label: symbol.label || symbol.class || '',
+    width_cm: symbol.width_cm ?? null,
+    height_cm: symbol.height_cm ?? null,
+    state: combineStates(checks.map(check => check.state)),
+    checks
+  };
+};
+
+/**
+ * Get the backend's verdict on the size of a symbol requirement
+ * @param {Object} validation - A symbol validation entry
+ * @returns {string} - The combined state of its size properties if the backend judged any,
+ *   otherwise the state of the whole requirement
+ */
+const getBackendSizeState = (validation) => {
+  const sizeProperties = (validation.properties || getOriginalData(validation).req_properties || [])
+    .filter(prop => SIZE_PROPERTY_PATTERN.test(prop.req_property_name || prop.req_name || ''))
+    .filter(prop => getPropertyState(prop) !== VALIDATION_STATES.NOT_EVALUATED);
+  return sizeProperties.length > 0 ? getStateFromProperties(sizeProperties) : getValidationState(validation);
+};
+
+/**
+ * Check the detected symbols against the size rules and record the result on each matching symbol validation
+ * A rule applies to the validation with the same requirement name and to the symbols whose class or
+ * label matches that name or one of the labels the backend linked to it. The requirement passes when
+ * at least one of those symbols meets every constraint. The rules are kept in the results so the check
+ * can be repeated when the sizes change, e.g. after calibration.
+ * @param {Object} validationResults - Processed validation results
+ * @param {Array<Object>} rules - Result of getSymbolSizeRules
+ * @param {Array<Object>} symbolResults - Detected symbols with their sizes in cm
+ * @returns {Object} - The validation results with size_rules and, on matching symbol validations,
+ *   size_check { state, backend_state, disagrees, constraints, symbols }; unchanged without rules
+ */
+export const applySymbolSizeRules = (validationResults, rules, symbolResults) => {
+  if (!validationResults || !rules?.length) return validationResults;
+
+  const symbolValidations = (validationResults.symbol_validations || []).map(validation => {
+    const names = [validation.description, getOriginalData(validation).req_name].map(normaliseName);
+    const rule = rules.find(item => names.includes(normaliseName(item.name)));
+    if (!rule) return validation;
+
+    const labels = [normaliseName(rule.name), ...(validation.labels || []).map(normaliseName)];
+    const symbols = (symbolResults || [])
+      .filter(symbol => labels.includes(normaliseName(symbol.class)) || labels.includes(normaliseName(symbol.label)))
+      .map(symbol => checkSymbol(symbol, rule.constraints));
+
+    let state = VALIDATION_STATES.NOT_EVALUATED;
+    if (symbols.some(symbol => symbol.state === VALIDATION_STATES.PASS)) state = VALIDATION_STATES.PASS;
+    else if (symbols.some(symbol => symbol.state === VALIDATION_STATES.FAIL)) state = VALIDATION_STATES.FAIL;
+
+    const backendState = getBackendSizeState(validation);
+    const verdicts = [VALIDATION_STATES.PASS, VALIDATION_STATES.FAIL];
+
+    return {
+      ...validation,
+      size_check: {
+        state,
+        backend_state: backendState,
+        disagrees: verdicts.includes(state) && verdicts.includes(backendState) && state !== backendState,
+        constraints: rule.constraints,
+        symbols
+      }
+    };
+  });
+
+  return { ...validationResults, symbol_validations: symbolValidations, size_rules: rules };
+};
+
+/**
+ * Count the symbol requirements whose local size check disagrees with the backend
+ * @param {Object} validationResults - Validation results with size checks, see applySymbolSizeRules
+ * @returns {number} - Number of disagreements
+ */
+export const countSizeCheckDisagreements = (validationResults) => {
+  return (validationResults?.symbol_validations || []).filter(validation => validation.size_check?.disagrees).length;
+};
@@ -0,0 +1,166 @@
+/**
+ * Validation Utility Functions
+ * Shared helpers for reading validation results produced by legalValidationService
+ */
+
+// Outcome of a requirement or property check
+// - pass / fail: the backend checked it and reported the verdict
+// - not_evaluated: the backend answered but gave no verdict for it
+// - backend_missing: the backend could not be reached, so nothing was checked
+export const VALIDATION_STATES = {
+  PASS: 'pass',
+  FAIL: 'fail',
+  NOT_EVALUATED: 'not_evaluated',
+  BACKEND_MISSING: 'backend_missing'
+};
+
+export const VALIDATION_STATE_LABELS = {
+  [VALIDATION_STATES.PASS]: 'Pass',
+  [VALIDATION_STATES.FAIL]: 'Fail',
+  [VALIDATION_STATES.NOT_EVALUATED]: 'Not evaluated',
+  [VALIDATION_STATES.BACKEND_MISSING]: 'Backend missing'
+};
+
+// Shown instead of a property value the backend did not report
+export const MISSING_VALUE_LABEL = 'Not reported';
+
+/**
+ * Get the original backend data for a validation if available
+ * @param {Object} validation - A text or symbol validation entry
+ * @returns {Object} - The original backend requirement, or the validation itself
+ */
+export const getOriginalData = (validation) => {
+  return validation.originalData || validation;
+};
+
+/**
+ * Get the state of a single requirement property
+ * @param {Object} prop - A requirement property
+ * @returns {string} - PASS for status 1, FAIL for status 0, NOT_EVALUATED otherwise
+ */
+export const getPropertyState = (prop) => {
+  if (prop.req_status === 1) return VALIDATION_STATES.PASS;
+  if (prop.req_status === 0) return VALIDATION_STATES.FAIL;
+  return VALIDATION_STATES.NOT_EVALUATED;
+};
+
+/**
+ * Combine property states into the state of their requirement
+ * @param {Array} properties - Requirement properties
+ * @returns {string} - FAIL if any property failed, PASS if all passed, NOT_EVALUATED otherwise
+ */
+export const getStateFromProperties = (properties = []) => {
+  const states = properties.map(getPropertyState);
+  if (states.includes(VALIDATION_STATES.FAIL)) return VALIDATION_STATES.FAIL;
+  if (states.length > 0 && states.every(state => state === VALIDATION_STATES.PASS)) return VALIDATION_STATES.PASS;
+  return VALIDATION_STATES.NOT_EVALUATED;
+};
+
+/**
+ * Get the state of a single validation
+ * @param {Object} validation - A text or symbol validation entry
+ * @returns {string} - One of VALIDATION_STATES
+ */
+export const getValidationState = (validation) => {
+  if (Object.values(VALIDATION_STATES).includes(validation.status)) return validation.status;
+
+  // Runs saved before validations had a status only know pass or fail
+  const originalData = getOriginalData(validation);
+  const passed = validation.valid || originalData.req_properties?.every(prop => prop.req_status === 1) || false;
+  return passed ? VALIDATION_STATES.PASS : VALIDATION_STATES.FAIL;
+};
+
+/**
+ * Check whether a single validation passed
+ * @param {Object} validation - A text or symbol validation entry
+ * @returns {boolean} - True if the backend reported the requirement as satisfied
+ */
+export const isValidationPassed = (validation) => {
+  return getValidationState(validation) === VALIDATION_STATES.PASS;
+};
+
+/**
+ * Count the validations of a list by state
+ * @param {Array} validations - List of text or symbol validations
+ * @returns {Object} - { valid, invalid, notEvaluated, backendMissing, total }
+ */
+export const getValidationStats = (validations = []) => {
+  const states = (validations || []).map(getValidationState);
+  const count = (state) => states.filter(item => item === state).length;
+
+  return {
+    valid: count(VALIDATION_STATES.PASS),
+    invalid: count(VALIDATION_STATES.FAIL),
+    notEvaluated: count(VALIDATION_STATES.NOT_EVALUATED),
+    backendMissing: count(VALIDATION_STATES.BACKEND_MISSING),
+    total: states.length
+  };
+};
+
+/**
+ * Summarise a complete validation result
+ * The overall state is FAIL if any requirement failed; otherwise any requirement without a
+ * verdict keeps the result from passing
+ * @param {Object} validationResults - Processed validation results
+ * @returns {Object} - Counts for text, symbols and in total, plus the overall state
+ */
+export const getValidationSummary = (validationResults) => {
+  const text = getValidationStats(validationResults?.text_validations);
+  const symbols = getValidationStats(validationResults?.symbol_validations);
+  const sum = (key) => text[key] + symbols[key];
+  const summary = {
+    text,
+    symbols,
+    total: sum('total'),
+    valid: sum('valid'),
+    invalid: sum('invalid'),
+    notEvaluated: sum('notEvaluated'),
+    backendMissing: sum('backendMissing')
+  };
+
+  let state = VALIDATION_STATES.PASS;
+  if (summary.invalid > 0) state = VALIDATION_STATES.FAIL;
+  else if (summary.backendMissing > 0) state = VALIDATION_STATES.BACKEND_MISSING;
+  else if (summary.notEvaluated > 0 || summary.total === 0) state = VALIDATION_STATES.NOT_EVALUATED;
+
+  return { ...summary, state, passed: state === VALIDATION_STATES.PASS };
+};
+
+/**
+ * Describe the counts of a summary or stats object, e.g. "3 passed, 1 failed, 2 not evaluated"
+ * @param {Object} stats - Result of getValidationStats or getValidationSummary
+ * @returns {string} - Counts; states without requirements are left out, except passed and failed
+ */
+export const formatValidationCounts = (stats) => {
+  const parts = [`${stats.valid} passed`, `${stats.invalid} failed`];
+  if (stats.notEvaluated > 0) parts.push(`${stats.notEvaluated} not evaluated`);
+  if (stats.backendMissing > 0) parts.push(`${stats.backendMissing} backend missing`);
+  return parts.join(', ');
+};
+
+/**
+ * Get the properties of a validation, preferring the formatted ones
+ * @param {Object} validation - A text or symbol validation entry
+ * @returns {Array} - Requirement properties
+ */
+export const getValidationProperties = (validation) => {
+  return validation.properties || getOriginalData(validation).req_properties || [];
+};
+
+/**
+ * Check whether the backend reported a value for a requirement property
+ * @param {Object} prop - A requirement property
+ * @returns {boolean} - True if there is a value to show
+ */
+export const hasPropertyValue = (prop) => {
+  return typeof prop.req_property_value === 'string' && prop.req_property_value !== '';
+};
+
+/**
+ * Get the display value of a requirement property
+ * @param {Object} prop - A requirement property
+ * @returns {string} - The value the backend found, or MISSING_VALUE_LABEL if it reported none
+ */
+export const getPropertyValue = (prop) => {
+  return hasPropertyValue(prop) ? prop.req_property_value : MISSING_VALUE_LABEL;
+};
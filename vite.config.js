@@ -1,53 +1,75 @@
-import { defineConfig } from 'vite'
+import path from 'node:path'
+import { defineConfig, loadEnv } from 'vite'
 import react from '@vitejs/plugin-react'
 import tailwindcss from '@tailwindcss/vite'
+import { backendRouterPlugin, parseAllowedHosts } from './plugins/backendRouterPlugin'
+import { mockBackendPlugin, parseMockBackendMode, MOCK_BACKEND_MODES } from './plugins/mockBackendPlugin'
+import { TEXT_API_URL, SYMBOL_API_URL, BACKEND_TARGET_HEADER, BACKENDS } from './src/config/apiConfig'
 
-// Get the current API URLs from environment or use defaults
-const TEXT_API_URL = 'https://your-text-api.ngrok-free.app';
-const SYMBOL_API_URL = 'https://your-symbol-api.ngrok-free.app';
+// Used when no target is set in .env, .env.local or the environment
+const DEFAULT_TEXT_API_TARGET = 'https://your-text-api.ngrok-free.app';
+const DEFAULT_SYMBOL_API_TARGET = 'https://your-symbol-api.ngrok-free.app';
+const DEFAULT_MOCK_FIXTURES_DIR = 'mocks/fixtures';
+const DEFAULT_MOCK_DELAY_MS = 800;
 
-export default defineConfig({
-  plugins: [react(), tailwindcss()],
-  server: {
-    port: 5173,
-    cors: true,
-    proxy: {
-      // Proxy for text detection API
-      '/api/text': {
-        target: TEXT_API_URL,
-        changeOrigin: true,
-        secure: false,
-        rewrite: (path) => path.replace(/^\/api\/text/, ''),
-        configure: (proxy, _options) => {
-          proxy.on('error', (err, _req, _res) => {
-            console.log('proxy error', err);
-          });
-          proxy.on('proxyReq', (proxyReq, req, _res) => {
-            console.log('Sending Request to the Target:', req.method, req.url);
-          });
-          proxy.on('proxyRes', (proxyRes, req, _res) => {
-            console.log('Received Response from the Target:', proxyRes.statusCode, req.url);
-          });
-        }
-      },
-      // Proxy for symbol detection API
-      '/api/symbol': {
-        target: SYMBOL_API_URL,
-        changeOrigin: true,
-        secure: false,
-        rewrite: (path) => path.replace(/^\/api\/symbol/, ''),
-        configure: (proxy, _options) => {
-          proxy.on('error', (err, _req, _res) => {
-            console.log('proxy error', err);
-          });
-          proxy.on('proxyReq', (proxyReq, req, _res) => {
-            console.log('Sending Request to the Target:', req.method, req.url);
-          });
-          proxy.on('proxyRes', (proxyRes, req, _res) => {
-            console.log('Received Response from the Target:', proxyRes.statusCode, req.url);
-          });
-        }
+/**
+ * Proxy options for one backend, stripping the proxy prefix from the path
+ * @param {string} prefix - Proxy path prefix, e.g. /api/text
+ * @param {string} target - Backend base URL
+ * @returns {Object} - Vite proxy options
+ */
+const createBackendProxy = (prefix, target) => ({
+  target,
+  changeOrigin: true,
+  secure: false,
+  rewrite: (path) => path.replace(new RegExp(`^${prefix}`), ''),
+  configure: (proxy) => {
+    proxy.on('error', (err) => {
+      console.log('proxy error', err);
+    });
+    proxy.on('proxyReq', (proxyReq, req) => {
+      console.log('Sending Request to the Target:', req.method, req.url);
+    });
+    proxy.on('proxyRes', (proxyRes, req) => {
+      console.log('Received Response from the Target:', proxyRes.statusCode, req.url);
+    });
+  }
+});
+
+export default defineConfig(({ mode }) => {
+  // Load every variable, not only VITE_*, so targets can also come from the shell environment
+  const env = loadEnv(mode, process.cwd(), '');
+  const isBackendRouterEnabled = env.VITE_BACKEND_ROUTER === 'true';
+  const mockBackendMode = parseMockBackendMode(env.VITE_MOCK_BACKEND);
+  const mockDelayMs = env.VITE_MOCK_BACKEND_DELAY_MS ? Number(env.VITE_MOCK_BACKEND_DELAY_MS) : DEFAULT_MOCK_DELAY_MS;
+
+  return {
+    plugins: [
+      react(),
+      tailwindcss(),
+      // Before the router, so mocked requests never reach a real backend
+      mockBackendMode !== MOCK_BACKEND_MODES.OFF && mockBackendPlugin({
+        prefixes: { [TEXT_API_URL]: BACKENDS.TEXT, [SYMBOL_API_URL]: BACKENDS.SYMBOL },
+        mode: mockBackendMode,
+        fixturesDir: path.resolve(env.VITE_MOCK_FIXTURES_DIR || DEFAULT_MOCK_FIXTURES_DIR),
+        delayMs: Number.isFinite(mockDelayMs) && mockDelayMs >= 0 ? mockDelayMs : DEFAULT_MOCK_DELAY_MS
+      }),
+      isBackendRouterEnabled && backendRouterPlugin({
+        prefixes: [TEXT_API_URL, SYMBOL_API_URL],
+        headerName: BACKEND_TARGET_HEADER,
+        allowedHosts: parseAllowedHosts(env.VITE_BACKEND_ROUTER_ALLOWED_HOSTS),
+        verifyTls: env.VITE_BACKEND_ROUTER_INSECURE_TLS !== 'true'
+      })
+    ],
+    server: {
+      port: 5173,
+      cors: true,
+      proxy: {
+        // Proxy for text detection API
+        [TEXT_API_URL]: createBackendProxy(TEXT_API_URL, env.VITE_TEXT_API_TARGET || DEFAULT_TEXT_API_TARGET),
+        // Proxy for symbol detection API
+        [SYMBOL_API_URL]: createBackendProxy(SYMBOL_API_URL, env.VITE_SYMBOL_API_TARGET || DEFAULT_SYMBOL_API_TARGET),
       },
     },
-  },
+  }
 })